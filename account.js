@@ -0,0 +1,124 @@
+/**
+ * Account Page
+ * Change the sign-in email or password, or delete the account along
+ * with everything stored for it.
+ */
+
+const DELETE_WORD = 'DELETE';
+
+const currentEmail = document.getElementById('currentEmail');
+const emailForm = document.getElementById('emailForm');
+const newEmail = document.getElementById('newEmail');
+const emailMessage = document.getElementById('emailMessage');
+const emailBtn = document.getElementById('emailBtn');
+const passwordForm = document.getElementById('passwordForm');
+const newPassword = document.getElementById('newPassword');
+const confirmPassword = document.getElementById('confirmPassword');
+const passwordMessage = document.getElementById('passwordMessage');
+const passwordBtn = document.getElementById('passwordBtn');
+const deleteForm = document.getElementById('deleteForm');
+const deleteConfirm = document.getElementById('deleteConfirm');
+const deleteMessage = document.getElementById('deleteMessage');
+const deleteBtn = document.getElementById('deleteBtn');
+
+function showMessage(element, message, isError) {
+    element.textContent = message;
+    element.classList.toggle('account-message-error', isError);
+    element.classList.remove('hidden');
+}
+
+/**
+ * Run a form's action with its button disabled, showing any error
+ */
+async function withButton(button, busyText, messageElement, action) {
+    const label = button.textContent;
+    button.disabled = true;
+    button.textContent = busyText;
+    messageElement.classList.add('hidden');
+
+    try {
+        await action();
+    } catch (error) {
+        console.error('Error updating account:', error);
+        showMessage(messageElement, error.message || 'Something went wrong. Please try again.', true);
+    }
+
+    button.disabled = false;
+    button.textContent = label;
+}
+
+/**
+ * Remove what this browser keeps for the account: the offline project
+ * cache and the saved timers and view choices
+ */
+function clearLocalData(userId) {
+    if (typeof indexedDB !== 'undefined') {
+        indexedDB.deleteDatabase(`trueFreelance-${userId}`);
+    }
+
+    Object.keys(localStorage)
+        .filter(key => key.startsWith('trueFreelance.'))
+        .forEach(key => localStorage.removeItem(key));
+    sessionStorage.clear();
+}
+
+emailForm.addEventListener('submit', event => {
+    event.preventDefault();
+
+    withButton(emailBtn, 'Sending...', emailMessage, async () => {
+        const email = newEmail.value.trim();
+        const { error } = await window.supabaseClient.auth.updateUser(
+            { email },
+            { emailRedirectTo: new URL('account.html', location.href).href }
+        );
+        if (error) throw error;
+
+        emailForm.reset();
+        showMessage(emailMessage, `Confirm the change with the links sent to your current address and to ${email}.`, false);
+    });
+});
+
+passwordForm.addEventListener('submit', event => {
+    event.preventDefault();
+
+    const problem = Auth.getPasswordError(newPassword.value, confirmPassword.value);
+    if (problem) {
+        showMessage(passwordMessage, problem, true);
+        return;
+    }
+
+    withButton(passwordBtn, 'Saving...', passwordMessage, async () => {
+        const { error } = await window.supabaseClient.auth.updateUser({ password: newPassword.value });
+        if (error) throw error;
+
+        passwordForm.reset();
+        showMessage(passwordMessage, 'Your password has been changed.', false);
+    });
+});
+
+deleteForm.addEventListener('submit', event => {
+    event.preventDefault();
+
+    if (deleteConfirm.value.trim() !== DELETE_WORD) {
+        showMessage(deleteMessage, `Type ${DELETE_WORD} to confirm.`, true);
+        return;
+    }
+    if (!confirm('Delete your account and all of its data for good?')) return;
+
+    withButton(deleteBtn, 'Deleting...', deleteMessage, async () => {
+        const { error } = await window.supabaseClient.rpc('delete_account');
+        if (error) throw error;
+
+        clearLocalData(window.currentUser.id);
+        await AuthGuard.signOut(Auth.getLoginUrl('', 'deleted'));
+    });
+});
+
+document.getElementById('logoutBtn').addEventListener('click', () => AuthGuard.signOut());
+
+(async function() {
+    const { data: { session } } = await window.supabaseClient.auth.getSession();
+    if (session) {
+        currentEmail.textContent = session.user.email;
+    }
+})();
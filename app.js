@@ -12,6 +12,80 @@ const TrueFreelanceApp = (() => {
     let projects = [];
     let editingProjectId = null;
     let currentViewMonth = new Date();
+    let viewPeriod = 'month';
+    let incomeBasis = 'accrual';
+
+    // Search, filters and sort order of the projects list, and how many cards are shown
+    let filters = { ...ProjectFilters.DEFAULTS };
+    let visibleCount = 0;
+
+    // CSV import in progress
+    let importHeaders = [];
+    let importRows = [];
+    let preparedImport = [];
+
+    // Calendar import in progress: the file's events, projects picked
+    // by hand for single events, and the dry run
+    let calendarEvents = [];
+    let calendarChoices = {};
+    let preparedCalendar = [];
+
+    // Quote being priced, and the saved quote the project modal is turning into a project
+    let currentQuote = null;
+    let convertingQuoteId = null;
+
+    // Projects in the trash, projects ticked for bulk actions, and the
+    // projects the undo toast would restore
+    let trashedProjects = [];
+    let selectedIds = new Set();
+    let undoIds = [];
+    let undoTimeout = null;
+
+    // Invoice open in the editor, and whether the overdue reminder was dismissed
+    let editingInvoiceId = null;
+    let overdueDismissed = false;
+
+    // Day retainer periods were last brought up to date
+    let retainersRolledOn = null;
+
+    const EXPENSE_CATEGORIES = {
+        software: 'Software',
+        subcontractor: 'Subcontractors',
+        travel: 'Travel',
+        other: 'Other'
+    };
+
+    // Client picker option that reveals the new client field
+    const NEW_CLIENT_OPTION = '__new';
+
+    // Clients whose effective rate falls below this share of your
+    // overall average are flagged on the Clients tab
+    const LOW_RATE_SHARE = 0.8;
+
+    // Months the arrows move through in each period view
+    const PERIOD_STEPS = { month: 1, quarter: 3, year: 12 };
+
+    const SEASONALITY_KEY = 'trueFreelance.useSeasonality';
+
+    // Whether the Monthly tab counts income when a project is completed
+    // (accrual) or on the days it was paid (cash)
+    const INCOME_BASIS_KEY = 'trueFreelance.incomeBasis';
+
+    // Timer page state, read to add running timers to active projects' hours
+    const TIMERS_KEY = 'trueFreelance.timers';
+
+    // Months shown in the trend charts, and months in the rate's moving average
+    const CHART_MONTHS = 12;
+    const MOVING_AVERAGE_MONTHS = 3;
+
+    // Project cards added to the list at a time
+    const PROJECTS_PAGE_SIZE = 50;
+
+    // How often an open page checks whether the day has changed
+    const DAY_CHECK_INTERVAL_MS = 60 * 1000;
+
+    // How long the undo toast stays up after a delete
+    const UNDO_TOAST_MS = 10000;
 
     // ================================
     // DOM Elements
@@ -24,39 +98,304 @@ const TrueFreelanceApp = (() => {
         closeModalBtn: document.getElementById('closeModal'),
         cancelBtn: document.getElementById('cancelBtn'),
         saveBtn: document.getElementById('saveBtn'),
+        addExpenseBtn: document.getElementById('addExpenseBtn'),
+        addPaymentBtn: document.getElementById('addPaymentBtn'),
         prevMonth: document.getElementById('prevMonth'),
         nextMonth: document.getElementById('nextMonth'),
         logoutBtn: document.getElementById('logoutBtn'),
+        settingsBtn: document.getElementById('settingsBtn'),
+        keepMineBtn: document.getElementById('keepMineBtn'),
+        useServerBtn: document.getElementById('useServerBtn'),
+        priceProjectBtn: document.getElementById('priceProjectBtn'),
+        importCsvBtn: document.getElementById('importCsvBtn'),
+        importCalendarBtn: document.getElementById('importCalendarBtn'),
+        exportCsvBtn: document.getElementById('exportCsvBtn'),
+        exportJsonBtn: document.getElementById('exportJsonBtn'),
+        exportMonthCsvBtn: document.getElementById('exportMonthCsvBtn'),
+        exportMonthJsonBtn: document.getElementById('exportMonthJsonBtn'),
+        clearFiltersBtn: document.getElementById('clearFiltersBtn'),
+        loadMoreBtn: document.getElementById('loadMoreBtn'),
+        bulkActions: document.getElementById('bulkActions'),
+        selectedCount: document.getElementById('selectedCount'),
+        selectAllProjects: document.getElementById('selectAllProjects'),
+        bulkArchiveBtn: document.getElementById('bulkArchiveBtn'),
+        bulkDeleteBtn: document.getElementById('bulkDeleteBtn'),
+        clearSelectionBtn: document.getElementById('clearSelectionBtn'),
+        undoToast: document.getElementById('undoToast'),
+        undoToastMessage: document.getElementById('undoToastMessage'),
+        undoBtn: document.getElementById('undoBtn'),
 
         // Containers
         emptyState: document.getElementById('emptyState'),
         projectsList: document.getElementById('projectsList'),
+        noMatches: document.getElementById('noMatches'),
+        projectFilters: document.getElementById('projectFilters'),
+        projectSearch: document.getElementById('projectSearch'),
+        filterClient: document.getElementById('filterClient'),
+        filterTag: document.getElementById('filterTag'),
+        filterStatus: document.getElementById('filterStatus'),
+        filterFrom: document.getElementById('filterFrom'),
+        filterTo: document.getElementById('filterTo'),
+        filterMinRate: document.getElementById('filterMinRate'),
+        filterMaxRate: document.getElementById('filterMaxRate'),
+        projectSort: document.getElementById('projectSort'),
+        projectsCount: document.getElementById('projectsCount'),
         modalOverlay: document.getElementById('modalOverlay'),
         projectsTab: document.getElementById('projectsTab'),
         monthlyTab: document.getElementById('monthlyTab'),
+        clientsTab: document.getElementById('clientsTab'),
+        clientsList: document.getElementById('clientsList'),
+        clientsEmpty: document.getElementById('clientsEmpty'),
+        clientsAverage: document.getElementById('clientsAverage'),
+        clientSort: document.getElementById('clientSort'),
+        estimatesTab: document.getElementById('estimatesTab'),
+        tagsTab: document.getElementById('tagsTab'),
+        invoicesTab: document.getElementById('invoicesTab'),
+        invoicesSummary: document.getElementById('invoicesSummary'),
+        invoicesReport: document.getElementById('invoicesReport'),
+        invoicesTable: document.getElementById('invoicesTable'),
+        invoicesEmpty: document.getElementById('invoicesEmpty'),
+        newInvoiceBtn: document.getElementById('newInvoiceBtn'),
+        trashTab: document.getElementById('trashTab'),
+        trashSummary: document.getElementById('trashSummary'),
+        trashReport: document.getElementById('trashReport'),
+        trashTable: document.getElementById('trashTable'),
+        trashEmpty: document.getElementById('trashEmpty'),
+        emptyTrashBtn: document.getElementById('emptyTrashBtn'),
+        tagsFrom: document.getElementById('tagsFrom'),
+        tagsTo: document.getElementById('tagsTo'),
+        tagsSummary: document.getElementById('tagsSummary'),
+        tagsReport: document.getElementById('tagsReport'),
+        tagsTable: document.getElementById('tagsTable'),
+        tagsEmpty: document.getElementById('tagsEmpty'),
+        addTagForm: document.getElementById('addTagForm'),
+        newTagName: document.getElementById('newTagName'),
+        estimatesSummary: document.getElementById('estimatesSummary'),
+        estimatesReport: document.getElementById('estimatesReport'),
+        overrunByMonth: document.getElementById('overrunByMonth'),
+        overrunByClient: document.getElementById('overrunByClient'),
+        overrunBySize: document.getElementById('overrunBySize'),
         monthlyProjectsList: document.getElementById('monthlyProjectsList'),
         monthlyEmpty: document.getElementById('monthlyEmpty'),
+        goalPanel: document.getElementById('goalPanel'),
+        goalLabel: document.getElementById('goalLabel'),
+        goalAmounts: document.getElementById('goalAmounts'),
+        goalBar: document.getElementById('goalBar'),
+        goalBarFill: document.getElementById('goalBarFill'),
+        goalDetail: document.getElementById('goalDetail'),
+        retainerPanel: document.getElementById('retainerPanel'),
+        retainerList: document.getElementById('retainerList'),
+        settingsOverlay: document.getElementById('settingsOverlay'),
+        importOverlay: document.getElementById('importOverlay'),
+        calendarOverlay: document.getElementById('calendarOverlay'),
+        quoteOverlay: document.getElementById('quoteOverlay'),
+        syncStatus: document.getElementById('syncStatus'),
+        syncConflict: document.getElementById('syncConflict'),
+        syncConflictMessage: document.getElementById('syncConflictMessage'),
+        targetWarning: document.getElementById('targetWarning'),
+        targetWarningMessage: document.getElementById('targetWarningMessage'),
+        dismissTargetWarningBtn: document.getElementById('dismissTargetWarningBtn'),
+        overdueReminder: document.getElementById('overdueReminder'),
+        overdueReminderMessage: document.getElementById('overdueReminderMessage'),
+        viewOverdueBtn: document.getElementById('viewOverdueBtn'),
+        dismissOverdueBtn: document.getElementById('dismissOverdueBtn'),
 
         // Form
         projectForm: document.getElementById('projectForm'),
         modalTitle: document.getElementById('modalTitle'),
+        editChangedNotice: document.getElementById('editChangedNotice'),
+        editChangedMessage: document.getElementById('editChangedMessage'),
+        reloadProjectBtn: document.getElementById('reloadProjectBtn'),
+        draftNotice: document.getElementById('draftNotice'),
         projectName: document.getElementById('projectName'),
+        projectClient: document.getElementById('projectClient'),
+        newClientRow: document.getElementById('newClientRow'),
+        newClientName: document.getElementById('newClientName'),
+        addClientBtn: document.getElementById('addClientBtn'),
+        projectTags: document.getElementById('projectTags'),
+        newProjectTag: document.getElementById('newProjectTag'),
+        addProjectTagBtn: document.getElementById('addProjectTagBtn'),
         hoursWorked: document.getElementById('hoursWorked'),
+        estimatedHours: document.getElementById('estimatedHours'),
         moneyReceived: document.getElementById('moneyReceived'),
+        quotedPrice: document.getElementById('quotedPrice'),
+        projectStatus: document.getElementById('projectStatus'),
         completionDate: document.getElementById('completionDate'),
+        billingPeriod: document.getElementById('billingPeriod'),
+        retainerGroup: document.getElementById('retainerGroup'),
+        periodStart: document.getElementById('periodStart'),
+        periodEndHint: document.getElementById('periodEndHint'),
+        periodDaysGroup: document.getElementById('periodDaysGroup'),
+        periodDays: document.getElementById('periodDays'),
+        periodFee: document.getElementById('periodFee'),
+        includedHours: document.getElementById('includedHours'),
+        completionDateGroup: document.getElementById('completionDateGroup'),
+        hoursHint: document.getElementById('hoursHint'),
+        moneyHint: document.getElementById('moneyHint'),
+        platformFee: document.getElementById('platformFee'),
+        projectCurrency: document.getElementById('projectCurrency'),
+        exchangeRate: document.getElementById('exchangeRate'),
+        exchangeRateGroup: document.getElementById('exchangeRateGroup'),
+        exchangeRateLabel: document.getElementById('exchangeRateLabel'),
+        expensesList: document.getElementById('expensesList'),
+        paymentsList: document.getElementById('paymentsList'),
+        projectNotes: document.getElementById('projectNotes'),
+
+        // Logged sessions
+        sessionsSection: document.getElementById('sessionsSection'),
+        sessionsList: document.getElementById('sessionsList'),
+
+        // Settings form
+        settingsForm: document.getElementById('settingsForm'),
+        closeSettingsBtn: document.getElementById('closeSettings'),
+        cancelSettingsBtn: document.getElementById('cancelSettingsBtn'),
+        saveSettingsBtn: document.getElementById('saveSettingsBtn'),
+        selfEmploymentRate: document.getElementById('selfEmploymentRate'),
+        bracketsList: document.getElementById('bracketsList'),
+        addBracketBtn: document.getElementById('addBracketBtn'),
+        dueDateInputs: document.querySelectorAll('.due-date-input'),
+        homeCurrency: document.getElementById('homeCurrency'),
+        targetRate: document.getElementById('targetRate'),
+        targetRateError: document.getElementById('targetRateError'),
+        monthlyIncomeGoal: document.getElementById('monthlyIncomeGoal'),
+        incomeGoalError: document.getElementById('incomeGoalError'),
+        businessName: document.getElementById('businessName'),
+        businessDetails: document.getElementById('businessDetails'),
+        invoicePrefix: document.getElementById('invoicePrefix'),
+        paymentTerms: document.getElementById('paymentTerms'),
+        paymentTermsError: document.getElementById('paymentTermsError'),
+        trashDays: document.getElementById('trashDays'),
+        trashDaysError: document.getElementById('trashDaysError'),
+        ratesFile: document.getElementById('ratesFile'),
+        ratesStatus: document.getElementById('ratesStatus'),
+        seRateError: document.getElementById('seRateError'),
+        bracketsError: document.getElementById('bracketsError'),
+        dueDatesError: document.getElementById('dueDatesError'),
+
+        // Import
+        importFile: document.getElementById('importFile'),
+        importMappingSection: document.getElementById('importMappingSection'),
+        importMapping: document.getElementById('importMapping'),
+        importPreviewSection: document.getElementById('importPreviewSection'),
+        importSummary: document.getElementById('importSummary'),
+        importPreviewBody: document.getElementById('importPreviewBody'),
+        closeImportBtn: document.getElementById('closeImport'),
+        cancelImportBtn: document.getElementById('cancelImportBtn'),
+        confirmImportBtn: document.getElementById('confirmImportBtn'),
+
+        // Calendar import
+        calendarFile: document.getElementById('calendarFile'),
+        calendarFrom: document.getElementById('calendarFrom'),
+        calendarTo: document.getElementById('calendarTo'),
+        calendarRules: document.getElementById('calendarRules'),
+        addCalendarRuleBtn: document.getElementById('addCalendarRuleBtn'),
+        calendarPreviewSection: document.getElementById('calendarPreviewSection'),
+        calendarSummary: document.getElementById('calendarSummary'),
+        calendarPreviewBody: document.getElementById('calendarPreviewBody'),
+        closeCalendarBtn: document.getElementById('closeCalendar'),
+        cancelCalendarBtn: document.getElementById('cancelCalendarBtn'),
+        confirmCalendarBtn: document.getElementById('confirmCalendarBtn'),
+
+        // Invoice editor
+        invoiceOverlay: document.getElementById('invoiceOverlay'),
+        invoiceForm: document.getElementById('invoiceForm'),
+        invoiceModalTitle: document.getElementById('invoiceModalTitle'),
+        closeInvoiceBtn: document.getElementById('closeInvoice'),
+        cancelInvoiceBtn: document.getElementById('cancelInvoiceBtn'),
+        saveInvoiceBtn: document.getElementById('saveInvoiceBtn'),
+        invoiceNumber: document.getElementById('invoiceNumber'),
+        invoiceNumberError: document.getElementById('invoiceNumberError'),
+        invoiceClient: document.getElementById('invoiceClient'),
+        invoiceCurrency: document.getElementById('invoiceCurrency'),
+        invoiceIssueDate: document.getElementById('invoiceIssueDate'),
+        invoiceDueDate: document.getElementById('invoiceDueDate'),
+        invoiceDatesError: document.getElementById('invoiceDatesError'),
+        invoiceBasis: document.getElementById('invoiceBasis'),
+        invoiceRateGroup: document.getElementById('invoiceRateGroup'),
+        invoiceRate: document.getElementById('invoiceRate'),
+        invoiceRateError: document.getElementById('invoiceRateError'),
+        invoiceProjects: document.getElementById('invoiceProjects'),
+        invoiceItems: document.getElementById('invoiceItems'),
+        addInvoiceItemBtn: document.getElementById('addInvoiceItemBtn'),
+        invoiceItemsError: document.getElementById('invoiceItemsError'),
+        invoiceTotal: document.getElementById('invoiceTotal'),
+        invoiceNotes: document.getElementById('invoiceNotes'),
+
+        // Quote calculator
+        quoteForm: document.getElementById('quoteForm'),
+        quoteName: document.getElementById('quoteName'),
+        quoteHours: document.getElementById('quoteHours'),
+        quoteRate: document.getElementById('quoteRate'),
+        quoteRateCurrency: document.getElementById('quoteRateCurrency'),
+        quoteClient: document.getElementById('quoteClient'),
+        quoteTag: document.getElementById('quoteTag'),
+        quoteResult: document.getElementById('quoteResult'),
+        quoteSuggested: document.getElementById('quoteSuggested'),
+        quoteP50: document.getElementById('quoteP50'),
+        quoteP90: document.getElementById('quoteP90'),
+        quoteBasis: document.getElementById('quoteBasis'),
+        quotesList: document.getElementById('quotesList'),
+        quotesEmpty: document.getElementById('quotesEmpty'),
+        quoteNameError: document.getElementById('quoteNameError'),
+        quoteHoursError: document.getElementById('quoteHoursError'),
+        quoteRateError: document.getElementById('quoteRateError'),
+        closeQuoteBtn: document.getElementById('closeQuote'),
+        cancelQuoteBtn: document.getElementById('cancelQuoteBtn'),
 
         // Error messages
         nameError: document.getElementById('nameError'),
+        clientError: document.getElementById('clientError'),
         hoursError: document.getElementById('hoursError'),
+        estimatedHoursError: document.getElementById('estimatedHoursError'),
+        quotedPriceError: document.getElementById('quotedPriceError'),
         moneyError: document.getElementById('moneyError'),
         dateError: document.getElementById('dateError'),
+        billingPeriodError: document.getElementById('billingPeriodError'),
+        periodStartError: document.getElementById('periodStartError'),
+        periodDaysError: document.getElementById('periodDaysError'),
+        periodFeeError: document.getElementById('periodFeeError'),
+        includedHoursError: document.getElementById('includedHoursError'),
+        feeError: document.getElementById('feeError'),
+        rateError: document.getElementById('rateError'),
+        expensesError: document.getElementById('expensesError'),
+        paymentsError: document.getElementById('paymentsError'),
 
         // Monthly stats
         currentMonth: document.getElementById('currentMonth'),
         monthlyEarnings: document.getElementById('monthlyEarnings'),
+        monthlyNetEarnings: document.getElementById('monthlyNetEarnings'),
         monthlyHours: document.getElementById('monthlyHours'),
         monthlyRate: document.getElementById('monthlyRate'),
-        monthlyProjects: document.getElementById('monthlyProjects')
+        monthlyNetRate: document.getElementById('monthlyNetRate'),
+        monthlyProjects: document.getElementById('monthlyProjects'),
+        monthlyCurrencyNote: document.getElementById('monthlyCurrencyNote'),
+        periodButtons: document.querySelectorAll('.period-btn'),
+        basisButtons: document.querySelectorAll('.basis-btn'),
+
+        // Year to date and projection
+        periodComparison: document.getElementById('periodComparison'),
+        periodComparisonDetail: document.getElementById('periodComparisonDetail'),
+        ytdLabel: document.getElementById('ytdLabel'),
+        ytdNet: document.getElementById('ytdNet'),
+        ytdDetail: document.getElementById('ytdDetail'),
+        projectionLabel: document.getElementById('projectionLabel'),
+        projectedIncome: document.getElementById('projectedIncome'),
+        projectionDetail: document.getElementById('projectionDetail'),
+        useSeasonality: document.getElementById('useSeasonality'),
+
+        // Trend charts
+        chartsRange: document.getElementById('chartsRange'),
+        earningsChart: document.getElementById('earningsChart'),
+        rateChart: document.getElementById('rateChart'),
+        scatterChart: document.getElementById('scatterChart'),
+
+        // Tax estimates
+        taxReminder: document.getElementById('taxReminder'),
+        monthlyTaxSetAside: document.getElementById('monthlyTaxSetAside'),
+        monthlyTaxRate: document.getElementById('monthlyTaxRate'),
+        quarterTaxSetAside: document.getElementById('quarterTaxSetAside'),
+        quarterTaxLabel: document.getElementById('quarterTaxLabel'),
+        taxQuarters: document.getElementById('taxQuarters')
     };
 
     // ================================
@@ -64,39 +403,217 @@ const TrueFreelanceApp = (() => {
     // ================================
 
     /**
-     * Load projects from Supabase
+     * Total of a project's recorded payments
+     */
+    function getPaymentsTotal(payments) {
+        return Math.round(payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0) * 100) / 100;
+    }
+
+    /**
+     * Total billed to a project on invoices in the project's currency
+     */
+    function getInvoicedTotal(project) {
+        const total = Invoices.getAll()
+            .filter(invoice => invoice.currency === project.currency)
+            .flatMap(invoice => invoice.items)
+            .filter(item => item.projectId === project.id)
+            .reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * What is still owed on a project, against its invoices when it has no quote
+     */
+    function getProjectOutstanding(project) {
+        return Calculations.getOutstanding(project, getInvoicedTotal(project));
+    }
+
+    /**
+     * Map a projects row and its related records to the shape used in the UI.
+     * Projects with logged sessions take their hours from those sessions,
+     * and projects with recorded payments their money received.
+     */
+    function mapProjectRow(p, { timeEntries = [], expenses = [], tagIds = [], payments = [] } = {}) {
+        const hoursWorked = timeEntries.length > 0
+            ? TimeEntries.getTotalHours(timeEntries)
+            : parseFloat(p.hours_worked);
+        const amountPaid = payments.length > 0
+            ? getPaymentsTotal(payments)
+            : parseFloat(p.money_received);
+        const periodFee = p.period_fee === null || p.period_fee === undefined ? null : parseFloat(p.period_fee);
+        const moneyReceived = Retainers.getEarnings(amountPaid, periodFee, payments.length > 0);
+        const platformFeePercent = parseFloat(p.platform_fee_percent) || 0;
+        const netEarnings = Calculations.calculateNetEarnings(moneyReceived, expenses, platformFeePercent);
+
+        return {
+            id: p.id,
+            name: p.name,
+            clientId: p.client_id || null,
+            hoursWorked,
+            estimatedHours: parseFloat(p.estimated_hours) || null,
+            moneyReceived,
+            amountPaid,
+            quotedPrice: p.quoted_price === null || p.quoted_price === undefined ? null : parseFloat(p.quoted_price),
+            status: p.status || 'completed',
+            completionDate: p.completion_date || null,
+            hourlyRate: Calculations.calculateHourlyRate(hoursWorked, moneyReceived),
+            currency: p.currency || 'USD',
+            exchangeRate: parseFloat(p.exchange_rate) || 1,
+            exchangeRateCurrency: p.exchange_rate_currency || 'USD',
+            platformFeePercent,
+            expenses,
+            totalExpenses: moneyReceived - netEarnings,
+            netEarnings,
+            netHourlyRate: Calculations.calculateHourlyRate(hoursWorked, netEarnings),
+            timeEntries,
+            tagIds,
+            payments,
+            notes: p.notes || '',
+            retainerId: p.retainer_id || null,
+            billingPeriod: p.billing_period || null,
+            periodDays: p.period_days || null,
+            periodStart: p.period_start || null,
+            periodEnd: p.period_end || null,
+            periodFee,
+            includedHours: parseFloat(p.included_hours) || null,
+            deletedAt: p.deleted_at || null,
+            createdAt: p.created_at,
+            updatedAt: p.updated_at
+        };
+    }
+
+    /**
+     * Map a cached project record to the shape used in the UI
+     */
+    function mapRecord(record) {
+        return mapProjectRow(record.row, record);
+    }
+
+    /**
+     * Load projects through the offline store. When Supabase can't be
+     * reached the cached copy is shown rather than an empty list.
      */
     async function loadProjects() {
-        try {
-            const { data, error } = await window.supabaseClient
-                .from('projects')
-                .select('*')
-                .order('created_at', { ascending: false });
-
-            if (error) throw error;
-
-            projects = data.map(p => ({
-                id: p.id,
-                name: p.name,
-                hoursWorked: parseFloat(p.hours_worked),
-                moneyReceived: parseFloat(p.money_received),
-                completionDate: p.completion_date,
-                hourlyRate: parseFloat(p.hourly_rate),
-                createdAt: p.created_at,
-                updatedAt: p.updated_at
-            }));
-        } catch (error) {
-            console.error('Error loading projects:', error);
-            projects = [];
+        setProjects(await ProjectStore.load());
+    }
+
+    /**
+     * Split cached records into live projects and the trash, most
+     * recently deleted first
+     */
+    function setProjects(records) {
+        const mapped = records.map(mapRecord);
+        projects = mapped.filter(project => !project.deletedAt);
+        trashedProjects = mapped
+            .filter(project => project.deletedAt)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    /**
+     * Projects columns for a save from form or import data
+     */
+    function getProjectColumns(projectData, hoursWorked = parseFloat(projectData.hoursWorked)) {
+        const payments = projectData.payments || [];
+        const status = projectData.status || 'completed';
+
+        return {
+            name: projectData.name.trim(),
+            client_id: projectData.clientId || null,
+            hours_worked: hoursWorked,
+            estimated_hours: parseFloat(projectData.estimatedHours) || null,
+            money_received: payments.length > 0 ? getPaymentsTotal(payments) : parseFloat(projectData.moneyReceived),
+            quoted_price: projectData.quotedPrice ? parseFloat(projectData.quotedPrice) : null,
+            status,
+            completion_date: Validation.isFinished(status) ? projectData.completionDate || null : null,
+            platform_fee_percent: parseFloat(projectData.platformFeePercent) || 0,
+            notes: (projectData.notes || '').trim() || null,
+            ...getCurrencyFields(projectData),
+            ...getRetainerColumns(projectData),
+            updated_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Billing columns for a save. They are cleared on projects that don't
+     * repeat, which is how a retainer's latest period ends it.
+     */
+    function getRetainerColumns(projectData) {
+        if (!projectData.billingPeriod) {
+            return { billing_period: null, period_days: null, period_start: null, period_end: null, period_fee: null, included_hours: null };
         }
+
+        return {
+            billing_period: projectData.billingPeriod,
+            period_days: projectData.billingPeriod === 'custom' ? parseInt(projectData.periodDays, 10) : null,
+            period_start: projectData.periodStart,
+            period_end: projectData.periodEnd,
+            period_fee: parseFloat(projectData.periodFee),
+            included_hours: parseFloat(projectData.includedHours) || null
+        };
+    }
+
+    /**
+     * Columns for a new project. The ID is made here so the project
+     * can be saved and edited before it ever reaches the server.
+     */
+    function getNewProjectColumns(projectData) {
+        const id = crypto.randomUUID();
+
+        return {
+            id,
+            user_id: window.currentUser.id,
+            // A new retainer's first period gives the retainer its ID
+            retainer_id: projectData.retainerId || (projectData.billingPeriod ? id : null),
+            ...getProjectColumns(projectData),
+            created_at: new Date().toISOString()
+        };
+    }
+
+    // ================================
+    // Currency Conversion
+    // ================================
+
+    /**
+     * Currency columns for a project save. The rate is fixed against
+     * the home currency in use when the project is saved.
+     */
+    function getCurrencyFields(projectData) {
+        const homeCurrency = Settings.get().homeCurrency;
+        const currency = projectData.currency || homeCurrency;
+
+        return {
+            currency,
+            exchange_rate: currency === homeCurrency ? 1 : parseFloat(projectData.exchangeRate),
+            exchange_rate_currency: homeCurrency
+        };
+    }
+
+    /**
+     * Rate from a project's currency into the home currency: the rate fixed
+     * on the project, else one on file for its date. Null when neither exists.
+     */
+    function getHomeRate(project) {
+        const homeCurrency = Settings.get().homeCurrency;
+
+        if (project.currency === homeCurrency) return 1;
+        if (project.exchangeRateCurrency === homeCurrency) return project.exchangeRate;
+        return Currency.findRate(project.currency, homeCurrency, project.completionDate);
+    }
+
+    /**
+     * A project's gross hourly rate in the home currency, or null without an exchange rate
+     */
+    function getHomeHourlyRate(project) {
+        const rate = getHomeRate(project);
+        return rate === null ? null : project.hourlyRate * rate;
     }
 
     /**
-     * Calculate hourly rate
+     * Convert a project amount into the home currency (0 when no rate is known)
      */
-    function calculateHourlyRate(hours, money) {
-        if (hours <= 0) return 0;
-        return money / hours;
+    function toHome(amount, project) {
+        const rate = getHomeRate(project);
+        return rate === null ? 0 : amount * rate;
     }
 
     /**
@@ -106,6 +623,29 @@ const TrueFreelanceApp = (() => {
         return projects.find(project => project.id === id);
     }
 
+    /**
+     * Projects the Clients, Estimates and Tags reports and quotes draw on:
+     * completed and archived ones, leaving out work not yet finished
+     */
+    function getReportProjects() {
+        return projects.filter(project => Validation.isFinished(project.status));
+    }
+
+    /**
+     * Hours on a project including timers still running on the timer page
+     */
+    function getAccruedHours(project) {
+        let timers = [];
+        try {
+            timers = JSON.parse(localStorage.getItem(TIMERS_KEY))?.timers || [];
+        } catch (error) {
+            console.error('Error reading timer state:', error);
+        }
+
+        const runningSeconds = TimeEntries.getRunningSeconds(timers, project.id);
+        return { hours: project.hoursWorked + runningSeconds / 3600, running: runningSeconds > 0 };
+    }
+
     // ================================
     // CRUD Operations
     // ================================
@@ -115,30 +655,12 @@ const TrueFreelanceApp = (() => {
      */
     async function addProject(projectData) {
         try {
-            const { data, error } = await window.supabaseClient
-                .from('projects')
-                .insert([{
-                    user_id: window.currentUser.id,
-                    name: projectData.name.trim(),
-                    hours_worked: parseFloat(projectData.hoursWorked),
-                    money_received: parseFloat(projectData.moneyReceived),
-                    completion_date: projectData.completionDate
-                }])
-                .select()
-                .single();
-
-            if (error) throw error;
-
-            const newProject = {
-                id: data.id,
-                name: data.name,
-                hoursWorked: parseFloat(data.hours_worked),
-                moneyReceived: parseFloat(data.money_received),
-                completionDate: data.completion_date,
-                hourlyRate: parseFloat(data.hourly_rate),
-                createdAt: data.created_at,
-                updatedAt: data.updated_at
-            };
+            const columns = getNewProjectColumns(projectData);
+            const record = await ProjectStore.saveProject(columns.id, columns, projectData.expenses, {
+                tagIds: projectData.tagIds,
+                payments: projectData.payments
+            });
+            const newProject = mapRecord(record);
 
             projects.unshift(newProject);
             return newProject;
@@ -153,34 +675,25 @@ const TrueFreelanceApp = (() => {
      * Update an existing project
      */
     async function updateProject(id, projectData) {
+        const existing = getProjectById(id);
+        const timeEntries = existing?.timeEntries || [];
+        const hoursWorked = timeEntries.length > 0
+            ? TimeEntries.getTotalHours(timeEntries)
+            : parseFloat(projectData.hoursWorked);
+
         try {
-            const { data, error } = await window.supabaseClient
-                .from('projects')
-                .update({
-                    name: projectData.name.trim(),
-                    hours_worked: parseFloat(projectData.hoursWorked),
-                    money_received: parseFloat(projectData.moneyReceived),
-                    completion_date: projectData.completionDate,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', id)
-                .select()
-                .single();
-
-            if (error) throw error;
+            const columns = getProjectColumns(projectData, hoursWorked);
+            if (projectData.billingPeriod && !existing?.retainerId) {
+                columns.retainer_id = id;
+            }
+            const record = await ProjectStore.saveProject(id, columns, projectData.expenses, {
+                tagIds: projectData.tagIds,
+                payments: projectData.payments
+            });
 
             const projectIndex = projects.findIndex(p => p.id === id);
             if (projectIndex !== -1) {
-                projects[projectIndex] = {
-                    id: data.id,
-                    name: data.name,
-                    hoursWorked: parseFloat(data.hours_worked),
-                    moneyReceived: parseFloat(data.money_received),
-                    completionDate: data.completion_date,
-                    hourlyRate: parseFloat(data.hourly_rate),
-                    createdAt: data.created_at,
-                    updatedAt: data.updated_at
-                };
+                projects[projectIndex] = mapRecord(record);
             }
 
             return projects[projectIndex];
@@ -192,377 +705,3827 @@ const TrueFreelanceApp = (() => {
     }
 
     /**
-     * Delete a project
+     * Save the same column changes to several projects, keeping their
+     * expenses, tags and payments
      */
-    async function deleteProject(id) {
-        const project = getProjectById(id);
-        if (!project) return false;
+    async function saveColumns(ids, changes) {
+        await ProjectStore.saveProjects(ids.map(id => ({ id, changes, expenses: null })));
+        setProjects(ProjectStore.getRecords());
+    }
 
-        const confirmed = confirm(`Are you sure you want to delete "${project.name}"?`);
-        if (!confirmed) return false;
+    /**
+     * Move projects to the trash and offer to undo it
+     */
+    async function deleteProjects(ids) {
+        const first = getProjectById(ids[0]);
 
         try {
-            const { error } = await window.supabaseClient
-                .from('projects')
-                .delete()
-                .eq('id', id);
-
-            if (error) throw error;
-
-            projects = projects.filter(p => p.id !== id);
-            return true;
+            await saveColumns(ids, { deleted_at: new Date().toISOString() });
         } catch (error) {
-            console.error('Error deleting project:', error);
-            alert('Failed to delete project. Please try again.');
+            console.error('Error deleting projects:', error);
+            alert('Failed to delete projects. Please try again.');
             return false;
         }
+
+        showUndoToast(ids.length === 1 && first
+            ? `Moved "${first.name}" to the trash.`
+            : `Moved ${ids.length} projects to the trash.`, ids);
+        return true;
     }
 
-    // ================================
-    // Auth Functions
-    // ================================
+    /**
+     * Delete a project, moving it to the trash
+     */
+    function deleteProject(id) {
+        return deleteProjects([id]);
+    }
 
     /**
-     * Logout user
+     * Take projects back out of the trash
      */
-    async function logout() {
+    async function restoreProjects(ids) {
         try {
-            await window.supabaseClient.auth.signOut();
-            window.location.href = 'login.html';
+            await saveColumns(ids, { deleted_at: null });
+            return true;
         } catch (error) {
-            console.error('Error logging out:', error);
+            console.error('Error restoring projects:', error);
+            alert('Failed to restore projects. Please try again.');
+            return false;
         }
     }
 
-    // ================================
-    // Monthly Tracking Functions
-    // ================================
-
     /**
-     * Get projects for a specific month
+     * Archive several projects at once
      */
-    function getProjectsForMonth(year, month) {
-        return projects.filter(project => {
-            if (!project.completionDate) return false;
-            const projectDate = new Date(project.completionDate);
-            return projectDate.getFullYear() === year && projectDate.getMonth() === month;
-        });
+    async function archiveProjects(ids) {
+        try {
+            await saveColumns(ids, { status: 'archived' });
+            return true;
+        } catch (error) {
+            console.error('Error archiving projects:', error);
+            alert('Failed to archive projects. Please try again.');
+            return false;
+        }
     }
 
     /**
-     * Calculate monthly statistics
+     * Delete projects in the trash for good
      */
-    function calculateMonthlyStats(monthProjects) {
-        const totalEarnings = monthProjects.reduce((sum, p) => sum + p.moneyReceived, 0);
-        const totalHours = monthProjects.reduce((sum, p) => sum + p.hoursWorked, 0);
-        const avgRate = totalHours > 0 ? totalEarnings / totalHours : 0;
-        const projectCount = monthProjects.length;
+    async function purgeProjects(ids) {
+        let deleted = 0;
+
+        try {
+            for (const id of ids) {
+                await ProjectStore.deleteProject(id);
+                trashedProjects = trashedProjects.filter(project => project.id !== id);
+                deleted++;
+            }
 
-        return { totalEarnings, totalHours, avgRate, projectCount };
+            return true;
+        } catch (error) {
+            console.error('Error deleting projects for good:', error);
+            renderTrashView();
+            alert(deleted > 0
+                ? `Deleted ${deleted} of ${ids.length} projects for good, but failed to delete the rest. Please try again.`
+                : 'Failed to empty the trash. Please try again.');
+            return false;
+        }
     }
 
     /**
-     * Format date for display
+     * When a project in the trash is deleted for good
      */
-    function formatDate(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            year: 'numeric'
-        });
+    function getPurgeDate(project) {
+        const date = new Date(project.deletedAt);
+        date.setDate(date.getDate() + Settings.get().trashDays);
+        return date;
     }
 
     /**
-     * Get month name
+     * Delete for good any project that has been in the trash too long
      */
-    function getMonthName(date) {
-        return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    async function purgeExpiredTrash() {
+        const now = new Date();
+        const expired = trashedProjects.filter(project => getPurgeDate(project) <= now);
+        if (expired.length > 0) {
+            await purgeProjects(expired.map(project => project.id));
+        }
     }
 
     /**
-     * Change viewed month
+     * Add several checked projects at once
      */
-    function changeMonth(direction) {
-        currentViewMonth = new Date(
-            currentViewMonth.getFullYear(),
-            currentViewMonth.getMonth() + direction,
-            1
-        );
-        renderMonthlyView();
+    async function importProjects(projectDataList) {
+        try {
+            const records = await ProjectStore.saveProjects(projectDataList.map(projectData => {
+                const columns = getNewProjectColumns(projectData);
+                return { id: columns.id, changes: columns, expenses: [] };
+            }));
+
+            const imported = records.map(mapRecord);
+            projects.unshift(...imported);
+            return imported;
+        } catch (error) {
+            console.error('Error importing projects:', error);
+            alert('Failed to import projects. Please try again.');
+            return null;
+        }
     }
 
+    // ================================
+    // Retainers
+    // ================================
+
     /**
-     * Switch between tabs
+     * Today as YYYY-MM-DD in local time
      */
-    function switchTab(tabName) {
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            if (btn.dataset.tab === tabName) {
-                btn.classList.add('active');
-            } else {
-                btn.classList.remove('active');
-            }
-        });
+    function getLocalToday() {
+        return toDateTimeLocal(new Date().toISOString()).slice(0, 10);
+    }
 
-        if (tabName === 'projects') {
-            elements.projectsTab.classList.add('active');
-            elements.monthlyTab.classList.remove('active');
-        } else if (tabName === 'monthly') {
-            elements.projectsTab.classList.remove('active');
-            elements.monthlyTab.classList.add('active');
-            renderMonthlyView();
-        }
+    /**
+     * Day of the month a retainer's monthly periods start on: that of its
+     * first period, or of the given start for a retainer's first period
+     */
+    function getAnchorDay(retainerId, periodStart, projectId = null) {
+        const first = [...projects, ...trashedProjects].find(project => project.id === retainerId);
+        const start = first && first.id !== projectId && first.periodStart ? first.periodStart : periodStart;
+        return parseInt(start.slice(8, 10), 10);
     }
 
     /**
-     * Render monthly view
+     * Project data for the next period of a retainer, carrying its
+     * client, fee, hours included and currency over from the latest period
      */
-    function renderMonthlyView() {
-        const year = currentViewMonth.getFullYear();
-        const month = currentViewMonth.getMonth();
-        const monthProjects = getProjectsForMonth(year, month);
-        const stats = calculateMonthlyStats(monthProjects);
+    function getNextPeriodData(latest, period, status) {
+        return {
+            name: latest.name,
+            clientId: latest.clientId,
+            hoursWorked: '0',
+            estimatedHours: '',
+            moneyReceived: '0',
+            quotedPrice: '',
+            status,
+            completionDate: period.periodEnd,
+            platformFeePercent: latest.platformFeePercent,
+            currency: latest.currency,
+            exchangeRate: latest.exchangeRate,
+            notes: '',
+            retainerId: latest.retainerId,
+            billingPeriod: latest.billingPeriod,
+            periodDays: latest.periodDays,
+            periodStart: period.periodStart,
+            periodEnd: period.periodEnd,
+            periodFee: latest.periodFee,
+            includedHours: latest.includedHours
+        };
+    }
 
-        elements.currentMonth.textContent = getMonthName(currentViewMonth);
+    /**
+     * Start the next period of every retainer whose latest period has
+     * ended, completing the ended one. Retainers whose latest period
+     * doesn't repeat, is archived or is in the trash have ended. A period's
+     * ID comes from its retainer and start, so tabs and devices starting
+     * the same period make one project. Returns whether any period was started.
+     */
+    async function rollRetainers() {
+        const today = getLocalToday();
+        const items = [];
+        retainersRolledOn = today;
 
-        elements.monthlyEarnings.textContent = formatCurrency(stats.totalEarnings);
-        elements.monthlyHours.textContent = formatHours(stats.totalHours);
-        elements.monthlyRate.textContent = formatCurrency(stats.avgRate) + '/hr';
-        elements.monthlyProjects.textContent = stats.projectCount;
+        Retainers.getLatestPeriods([...projects, ...trashedProjects]).forEach(latest => {
+            if (!latest.billingPeriod || latest.deletedAt || latest.status === 'archived') return;
 
-        elements.monthlyProjectsList.innerHTML = '';
+            const anchorDay = getAnchorDay(latest.retainerId, latest.periodStart);
+            const periods = Retainers.getNextPeriods(latest, today, anchorDay);
+            if (periods.length === 0) return;
 
-        if (monthProjects.length === 0) {
-            elements.monthlyEmpty.classList.remove('hidden');
-            elements.monthlyProjectsList.classList.add('hidden');
-        } else {
-            elements.monthlyEmpty.classList.add('hidden');
-            elements.monthlyProjectsList.classList.remove('hidden');
+            if (!Validation.isFinished(latest.status)) {
+                items.push({ id: latest.id, changes: { status: 'completed', completion_date: latest.periodEnd }, expenses: null });
+            }
 
-            monthProjects.forEach(project => {
-                const item = createMonthlyProjectItem(project);
-                elements.monthlyProjectsList.appendChild(item);
+            periods.forEach((period, index) => {
+                const status = index === periods.length - 1 ? 'active' : 'completed';
+                const columns = {
+                    ...getNewProjectColumns(getNextPeriodData(latest, period, status)),
+                    id: Retainers.getPeriodId(latest.retainerId, period.periodStart)
+                };
+                items.push({ id: columns.id, changes: columns, expenses: [], tagIds: latest.tagIds });
             });
+        });
+
+        if (items.length === 0) return false;
+
+        try {
+            await ProjectStore.saveProjects(items);
+            setProjects(ProjectStore.getRecords());
+            return true;
+        } catch (error) {
+            console.error('Error starting retainer periods:', error);
+            alert('Failed to start new retainer periods. Please try again.');
+            return false;
         }
     }
 
     /**
-     * Create monthly project item
+     * Start retainer periods that began since the page was opened, once
+     * the day changes or the tab is shown again after a while
      */
-    function createMonthlyProjectItem(project) {
-        const item = document.createElement('div');
-        item.className = 'monthly-project-item';
-
-        item.innerHTML = `
-            <div class="monthly-project-info">
-                <div class="monthly-project-name">${escapeHtml(project.name)}</div>
-                <div class="monthly-project-date">${formatDate(project.completionDate)}</div>
-            </div>
-            <div class="monthly-project-stats">
-                <div class="monthly-project-stat">
-                    <span class="monthly-project-stat-label">Hours</span>
-                    <span class="monthly-project-stat-value">${formatHours(project.hoursWorked)}</span>
-                </div>
-                <div class="monthly-project-stat">
-                    <span class="monthly-project-stat-label">Earned</span>
-                    <span class="monthly-project-stat-value">${formatCurrency(project.moneyReceived)}</span>
-                </div>
-                <div class="monthly-project-stat">
-                    <span class="monthly-project-stat-label">Rate</span>
-                    <span class="monthly-project-stat-value">${formatCurrency(project.hourlyRate)}/hr</span>
-                </div>
-            </div>
-        `;
+    async function rollRetainersOnNewDay() {
+        if (getLocalToday() === retainersRolledOn) return;
 
-        return item;
+        if (await rollRetainers()) {
+            renderProjects();
+            renderOpenTab();
+        }
     }
 
     // ================================
-    // UI Rendering Functions
+    // Logged Sessions
     // ================================
 
     /**
-     * Toggle empty state visibility
+     * Write a project's session total back to Supabase and refresh it locally
      */
-    function toggleEmptyState() {
-        if (projects.length === 0) {
-            elements.emptyState.classList.remove('hidden');
-            elements.projectsList.innerHTML = '';
-        } else {
-            elements.emptyState.classList.add('hidden');
+    async function syncSessionHours(projectId, timeEntries) {
+        const data = await TimeEntries.syncProjectHours(projectId, timeEntries);
+        const record = await ProjectStore.cacheRow(data, timeEntries);
+        const projectIndex = projects.findIndex(p => p.id === projectId);
+        if (projectIndex !== -1) {
+            projects[projectIndex] = mapRecord(record);
         }
+        return projects[projectIndex];
     }
 
     /**
-     * Format currency
+     * Correct the start and end of a logged session
      */
-    function formatCurrency(amount) {
-        return `$${amount.toFixed(2)}`;
-    }
+    async function updateSession(projectId, entryId, changes) {
+        const project = getProjectById(projectId);
+        if (!project) return null;
 
-    /**
-     * Format hours
-     */
-    function formatHours(hours) {
-        return hours.toFixed(2);
+        try {
+            const updated = await TimeEntries.updateEntry(entryId, changes);
+            const timeEntries = project.timeEntries.map(entry => entry.id === entryId ? updated : entry);
+            return await syncSessionHours(projectId, timeEntries);
+        } catch (error) {
+            console.error('Error updating session:', error);
+            alert('Failed to update session. Please try again.');
+            return null;
+        }
     }
 
     /**
-     * Create a project card element
+     * Delete a logged session
      */
-    function createProjectCard(project) {
+    async function deleteSession(projectId, entryId) {
+        const project = getProjectById(projectId);
+        if (!project) return null;
+
+        const confirmed = confirm('Delete this logged session?');
+        if (!confirmed) return null;
+
+        try {
+            await TimeEntries.deleteEntry(entryId);
+            const timeEntries = project.timeEntries.filter(entry => entry.id !== entryId);
+            return await syncSessionHours(projectId, timeEntries);
+        } catch (error) {
+            console.error('Error deleting session:', error);
+            alert('Failed to delete session. Please try again.');
+            return null;
+        }
+    }
+
+    /**
+     * Log calendar events as sessions on their projects, bring each
+     * project's hours up to date, and keep the keyword rules for next time
+     */
+    async function importCalendarSessions(rows, calendarRules) {
+        try {
+            await Settings.save({ calendarRules });
+
+            const byProject = new Map();
+            rows.forEach(row => byProject.set(row.projectId, [...(byProject.get(row.projectId) || []), row]));
+
+            for (const [projectId, projectRows] of byProject) {
+                const project = getProjectById(projectId);
+                const added = await TimeEntries.addEntries(projectId, projectRows.map(row => ({
+                    startedAt: row.startedAt,
+                    endedAt: row.endedAt,
+                    note: row.title,
+                    sourceUid: row.id
+                })));
+                await syncSessionHours(projectId, [...project.timeEntries, ...added]);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error importing calendar:', error);
+            alert('Failed to import calendar sessions. Please try again.');
+            return false;
+        }
+    }
+
+    // ================================
+    // Goals
+    // ================================
+
+    /**
+     * Whether a project's gross hourly rate, in the home currency, is below
+     * the target rate. Unfinished projects, and projects without hours or
+     * an exchange rate, never are.
+     */
+    function isBelowTarget(project) {
+        return Validation.isFinished(project.status)
+            && Calculations.isBelowTarget(project, Settings.get().targetRate, getHomeRate);
+    }
+
+    /**
+     * Warn when a change to a project's hours took it below the target rate
+     */
+    function warnIfPushedBelowTarget(wasBelow, project) {
+        if (wasBelow || !isBelowTarget(project)) return;
+
+        const targetRate = Settings.get().targetRate;
+        elements.targetWarningMessage.textContent =
+            `"${project.name}" now earns ${formatCurrency(getHomeHourlyRate(project))}/hr, ` +
+            `below your target of ${formatCurrency(targetRate)}/hr.`;
+        elements.targetWarning.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the below-target warning
+     */
+    function hideTargetWarning() {
+        elements.targetWarning.classList.add('hidden');
+    }
+
+    /**
+     * Render net income against the monthly goal, scaled to the viewed
+     * period, and the hours still needed at the period's average net rate
+     */
+    function renderGoalProgress(range, stats) {
+        const monthlyGoal = Settings.get().monthlyIncomeGoal;
+        elements.goalPanel.classList.toggle('hidden', !monthlyGoal);
+        if (!monthlyGoal) return;
+
+        const months = PERIOD_STEPS[viewPeriod];
+        const progress = Calculations.calculateGoalProgress(monthlyGoal * months, stats.totalNetEarnings, stats.avgNetRate);
+        const percent = Math.round(progress.share * 100);
+
+        elements.goalLabel.textContent = months === 1
+            ? 'Monthly Income Goal'
+            : `Income Goal (${formatCurrency(monthlyGoal)} a month)`;
+        elements.goalAmounts.textContent = `${formatCurrency(progress.earned)} of ${formatCurrency(progress.goal)} net`;
+        elements.goalBarFill.style.width = `${percent}%`;
+        elements.goalBarFill.classList.toggle('goal-reached', progress.remaining === 0);
+        elements.goalBar.setAttribute('aria-valuenow', percent);
+
+        if (progress.remaining === 0) {
+            elements.goalDetail.textContent = 'Goal reached';
+        } else if (range.end <= new Date()) {
+            elements.goalDetail.textContent = `Finished ${formatCurrency(progress.remaining)} short of the goal`;
+        } else if (progress.hoursNeeded === null) {
+            elements.goalDetail.textContent = `${formatCurrency(progress.remaining)} to go · log some hours to see how many more you need`;
+        } else {
+            elements.goalDetail.textContent = `${formatCurrency(progress.remaining)} to go · about ${formatHours(progress.hoursNeeded)} more hours ` +
+                `at your average net rate of ${formatCurrency(stats.avgNetRate)}/hr`;
+        }
+    }
+
+    /**
+     * Render each retainer period overlapping the viewed period with the
+     * share of its included hours used and its effective rate. Periods
+     * still running show here before they count in the totals.
+     */
+    function renderRetainerPanel(range) {
+        const toDay = date => toDateTimeLocal(date.toISOString()).slice(0, 10);
+        const periods = Retainers.getPeriodsBetween(projects, toDay(range.start), toDay(range.end));
+
+        elements.retainerPanel.classList.toggle('hidden', periods.length === 0);
+        elements.retainerList.innerHTML = periods.map(period => {
+            const utilization = Retainers.getUtilization(period);
+            const over = utilization !== null && utilization > 1;
+            const percent = utilization === null ? 0 : Math.round(utilization * 100);
+            const hours = utilization === null
+                ? `${formatHours(period.hoursWorked)} hrs`
+                : `${formatHours(period.hoursWorked)} of ${formatHours(period.includedHours)} hrs (${percent}%)`;
+            const effectiveRate = Retainers.getEffectiveRate(period);
+            const rate = effectiveRate === null
+                ? 'no hours logged yet'
+                : `${formatCurrency(effectiveRate, period.currency)}/hr`;
+
+            return `
+                <li class="retainer-item">
+                    <div class="goal-header">
+                        <span class="retainer-name">${escapeHtml(period.name)}</span>
+                        <span class="goal-amounts${over ? ' variance-over' : ''}">${hours}</span>
+                    </div>
+                    ${utilization === null ? '' : `
+                    <div class="goal-bar" role="progressbar" aria-label="Included hours used on ${escapeHtml(period.name)}" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.min(percent, 100)}">
+                        <div class="goal-bar-fill${over ? ' retainer-over' : ''}" style="width: ${Math.min(percent, 100)}%"></div>
+                    </div>`}
+                    <span class="stat-split-label">
+                        ${formatPeriod(period)} · ${formatCurrency(period.periodFee, period.currency)} for the period · ${rate}
+                    </span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // ================================
+    // Tax Estimates
+    // ================================
+
+    /**
+     * Net income for a year. The current year is extrapolated from
+     * the days elapsed so early months don't land in the lowest bracket.
+     */
+    function getEstimatedAnnualIncome(year) {
+        const yearNet = getIncomeRecords()
+            .filter(p => p.completionDate && Calculations.parseDate(p.completionDate).getFullYear() === year)
+            .reduce((sum, p) => sum + toHome(p.netEarnings, p), 0);
+
+        const today = new Date();
+        if (year !== today.getFullYear()) return yearNet;
+
+        const daysElapsed = Math.max(1, (today - new Date(year, 0, 1)) / 86400000);
+        return yearNet * (365 / daysElapsed);
+    }
+
+    /**
+     * Effective tax rate for the income earned in a year
+     */
+    function getTaxRateForYear(year) {
+        return Calculations.calculateEffectiveTaxRate(getEstimatedAnnualIncome(year), Settings.get());
+    }
+
+    /**
+     * Net hourly rate after the estimated tax for the project's year
+     */
+    function getAfterTaxRate(project) {
+        if (!project.completionDate) return project.netHourlyRate;
+
+        const year = Calculations.parseDate(project.completionDate).getFullYear();
+        return project.netHourlyRate * (1 - getTaxRateForYear(year));
+    }
+
+    /**
+     * Due date of a quarter's estimated payment under the saved due dates
+     */
+    function getQuarterDueDate(year, quarter) {
+        return Calculations.getQuarterDueDate(year, quarter, Settings.get().taxDueDates);
+    }
+
+    /**
+     * Tax to set aside for the months of a quarter up to and including lastMonth
+     */
+    function calculateQuarterSetAside(year, quarter, lastMonth = quarter * 3 + 2) {
+        let net = 0;
+        for (let month = quarter * 3; month <= lastMonth; month++) {
+            net += calculateMonthlyStats(getProjectsForMonth(year, month)).totalNetEarnings;
+        }
+        return Math.max(net, 0) * getTaxRateForYear(year);
+    }
+
+    /**
+     * Estimated payments due within the next 30 days
+     */
+    function getUpcomingTaxPayments() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const upcoming = [];
+
+        [today.getFullYear() - 1, today.getFullYear()].forEach(year => {
+            [0, 1, 2, 3].forEach(quarter => {
+                const dueDate = getQuarterDueDate(year, quarter);
+                const daysUntil = Math.round((dueDate - today) / 86400000);
+                if (daysUntil >= 0 && daysUntil <= 30) {
+                    upcoming.push({ year, quarter, dueDate, daysUntil, amount: calculateQuarterSetAside(year, quarter) });
+                }
+            });
+        });
+
+        return upcoming;
+    }
+
+    // ================================
+    // Sync Status
+    // ================================
+
+    /**
+     * Show the offline store's sync state in the header
+     */
+    function renderSyncStatus(state) {
+        const waiting = `${state.pendingCount} ${state.pendingCount === 1 ? 'change' : 'changes'}`;
+        const labels = {
+            synced: 'All changes saved',
+            syncing: 'Syncing...',
+            pending: `${waiting} waiting to sync`,
+            offline: state.pendingCount > 0 ? `Offline · ${waiting} saved on this device` : 'Offline',
+            error: 'Server unreachable · showing saved copy',
+            conflict: 'Sync paused'
+        };
+
+        elements.syncStatus.textContent = labels[state.status];
+        elements.syncStatus.dataset.status = state.status;
+    }
+
+    /**
+     * Show or hide the banner asking which version of a project to keep
+     */
+    function renderSyncConflict(conflict) {
+        elements.syncConflict.classList.toggle('hidden', !conflict);
+        if (!conflict) return;
+
+        const name = conflict.localRecord ? conflict.localRecord.row.name : conflict.serverRow.name;
+
+        if (conflict.type === 'delete') {
+            elements.syncConflictMessage.textContent =
+                `"${name}" was changed on another device after you deleted it here.`;
+        } else if (!conflict.serverRow) {
+            elements.syncConflictMessage.textContent =
+                `"${name}" was deleted on another device after you edited it here.`;
+        } else {
+            elements.syncConflictMessage.textContent =
+                `"${name}" was changed on another device after you edited it here.`;
+        }
+    }
+
+    /**
+     * Refresh the page when the sync state or cached projects change
+     */
+    function handleSyncChange(state) {
+        renderSyncStatus(state);
+        renderSyncConflict(state.conflict);
+
+        if (state.dataChanged) {
+            setProjects(ProjectStore.getRecords());
+            renderProjects();
+
+            renderOpenTab();
+        }
+
+        if (state.remoteChange) {
+            renderEditChangedNotice(state.remoteChange);
+        }
+    }
+
+    /**
+     * Warn when the project open in the editor changes in another tab or
+     * on another device, since saving the form would replace that change
+     */
+    function renderEditChangedNotice(change) {
+        if (!editingProjectId || change.id !== editingProjectId) return;
+
+        const deleted = change.type === 'delete';
+        elements.editChangedMessage.textContent = deleted
+            ? 'This project was just deleted in another tab or on another device, so it can no longer be saved.'
+            : 'This project was just changed in another tab or on another device. Saving will replace those changes.';
+        elements.reloadProjectBtn.classList.toggle('hidden', deleted);
+        elements.saveBtn.disabled = deleted;
+        elements.editChangedNotice.classList.remove('hidden');
+    }
+
+    // ================================
+    // Auth Functions
+    // ================================
+
+    /**
+     * Logout user
+     */
+    function logout() {
+        AuthGuard.signOut();
+    }
+
+    /**
+     * What's typed in the project editor, kept if the session ends
+     * while it is open
+     */
+    function getProjectDraft() {
+        if (elements.modalOverlay.classList.contains('hidden')) return null;
+
+        return {
+            projectId: editingProjectId,
+            quoteId: convertingQuoteId,
+            form: readProjectForm()
+        };
+    }
+
+    /**
+     * Reopen the project editor with the input kept when the session ended
+     */
+    function restoreProjectDraft(draft) {
+        if (!draft) return;
+
+        const { form } = draft;
+        const projectId = getProjectById(draft.projectId) ? draft.projectId : null;
+        openModal(projectId ? 'edit' : 'add', projectId);
+        if (!projectId) convertingQuoteId = Quotes.getById(draft.quoteId) ? draft.quoteId : null;
+
+        elements.projectName.value = form.name;
+        populateClientSelect(Clients.getById(form.clientId) ? form.clientId : '');
+        renderTagPicker(form.tagIds);
+        elements.projectStatus.value = form.status;
+        elements.hoursWorked.value = form.hoursWorked;
+        elements.estimatedHours.value = form.estimatedHours;
+        elements.quotedPrice.value = form.quotedPrice;
+        elements.completionDate.value = form.completionDate;
+        elements.billingPeriod.value = form.billingPeriod || '';
+        elements.periodStart.value = form.periodStart || '';
+        elements.periodDays.value = form.periodDays || '';
+        elements.periodFee.value = form.periodFee || '';
+        elements.includedHours.value = form.includedHours || '';
+        elements.platformFee.value = form.platformFeePercent;
+        elements.projectCurrency.value = form.currency;
+        updateExchangeRateField();
+        elements.exchangeRate.value = form.exchangeRate;
+        elements.projectNotes.value = form.notes;
+        renderExpenseRows(form.expenses);
+        elements.moneyReceived.value = form.moneyReceived;
+        renderPaymentRows(form.payments);
+        updateRetainerFields();
+
+        elements.draftNotice.classList.remove('hidden');
+    }
+
+    // ================================
+    // Monthly Tracking Functions
+    // ================================
+
+    /**
+     * Projects as the Monthly tab counts them: whole projects on their
+     * completion dates, or one slice per payment on a cash basis
+     */
+    function getIncomeRecords() {
+        return incomeBasis === 'cash' ? Calculations.getCashSlices(projects) : projects;
+    }
+
+    /**
+     * Get projects for a specific month
+     */
+    function getProjectsForMonth(year, month) {
+        return Calculations.getProjectsForMonth(getIncomeRecords(), year, month);
+    }
+
+    /**
+     * Calculate monthly statistics in the home currency
+     */
+    function calculateMonthlyStats(monthProjects) {
+        return Calculations.calculateMonthlyStats(monthProjects, getHomeRate);
+    }
+
+    /**
+     * Format a Date or a YYYY-MM-DD completion date for display
+     */
+    function formatDate(value) {
+        const date = value instanceof Date ? value : Calculations.parseDate(value);
+        return date.toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+    }
+
+    /**
+     * Format date and time for display
+     */
+    function formatDateTime(dateString) {
+        const date = new Date(dateString);
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Convert an ISO timestamp to a datetime-local input value
+     */
+    function toDateTimeLocal(dateString) {
+        const date = new Date(dateString);
+        const offsetMs = date.getTimezoneOffset() * 60000;
+        return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+    }
+
+    /**
+     * Get month name
+     */
+    function getMonthName(date) {
+        return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    }
+
+    /**
+     * Move the viewed month, quarter or year back or forward
+     */
+    function changePeriod(direction) {
+        currentViewMonth = new Date(
+            currentViewMonth.getFullYear(),
+            currentViewMonth.getMonth() + direction * PERIOD_STEPS[viewPeriod],
+            1
+        );
+        renderMonthlyView();
+    }
+
+    /**
+     * Switch between the month, quarter and year views
+     */
+    function switchPeriod(period) {
+        viewPeriod = period;
+
+        elements.periodButtons.forEach(btn => {
+            const isActive = btn.dataset.period === period;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+
+        renderMonthlyView();
+    }
+
+    /**
+     * Switch between counting income by completion date and by payment date
+     */
+    function switchIncomeBasis(basis) {
+        incomeBasis = basis;
+        localStorage.setItem(INCOME_BASIS_KEY, basis);
+        renderIncomeBasis();
+
+        renderMonthlyView();
+        renderProjects();
+    }
+
+    /**
+     * Mark the button of the income basis in use
+     */
+    function renderIncomeBasis() {
+        elements.basisButtons.forEach(btn => {
+            const isActive = btn.dataset.basis === incomeBasis;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * Title of the viewed period, e.g. "October 2026", "Q4 2026" or "2026"
+     */
+    function getPeriodLabel(date, period = viewPeriod) {
+        if (period === 'year') return String(date.getFullYear());
+        if (period === 'quarter') return `Q${Math.floor(date.getMonth() / 3) + 1} ${date.getFullYear()}`;
+        return getMonthName(date);
+    }
+
+    /**
+     * Date range of the viewed period
+     */
+    function getViewedRange() {
+        return Calculations.getPeriodRange(currentViewMonth.getFullYear(), currentViewMonth.getMonth(), viewPeriod);
+    }
+
+    /**
+     * Switch between tabs
+     */
+    function switchTab(tabName) {
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            if (btn.dataset.tab === tabName) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
+
+        elements.projectsTab.classList.toggle('active', tabName === 'projects');
+        elements.monthlyTab.classList.toggle('active', tabName === 'monthly');
+        elements.clientsTab.classList.toggle('active', tabName === 'clients');
+        elements.estimatesTab.classList.toggle('active', tabName === 'estimates');
+        elements.tagsTab.classList.toggle('active', tabName === 'tags');
+        elements.invoicesTab.classList.toggle('active', tabName === 'invoices');
+        elements.trashTab.classList.toggle('active', tabName === 'trash');
+
+        renderOpenTab();
+    }
+
+    /**
+     * Re-render the open report tab after projects change
+     */
+    function renderOpenTab() {
+        if (elements.monthlyTab.classList.contains('active')) {
+            renderMonthlyView();
+        } else if (elements.clientsTab.classList.contains('active')) {
+            renderClientsView();
+        } else if (elements.estimatesTab.classList.contains('active')) {
+            renderEstimatesView();
+        } else if (elements.tagsTab.classList.contains('active')) {
+            renderTagsView();
+        } else if (elements.invoicesTab.classList.contains('active')) {
+            renderInvoicesView();
+        } else if (elements.trashTab.classList.contains('active')) {
+            renderTrashView();
+        }
+    }
+
+    /**
+     * Render the month, quarter or year view
+     */
+    function renderMonthlyView() {
+        const range = getViewedRange();
+        const monthProjects = Calculations.getProjectsBetween(getIncomeRecords(), range.start, range.end);
+        const stats = calculateMonthlyStats(monthProjects);
+
+        // The tax panel follows the last month of the period that has begun
+        const lastDay = Calculations.clipRangeToToday(range, new Date()).end;
+        const lastMonth = new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() - 1);
+        const year = lastMonth.getFullYear();
+        const month = lastMonth.getMonth();
+
+        elements.currentMonth.textContent = getPeriodLabel(currentViewMonth);
+
+        elements.monthlyEarnings.textContent = formatCurrency(stats.totalEarnings);
+        elements.monthlyNetEarnings.textContent = formatCurrency(stats.totalNetEarnings);
+        elements.monthlyHours.textContent = formatHours(stats.totalHours);
+        elements.monthlyRate.textContent = formatCurrency(stats.avgRate) + '/hr';
+        elements.monthlyNetRate.textContent = formatCurrency(stats.avgNetRate) + '/hr';
+        elements.monthlyProjects.textContent = stats.projectCount;
+
+        const homeCurrency = Settings.get().homeCurrency;
+        elements.monthlyCurrencyNote.classList.toggle('hidden', stats.unconvertedCount === 0);
+        elements.monthlyCurrencyNote.textContent = stats.unconvertedCount === 1
+            ? `1 project has no exchange rate into ${homeCurrency} and is left out of these totals.`
+            : `${stats.unconvertedCount} projects have no exchange rate into ${homeCurrency} and are left out of these totals.`;
+
+        renderGoalProgress(range, stats);
+        renderRetainerPanel(range);
+        renderPeriodSummary(range);
+        renderCharts(range);
+        renderTaxPanel(year, month, stats);
+
+        elements.monthlyProjectsList.innerHTML = '';
+
+        if (monthProjects.length === 0) {
+            elements.monthlyEmpty.classList.remove('hidden');
+            elements.monthlyProjectsList.classList.add('hidden');
+        } else {
+            elements.monthlyEmpty.classList.add('hidden');
+            elements.monthlyProjectsList.classList.remove('hidden');
+
+            monthProjects.forEach(project => {
+                const item = createMonthlyProjectItem(project);
+                elements.monthlyProjectsList.appendChild(item);
+            });
+        }
+    }
+
+    /**
+     * Net income of projects between two dates in the home currency
+     */
+    function getNetBetween(range) {
+        return calculateMonthlyStats(Calculations.getProjectsBetween(getIncomeRecords(), range.start, range.end)).totalNetEarnings;
+    }
+
+    /**
+     * Format the change from one amount to another as a signed percentage
+     */
+    function formatChange(current, previous) {
+        const change = (current - previous) / previous;
+        return `${change >= 0 ? '+' : '-'}${Math.abs(change * 100).toFixed(0)}%`;
+    }
+
+    /**
+     * Render the comparison with last year, the year to date and the
+     * projected income for the viewed period's year
+     */
+    function renderPeriodSummary(range) {
+        const today = new Date();
+        const year = range.start.getFullYear();
+
+        renderComparison(range, today);
+        renderYearToDate(range, today);
+        renderProjection(year, today);
+    }
+
+    /**
+     * Render the change in net income from the same period last year.
+     * A period still under way is compared with the same stretch of it.
+     */
+    function renderComparison(range, today) {
+        const lastYearLabel = getPeriodLabel(new Date(range.start.getFullYear() - 1, range.start.getMonth(), 1));
+        elements.periodComparison.classList.remove('variance-over');
+
+        if (range.start > today) {
+            elements.periodComparison.textContent = '–';
+            elements.periodComparisonDetail.textContent = 'This period hasn\'t started yet';
+            return;
+        }
+
+        const soFar = Calculations.clipRangeToToday(range, today);
+        const current = getNetBetween(soFar);
+        const previous = getNetBetween(Calculations.shiftRange(soFar, -1));
+
+        if (previous <= 0) {
+            elements.periodComparison.textContent = '–';
+            elements.periodComparisonDetail.textContent = `Nothing earned in ${lastYearLabel} to compare with`;
+            return;
+        }
+
+        elements.periodComparison.textContent = formatChange(current, previous);
+        elements.periodComparison.classList.toggle('variance-over', current < previous);
+        elements.periodComparisonDetail.textContent =
+            `${formatCurrency(current)} net vs. ${formatCurrency(previous)} in ${soFar !== range ? 'the same part of ' : ''}${lastYearLabel}`;
+    }
+
+    /**
+     * Render net income from the start of the viewed period's year to the
+     * end of the period, or to today if that comes first
+     */
+    function renderYearToDate(range, today) {
+        const year = range.start.getFullYear();
+        elements.ytdLabel.textContent = `Year to Date (${year})`;
+
+        if (year > today.getFullYear()) {
+            elements.ytdNet.textContent = formatCurrency(0);
+            elements.ytdDetail.textContent = 'This year hasn\'t started yet';
+            return;
+        }
+
+        const yearToDate = Calculations.clipRangeToToday({ start: new Date(year, 0, 1), end: range.end }, today);
+        const ytdNet = getNetBetween(yearToDate);
+        const lastYtdNet = getNetBetween(Calculations.shiftRange(yearToDate, -1));
+        const lastDay = new Date(yearToDate.end.getFullYear(), yearToDate.end.getMonth(), yearToDate.end.getDate() - 1);
+
+        elements.ytdNet.textContent = formatCurrency(ytdNet);
+        elements.ytdDetail.textContent = `Net to ${formatDate(lastDay)}` + (lastYtdNet > 0
+            ? ` · ${formatChange(ytdNet, lastYtdNet)} on ${formatCurrency(lastYtdNet)} last year`
+            : '');
+    }
+
+    /**
+     * Render the projected net income for a year from its run rate so
+     * far, or from how past years were spread when seasonality is on
+     */
+    function renderProjection(year, today) {
+        const projection = Calculations.projectAnnualIncome(getIncomeRecords(), year, today, project => {
+            const rate = getHomeRate(project);
+            return rate === null ? null : project.netEarnings * rate;
+        });
+        const useSeasonality = localStorage.getItem(SEASONALITY_KEY) === 'true';
+
+        elements.useSeasonality.checked = useSeasonality;
+        elements.useSeasonality.disabled = projection.seasonal === null;
+        elements.useSeasonality.parentElement.classList.toggle('hidden', projection.runRate === null || projection.elapsedShare === 1);
+
+        if (projection.runRate === null) {
+            elements.projectionLabel.textContent = `Projected ${year} Income`;
+            elements.projectedIncome.textContent = '–';
+            elements.projectionDetail.textContent = 'Projections start once the year begins';
+            return;
+        }
+
+        if (projection.elapsedShare === 1) {
+            elements.projectionLabel.textContent = `${year} Income`;
+            elements.projectedIncome.textContent = formatCurrency(projection.yearToDate);
+            elements.projectionDetail.textContent = 'Net for the full year';
+            return;
+        }
+
+        const seasonal = useSeasonality && projection.seasonal !== null;
+        elements.projectionLabel.textContent = `Projected ${year} Income`;
+        elements.projectedIncome.textContent = formatCurrency(seasonal ? projection.seasonal : projection.runRate);
+
+        if (seasonal) {
+            const years = projection.pastYears === 1 ? '1 past year' : `${projection.pastYears} past years`;
+            elements.projectionDetail.textContent = `Net, assuming the rest of the year follows the pattern of ${years}`;
+        } else {
+            elements.projectionDetail.textContent = `Net at your run rate, ${(projection.elapsedShare * 100).toFixed(0)}% of the way through the year` +
+                (projection.seasonal === null ? ' · seasonality needs a past year with income' : '');
+        }
+    }
+
+    /**
+     * Render the trend charts for the twelve months up to the end of the viewed period
+     */
+    function renderCharts(range) {
+        const months = Array.from({ length: CHART_MONTHS }, (_, index) =>
+            new Date(range.end.getFullYear(), range.end.getMonth() - CHART_MONTHS + index, 1)
+        );
+        const monthStats = months.map(date => calculateMonthlyStats(getProjectsForMonth(date.getFullYear(), date.getMonth())));
+        const labels = months.map(date => date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }));
+        const rates = monthStats.map(stats => (stats.totalHours > 0 ? stats.avgNetRate : null));
+
+        elements.chartsRange.textContent = `${getMonthName(months[0])} to ${getMonthName(months[months.length - 1])}`;
+
+        Charts.renderBarChart(elements.earningsChart, {
+            labels,
+            series: [
+                { name: 'Net Earnings', values: monthStats.map(stats => stats.totalNetEarnings), className: 'chart-bar-earnings', format: amount => formatCurrency(amount) },
+                { name: 'Hours', values: monthStats.map(stats => stats.totalHours), className: 'chart-bar-hours', format: hours => hours.toFixed(0) }
+            ],
+            emptyMessage: 'No projects completed in these months'
+        });
+
+        Charts.renderLineChart(elements.rateChart, {
+            labels,
+            values: rates,
+            average: Calculations.movingAverage(rates, MOVING_AVERAGE_MONTHS),
+            name: 'Net rate per hour',
+            averageName: `${MOVING_AVERAGE_MONTHS}-month moving average`,
+            format: rate => `${formatCurrency(rate)}/hr`,
+            emptyMessage: 'No hours logged in these months'
+        });
+
+        const windowProjects = Calculations.getProjectsBetween(projects, months[0], range.end)
+            .filter(project => project.hoursWorked > 0 && getHomeRate(project) !== null);
+
+        Charts.renderScatterChart(elements.scatterChart, {
+            points: windowProjects.map(project => ({
+                id: project.id,
+                x: project.hoursWorked,
+                y: project.netHourlyRate * getHomeRate(project),
+                label: project.name
+            })),
+            xName: 'Hours worked',
+            yName: 'Net rate per hour',
+            formatX: hours => `${hours.toFixed(0)} hrs`,
+            formatY: rate => `${formatCurrency(rate)}/hr`,
+            onSelect: projectId => openModal('edit', projectId),
+            emptyMessage: 'No projects with hours in these months'
+        });
+    }
+
+    /**
+     * Render the tax set-aside figures and payment reminders for the viewed month
+     */
+    function renderTaxPanel(year, month, stats) {
+        const taxRate = getTaxRateForYear(year);
+        const quarter = Math.floor(month / 3);
+
+        elements.monthlyTaxSetAside.textContent = formatCurrency(Math.max(stats.totalNetEarnings, 0) * taxRate);
+        elements.monthlyTaxRate.textContent = `${(taxRate * 100).toFixed(1)}% estimated effective rate`;
+        elements.quarterTaxSetAside.textContent = formatCurrency(calculateQuarterSetAside(year, quarter, month));
+        elements.quarterTaxLabel.textContent = `Q${quarter + 1} ${year} so far, due ${formatDate(getQuarterDueDate(year, quarter))}`;
+
+        elements.taxQuarters.innerHTML = [0, 1, 2, 3].map(q => `
+            <li class="tax-quarter${q === quarter ? ' active' : ''}">
+                <span class="tax-quarter-name">Q${q + 1}</span>
+                <span class="tax-quarter-due">Due ${formatDate(getQuarterDueDate(year, q))}</span>
+                <span class="tax-quarter-amount">${formatCurrency(calculateQuarterSetAside(year, q))}</span>
+            </li>
+        `).join('');
+
+        const upcoming = getUpcomingTaxPayments();
+        elements.taxReminder.classList.toggle('hidden', upcoming.length === 0);
+        elements.taxReminder.innerHTML = upcoming.map(payment => {
+            const when = payment.daysUntil === 0 ? 'today' : `in ${payment.daysUntil} day${payment.daysUntil === 1 ? '' : 's'}`;
+            return `<p>Estimated payment of <strong>${formatCurrency(payment.amount)}</strong> for Q${payment.quarter + 1} ${payment.year} is due ${formatDate(payment.dueDate)} (${when}).</p>`;
+        }).join('');
+    }
+
+    /**
+     * Create monthly project item. On a cash basis the item is one
+     * payment, dated by when it was paid.
+     */
+    function createMonthlyProjectItem(project) {
+        const item = document.createElement('div');
+        item.className = 'monthly-project-item';
+
+        const date = project.payment
+            ? `Paid ${formatDate(project.payment.paidOn)}${project.payment.note ? ` · ${escapeHtml(project.payment.note)}` : ''}`
+            : formatDate(project.completionDate);
+        const outstanding = getProjectOutstanding(getProjectById(project.id) || project);
+
+        item.innerHTML = `
+            <div class="monthly-project-info">
+                <div class="monthly-project-name">${escapeHtml(project.name)}</div>
+                ${createClientLabel(project, 'monthly-project-client')}
+                <div class="monthly-project-date">${date}</div>
+            </div>
+            <div class="monthly-project-stats">
+                <div class="monthly-project-stat">
+                    <span class="monthly-project-stat-label">Hours</span>
+                    <span class="monthly-project-stat-value">${formatHours(project.hoursWorked)}</span>
+                </div>
+                <div class="monthly-project-stat">
+                    <span class="monthly-project-stat-label">Earned</span>
+                    <span class="monthly-project-stat-value">${formatCurrency(project.moneyReceived, project.currency)}</span>
+                </div>
+                <div class="monthly-project-stat">
+                    <span class="monthly-project-stat-label">Net</span>
+                    <span class="monthly-project-stat-value">${formatCurrency(project.netEarnings, project.currency)}</span>
+                </div>
+                <div class="monthly-project-stat">
+                    <span class="monthly-project-stat-label">Rate</span>
+                    <span class="monthly-project-stat-value">${formatCurrency(project.hourlyRate, project.currency)}/hr</span>
+                </div>
+                <div class="monthly-project-stat">
+                    <span class="monthly-project-stat-label">Net Rate</span>
+                    <span class="monthly-project-stat-value">${formatCurrency(project.netHourlyRate, project.currency)}/hr</span>
+                </div>
+                ${outstanding > 0 ? `
+                <div class="monthly-project-stat">
+                    <span class="monthly-project-stat-label">Outstanding</span>
+                    <span class="monthly-project-stat-value variance-over">${formatCurrency(outstanding, project.currency)}</span>
+                </div>` : ''}
+            </div>
+        `;
+
+        return item;
+    }
+
+    // ================================
+    // Clients
+    // ================================
+
+    /**
+     * Client name shown under a project's name, if it has a client
+     */
+    function createClientLabel(project, className) {
+        const client = project.clientId ? Clients.getById(project.clientId) : null;
+        return client ? `<div class="${className}">${escapeHtml(client.name)}</div>` : '';
+    }
+
+    /**
+     * Fill the client picker and select a client
+     */
+    function populateClientSelect(selectedId = '') {
+        const options = Clients.getAll().map(client =>
+            `<option value="${client.id}">${escapeHtml(client.name)}</option>`
+        ).join('');
+
+        elements.projectClient.innerHTML = `
+            <option value="">No client</option>
+            ${options}
+            <option value="${NEW_CLIENT_OPTION}">+ New client&hellip;</option>
+        `;
+        elements.projectClient.value = Clients.getById(selectedId) ? selectedId : '';
+        updateNewClientRow();
+    }
+
+    /**
+     * Show the new client field while "+ New client" is picked
+     */
+    function updateNewClientRow() {
+        const isNew = elements.projectClient.value === NEW_CLIENT_OPTION;
+        elements.newClientRow.classList.toggle('hidden', !isNew);
+        elements.clientError.textContent = '';
+        elements.newClientName.classList.remove('error');
+    }
+
+    /**
+     * Add the client typed into the project modal and select it.
+     * Returns the client's ID, or null if it couldn't be added.
+     */
+    async function addClientFromForm() {
+        const name = elements.newClientName.value.trim();
+
+        if (!name) {
+            elements.clientError.textContent = 'Enter a client name or pick one from the list';
+            elements.newClientName.classList.add('error');
+            elements.newClientName.focus();
+            return null;
+        }
+
+        try {
+            const client = await Clients.add(name);
+            elements.newClientName.value = '';
+            populateClientSelect(client.id);
+            return client.id;
+        } catch (error) {
+            console.error('Error adding client:', error);
+            alert('Failed to add client. Please try again.');
+            return null;
+        }
+    }
+
+    /**
+     * Render the Clients tab: every client ranked by the chosen figure,
+     * with projects that have no client summed up at the end
+     */
+    function renderClientsView() {
+        const clients = Clients.getAll();
+        const reportProjects = getReportProjects();
+        const overall = calculateMonthlyStats(reportProjects);
+        const stats = Calculations.calculateClientStats(reportProjects, clients, getHomeRate, elements.clientSort.value);
+        const unassigned = reportProjects.filter(p => !Clients.getById(p.clientId));
+
+        elements.clientsList.innerHTML = '';
+        elements.clientsEmpty.classList.toggle('hidden', clients.length > 0);
+        elements.clientsList.classList.toggle('hidden', clients.length === 0);
+        elements.clientsAverage.textContent = overall.totalHours > 0
+            ? `Your overall effective rate is ${formatCurrency(overall.avgNetRate)}/hr.`
+            : '';
+
+        if (clients.length === 0) return;
+
+        const bestRate = Math.max(0, ...stats.filter(stat => stat.rank !== null).map(stat => stat.avgNetRate));
+
+        stats.forEach(stat => {
+            elements.clientsList.appendChild(createClientRow(stat, overall.avgNetRate, bestRate));
+        });
+
+        if (unassigned.length > 0) {
+            const stat = { client: null, ...calculateMonthlyStats(unassigned), trend: null, rank: null };
+            elements.clientsList.appendChild(createClientRow(stat, overall.avgNetRate, bestRate));
+        }
+    }
+
+    /**
+     * Create one ranked row on the Clients tab
+     */
+    function createClientRow(stat, averageRate, bestRate) {
+        const row = document.createElement('div');
+        row.className = 'client-row';
+
+        const isLowRate = stat.rank !== null && averageRate > 0 && stat.avgNetRate < averageRate * LOW_RATE_SHARE;
+        if (isLowRate) row.classList.add('client-row-low');
+
+        let flag = '';
+        if (stat.rank !== null && bestRate > 0 && stat.avgNetRate === bestRate) {
+            flag = '<span class="client-flag client-flag-best">Best paying</span>';
+        } else if (isLowRate) {
+            flag = '<span class="client-flag client-flag-low">Below your average rate &mdash; raise prices or drop</span>';
+        }
+
+        const actions = stat.client ? `
+            <div class="client-actions">
+                <button class="btn btn-edit" data-client-action="rename" data-id="${stat.client.id}">Rename</button>
+                <button class="btn btn-danger" data-client-action="delete" data-id="${stat.client.id}">Delete</button>
+            </div>
+        ` : '';
+
+        row.innerHTML = `
+            <div class="client-rank">${stat.rank !== null ? `#${stat.rank}` : '&ndash;'}</div>
+            <div class="client-info">
+                <div class="client-name">${stat.client ? escapeHtml(stat.client.name) : 'No client'}</div>
+                ${flag}
+            </div>
+            <div class="client-stats">
+                <div class="monthly-project-stat">
+                    <span class="monthly-project-stat-label">Earned</span>
+                    <span class="monthly-project-stat-value">${formatCurrency(stat.totalEarnings)}</span>
+                </div>
+                <div class="monthly-project-stat">
+                    <span class="monthly-project-stat-label">Hours</span>
+                    <span class="monthly-project-stat-value">${formatHours(stat.totalHours)}</span>
+                </div>
+                <div class="monthly-project-stat">
+                    <span class="monthly-project-stat-label">Effective Rate</span>
+                    <span class="monthly-project-stat-value">${formatCurrency(stat.avgNetRate)}/hr</span>
+                </div>
+                <div class="monthly-project-stat">
+                    <span class="monthly-project-stat-label">Projects</span>
+                    <span class="monthly-project-stat-value">${stat.projectCount}</span>
+                </div>
+                <div class="monthly-project-stat">
+                    <span class="monthly-project-stat-label">Trend</span>
+                    ${createTrend(stat.trend)}
+                </div>
+            </div>
+            ${actions}
+        `;
+
+        return row;
+    }
+
+    /**
+     * Create the rate trend: change from earlier to recent projects
+     * and a small line of the net rate per project
+     */
+    function createTrend(trend) {
+        if (!trend) {
+            return '<span class="monthly-project-stat-value client-trend">&ndash;</span>';
+        }
+
+        const width = 80;
+        const height = 24;
+        const rates = trend.points.map(point => point.rate);
+        const min = Math.min(...rates);
+        const range = Math.max(...rates) - min || 1;
+        const points = rates.map((rate, index) => {
+            const x = (index / (rates.length - 1)) * width;
+            const y = height - 2 - ((rate - min) / range) * (height - 4);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+
+        let change = '&ndash;';
+        let direction = '';
+        if (trend.change !== null) {
+            direction = trend.change >= 0 ? 'client-trend-up' : 'client-trend-down';
+            change = `${trend.change >= 0 ? '&#9650;' : '&#9660;'} ${Math.abs(trend.change * 100).toFixed(0)}%`;
+        }
+
+        return `
+            <span class="monthly-project-stat-value client-trend ${direction}">
+                <svg class="client-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+                    <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5"/>
+                </svg>
+                ${change}
+            </span>
+        `;
+    }
+
+    /**
+     * Handle Rename/Delete clicks on the Clients tab
+     */
+    async function handleClientAction(event) {
+        const button = event.target.closest('[data-client-action]');
+        if (!button) return;
+
+        const client = Clients.getById(button.dataset.id);
+        if (!client) return;
+
+        try {
+            if (button.dataset.clientAction === 'rename') {
+                const name = prompt('Client name', client.name);
+                if (!name || !name.trim() || name.trim() === client.name) return;
+
+                const existing = Clients.findByName(name);
+                if (existing && existing.id !== client.id) {
+                    alert(`You already have a client called "${existing.name}".`);
+                    return;
+                }
+
+                await Clients.rename(client.id, name);
+            } else {
+                const confirmed = confirm(`Delete "${client.name}"? Their projects will be kept without a client.`);
+                if (!confirmed) return;
+
+                await Clients.remove(client.id);
+                projects.forEach(project => {
+                    if (project.clientId === client.id) project.clientId = null;
+                });
+            }
+        } catch (error) {
+            console.error('Error updating client:', error);
+            alert('Failed to update client. Please try again.');
+            return;
+        }
+
+        renderClientsView();
+        renderProjects();
+    }
+
+    // ================================
+    // Tags
+    // ================================
+
+    /**
+     * Tag names shown on a card, skipping tags that have been deleted
+     */
+    function createTagChips(project) {
+        const tags = project.tagIds.map(id => Tags.getById(id)).filter(Boolean);
+        if (tags.length === 0) return '';
+
+        return `
+            <ul class="project-card-tags">
+                ${tags.map(tag => `<li class="tag-chip">${escapeHtml(tag.name)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Fill the tag picker in the project modal and check the given tags
+     */
+    function renderTagPicker(selectedIds = []) {
+        const tags = Tags.getAll();
+
+        elements.projectTags.innerHTML = tags.length === 0
+            ? '<span class="form-hint">No tags yet. Add one below.</span>'
+            : tags.map(tag => `
+                <label class="tag-option">
+                    <input type="checkbox" value="${tag.id}" ${selectedIds.includes(tag.id) ? 'checked' : ''}>
+                    <span>${escapeHtml(tag.name)}</span>
+                </label>
+            `).join('');
+    }
+
+    /**
+     * IDs of the tags checked in the project modal
+     */
+    function getCheckedTagIds() {
+        return [...elements.projectTags.querySelectorAll('input:checked')].map(input => input.value);
+    }
+
+    /**
+     * Add the tag typed into the project modal and check it
+     */
+    async function addTagFromForm() {
+        const name = elements.newProjectTag.value.trim();
+        if (!name) {
+            elements.newProjectTag.focus();
+            return;
+        }
+
+        try {
+            const tag = await Tags.add(name);
+            const checked = getCheckedTagIds();
+            elements.newProjectTag.value = '';
+            renderTagPicker(checked.includes(tag.id) ? checked : [...checked, tag.id]);
+        } catch (error) {
+            console.error('Error adding tag:', error);
+            alert('Failed to add tag. Please try again.');
+        }
+    }
+
+    /**
+     * Fill the tag filter, keeping the chosen tag while it exists
+     */
+    function populateTagFilter() {
+        if (filters.tagId && !Tags.getById(filters.tagId)) {
+            filters.tagId = '';
+            updateFilterUrl();
+        }
+
+        elements.filterTag.innerHTML = `
+            <option value="">Any tag</option>
+            ${Tags.getAll().map(tag => `<option value="${tag.id}">${escapeHtml(tag.name)}</option>`).join('')}
+        `;
+        elements.filterTag.value = filters.tagId;
+    }
+
+    /**
+     * Render the Tags tab: earnings, hours and effective rate for each tag
+     * over the chosen completion dates, best paying first
+     */
+    function renderTagsView() {
+        const tags = Tags.getAll();
+        const inRange = ProjectFilters.filterProjects(getReportProjects(), {
+            ...ProjectFilters.DEFAULTS,
+            status: ProjectFilters.ALL_STATUSES,
+            from: elements.tagsFrom.value,
+            to: elements.tagsTo.value
+        }, { rateOf: getHomeHourlyRate });
+        const { tags: stats, untagged } = Calculations.calculateTagStats(inRange, tags, getHomeRate);
+
+        elements.tagsEmpty.classList.toggle('hidden', tags.length > 0);
+        elements.tagsReport.classList.toggle('hidden', tags.length === 0);
+
+        const overall = calculateMonthlyStats(inRange);
+        elements.tagsSummary.textContent = overall.totalHours > 0
+            ? `${inRange.length} ${inRange.length === 1 ? 'project' : 'projects'} in range, at an overall effective rate of ${formatCurrency(overall.avgNetRate)}/hr.`
+            : 'No hours logged on projects completed in this range.';
+
+        const rows = stats.map(stat => createTagRow(stat, escapeHtml(stat.tag.name), `
+            <button class="btn btn-edit" data-tag-action="rename" data-id="${stat.tag.id}">Rename</button>
+            <button class="btn btn-danger" data-tag-action="delete" data-id="${stat.tag.id}">Delete</button>
+        `));
+        if (untagged.projectCount > 0) rows.push(createTagRow(untagged, 'Untagged', ''));
+
+        elements.tagsTable.innerHTML = rows.join('');
+    }
+
+    /**
+     * One row of the tag breakdown. A project with several tags counts
+     * toward each of them.
+     */
+    function createTagRow(stat, label, actions) {
+        return `
+            <tr>
+                <td>${label}</td>
+                <td>${stat.projectCount}</td>
+                <td>${formatCurrency(stat.totalNetEarnings)}</td>
+                <td>${formatHours(stat.totalHours)}</td>
+                <td>${stat.totalHours > 0 ? `${formatCurrency(stat.avgNetRate)}/hr` : '&ndash;'}</td>
+                <td class="tag-actions">${actions}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Add a tag from the Tags tab
+     */
+    async function handleAddTag(event) {
+        event.preventDefault();
+
+        const name = elements.newTagName.value.trim();
+        if (!name) {
+            elements.newTagName.focus();
+            return;
+        }
+
+        try {
+            await Tags.add(name);
+            elements.newTagName.value = '';
+        } catch (error) {
+            console.error('Error adding tag:', error);
+            alert('Failed to add tag. Please try again.');
+            return;
+        }
+
+        renderTagsView();
+        renderProjects();
+    }
+
+    /**
+     * Handle Rename/Delete clicks on the Tags tab
+     */
+    async function handleTagAction(event) {
+        const button = event.target.closest('[data-tag-action]');
+        if (!button) return;
+
+        const tag = Tags.getById(button.dataset.id);
+        if (!tag) return;
+
+        try {
+            if (button.dataset.tagAction === 'rename') {
+                const name = prompt('Tag name', tag.name);
+                if (!name || !name.trim() || name.trim() === tag.name) return;
+
+                const existing = Tags.findByName(name);
+                if (existing && existing.id !== tag.id) {
+                    alert(`You already have a tag called "${existing.name}".`);
+                    return;
+                }
+
+                await Tags.rename(tag.id, name);
+            } else {
+                const confirmed = confirm(`Delete the "${tag.name}" tag? Projects keep everything else.`);
+                if (!confirmed) return;
+
+                await Tags.remove(tag.id);
+                projects.forEach(project => {
+                    project.tagIds = project.tagIds.filter(id => id !== tag.id);
+                });
+            }
+        } catch (error) {
+            console.error('Error updating tag:', error);
+            alert('Failed to update tag. Please try again.');
+            return;
+        }
+
+        renderTagsView();
+        renderProjects();
+    }
+
+    // ================================
+    // Estimate Accuracy
+    // ================================
+
+    /**
+     * Render the Estimates tab: how far actual hours ran past estimates,
+     * by month, by client and by project size
+     */
+    function renderEstimatesView() {
+        const estimated = getReportProjects().filter(p => Calculations.getOverrun(p) !== null);
+        const [overall] = Calculations.groupOverruns(estimated, () => 'all');
+
+        elements.estimatesReport.classList.toggle('hidden', !overall);
+
+        if (!overall) {
+            elements.estimatesSummary.textContent = 'Add estimated hours to your projects to see how accurate your estimates are.';
+            return;
+        }
+
+        const direction = overall.averageOverrun >= 0 ? 'longer' : 'shorter';
+        elements.estimatesSummary.textContent =
+            `Across ${overall.count} ${overall.count === 1 ? 'project' : 'projects'} with an estimate, work took ` +
+            `${Math.abs(overall.averageOverrun * 100).toFixed(0)}% ${direction} than estimated on average. ` +
+            `Multiply your next estimate by ${(1 + overall.averageOverrun).toFixed(2)} to allow for it.`;
+
+        const byMonth = Calculations.groupOverruns(estimated, p => (p.completionDate || '').slice(0, 7))
+            .sort((a, b) => b.key.localeCompare(a.key));
+        const byClient = Calculations.groupOverruns(estimated, p => (Clients.getById(p.clientId) ? p.clientId : ''))
+            .sort((a, b) => b.averageOverrun - a.averageOverrun);
+        const bySize = Calculations.SIZE_BUCKETS
+            .map(bucket => Calculations.groupOverruns(
+                estimated.filter(p => Calculations.getSizeBucket(p.estimatedHours) === bucket.label),
+                () => bucket.label
+            )[0])
+            .filter(Boolean);
+
+        renderOverrunRows(elements.overrunByMonth, byMonth, key =>
+            (key ? getMonthName(Calculations.parseDate(`${key}-01`)) : 'No date'));
+        renderOverrunRows(elements.overrunByClient, byClient, key =>
+            (key ? Clients.getById(key).name : 'No client'));
+        renderOverrunRows(elements.overrunBySize, bySize, key => key);
+    }
+
+    /**
+     * Fill one overrun table
+     */
+    function renderOverrunRows(tableBody, groups, labelOf) {
+        tableBody.innerHTML = groups.map(group => `
+            <tr>
+                <td>${escapeHtml(labelOf(group.key))}</td>
+                <td>${group.count}</td>
+                <td class="variance ${group.averageOverrun > 0 ? 'variance-over' : 'variance-under'}">${formatOverrun(group.averageOverrun)}</td>
+            </tr>
+        `).join('');
+    }
+
+    // ================================
+    // Search and Filters
+    // ================================
+
+    /**
+     * Projects passing the current search and filters, in the chosen order
+     */
+    function getMatchingProjects() {
+        const matching = ProjectFilters.filterProjects(projects, filters, {
+            rateOf: getHomeHourlyRate,
+            clientNameOf: project => Clients.getById(project.clientId)?.name || '',
+            tagNamesOf: project => project.tagIds.map(id => Tags.getById(id)?.name || '')
+        });
+
+        return ProjectFilters.sortProjects(matching, filters.sort, {
+            rateOf: getHomeHourlyRate,
+            earningsOf: project => {
+                const rate = getHomeRate(project);
+                return rate === null ? null : project.netEarnings * rate;
+            }
+        });
+    }
+
+    /**
+     * Fill the client filter, keeping the chosen client while it exists
+     */
+    function populateClientFilter() {
+        if (filters.clientId && filters.clientId !== ProjectFilters.NO_CLIENT && !Clients.getById(filters.clientId)) {
+            filters.clientId = '';
+            updateFilterUrl();
+        }
+
+        elements.filterClient.innerHTML = `
+            <option value="">Any client</option>
+            <option value="${ProjectFilters.NO_CLIENT}">No client</option>
+            ${Clients.getAll().map(client => `<option value="${client.id}">${escapeHtml(client.name)}</option>`).join('')}
+        `;
+        elements.filterClient.value = filters.clientId;
+    }
+
+    /**
+     * Show the current filters in the filter controls
+     */
+    function renderFilterControls() {
+        elements.projectSort.innerHTML = Object.entries(ProjectFilters.SORTS).map(([value, label]) =>
+            `<option value="${value}">${label}</option>`
+        ).join('');
+
+        elements.filterStatus.innerHTML = `
+            <option value="">All but archived</option>
+            ${Object.entries(Validation.STATUSES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            <option value="${ProjectFilters.ALL_STATUSES}">Any status</option>
+        `;
+
+        elements.projectSearch.value = filters.query;
+        elements.filterStatus.value = filters.status;
+        elements.filterFrom.value = filters.from;
+        elements.filterTo.value = filters.to;
+        elements.filterMinRate.value = filters.minRate;
+        elements.filterMaxRate.value = filters.maxRate;
+        elements.projectSort.value = filters.sort;
+        populateClientFilter();
+        populateTagFilter();
+    }
+
+    /**
+     * Keep the filters in the address bar so the view can be bookmarked
+     */
+    function updateFilterUrl() {
+        const query = ProjectFilters.toSearchParams(filters).toString();
+        history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+    }
+
+    /**
+     * Apply the filter controls to the projects list
+     */
+    function handleFilterChange() {
+        filters = {
+            query: elements.projectSearch.value.trim(),
+            from: elements.filterFrom.value,
+            to: elements.filterTo.value,
+            minRate: elements.filterMinRate.value,
+            maxRate: elements.filterMaxRate.value,
+            clientId: elements.filterClient.value,
+            tagId: elements.filterTag.value,
+            status: elements.filterStatus.value,
+            sort: elements.projectSort.value
+        };
+        visibleCount = PROJECTS_PAGE_SIZE;
+
+        updateFilterUrl();
+        renderProjects();
+    }
+
+    /**
+     * Clear the search and filters, keeping the sort order
+     */
+    function clearFilters() {
+        filters = { ...ProjectFilters.DEFAULTS, sort: filters.sort };
+        visibleCount = PROJECTS_PAGE_SIZE;
+
+        renderFilterControls();
+        updateFilterUrl();
+        renderProjects();
+    }
+
+    /**
+     * Add the next page of cards to the projects list
+     */
+    function showMoreProjects() {
+        visibleCount += PROJECTS_PAGE_SIZE;
+        renderProjects();
+    }
+
+    // ================================
+    // UI Rendering Functions
+    // ================================
+
+    /**
+     * Toggle empty state visibility
+     */
+    function toggleEmptyState(matchCount) {
+        if (projects.length === 0) {
+            elements.emptyState.classList.remove('hidden');
+            elements.projectsList.innerHTML = '';
+        } else {
+            elements.emptyState.classList.add('hidden');
+        }
+
+        elements.projectFilters.classList.toggle('hidden', projects.length === 0);
+        elements.noMatches.classList.toggle('hidden', projects.length === 0 || matchCount > 0);
+    }
+
+    /**
+     * Format currency, in the home currency unless another is given
+     */
+    function formatCurrency(amount, currency = Settings.get().homeCurrency) {
+        return Currency.format(amount, currency);
+    }
+
+    /**
+     * Format hours
+     */
+    function formatHours(hours) {
+        return hours.toFixed(2);
+    }
+
+    /**
+     * Create a project card element
+     */
+    function createProjectCard(project) {
+        const belowTarget = isBelowTarget(project);
         const card = document.createElement('div');
-        card.className = 'project-card';
+        card.className = `project-card${belowTarget ? ' project-card-below-target' : ''}`;
         card.dataset.id = project.id;
 
-        card.innerHTML = `
-            <div class="project-card-header">
-                <h3 class="project-card-title">${escapeHtml(project.name)}</h3>
-                <div class="project-card-actions">
-                    <button class="btn btn-edit" data-action="edit" data-id="${project.id}">Edit</button>
-                    <button class="btn btn-danger" data-action="delete" data-id="${project.id}">Delete</button>
-                </div>
-            </div>
-            <div class="project-card-content">
-                <div class="project-card-item">
-                    <span class="project-card-label">Hours Worked:</span>
-                    <span class="project-card-value">${formatHours(project.hoursWorked)}</span>
-                </div>
-                <div class="project-card-item">
-                    <span class="project-card-label">Money Received:</span>
-                    <span class="project-card-value">${formatCurrency(project.moneyReceived)}</span>
-                </div>
-                <div class="project-card-rate">
-                    <span class="project-card-rate-label">Hourly Rate:</span>
-                    <span class="project-card-rate-value">${formatCurrency(project.hourlyRate)}/hr</span>
-                </div>
+        card.innerHTML = `
+            <div class="project-card-header">
+                <div class="project-card-heading">
+                    <h3 class="project-card-title">${escapeHtml(project.name)}</h3>
+                    ${createClientLabel(project, 'project-card-client')}
+                    ${createTagChips(project)}
+                    ${project.status !== 'completed' ? `<span class="project-status project-status-${project.status}">${Validation.STATUSES[project.status]}</span>` : ''}
+                    ${project.billingPeriod ? '<span class="project-status">Retainer</span>' : ''}
+                    ${belowTarget ? '<span class="project-card-flag">Below target rate</span>' : ''}
+                </div>
+                <div class="project-card-actions">
+                    <input type="checkbox" class="project-select" data-id="${project.id}" aria-label="Select ${escapeHtml(project.name)}"${selectedIds.has(project.id) ? ' checked' : ''}>
+                    <button class="btn btn-edit" data-action="edit" data-id="${project.id}">Edit</button>
+                    <button class="btn btn-danger" data-action="delete" data-id="${project.id}">Delete</button>
+                </div>
+            </div>
+            <div class="project-card-content">
+                ${createHoursItem(project)}
+                <div class="project-card-item">
+                    <span class="project-card-label">Money Received:</span>
+                    <span class="project-card-value">${formatCurrency(project.amountPaid, project.currency)}</span>
+                </div>
+                <div class="project-card-item">
+                    <span class="project-card-label">Expenses &amp; Fees:</span>
+                    <span class="project-card-value">${formatCurrency(project.totalExpenses, project.currency)}</span>
+                </div>
+                <div class="project-card-item">
+                    <span class="project-card-label">Net Earnings:</span>
+                    <span class="project-card-value">${formatCurrency(project.netEarnings, project.currency)}</span>
+                </div>
+                ${createHomeCurrencyItem(project)}
+                ${createRetainerItems(project)}
+                ${createEstimateItems(project)}
+                <div class="project-card-rate">
+                    ${createIntendedRateGroup(project)}
+                    <div class="project-card-rate-group">
+                        <span class="project-card-rate-label">Gross Rate</span>
+                        <span class="project-card-rate-value${belowTarget ? ' variance-over' : ''}">${formatCurrency(project.hourlyRate, project.currency)}/hr</span>
+                    </div>
+                    <div class="project-card-rate-group">
+                        <span class="project-card-rate-label">Net Rate</span>
+                        <span class="project-card-rate-value">${formatCurrency(project.netHourlyRate, project.currency)}/hr</span>
+                    </div>
+                    <div class="project-card-rate-group">
+                        <span class="project-card-rate-label">After Tax</span>
+                        <span class="project-card-rate-value">${formatCurrency(getAfterTaxRate(project), project.currency)}/hr</span>
+                    </div>
+                </div>
+                ${createSessionsSummary(project)}
+            </div>
+        `;
+
+        return card;
+    }
+
+    /**
+     * Create the card row for hours. Active projects show the time so far,
+     * including any timer still running on them.
+     */
+    function createHoursItem(project) {
+        if (project.status !== 'active') {
+            return `
+                <div class="project-card-item">
+                    <span class="project-card-label">Hours Worked:</span>
+                    <span class="project-card-value">${formatHours(project.hoursWorked)}</span>
+                </div>
+            `;
+        }
+
+        const accrued = getAccruedHours(project);
+        return `
+            <div class="project-card-item">
+                <span class="project-card-label">Time So Far:</span>
+                <span class="project-card-value">
+                    ${formatHours(accrued.hours)} hrs
+                    ${accrued.running ? '<span class="project-card-running">Timer running</span>' : ''}
+                </span>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the card row showing net earnings converted to the home currency
+     */
+    function createHomeCurrencyItem(project) {
+        const homeCurrency = Settings.get().homeCurrency;
+        if (project.currency === homeCurrency) return '';
+
+        const rate = getHomeRate(project);
+        const value = rate === null
+            ? 'No exchange rate'
+            : formatCurrency(project.netEarnings * rate, homeCurrency);
+
+        return `
+            <div class="project-card-item">
+                <span class="project-card-label">Net in ${homeCurrency}:</span>
+                <span class="project-card-value">${value}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Format an overrun share as a signed percentage
+     */
+    function formatOverrun(overrun) {
+        return `${overrun >= 0 ? '+' : '-'}${Math.abs(overrun * 100).toFixed(0)}%`;
+    }
+
+    /**
+     * Format the days a retainer period covers
+     */
+    function formatPeriod(project) {
+        return `${formatDate(project.periodStart)} – ${formatDate(project.periodEnd)}`;
+    }
+
+    /**
+     * Create the card rows for a retainer period: its dates, its fee and
+     * the rate that works out to, and the hours used against the hours included
+     */
+    function createRetainerItems(project) {
+        if (!project.billingPeriod) return '';
+
+        const utilization = Retainers.getUtilization(project);
+        const effectiveRate = Retainers.getEffectiveRate(project);
+        let items = `
+            <div class="project-card-item">
+                <span class="project-card-label">${Validation.BILLING_PERIODS[project.billingPeriod]} Period:</span>
+                <span class="project-card-value">${formatPeriod(project)}</span>
+            </div>
+            <div class="project-card-item">
+                <span class="project-card-label">Period Fee:</span>
+                <span class="project-card-value">
+                    ${formatCurrency(project.periodFee, project.currency)}${effectiveRate === null ? '' : ` (${formatCurrency(effectiveRate, project.currency)}/hr)`}
+                </span>
+            </div>
+        `;
+
+        if (utilization !== null) {
+            items += `
+                <div class="project-card-item">
+                    <span class="project-card-label">Hours Used:</span>
+                    <span class="project-card-value${utilization > 1 ? ' variance-over' : ''}">
+                        ${formatHours(project.hoursWorked)} of ${formatHours(project.includedHours)} (${Math.round(utilization * 100)}%)
+                    </span>
+                </div>
+            `;
+        }
+
+        return items;
+    }
+
+    /**
+     * Create the card rows comparing estimated with actual hours, and the quoted price
+     */
+    function createEstimateItems(project) {
+        let items = '';
+
+        if (project.estimatedHours) {
+            const overrun = Calculations.getOverrun(project);
+            const variance = project.hoursWorked - project.estimatedHours;
+            const className = overrun > 0 ? 'variance-over' : 'variance-under';
+
+            items += `
+                <div class="project-card-item">
+                    <span class="project-card-label">Estimated Hours:</span>
+                    <span class="project-card-value">
+                        ${formatHours(project.estimatedHours)}
+                        <span class="variance ${className}">${variance >= 0 ? '+' : '-'}${formatHours(Math.abs(variance))} hrs (${formatOverrun(overrun)})</span>
+                    </span>
+                </div>
+            `;
+        }
+
+        if (project.quotedPrice !== null) {
+            items += `
+                <div class="project-card-item">
+                    <span class="project-card-label">Quoted Price:</span>
+                    <span class="project-card-value">${formatCurrency(project.quotedPrice, project.currency)}</span>
+                </div>
+            `;
+        }
+
+        const outstanding = getProjectOutstanding(project);
+        if (outstanding > 0 || (outstanding !== null && project.payments.length > 0)) {
+            items += `
+                <div class="project-card-item">
+                    <span class="project-card-label">Outstanding:</span>
+                    <span class="project-card-value${outstanding > 0 ? ' variance-over' : ''}">${formatCurrency(outstanding, project.currency)}</span>
+                </div>
+            `;
+        }
+
+        return items;
+    }
+
+    /**
+     * Create the rate a project was meant to earn, shown beside the rates it did earn
+     */
+    function createIntendedRateGroup(project) {
+        const intendedRate = Calculations.getIntendedRate(project);
+        if (intendedRate === null) return '';
+
+        const className = project.hourlyRate < intendedRate ? ' variance-over' : '';
+
+        return `
+            <div class="project-card-rate-group">
+                <span class="project-card-rate-label">Intended Rate</span>
+                <span class="project-card-rate-value${className}">${formatCurrency(intendedRate, project.currency)}/hr</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the collapsible list of logged sessions shown on a card
+     */
+    function createSessionsSummary(project) {
+        if (project.timeEntries.length === 0) return '';
+
+        const count = project.timeEntries.length;
+        const items = project.timeEntries.map(entry => `
+            <li class="project-card-session">
+                <span>${formatDateTime(entry.startedAt)}</span>
+                <span>${formatHours(entry.seconds / 3600)} hrs</span>
+            </li>
+        `).join('');
+
+        return `
+            <details class="project-card-sessions">
+                <summary>${count} logged ${count === 1 ? 'session' : 'sessions'}</summary>
+                <ul class="project-card-session-list">${items}</ul>
+            </details>
+        `;
+    }
+
+    /**
+     * Render all projects
+     */
+    function renderProjects() {
+        const matching = getMatchingProjects();
+        elements.projectsList.innerHTML = '';
+
+        populateClientFilter();
+        populateTagFilter();
+        toggleEmptyState(matching.length);
+
+        matching.slice(0, visibleCount).forEach(project => {
+            const card = createProjectCard(project);
+            elements.projectsList.appendChild(card);
+        });
+
+        renderBulkActions(matching);
+
+        const remaining = matching.length - visibleCount;
+        elements.loadMoreBtn.classList.toggle('hidden', remaining <= 0);
+        elements.loadMoreBtn.textContent = `Show ${Math.min(remaining, PROJECTS_PAGE_SIZE)} More`;
+
+        const total = `${projects.length} ${projects.length === 1 ? 'project' : 'projects'}`;
+        const archived = projects.filter(project => project.status === 'archived').length;
+        if (ProjectFilters.isFiltered(filters)) {
+            elements.projectsCount.textContent = `${matching.length} of ${total} match`;
+        } else {
+            elements.projectsCount.textContent = archived > 0 ? `${total}, ${archived} archived not shown` : total;
+        }
+    }
+
+    /**
+     * Show the bulk actions bar while any matching project is selected.
+     * Projects the filters now hide are dropped from the selection.
+     */
+    function renderBulkActions(matching) {
+        const matchingIds = new Set(matching.map(project => project.id));
+        selectedIds = new Set([...selectedIds].filter(id => matchingIds.has(id)));
+
+        elements.bulkActions.classList.toggle('hidden', selectedIds.size === 0);
+        elements.selectedCount.textContent = `${selectedIds.size} selected`;
+        elements.selectAllProjects.checked = matching.length > 0 && selectedIds.size === matching.length;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // ================================
+    // Modal Functions
+    // ================================
+
+    /**
+     * Open modal for adding or editing
+     */
+    function openModal(mode = 'add', projectId = null) {
+        editingProjectId = projectId;
+
+        elements.projectForm.reset();
+        elements.exchangeRate.dataset.autofilled = '';
+        elements.editChangedNotice.classList.add('hidden');
+        elements.draftNotice.classList.add('hidden');
+        elements.saveBtn.disabled = false;
+        clearErrors();
+
+        if (mode === 'edit' && projectId) {
+            const project = getProjectById(projectId);
+            if (project) {
+                elements.modalTitle.textContent = 'Edit Project';
+                elements.projectName.value = project.name;
+                populateClientSelect(project.clientId);
+                renderTagPicker(project.tagIds);
+                elements.projectStatus.value = project.status;
+                elements.hoursWorked.value = project.hoursWorked;
+                elements.estimatedHours.value = project.estimatedHours || '';
+                elements.moneyReceived.value = project.amountPaid;
+                elements.quotedPrice.value = project.quotedPrice ?? '';
+                elements.completionDate.value = project.completionDate || '';
+                elements.billingPeriod.value = project.billingPeriod || '';
+                elements.periodStart.value = project.periodStart || '';
+                elements.periodDays.value = project.periodDays || '';
+                elements.periodFee.value = project.periodFee ?? '';
+                elements.includedHours.value = project.includedHours || '';
+                elements.platformFee.value = project.platformFeePercent || '';
+                elements.projectNotes.value = project.notes;
+                elements.projectCurrency.value = project.currency;
+                elements.exchangeRate.value = project.exchangeRateCurrency === Settings.get().homeCurrency
+                    ? project.exchangeRate
+                    : '';
+                updateExchangeRateField();
+                renderSessions(project);
+                renderExpenseRows(project.expenses);
+                renderPaymentRows(project.payments);
+            }
+        } else {
+            elements.modalTitle.textContent = 'Add Project';
+            populateClientSelect();
+            renderTagPicker();
+            const today = new Date().toISOString().split('T')[0];
+            elements.projectStatus.value = 'completed';
+            elements.completionDate.value = today;
+            elements.projectCurrency.value = Settings.get().homeCurrency;
+            updateExchangeRateField();
+            renderSessions(null);
+            renderExpenseRows([]);
+            renderPaymentRows([]);
+        }
+
+        updateRetainerFields();
+        elements.modalOverlay.classList.remove('hidden');
+        elements.projectName.focus();
+
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Show the completion date only for finished projects, filling in
+     * today when a project is first marked completed. Retainer periods
+     * are completed on their last day instead.
+     */
+    function updateCompletionDateField() {
+        const status = elements.projectStatus.value;
+
+        elements.completionDateGroup.classList.toggle('hidden', !Validation.isFinished(status) || Boolean(elements.billingPeriod.value));
+        if (status === 'completed' && !elements.completionDate.value) {
+            elements.completionDate.value = new Date().toISOString().split('T')[0];
+        }
+    }
+
+    /**
+     * Last day of the period being edited, from its start and billing period
+     */
+    function getFormPeriodEnd() {
+        const retainerId = editingProjectId ? getProjectById(editingProjectId)?.retainerId : null;
+        const start = elements.periodStart.value;
+
+        return Retainers.getPeriodEnd(start, elements.billingPeriod.value, elements.periodDays.value,
+            getAnchorDay(retainerId, start, editingProjectId));
+    }
+
+    /**
+     * Show the billing fields for retainers, with the days per period for
+     * custom periods and when the period ends. A new retainer starts today.
+     */
+    function updateRetainerFields() {
+        const billingPeriod = elements.billingPeriod.value;
+
+        elements.retainerGroup.classList.toggle('hidden', !billingPeriod);
+        elements.periodDaysGroup.classList.toggle('hidden', billingPeriod !== 'custom');
+        if (billingPeriod && !elements.periodStart.value) {
+            elements.periodStart.value = getLocalToday();
+        }
+
+        const showEnd = billingPeriod && elements.periodStart.value &&
+            (billingPeriod !== 'custom' || parseInt(elements.periodDays.value, 10) >= 1);
+        elements.periodEndHint.textContent = showEnd ? `Ends ${formatDate(getFormPeriodEnd())}` : '';
+
+        updateCompletionDateField();
+    }
+
+    /**
+     * Render the editable list of logged sessions in the modal.
+     * Hours are read-only while a project has sessions.
+     */
+    function renderSessions(project) {
+        const timeEntries = project ? project.timeEntries : [];
+        const hasSessions = timeEntries.length > 0;
+
+        elements.hoursWorked.readOnly = hasSessions;
+        elements.hoursHint.textContent = hasSessions
+            ? 'Calculated from your logged sessions'
+            : '';
+        elements.sessionsSection.classList.toggle('hidden', !hasSessions);
+        elements.sessionsList.innerHTML = '';
+
+        timeEntries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'session-row';
+            row.dataset.entryId = entry.id;
+
+            row.innerHTML = `
+                <div class="session-times">
+                    <input type="datetime-local" class="form-input session-start" value="${toDateTimeLocal(entry.startedAt)}" aria-label="Session start">
+                    <input type="datetime-local" class="form-input session-end" value="${toDateTimeLocal(entry.endedAt)}" aria-label="Session end">
+                </div>
+                <div class="session-actions">
+                    <span class="session-duration">${formatHours(entry.seconds / 3600)} hrs</span>
+                    <button type="button" class="btn btn-edit" data-session-action="save">Save</button>
+                    <button type="button" class="btn btn-danger" data-session-action="delete">Delete</button>
+                </div>
+            `;
+
+            elements.sessionsList.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the exchange rate field for foreign-currency projects and fill it
+     * from the rates on file unless the user has typed their own
+     */
+    function updateExchangeRateField() {
+        const homeCurrency = Settings.get().homeCurrency;
+        const currency = elements.projectCurrency.value;
+        const isForeign = currency !== homeCurrency;
+
+        elements.exchangeRateGroup.classList.toggle('hidden', !isForeign);
+        elements.exchangeRateLabel.textContent = `Exchange Rate (${homeCurrency} per 1 ${currency})`;
+
+        if (isForeign && (!elements.exchangeRate.value || elements.exchangeRate.dataset.autofilled)) {
+            const rate = Currency.findRate(currency, homeCurrency, elements.completionDate.value);
+            elements.exchangeRate.value = rate ? parseFloat(rate.toFixed(6)) : '';
+            elements.exchangeRate.dataset.autofilled = rate ? 'true' : '';
+        }
+    }
+
+    /**
+     * Fill a currency select with the supported currencies
+     */
+    function populateCurrencySelect(select) {
+        select.innerHTML = Currency.CURRENCIES
+            .map(code => `<option value="${code}">${code}</option>`)
+            .join('');
+    }
+
+    /**
+     * Render the expense line items in the modal
+     */
+    function renderExpenseRows(expenses) {
+        elements.expensesList.innerHTML = '';
+        expenses.forEach(expense => addExpenseRow(expense));
+    }
+
+    /**
+     * Append one editable expense line item to the modal
+     */
+    function addExpenseRow(expense = { category: 'software', description: '', amount: '' }) {
+        const row = document.createElement('div');
+        row.className = 'expense-row';
+
+        const options = Object.entries(EXPENSE_CATEGORIES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        row.innerHTML = `
+            <select class="form-input expense-category" aria-label="Expense category">${options}</select>
+            <input type="text" class="form-input expense-description" placeholder="Description" maxlength="100" aria-label="Expense description">
+            <input type="number" class="form-input expense-amount" placeholder="0.00" step="0.01" min="0" aria-label="Expense amount">
+            <button type="button" class="btn-close expense-remove" data-expense-action="remove" aria-label="Remove expense">
+                <span>&times;</span>
+            </button>
+        `;
+
+        row.querySelector('.expense-category').value = expense.category;
+        row.querySelector('.expense-description').value = expense.description;
+        row.querySelector('.expense-amount').value = expense.amount;
+
+        elements.expensesList.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Read the expense line items currently in the modal
+     */
+    function getExpenseRows() {
+        return Array.from(elements.expensesList.querySelectorAll('.expense-row')).map(row => ({
+            category: row.querySelector('.expense-category').value,
+            description: row.querySelector('.expense-description').value,
+            amount: row.querySelector('.expense-amount').value
+        }));
+    }
+
+    /**
+     * Render the payments received in the modal
+     */
+    function renderPaymentRows(payments) {
+        elements.paymentsList.innerHTML = '';
+        payments.forEach(payment => addPaymentRow(payment));
+        updateMoneyFromPayments();
+    }
+
+    /**
+     * Append one editable payment to the modal
+     */
+    function addPaymentRow(payment = { paidOn: new Date().toISOString().split('T')[0], amount: '', note: '' }) {
+        const row = document.createElement('div');
+        row.className = 'expense-row payment-row';
+
+        row.innerHTML = `
+            <input type="date" class="form-input payment-date" aria-label="Payment date">
+            <input type="text" class="form-input payment-note" placeholder="Note, e.g. Deposit" maxlength="100" aria-label="Payment note">
+            <input type="number" class="form-input payment-amount" placeholder="0.00" step="0.01" min="0" aria-label="Payment amount">
+            <button type="button" class="btn-close expense-remove" data-payment-action="remove" aria-label="Remove payment">
+                <span>&times;</span>
+            </button>
+        `;
+
+        row.querySelector('.payment-date').value = payment.paidOn;
+        row.querySelector('.payment-note').value = payment.note;
+        row.querySelector('.payment-amount').value = payment.amount;
+
+        elements.paymentsList.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Read the payments currently in the modal
+     */
+    function getPaymentRows() {
+        return Array.from(elements.paymentsList.querySelectorAll('.payment-row')).map(row => ({
+            paidOn: row.querySelector('.payment-date').value,
+            amount: row.querySelector('.payment-amount').value,
+            note: row.querySelector('.payment-note').value
+        }));
+    }
+
+    /**
+     * Money received is the total of the payments while there are any
+     */
+    function updateMoneyFromPayments() {
+        const payments = getPaymentRows();
+        const hasPayments = payments.length > 0;
+
+        elements.moneyReceived.readOnly = hasPayments;
+        elements.moneyHint.textContent = hasPayments ? 'Calculated from the payments below' : '';
+        if (hasPayments) {
+            elements.moneyReceived.value = getPaymentsTotal(payments.filter(payment => parseFloat(payment.amount) > 0));
+        }
+    }
+
+    /**
+     * Close modal
+     */
+    function closeModal() {
+        elements.modalOverlay.classList.add('hidden');
+        elements.projectForm.reset();
+        clearErrors();
+        editingProjectId = null;
+        convertingQuoteId = null;
+
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Clear all form errors
+     */
+    function clearErrors() {
+        elements.nameError.textContent = '';
+        elements.clientError.textContent = '';
+        elements.hoursError.textContent = '';
+        elements.estimatedHoursError.textContent = '';
+        elements.quotedPriceError.textContent = '';
+        elements.moneyError.textContent = '';
+        elements.dateError.textContent = '';
+        elements.billingPeriodError.textContent = '';
+        elements.periodStartError.textContent = '';
+        elements.periodDaysError.textContent = '';
+        elements.periodFeeError.textContent = '';
+        elements.includedHoursError.textContent = '';
+        elements.feeError.textContent = '';
+        elements.rateError.textContent = '';
+        elements.expensesError.textContent = '';
+        elements.paymentsError.textContent = '';
+
+        elements.projectName.classList.remove('error');
+        elements.newClientName.classList.remove('error');
+        elements.hoursWorked.classList.remove('error');
+        elements.estimatedHours.classList.remove('error');
+        elements.quotedPrice.classList.remove('error');
+        elements.moneyReceived.classList.remove('error');
+        elements.completionDate.classList.remove('error');
+        elements.billingPeriod.classList.remove('error');
+        elements.periodStart.classList.remove('error');
+        elements.periodDays.classList.remove('error');
+        elements.periodFee.classList.remove('error');
+        elements.includedHours.classList.remove('error');
+        elements.platformFee.classList.remove('error');
+        elements.projectCurrency.classList.remove('error');
+        elements.exchangeRate.classList.remove('error');
+        elements.expensesList.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+        elements.paymentsList.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+
+    /**
+     * Check project data against the project rules under the current settings
+     */
+    function getValidationErrors(data) {
+        return Validation.getProjectErrors(data, {
+            homeCurrency: Settings.get().homeCurrency,
+            currencies: Currency.CURRENCIES
+        });
+    }
+
+    /**
+     * Validate form inputs and show any errors beside their fields
+     */
+    function validateForm(data) {
+        clearErrors();
+
+        const errors = getValidationErrors(data);
+        const fields = {
+            name: [elements.nameError, elements.projectName],
+            hoursWorked: [elements.hoursError, elements.hoursWorked],
+            estimatedHours: [elements.estimatedHoursError, elements.estimatedHours],
+            moneyReceived: [elements.moneyError, elements.moneyReceived],
+            quotedPrice: [elements.quotedPriceError, elements.quotedPrice],
+            completionDate: [elements.dateError, elements.completionDate],
+            billingPeriod: [elements.billingPeriodError, elements.billingPeriod],
+            periodStart: [elements.periodStartError, elements.periodStart],
+            periodDays: [elements.periodDaysError, elements.periodDays],
+            periodFee: [elements.periodFeeError, elements.periodFee],
+            includedHours: [elements.includedHoursError, elements.includedHours],
+            platformFeePercent: [elements.feeError, elements.platformFee],
+            currency: [elements.rateError, elements.projectCurrency],
+            exchangeRate: [elements.rateError, elements.exchangeRate]
+        };
+
+        Object.entries(fields).forEach(([field, [errorElement, input]]) => {
+            if (!errors[field]) return;
+            errorElement.textContent = errors[field];
+            input.classList.add('error');
+        });
+
+        if (errors.expenses) {
+            elements.expensesError.textContent = errors.expenses;
+            elements.expensesList.querySelectorAll('.expense-amount').forEach(input => {
+                if (Validation.isNegativeOrBlank(input.value)) input.classList.add('error');
+            });
+        }
+
+        if (errors.payments) {
+            elements.paymentsError.textContent = errors.payments;
+            elements.paymentsList.querySelectorAll('.payment-row').forEach(row => {
+                const date = row.querySelector('.payment-date');
+                const amount = row.querySelector('.payment-amount');
+                if (!date.value) date.classList.add('error');
+                if (!(parseFloat(amount.value) > 0)) amount.classList.add('error');
+            });
+        }
+
+        return Object.keys(errors).length === 0;
+    }
+
+    // ================================
+    // Settings Modal
+    // ================================
+
+    /**
+     * Open the settings modal with the saved values
+     */
+    function openSettings() {
+        const settings = Settings.get();
+
+        elements.settingsForm.reset();
+        clearSettingsErrors();
+
+        elements.selfEmploymentRate.value = settings.selfEmploymentRate || '';
+        elements.bracketsList.innerHTML = '';
+        settings.taxBrackets.forEach(bracket => addBracketRow(bracket));
+        elements.dueDateInputs.forEach((input, quarter) => {
+            input.value = settings.taxDueDates[quarter];
+        });
+        elements.homeCurrency.value = settings.homeCurrency;
+        elements.targetRate.value = settings.targetRate || '';
+        elements.monthlyIncomeGoal.value = settings.monthlyIncomeGoal || '';
+        elements.businessName.value = settings.businessName;
+        elements.businessDetails.value = settings.businessDetails;
+        elements.invoicePrefix.value = settings.invoicePrefix;
+        elements.paymentTerms.value = settings.paymentTermsDays;
+        elements.trashDays.value = settings.trashDays;
+        updateRatesStatus();
+
+        elements.settingsOverlay.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close the settings modal
+     */
+    function closeSettings() {
+        elements.settingsOverlay.classList.add('hidden');
+        clearSettingsErrors();
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Show how many exchange rates are on file
+     */
+    function updateRatesStatus(message = '') {
+        const count = Currency.getRateCount();
+        const onFile = `${count} exchange ${count === 1 ? 'rate' : 'rates'} on file.`;
+        elements.ratesStatus.textContent = message ? `${message} ${onFile}` : onFile;
+    }
+
+    /**
+     * Import exchange rates from a CSV file chosen in settings
+     */
+    async function handleRatesFile() {
+        const file = elements.ratesFile.files[0];
+        if (!file) return;
+
+        try {
+            const homeCurrency = elements.homeCurrency.value;
+            const result = await Currency.importRates(await file.text(), homeCurrency);
+            const skipped = result.skipped.length > 0
+                ? ` Skipped ${result.skipped.length} (line ${result.skipped[0].line}: ${result.skipped[0].reason}).`
+                : '';
+            updateRatesStatus(`Imported ${result.imported}.${skipped}`);
+            renderProjects();
+        } catch (error) {
+            console.error('Error importing exchange rates:', error);
+            updateRatesStatus('Import failed.');
+        }
+
+        elements.ratesFile.value = '';
+    }
+
+    /**
+     * Append one editable tax bracket row
+     */
+    function addBracketRow(bracket = { from: '', rate: '' }) {
+        const row = document.createElement('div');
+        row.className = 'bracket-row';
+
+        row.innerHTML = `
+            <input type="number" class="form-input bracket-from" placeholder="Income from" step="0.01" min="0" aria-label="Income from">
+            <input type="number" class="form-input bracket-rate" placeholder="Rate %" step="0.01" min="0" max="100" aria-label="Tax rate">
+            <button type="button" class="btn-close" data-bracket-action="remove" aria-label="Remove bracket">
+                <span>&times;</span>
+            </button>
+        `;
+
+        row.querySelector('.bracket-from').value = bracket.from;
+        row.querySelector('.bracket-rate').value = bracket.rate;
+
+        elements.bracketsList.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Clear all settings form errors
+     */
+    function clearSettingsErrors() {
+        elements.seRateError.textContent = '';
+        elements.bracketsError.textContent = '';
+        elements.dueDatesError.textContent = '';
+        elements.targetRateError.textContent = '';
+        elements.incomeGoalError.textContent = '';
+        elements.paymentTermsError.textContent = '';
+        elements.trashDaysError.textContent = '';
+        elements.settingsForm.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+
+    /**
+     * Validate settings inputs
+     */
+    function validateSettings(data) {
+        let isValid = true;
+        clearSettingsErrors();
+
+        const seRate = parseFloat(data.selfEmploymentRate);
+        if (data.selfEmploymentRate && (isNaN(seRate) || seRate < 0 || seRate > 100)) {
+            elements.seRateError.textContent = 'Rate must be between 0 and 100';
+            elements.selfEmploymentRate.classList.add('error');
+            isValid = false;
+        }
+
+        const rows = elements.bracketsList.querySelectorAll('.bracket-row');
+        data.taxBrackets.forEach((bracket, index) => {
+            const from = parseFloat(bracket.from);
+            const rate = parseFloat(bracket.rate);
+            if (isNaN(from) || from < 0 || isNaN(rate) || rate < 0 || rate > 100) {
+                elements.bracketsError.textContent = 'Each bracket needs a threshold of 0 or more and a rate between 0 and 100';
+                rows[index].querySelectorAll('.form-input').forEach(input => input.classList.add('error'));
+                isValid = false;
+            }
+        });
+
+        data.taxDueDates.forEach((dueDate, quarter) => {
+            const [month, day] = dueDate.split('-').map(Number);
+            if (!/^\d{2}-\d{2}$/.test(dueDate) || month < 1 || month > 12 || day < 1 || day > 31) {
+                elements.dueDatesError.textContent = 'Use MM-DD, e.g. 04-15';
+                elements.dueDateInputs[quarter].classList.add('error');
+                isValid = false;
+            }
+        });
+
+        const targetRate = parseFloat(data.targetRate);
+        if (data.targetRate && (isNaN(targetRate) || targetRate <= 0)) {
+            elements.targetRateError.textContent = 'Target rate must be greater than 0';
+            elements.targetRate.classList.add('error');
+            isValid = false;
+        }
+
+        const incomeGoal = parseFloat(data.monthlyIncomeGoal);
+        if (data.monthlyIncomeGoal && (isNaN(incomeGoal) || incomeGoal <= 0)) {
+            elements.incomeGoalError.textContent = 'Income goal must be greater than 0';
+            elements.monthlyIncomeGoal.classList.add('error');
+            isValid = false;
+        }
+
+        const paymentTerms = Number(data.paymentTermsDays);
+        if (data.paymentTermsDays === '' || !Number.isInteger(paymentTerms) || paymentTerms < 0 || paymentTerms > 365) {
+            elements.paymentTermsError.textContent = 'Payment terms must be a whole number of days from 0 to 365';
+            elements.paymentTerms.classList.add('error');
+            isValid = false;
+        }
+
+        const trashDays = Number(data.trashDays);
+        if (data.trashDays === '' || !Number.isInteger(trashDays) || trashDays < 1 || trashDays > 365) {
+            elements.trashDaysError.textContent = 'Keep deleted projects for a whole number of days from 1 to 365';
+            elements.trashDays.classList.add('error');
+            isValid = false;
+        }
+
+        return isValid;
+    }
+
+    /**
+     * Handle settings form submission
+     */
+    async function handleSettingsSubmit(event) {
+        event.preventDefault();
+
+        const formData = {
+            selfEmploymentRate: elements.selfEmploymentRate.value,
+            taxBrackets: Array.from(elements.bracketsList.querySelectorAll('.bracket-row')).map(row => ({
+                from: row.querySelector('.bracket-from').value,
+                rate: row.querySelector('.bracket-rate').value
+            })),
+            taxDueDates: Array.from(elements.dueDateInputs).map(input => input.value.trim()),
+            homeCurrency: elements.homeCurrency.value,
+            targetRate: elements.targetRate.value,
+            monthlyIncomeGoal: elements.monthlyIncomeGoal.value,
+            businessName: elements.businessName.value.trim(),
+            businessDetails: elements.businessDetails.value.trim(),
+            invoicePrefix: elements.invoicePrefix.value.trim(),
+            paymentTermsDays: elements.paymentTerms.value.trim(),
+            trashDays: elements.trashDays.value.trim()
+        };
+
+        if (!validateSettings(formData)) {
+            return;
+        }
+
+        elements.saveSettingsBtn.disabled = true;
+        elements.saveSettingsBtn.textContent = 'Saving...';
+
+        try {
+            await Settings.save({
+                selfEmploymentRate: parseFloat(formData.selfEmploymentRate) || 0,
+                taxBrackets: formData.taxBrackets.map(bracket => ({
+                    from: parseFloat(bracket.from),
+                    rate: parseFloat(bracket.rate)
+                })),
+                taxDueDates: formData.taxDueDates,
+                homeCurrency: formData.homeCurrency,
+                targetRate: parseFloat(formData.targetRate) || null,
+                monthlyIncomeGoal: parseFloat(formData.monthlyIncomeGoal) || null,
+                businessName: formData.businessName,
+                businessDetails: formData.businessDetails,
+                invoicePrefix: formData.invoicePrefix,
+                paymentTermsDays: Number(formData.paymentTermsDays),
+                trashDays: Number(formData.trashDays)
+            });
+
+            closeSettings();
+            renderProjects();
+            renderMonthlyView();
+            renderOpenTab();
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            alert('Failed to save settings. Please try again.');
+        }
+
+        elements.saveSettingsBtn.disabled = false;
+        elements.saveSettingsBtn.textContent = 'Save Settings';
+    }
+
+    // ================================
+    // Quote Calculator
+    // ================================
+
+    /**
+     * Open the quote calculator
+     */
+    function openQuote() {
+        elements.quoteForm.reset();
+        clearQuoteErrors();
+        elements.quoteRateCurrency.textContent = Settings.get().homeCurrency;
+        elements.quoteRate.value = Settings.get().targetRate || '';
+        elements.quoteClient.innerHTML = '<option value="">Any client</option>' + Clients.getAll().map(client =>
+            `<option value="${client.id}">${escapeHtml(client.name)}</option>`
+        ).join('');
+        elements.quoteTag.innerHTML = '<option value="">Any tag</option>' + Tags.getAll().map(tag =>
+            `<option value="${tag.id}">${escapeHtml(tag.name)}</option>`
+        ).join('');
+
+        updateQuote();
+        renderSavedQuotes();
+
+        elements.quoteOverlay.classList.remove('hidden');
+        elements.quoteName.focus();
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close the quote calculator
+     */
+    function closeQuote() {
+        elements.quoteOverlay.classList.add('hidden');
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Clear the quote calculator's field errors
+     */
+    function clearQuoteErrors() {
+        elements.quoteNameError.textContent = '';
+        elements.quoteHoursError.textContent = '';
+        elements.quoteRateError.textContent = '';
+        elements.quoteName.classList.remove('error');
+        elements.quoteHours.classList.remove('error');
+        elements.quoteRate.classList.remove('error');
+    }
+
+    /**
+     * Price the quote from similar past projects as the inputs change
+     */
+    function updateQuote() {
+        const estimatedHours = parseFloat(elements.quoteHours.value);
+        const targetRate = parseFloat(elements.quoteRate.value);
+        const clientId = elements.quoteClient.value || null;
+        const tagId = elements.quoteTag.value || null;
+
+        if (!(estimatedHours > 0) || !(targetRate >= 0)) {
+            currentQuote = null;
+            elements.quoteResult.classList.add('hidden');
+            return;
+        }
+
+        const similar = Calculations.findSimilarProjects(getReportProjects(), { clientId, tagId, estimatedHours });
+        currentQuote = {
+            estimatedHours,
+            targetRate,
+            ...Calculations.calculateQuote(estimatedHours, targetRate, similar.projects)
+        };
+
+        elements.quoteSuggested.textContent = formatCurrency(currentQuote.suggestedPrice);
+        elements.quoteP50.textContent = formatCurrency(currentQuote.p50Price);
+        elements.quoteP90.textContent = formatCurrency(currentQuote.p90Price);
+        elements.quoteBasis.textContent = describeQuoteBasis(currentQuote, similar.basis, clientId, tagId);
+        elements.quoteResult.classList.remove('hidden');
+    }
+
+    /**
+     * Explain which past projects a quote was priced from
+     */
+    function describeQuoteBasis(quote, basis, clientId, tagId) {
+        const tag = Tags.getById(tagId);
+
+        if (quote.sampleSize === 0) {
+            if (tag) {
+                return `None of your past projects tagged ${tag.name} has an estimate yet, so this assumes your estimate is right.`;
+            }
+            return 'None of your past projects has an estimate yet, so this assumes your estimate is right. ' +
+                'Projects created from quotes keep their estimate, so suggestions improve as you go.';
+        }
+
+        const client = Clients.getById(clientId);
+        const which = {
+            client: `for ${client ? client.name : 'this client'}`,
+            size: 'of a similar size',
+            all: 'with an estimate'
+        }[basis];
+        const count = quote.sampleSize === 1 ? '1 past project' : `${quote.sampleSize} past projects`;
+        const tagged = tag ? ` tagged ${tag.name}` : '';
+
+        return `Based on ${count}${tagged} ${which}, which took ${quote.overrunFactor.toFixed(2)}× their estimated hours on average ` +
+            `(${quote.p50Factor.toFixed(2)}× typically, ${quote.p90Factor.toFixed(2)}× nine times out of ten). ` +
+            `Your estimate at your target rate is ${formatCurrency(quote.basePrice)}.`;
+    }
+
+    /**
+     * Save the priced quote
+     */
+    async function handleQuoteSubmit(event) {
+        event.preventDefault();
+        clearQuoteErrors();
+
+        const fields = [
+            [!elements.quoteName.value.trim(), elements.quoteName, elements.quoteNameError, 'Project name is required'],
+            [!(parseFloat(elements.quoteHours.value) > 0), elements.quoteHours, elements.quoteHoursError, 'Estimated hours must be greater than 0'],
+            [Validation.isNegativeOrBlank(elements.quoteRate.value), elements.quoteRate, elements.quoteRateError, 'Target rate must be 0 or greater']
+        ];
+
+        const invalid = fields.filter(([isInvalid]) => isInvalid);
+        invalid.forEach(([, input, errorElement, message]) => {
+            errorElement.textContent = message;
+            input.classList.add('error');
+        });
+
+        if (invalid.length > 0 || !currentQuote) return;
+
+        try {
+            await Quotes.add({
+                ...currentQuote,
+                name: elements.quoteName.value,
+                clientId: elements.quoteClient.value || null,
+                currency: Settings.get().homeCurrency
+            });
+
+            elements.quoteForm.reset();
+            updateQuote();
+            renderSavedQuotes();
+        } catch (error) {
+            console.error('Error saving quote:', error);
+            alert('Failed to save quote. Please try again.');
+        }
+    }
+
+    /**
+     * Render the saved quotes in the quote calculator
+     */
+    function renderSavedQuotes() {
+        const quotes = Quotes.getAll();
+
+        elements.quotesEmpty.classList.toggle('hidden', quotes.length > 0);
+        elements.quotesList.innerHTML = quotes.map(quote => {
+            const client = Clients.getById(quote.clientId);
+            const action = quote.projectId
+                ? '<span class="quote-converted">Project created</span>'
+                : `<button type="button" class="btn btn-edit" data-quote-action="convert" data-id="${quote.id}">Create Project</button>`;
+
+            return `
+                <div class="quote-item">
+                    <div class="quote-item-info">
+                        <div class="monthly-project-name">${escapeHtml(quote.name)}</div>
+                        ${client ? `<div class="monthly-project-client">${escapeHtml(client.name)}</div>` : ''}
+                        <div class="monthly-project-date">
+                            ${formatHours(quote.estimatedHours)} hrs at ${formatCurrency(quote.targetRate, quote.currency)}/hr
+                            &middot; ${formatDate(new Date(quote.createdAt))}
+                        </div>
+                    </div>
+                    <div class="monthly-project-stat">
+                        <span class="monthly-project-stat-label">P50 &ndash; P90 ${formatCurrency(quote.p50Price, quote.currency)} &ndash; ${formatCurrency(quote.p90Price, quote.currency)}</span>
+                        <span class="monthly-project-stat-value">${formatCurrency(quote.suggestedPrice, quote.currency)}</span>
+                    </div>
+                    <div class="quote-item-actions">
+                        ${action}
+                        <button type="button" class="btn btn-danger" data-quote-action="delete" data-id="${quote.id}">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Handle Create Project/Delete clicks on a saved quote
+     */
+    async function handleQuoteAction(event) {
+        const button = event.target.closest('[data-quote-action]');
+        if (!button) return;
+
+        const quote = Quotes.getById(button.dataset.id);
+        if (!quote) return;
+
+        if (button.dataset.quoteAction === 'convert') {
+            closeQuote();
+            openModal('add');
+            convertingQuoteId = quote.id;
+
+            elements.modalTitle.textContent = 'New Project from Quote';
+            elements.projectName.value = quote.name;
+            populateClientSelect(quote.clientId);
+            elements.projectCurrency.value = quote.currency;
+            elements.estimatedHours.value = quote.estimatedHours;
+            elements.moneyReceived.value = quote.suggestedPrice.toFixed(2);
+            elements.quotedPrice.value = quote.suggestedPrice.toFixed(2);
+            updateExchangeRateField();
+            return;
+        }
+
+        if (!confirm(`Delete the quote for "${quote.name}"?`)) return;
+
+        try {
+            await Quotes.remove(quote.id);
+            renderSavedQuotes();
+        } catch (error) {
+            console.error('Error deleting quote:', error);
+            alert('Failed to delete quote. Please try again.');
+        }
+    }
+
+    /**
+     * Record that a quote was turned into a project
+     */
+    async function linkQuoteToProject(quoteId, projectId) {
+        try {
+            await Quotes.markConverted(quoteId, projectId);
+        } catch (error) {
+            console.error('Error linking quote:', error);
+            alert('The project was saved, but its quote could not be marked as won. Please try again later.');
+        }
+    }
+
+    // ================================
+    // Trash and Undo
+    // ================================
+
+    /**
+     * Show a toast offering to undo the delete that just happened
+     */
+    function showUndoToast(message, ids) {
+        clearTimeout(undoTimeout);
+        undoIds = ids;
+        elements.undoToastMessage.textContent = message;
+        elements.undoToast.classList.remove('hidden');
+        undoTimeout = setTimeout(hideUndoToast, UNDO_TOAST_MS);
+    }
+
+    /**
+     * Hide the undo toast
+     */
+    function hideUndoToast() {
+        clearTimeout(undoTimeout);
+        undoIds = [];
+        elements.undoToast.classList.add('hidden');
+    }
+
+    /**
+     * Take the projects just deleted back out of the trash
+     */
+    async function handleUndo() {
+        const ids = undoIds;
+        hideUndoToast();
+
+        if (ids.length > 0 && await restoreProjects(ids)) {
+            renderProjects();
+            renderOpenTab();
+        }
+    }
+
+    /**
+     * Render the Trash tab: deleted projects and when each goes for good
+     */
+    function renderTrashView() {
+        const days = Settings.get().trashDays;
+        const empty = trashedProjects.length === 0;
+
+        elements.trashEmpty.classList.toggle('hidden', !empty);
+        elements.trashReport.classList.toggle('hidden', empty);
+        elements.emptyTrashBtn.classList.toggle('hidden', empty);
+        elements.trashSummary.textContent = `Deleted projects are removed for good after ${days} ${days === 1 ? 'day' : 'days'}. ` +
+            'Change this in Settings.';
+
+        elements.trashTable.innerHTML = trashedProjects.map(project => `
+            <tr>
+                <td>${escapeHtml(project.name)}</td>
+                <td>${escapeHtml(Clients.getById(project.clientId)?.name || '') || '&ndash;'}</td>
+                <td>${formatDate(new Date(project.deletedAt))}</td>
+                <td>${formatDate(getPurgeDate(project))}</td>
+                <td class="tag-actions">
+                    <button class="btn btn-edit" data-trash-action="restore" data-id="${project.id}">Restore</button>
+                    <button class="btn btn-danger" data-trash-action="purge" data-id="${project.id}">Delete Forever</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Handle Restore/Delete Forever clicks in the Trash tab
+     */
+    async function handleTrashAction(event) {
+        const button = event.target.closest('[data-trash-action]');
+        if (!button) return;
+
+        const project = trashedProjects.find(p => p.id === button.dataset.id);
+        if (!project) return;
+
+        if (button.dataset.trashAction === 'restore') {
+            if (!await restoreProjects([project.id])) return;
+        } else {
+            if (!confirm(`Delete "${project.name}" for good? This can't be undone.`)) return;
+            if (!await purgeProjects([project.id])) return;
+        }
+
+        renderProjects();
+        renderTrashView();
+    }
+
+    /**
+     * Delete everything in the trash for good
+     */
+    async function handleEmptyTrash() {
+        const count = trashedProjects.length;
+        if (count === 0) return;
+        if (!confirm(`Delete ${count} ${count === 1 ? 'project' : 'projects'} for good? This can't be undone.`)) return;
+
+        await purgeProjects(trashedProjects.map(project => project.id));
+        renderTrashView();
+    }
+
+    // ================================
+    // Bulk Actions
+    // ================================
+
+    /**
+     * Tick or untick a project card for bulk actions
+     */
+    function handleProjectSelect(event) {
+        const checkbox = event.target.closest('.project-select');
+        if (!checkbox) return;
+
+        if (checkbox.checked) {
+            selectedIds.add(checkbox.dataset.id);
+        } else {
+            selectedIds.delete(checkbox.dataset.id);
+        }
+        renderBulkActions(getMatchingProjects());
+    }
+
+    /**
+     * Select every project the filters match, or none
+     */
+    function handleSelectAll() {
+        const matching = getMatchingProjects();
+        selectedIds = elements.selectAllProjects.checked ? new Set(matching.map(project => project.id)) : new Set();
+        renderProjects();
+    }
+
+    /**
+     * Clear the selection
+     */
+    function clearSelection() {
+        selectedIds = new Set();
+        renderProjects();
+    }
+
+    /**
+     * Archive every selected project
+     */
+    async function handleBulkArchive() {
+        if (await archiveProjects([...selectedIds])) {
+            selectedIds = new Set();
+            renderProjects();
+            renderOpenTab();
+        }
+    }
+
+    /**
+     * Move every selected project to the trash
+     */
+    async function handleBulkDelete() {
+        if (await deleteProjects([...selectedIds])) {
+            selectedIds = new Set();
+            renderProjects();
+            renderOpenTab();
+        }
+    }
+
+    // ================================
+    // Invoices
+    // ================================
+
+    /**
+     * Today as YYYY-MM-DD
+     */
+    function getToday() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    /**
+     * Name of an invoice's client, or an empty string without one
+     */
+    function getInvoiceClientName(invoice) {
+        return Clients.getById(invoice.clientId)?.name || '';
+    }
+
+    /**
+     * Render the Invoices tab: every invoice with its balance and status
+     */
+    function renderInvoicesView() {
+        const invoices = Invoices.getAll();
+        const today = getToday();
+
+        elements.invoicesEmpty.classList.toggle('hidden', invoices.length > 0);
+        elements.invoicesReport.classList.toggle('hidden', invoices.length === 0);
+
+        const open = invoices.filter(invoice => !['draft', 'paid'].includes(Invoices.getStatus(invoice, today)));
+        const overdue = open.filter(invoice => Invoices.getStatus(invoice, today) === 'overdue');
+        const homeCurrency = Settings.get().homeCurrency;
+        const outstanding = open.reduce((sum, invoice) => {
+            const rate = Currency.findRate(invoice.currency, homeCurrency, invoice.issueDate);
+            return rate === null ? sum : sum + Invoices.getBalance(invoice) * rate;
+        }, 0);
+
+        elements.invoicesSummary.textContent = open.length > 0
+            ? `${formatCurrency(outstanding)} outstanding on ${open.length} ${open.length === 1 ? 'invoice' : 'invoices'}` +
+                (overdue.length > 0 ? `, ${overdue.length} overdue.` : '.')
+            : '';
+
+        elements.invoicesTable.innerHTML = invoices.map(invoice => {
+            const status = Invoices.getStatus(invoice, today);
+            const actions = [
+                `<a class="btn btn-edit" href="invoice.html?id=${invoice.id}" target="_blank" rel="noopener">View</a>`,
+                status === 'draft' ? `<button class="btn btn-edit" data-invoice-action="edit" data-id="${invoice.id}">Edit</button>` : '',
+                status === 'draft' ? `<button class="btn btn-edit" data-invoice-action="send" data-id="${invoice.id}">Mark Sent</button>` : '',
+                !['draft', 'paid'].includes(status) ? `<button class="btn btn-edit" data-invoice-action="payment" data-id="${invoice.id}">Record Payment</button>` : '',
+                `<button class="btn btn-danger" data-invoice-action="delete" data-id="${invoice.id}">Delete</button>`
+            ].join('');
+
+            return `
+                <tr>
+                    <td>${escapeHtml(invoice.number)}</td>
+                    <td>${escapeHtml(getInvoiceClientName(invoice)) || '&ndash;'}</td>
+                    <td>${formatDate(invoice.issueDate)}</td>
+                    <td>${formatDate(invoice.dueDate)}</td>
+                    <td>${formatCurrency(Invoices.getTotal(invoice), invoice.currency)}</td>
+                    <td>${formatCurrency(Invoices.getBalance(invoice), invoice.currency)}</td>
+                    <td><span class="invoice-status invoice-status-${status}">${Invoices.STATUSES[status]}</span></td>
+                    <td class="tag-actions">${actions}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show a reminder above the tabs while any sent invoice is past due
+     */
+    function renderOverdueReminder() {
+        const today = getToday();
+        const overdue = Invoices.getAll()
+            .filter(invoice => Invoices.getStatus(invoice, today) === 'overdue')
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+        elements.overdueReminder.classList.toggle('hidden', overdue.length === 0 || overdueDismissed);
+        if (overdue.length === 0) return;
+
+        const describe = invoice => {
+            const client = getInvoiceClientName(invoice);
+            const days = Invoices.daysBetween(invoice.dueDate, today);
+            return `${invoice.number}${client ? ` for ${client}` : ''} ` +
+                `(${formatCurrency(Invoices.getBalance(invoice), invoice.currency)}, ${days} ${days === 1 ? 'day' : 'days'} late)`;
+        };
+
+        elements.overdueReminderMessage.textContent = overdue.length === 1
+            ? `Invoice ${describe(overdue[0])} is overdue.`
+            : `${overdue.length} invoices are overdue. The oldest is ${describe(overdue[0])}.`;
+    }
+
+    /**
+     * Open the invoice editor for a new invoice, or to edit a draft
+     */
+    function openInvoice(invoiceId = null) {
+        const invoice = Invoices.getById(invoiceId);
+        const settings = Settings.get();
+        const today = getToday();
+
+        editingInvoiceId = invoice ? invoice.id : null;
+        elements.invoiceForm.reset();
+        clearInvoiceErrors();
+
+        elements.invoiceModalTitle.textContent = invoice ? `Edit Invoice ${invoice.number}` : 'New Invoice';
+        elements.invoiceClient.innerHTML = '<option value="">No client</option>' + Clients.getAll().map(client =>
+            `<option value="${client.id}">${escapeHtml(client.name)}</option>`
+        ).join('');
+
+        elements.invoiceNumber.value = invoice
+            ? invoice.number
+            : Invoices.getNextNumber(Invoices.getAll().map(existing => existing.number), settings.invoicePrefix);
+        elements.invoiceClient.value = invoice?.clientId || '';
+        elements.invoiceCurrency.value = invoice ? invoice.currency : settings.homeCurrency;
+        elements.invoiceIssueDate.value = invoice ? invoice.issueDate : today;
+        elements.invoiceDueDate.value = invoice ? invoice.dueDate : Invoices.addDays(today, settings.paymentTermsDays);
+        elements.invoiceRate.value = settings.targetRate || '';
+        elements.invoiceNotes.value = invoice ? invoice.notes : '';
+
+        elements.invoiceItems.innerHTML = '';
+        (invoice ? invoice.items : []).forEach(item => addInvoiceItemRow(item));
+
+        renderInvoiceProjects();
+        updateInvoiceBasis();
+        updateInvoiceTotal();
+
+        elements.invoiceOverlay.classList.remove('hidden');
+        elements.invoiceNumber.focus();
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close the invoice editor
+     */
+    function closeInvoice() {
+        elements.invoiceOverlay.classList.add('hidden');
+        editingInvoiceId = null;
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Clear the invoice editor's field errors
+     */
+    function clearInvoiceErrors() {
+        elements.invoiceNumberError.textContent = '';
+        elements.invoiceDatesError.textContent = '';
+        elements.invoiceRateError.textContent = '';
+        elements.invoiceItemsError.textContent = '';
+        elements.invoiceForm.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+
+    /**
+     * List the chosen client's projects to bill, checking the ones already
+     * on the invoice and noting any billed on another invoice
+     */
+    function renderInvoiceProjects() {
+        const clientId = elements.invoiceClient.value;
+        const onInvoice = new Set(getInvoiceItemRows().map(item => item.projectId).filter(Boolean));
+        const billedElsewhere = new Map();
+        Invoices.getAll()
+            .filter(invoice => invoice.id !== editingInvoiceId)
+            .forEach(invoice => invoice.items.forEach(item => {
+                if (item.projectId) billedElsewhere.set(item.projectId, invoice.number);
+            }));
+
+        const listed = projects.filter(project => !clientId || project.clientId === clientId || onInvoice.has(project.id));
+
+        elements.invoiceProjects.innerHTML = listed.length === 0
+            ? '<span class="form-hint">No projects for this client yet.</span>'
+            : listed.map(project => `
+                <label class="tag-option">
+                    <input type="checkbox" value="${project.id}" ${onInvoice.has(project.id) ? 'checked' : ''}>
+                    <span>
+                        ${escapeHtml(project.name)}
+                        ${billedElsewhere.has(project.id) ? `<em class="invoice-billed">on ${escapeHtml(billedElsewhere.get(project.id))}</em>` : ''}
+                    </span>
+                </label>
+            `).join('');
+    }
+
+    /**
+     * Show the hourly rate only when billing by hours
+     */
+    function updateInvoiceBasis() {
+        elements.invoiceRateGroup.classList.toggle('hidden', elements.invoiceBasis.value !== 'hours');
+    }
+
+    /**
+     * Add a line item row to the invoice editor
+     */
+    function addInvoiceItemRow(item = { projectId: null, description: '', quantity: 1, unitPrice: '' }) {
+        const row = document.createElement('div');
+        row.className = 'expense-row invoice-item-row';
+        row.dataset.projectId = item.projectId || '';
+
+        row.innerHTML = `
+            <input type="text" class="form-input invoice-item-description" placeholder="Description" maxlength="200" aria-label="Line item description">
+            <input type="number" class="form-input invoice-item-quantity" placeholder="Qty" step="0.01" min="0" aria-label="Quantity">
+            <input type="number" class="form-input invoice-item-price" placeholder="0.00" step="0.01" min="0" aria-label="Unit price">
+            <button type="button" class="btn-close expense-remove" data-invoice-item-action="remove" aria-label="Remove line item">
+                <span>&times;</span>
+            </button>
+        `;
+
+        row.querySelector('.invoice-item-description').value = item.description;
+        row.querySelector('.invoice-item-quantity').value = item.quantity;
+        row.querySelector('.invoice-item-price').value = item.unitPrice;
+
+        elements.invoiceItems.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Read the line items currently in the invoice editor
+     */
+    function getInvoiceItemRows() {
+        return Array.from(elements.invoiceItems.querySelectorAll('.invoice-item-row')).map(row => ({
+            projectId: row.dataset.projectId || null,
+            description: row.querySelector('.invoice-item-description').value,
+            quantity: row.querySelector('.invoice-item-quantity').value,
+            unitPrice: row.querySelector('.invoice-item-price').value
+        }));
+    }
+
+    /**
+     * Show the invoice total as the line items change
+     */
+    function updateInvoiceTotal() {
+        const items = getInvoiceItemRows().map(item => ({
+            quantity: parseFloat(item.quantity) || 0,
+            unitPrice: parseFloat(item.unitPrice) || 0
+        }));
+        elements.invoiceTotal.textContent = formatCurrency(Invoices.getTotal({ items }), elements.invoiceCurrency.value);
+    }
+
+    /**
+     * Add or remove a project's line item as it is checked or unchecked.
+     * Billing by hours needs a rate; the first project billed sets the
+     * currency of an invoice that has no line items yet.
+     */
+    function handleInvoiceProjectToggle(event) {
+        const checkbox = event.target.closest('input[type="checkbox"]');
+        if (!checkbox) return;
+
+        const project = getProjectById(checkbox.value);
+        const existing = elements.invoiceItems.querySelector(`.invoice-item-row[data-project-id="${checkbox.value}"]`);
+        elements.invoiceRateError.textContent = '';
+        elements.invoiceRate.classList.remove('error');
+
+        if (!checkbox.checked) {
+            if (existing) existing.remove();
+            updateInvoiceTotal();
+            return;
+        }
+
+        if (existing || !project) return;
+
+        const basis = elements.invoiceBasis.value;
+        const rate = parseFloat(elements.invoiceRate.value);
+        if (basis === 'hours' && !(rate >= 0)) {
+            checkbox.checked = false;
+            elements.invoiceRateError.textContent = 'Enter the hourly rate to bill hours at';
+            elements.invoiceRate.classList.add('error');
+            elements.invoiceRate.focus();
+            return;
+        }
+
+        if (getInvoiceItemRows().length === 0) {
+            elements.invoiceCurrency.value = project.currency;
+        }
+
+        addInvoiceItemRow(Invoices.createProjectItem(project, basis, rate));
+        updateInvoiceTotal();
+    }
+
+    /**
+     * Check the invoice editor. Returns the invoice to save, or null.
+     */
+    function getInvoiceFormData() {
+        clearInvoiceErrors();
+
+        const number = elements.invoiceNumber.value.trim();
+        const issueDate = elements.invoiceIssueDate.value;
+        const dueDate = elements.invoiceDueDate.value;
+        const itemRows = getInvoiceItemRows().filter(item => item.description.trim() || item.unitPrice !== '');
+        let isValid = true;
+
+        const duplicate = Invoices.getAll().find(invoice =>
+            invoice.id !== editingInvoiceId && invoice.number.toLowerCase() === number.toLowerCase());
+        if (!number || duplicate) {
+            elements.invoiceNumberError.textContent = number ? `${duplicate.number} is already used` : 'Invoice number is required';
+            elements.invoiceNumber.classList.add('error');
+            isValid = false;
+        }
+
+        if (!issueDate || !dueDate || dueDate < issueDate) {
+            elements.invoiceDatesError.textContent = 'Enter an issue date and a due date on or after it';
+            elements.invoiceDueDate.classList.add('error');
+            isValid = false;
+        }
+
+        const invalidItem = itemRows.some(item =>
+            !item.description.trim() || !(parseFloat(item.quantity) > 0) || Validation.isNegativeOrBlank(item.unitPrice));
+        if (itemRows.length === 0 || invalidItem) {
+            elements.invoiceItemsError.textContent = itemRows.length === 0
+                ? 'Add at least one line item'
+                : 'Each line item needs a description, a quantity above 0 and a price of 0 or more';
+            isValid = false;
+        }
+
+        if (!isValid) return null;
+
+        return {
+            number,
+            clientId: elements.invoiceClient.value || null,
+            currency: elements.invoiceCurrency.value,
+            issueDate,
+            dueDate,
+            notes: elements.invoiceNotes.value,
+            items: itemRows.map(item => ({
+                projectId: item.projectId,
+                description: item.description,
+                quantity: parseFloat(item.quantity),
+                unitPrice: parseFloat(item.unitPrice)
+            }))
+        };
+    }
+
+    /**
+     * Save the invoice in the editor as a draft, or save changes to one
+     */
+    async function handleInvoiceSubmit(event) {
+        event.preventDefault();
+
+        const invoice = getInvoiceFormData();
+        if (!invoice) return;
+
+        elements.saveInvoiceBtn.disabled = true;
+        elements.saveInvoiceBtn.textContent = 'Saving...';
+
+        try {
+            if (editingInvoiceId) {
+                await Invoices.update(editingInvoiceId, invoice);
+            } else {
+                await Invoices.add(invoice);
+            }
+
+            closeInvoice();
+            renderInvoicesView();
+            renderOverdueReminder();
+            renderProjects();
+        } catch (error) {
+            console.error('Error saving invoice:', error);
+            alert('Failed to save invoice. Please try again.');
+        }
+
+        elements.saveInvoiceBtn.disabled = false;
+        elements.saveInvoiceBtn.textContent = 'Save Invoice';
+    }
+
+    /**
+     * Handle Edit/Mark Sent/Record Payment/Delete clicks on the Invoices tab
+     */
+    async function handleInvoiceAction(event) {
+        const button = event.target.closest('[data-invoice-action]');
+        if (!button) return;
+
+        const invoice = Invoices.getById(button.dataset.id);
+        if (!invoice) return;
+
+        const action = button.dataset.invoiceAction;
+        if (action === 'edit') {
+            openInvoice(invoice.id);
+            return;
+        }
+
+        try {
+            if (action === 'send') {
+                await Invoices.markSent(invoice.id);
+            } else if (action === 'payment') {
+                const balance = Invoices.getBalance(invoice);
+                const answer = prompt(`Amount received on ${invoice.number} (${invoice.currency})`, balance.toFixed(2));
+                if (answer === null) return;
+
+                const amount = parseFloat(answer);
+                if (!(amount > 0)) {
+                    alert('Enter an amount greater than 0.');
+                    return;
+                }
+
+                await Invoices.recordPayment(invoice.id, amount);
+            } else {
+                if (!confirm(`Delete invoice ${invoice.number}? This can't be undone.`)) return;
+                await Invoices.remove(invoice.id);
+            }
+        } catch (error) {
+            console.error('Error updating invoice:', error);
+            alert('Failed to update invoice. Please try again.');
+            return;
+        }
+
+        renderInvoicesView();
+        renderOverdueReminder();
+        renderProjects();
+    }
+
+    // ================================
+    // Import / Export
+    // ================================
+
+    /**
+     * Download projects as CSV or JSON: every project, or the viewed period
+     */
+    function exportProjects(format, scope = 'all') {
+        let exported = projects;
+        let filename = `true-freelance-projects-${new Date().toISOString().split('T')[0]}`;
+
+        if (scope === 'period') {
+            const range = getViewedRange();
+            exported = Calculations.getProjectsBetween(projects, range.start, range.end);
+            const year = currentViewMonth.getFullYear();
+            const month = currentViewMonth.getMonth();
+            const suffix = {
+                month: `${year}-${String(month + 1).padStart(2, '0')}`,
+                quarter: `${year}-Q${Math.floor(month / 3) + 1}`,
+                year: String(year)
+            }[viewPeriod];
+            filename = `true-freelance-${suffix}`;
+        }
+
+        if (format === 'json') {
+            ImportExport.download(`${filename}.json`, ImportExport.toJson(exported), 'application/json');
+        } else {
+            ImportExport.download(`${filename}.csv`, ImportExport.toCsv(exported), 'text/csv');
+        }
+    }
+
+    /**
+     * Open the import modal
+     */
+    function openImport() {
+        importHeaders = [];
+        importRows = [];
+        preparedImport = [];
+
+        elements.importFile.value = '';
+        elements.importMapping.innerHTML = '';
+        elements.importMappingSection.classList.add('hidden');
+        elements.importPreviewSection.classList.add('hidden');
+        elements.confirmImportBtn.disabled = true;
+
+        elements.importOverlay.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close the import modal
+     */
+    function closeImport() {
+        elements.importOverlay.classList.add('hidden');
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Read the chosen CSV and guess a column for each field
+     */
+    async function handleImportFile() {
+        const file = elements.importFile.files[0];
+        if (!file) return;
+
+        const rows = Csv.parseLines(await file.text());
+        importHeaders = rows.length > 0 ? rows[0].values : [];
+        importRows = rows.slice(1);
+
+        renderImportMapping(ImportExport.guessMapping(importHeaders));
+        elements.importMappingSection.classList.remove('hidden');
+        updateImportPreview();
+    }
+
+    /**
+     * Render a column picker for each project field
+     */
+    function renderImportMapping(mapping) {
+        const options = ['<option value="-1">Not in file</option>']
+            .concat(importHeaders.map((header, index) =>
+                `<option value="${index}">${escapeHtml(header || `Column ${index + 1}`)}</option>`))
+            .join('');
+
+        elements.importMapping.innerHTML = ImportExport.IMPORT_FIELDS.map(field => `
+            <div class="form-group">
+                <label for="importField-${field.key}" class="form-label">${field.label}${field.required ? '' : ' (optional)'}</label>
+                <select id="importField-${field.key}" class="form-input" data-import-field="${field.key}">${options}</select>
             </div>
-        `;
+        `).join('');
 
-        return card;
+        elements.importMapping.querySelectorAll('[data-import-field]').forEach(select => {
+            select.value = mapping[select.dataset.importField];
+        });
     }
 
     /**
-     * Render all projects
+     * Read the chosen column for each field
      */
-    function renderProjects() {
-        elements.projectsList.innerHTML = '';
+    function getImportMapping() {
+        const mapping = {};
+        elements.importMapping.querySelectorAll('[data-import-field]').forEach(select => {
+            mapping[select.dataset.importField] = parseInt(select.value, 10);
+        });
+        return mapping;
+    }
 
-        if (projects.length === 0) {
-            toggleEmptyState();
-            return;
+    /**
+     * Fill in what a CSV row leaves out: the home currency and,
+     * for foreign currencies, a rate on file for the date
+     */
+    function prepareImportData(data) {
+        const homeCurrency = Settings.get().homeCurrency;
+        const currency = data.currency || homeCurrency;
+        let exchangeRate = data.exchangeRate;
+
+        if (currency !== homeCurrency && !exchangeRate) {
+            const rate = Currency.findRate(currency, homeCurrency, data.completionDate);
+            exchangeRate = rate === null ? '' : String(rate);
         }
 
-        projects.forEach(project => {
-            const card = createProjectCard(project);
-            elements.projectsList.appendChild(card);
+        return { ...data, currency, exchangeRate };
+    }
+
+    /**
+     * Check every row against the current mapping and show the dry run
+     */
+    function updateImportPreview() {
+        preparedImport = ImportExport.prepareRows(importRows, getImportMapping(), {
+            existingProjects: projects,
+            validate: getValidationErrors,
+            prepare: prepareImportData
         });
 
-        toggleEmptyState();
+        const summary = ImportExport.summarize(preparedImport);
+        elements.importSummary.textContent =
+            `${summary.ready} of ${preparedImport.length} rows ready to import. ` +
+            `${summary.duplicate} duplicates and ${summary.invalid} rows with errors will be skipped.`;
+
+        elements.importPreviewBody.innerHTML = preparedImport.map(row => `
+            <tr class="import-row-${row.status}">
+                <td>${row.line}</td>
+                <td>${escapeHtml(row.data.name)}</td>
+                <td>${escapeHtml(row.data.completionDate)}</td>
+                <td>${escapeHtml(row.data.hoursWorked)}</td>
+                <td>${escapeHtml(row.data.moneyReceived)} ${escapeHtml(row.data.currency)}</td>
+                <td>${row.status === 'ready' ? 'Ready' : escapeHtml(row.errors.join('; '))}</td>
+            </tr>
+        `).join('');
+
+        elements.importPreviewSection.classList.remove('hidden');
+        elements.confirmImportBtn.disabled = summary.ready === 0;
+        elements.confirmImportBtn.textContent = `Import ${summary.ready} ${summary.ready === 1 ? 'Project' : 'Projects'}`;
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Insert the rows that passed the dry run
      */
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    async function handleImportConfirm() {
+        const ready = preparedImport.filter(row => row.status === 'ready').map(row => row.data);
+        if (ready.length === 0) return;
+
+        elements.confirmImportBtn.disabled = true;
+        elements.confirmImportBtn.textContent = 'Importing...';
+
+        const imported = await importProjects(ready);
+
+        if (imported) {
+            closeImport();
+            renderProjects();
+
+            renderOpenTab();
+        } else {
+            updateImportPreview();
+        }
     }
 
     // ================================
-    // Modal Functions
+    // Calendar Import
     // ================================
 
     /**
-     * Open modal for adding or editing
+     * Open the calendar import modal, covering this month so far
      */
-    function openModal(mode = 'add', projectId = null) {
-        editingProjectId = projectId;
+    function openCalendarImport() {
+        const now = new Date();
+        calendarEvents = [];
+        calendarChoices = {};
+        preparedCalendar = [];
 
-        elements.projectForm.reset();
-        clearErrors();
+        elements.calendarFile.value = '';
+        elements.calendarFrom.value = toDateTimeLocal(new Date(now.getFullYear(), now.getMonth(), 1).toISOString()).slice(0, 10);
+        elements.calendarTo.value = toDateTimeLocal(now.toISOString()).slice(0, 10);
+        elements.calendarRules.innerHTML = '';
+        Settings.get().calendarRules.forEach(rule => addCalendarRuleRow(rule));
+        elements.calendarPreviewSection.classList.add('hidden');
+        elements.confirmCalendarBtn.disabled = true;
 
-        if (mode === 'edit' && projectId) {
-            const project = getProjectById(projectId);
-            if (project) {
-                elements.modalTitle.textContent = 'Edit Project';
-                elements.projectName.value = project.name;
-                elements.hoursWorked.value = project.hoursWorked;
-                elements.moneyReceived.value = project.moneyReceived;
-                elements.completionDate.value = project.completionDate || '';
-            }
-        } else {
-            elements.modalTitle.textContent = 'Add Project';
-            const today = new Date().toISOString().split('T')[0];
-            elements.completionDate.value = today;
-        }
+        elements.calendarOverlay.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+    }
 
-        elements.modalOverlay.classList.remove('hidden');
-        elements.projectName.focus();
+    /**
+     * Close the calendar import modal
+     */
+    function closeCalendarImport() {
+        elements.calendarOverlay.classList.add('hidden');
+        document.body.style.overflow = '';
+    }
 
-        document.body.style.overflow = 'hidden';
+    /**
+     * Options for picking the project an event belongs to
+     */
+    function getCalendarProjectOptions() {
+        return ['<option value="">No project</option>']
+            .concat([...projects]
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(project => `<option value="${project.id}">${escapeHtml(project.name)}</option>`))
+            .join('');
     }
 
     /**
-     * Close modal
+     * Append one editable keyword rule to the calendar import modal
      */
-    function closeModal() {
-        elements.modalOverlay.classList.add('hidden');
-        elements.projectForm.reset();
-        clearErrors();
-        editingProjectId = null;
+    function addCalendarRuleRow(rule = { keyword: '', projectId: '' }) {
+        const row = document.createElement('div');
+        row.className = 'expense-row calendar-rule-row';
 
-        document.body.style.overflow = '';
+        row.innerHTML = `
+            <input type="text" class="form-input calendar-rule-keyword" placeholder="Keyword, e.g. Acme" maxlength="100" aria-label="Keyword">
+            <select class="form-input calendar-rule-project" aria-label="Project">${getCalendarProjectOptions()}</select>
+            <button type="button" class="btn-close expense-remove" data-calendar-action="remove" aria-label="Remove keyword">
+                <span>&times;</span>
+            </button>
+        `;
+
+        row.querySelector('.calendar-rule-keyword').value = rule.keyword;
+        row.querySelector('.calendar-rule-project').value = rule.projectId;
+
+        elements.calendarRules.appendChild(row);
+        return row;
     }
 
     /**
-     * Clear all form errors
+     * Read the keyword rules that name both a keyword and a project
      */
-    function clearErrors() {
-        elements.nameError.textContent = '';
-        elements.hoursError.textContent = '';
-        elements.moneyError.textContent = '';
-        elements.dateError.textContent = '';
+    function getCalendarRules() {
+        return Array.from(elements.calendarRules.querySelectorAll('.calendar-rule-row'))
+            .map(row => ({
+                keyword: row.querySelector('.calendar-rule-keyword').value.trim(),
+                projectId: row.querySelector('.calendar-rule-project').value
+            }))
+            .filter(rule => rule.keyword && rule.projectId);
+    }
 
-        elements.projectName.classList.remove('error');
-        elements.hoursWorked.classList.remove('error');
-        elements.moneyReceived.classList.remove('error');
-        elements.completionDate.classList.remove('error');
+    /**
+     * Read the events in the chosen .ics file
+     */
+    async function handleCalendarFile() {
+        const file = elements.calendarFile.files[0];
+        if (!file) return;
+
+        calendarEvents = Ics.parseEvents(await file.text());
+        calendarChoices = {};
+        updateCalendarPreview();
     }
 
     /**
-     * Validate form inputs
+     * Match the events in the chosen dates to projects and show the dry run
      */
-    function validateForm(data) {
-        let isValid = true;
-        clearErrors();
+    function updateCalendarPreview() {
+        if (!elements.calendarFile.files[0]) return;
 
-        if (!data.name || data.name.trim().length === 0) {
-            elements.nameError.textContent = 'Project name is required';
-            elements.projectName.classList.add('error');
-            isValid = false;
+        let occurrences = [];
+        if (elements.calendarFrom.value && elements.calendarTo.value) {
+            const to = Calculations.parseDate(elements.calendarTo.value);
+            to.setDate(to.getDate() + 1);
+            occurrences = Ics.expandEvents(calendarEvents, Calculations.parseDate(elements.calendarFrom.value), to);
         }
 
-        if (!data.hoursWorked || parseFloat(data.hoursWorked) < 0) {
-            elements.hoursError.textContent = 'Hours must be 0 or greater';
-            elements.hoursWorked.classList.add('error');
-            isValid = false;
-        }
+        const existingIds = [...projects, ...trashedProjects]
+            .flatMap(project => project.timeEntries.map(entry => entry.sourceUid))
+            .filter(Boolean);
 
-        if (!data.moneyReceived || parseFloat(data.moneyReceived) < 0) {
-            elements.moneyError.textContent = 'Money must be 0 or greater';
-            elements.moneyReceived.classList.add('error');
-            isValid = false;
-        }
+        preparedCalendar = ImportExport.prepareCalendarRows(occurrences, {
+            projects,
+            rules: getCalendarRules(),
+            existingIds,
+            choices: calendarChoices
+        });
 
-        if (!data.completionDate) {
-            elements.dateError.textContent = 'Completion date is required';
-            elements.completionDate.classList.add('error');
-            isValid = false;
-        }
+        const summary = ImportExport.summarizeCalendar(preparedCalendar);
+        const replaced = summary.replacedProjectIds.map(id => getProjectById(id).name).join(', ');
+        elements.calendarSummary.textContent =
+            `${summary.ready} of ${preparedCalendar.length} events ready to import, ${formatHours(summary.hours)} hours. ` +
+            `${summary.duplicate} already imported and ${summary.unmatched} without a project will be skipped.` +
+            (replaced ? ` Hours entered by hand on ${replaced} will be replaced by the imported sessions.` : '');
 
-        return isValid;
+        const options = getCalendarProjectOptions();
+        elements.calendarPreviewBody.innerHTML = preparedCalendar.map((row, index) => `
+            <tr class="import-row-${row.status}">
+                <td>${formatDateTime(row.startedAt)}</td>
+                <td>${escapeHtml(row.title || '(No title)')}</td>
+                <td>${formatHours(row.hours)}</td>
+                <td><select class="form-input" data-calendar-row="${index}" aria-label="Project"${row.status === 'duplicate' ? ' disabled' : ''}>${options}</select></td>
+                <td>${row.status === 'ready' ? 'Ready' : escapeHtml(row.error)}</td>
+            </tr>
+        `).join('');
+
+        elements.calendarPreviewBody.querySelectorAll('[data-calendar-row]').forEach(select => {
+            select.value = preparedCalendar[select.dataset.calendarRow].projectId;
+        });
+
+        elements.calendarPreviewSection.classList.remove('hidden');
+        elements.confirmCalendarBtn.disabled = summary.ready === 0;
+        elements.confirmCalendarBtn.textContent = `Import ${summary.ready} ${summary.ready === 1 ? 'Session' : 'Sessions'}`;
+    }
+
+    /**
+     * Handle picking a project for one event in the preview
+     */
+    function handleCalendarChoice(event) {
+        const select = event.target.closest('[data-calendar-row]');
+        if (!select) return;
+
+        calendarChoices[preparedCalendar[select.dataset.calendarRow].id] = select.value;
+        updateCalendarPreview();
+    }
+
+    /**
+     * Handle removing a keyword rule
+     */
+    function handleCalendarRuleAction(event) {
+        const button = event.target.closest('[data-calendar-action]');
+        if (!button) return;
+
+        button.closest('.calendar-rule-row').remove();
+        updateCalendarPreview();
+    }
+
+    /**
+     * Log the events that passed the dry run
+     */
+    async function handleCalendarConfirm() {
+        const ready = preparedCalendar.filter(row => row.status === 'ready');
+        if (ready.length === 0) return;
+
+        elements.confirmCalendarBtn.disabled = true;
+        elements.confirmCalendarBtn.textContent = 'Importing...';
+
+        const imported = await importCalendarSessions(ready, getCalendarRules());
+
+        if (imported) {
+            closeCalendarImport();
+            renderProjects();
+            renderOpenTab();
+        } else {
+            updateCalendarPreview();
+        }
     }
 
     // ================================
@@ -570,22 +4533,59 @@ const TrueFreelanceApp = (() => {
     // ================================
 
     /**
-     * Handle form submission
+     * Read the project editor's fields
      */
-    async function handleFormSubmit(event) {
-        event.preventDefault();
+    function readProjectForm() {
+        const billingPeriod = elements.billingPeriod.value;
+        const periodStart = elements.periodStart.value;
+        const periodEnd = billingPeriod && periodStart ? getFormPeriodEnd() : '';
 
-        const formData = {
+        return {
             name: elements.projectName.value,
+            clientId: elements.projectClient.value,
             hoursWorked: elements.hoursWorked.value,
+            estimatedHours: elements.estimatedHours.value,
             moneyReceived: elements.moneyReceived.value,
-            completionDate: elements.completionDate.value
+            quotedPrice: elements.quotedPrice.value,
+            status: elements.projectStatus.value,
+            // A retainer period is completed on its last day
+            completionDate: periodEnd || elements.completionDate.value,
+            platformFeePercent: elements.platformFee.value,
+            currency: elements.projectCurrency.value,
+            exchangeRate: elements.exchangeRate.value,
+            notes: elements.projectNotes.value,
+            tagIds: getCheckedTagIds(),
+            expenses: getExpenseRows(),
+            payments: getPaymentRows(),
+            billingPeriod,
+            periodDays: elements.periodDays.value,
+            periodStart,
+            periodEnd,
+            periodFee: elements.periodFee.value,
+            includedHours: elements.includedHours.value
         };
+    }
+
+    /**
+     * Handle form submission
+     */
+    async function handleFormSubmit(event) {
+        event.preventDefault();
+
+        const quote = editingProjectId ? null : Quotes.getById(convertingQuoteId);
+        const wasBelowTarget = editingProjectId ? isBelowTarget(getProjectById(editingProjectId)) : true;
+
+        const formData = readProjectForm();
 
         if (!validateForm(formData)) {
             return;
         }
 
+        if (formData.clientId === NEW_CLIENT_OPTION) {
+            formData.clientId = await addClientFromForm();
+            if (!formData.clientId) return;
+        }
+
         // Disable save button during operation
         elements.saveBtn.disabled = true;
         elements.saveBtn.textContent = 'Saving...';
@@ -600,13 +4600,16 @@ const TrueFreelanceApp = (() => {
         elements.saveBtn.disabled = false;
         elements.saveBtn.textContent = 'Save Project';
 
+        if (success && quote) {
+            await linkQuoteToProject(quote.id, success.id);
+        }
+
         if (success) {
+            warnIfPushedBelowTarget(wasBelowTarget, success);
             closeModal();
             renderProjects();
 
-            if (!elements.monthlyTab.classList.contains('hidden')) {
-                renderMonthlyView();
-            }
+            renderOpenTab();
         }
     }
 
@@ -625,10 +4628,71 @@ const TrueFreelanceApp = (() => {
         } else if (action === 'delete') {
             if (await deleteProject(projectId)) {
                 renderProjects();
+                renderOpenTab();
+            }
+        }
+    }
+
+    /**
+     * Handle Save/Delete clicks on a logged session in the modal
+     */
+    async function handleSessionAction(event) {
+        const button = event.target.closest('[data-session-action]');
+        if (!button || !editingProjectId) return;
+
+        const row = button.closest('.session-row');
+        const entryId = row.dataset.entryId;
+        const wasBelowTarget = isBelowTarget(getProjectById(editingProjectId));
+        let project;
+
+        if (button.dataset.sessionAction === 'save') {
+            const startedAt = new Date(row.querySelector('.session-start').value);
+            const endedAt = new Date(row.querySelector('.session-end').value);
+
+            if (isNaN(startedAt) || isNaN(endedAt) || endedAt < startedAt) {
+                alert('A session must end after it starts.');
+                return;
             }
+
+            const entry = getProjectById(editingProjectId).timeEntries.find(e => e.id === entryId);
+            project = await updateSession(editingProjectId, entryId, {
+                startedAt,
+                endedAt,
+                note: entry ? entry.note : ''
+            });
+        } else {
+            project = await deleteSession(editingProjectId, entryId);
+        }
+
+        if (project) {
+            warnIfPushedBelowTarget(wasBelowTarget, project);
+            elements.hoursWorked.value = project.hoursWorked;
+            renderSessions(project);
+            renderProjects();
         }
     }
 
+    /**
+     * Handle removing an expense line item in the modal
+     */
+    function handleExpenseAction(event) {
+        const button = event.target.closest('[data-expense-action]');
+        if (!button) return;
+
+        button.closest('.expense-row').remove();
+    }
+
+    /**
+     * Handle removing a payment in the modal
+     */
+    function handlePaymentAction(event) {
+        const button = event.target.closest('[data-payment-action]');
+        if (!button) return;
+
+        button.closest('.payment-row').remove();
+        updateMoneyFromPayments();
+    }
+
     /**
      * Handle overlay click to close modal
      */
@@ -642,8 +4706,20 @@ const TrueFreelanceApp = (() => {
      * Handle Escape key to close modal
      */
     function handleEscapeKey(event) {
-        if (event.key === 'Escape' && !elements.modalOverlay.classList.contains('hidden')) {
+        if (event.key !== 'Escape') return;
+
+        if (!elements.modalOverlay.classList.contains('hidden')) {
             closeModal();
+        } else if (!elements.settingsOverlay.classList.contains('hidden')) {
+            closeSettings();
+        } else if (!elements.importOverlay.classList.contains('hidden')) {
+            closeImport();
+        } else if (!elements.calendarOverlay.classList.contains('hidden')) {
+            closeCalendarImport();
+        } else if (!elements.quoteOverlay.classList.contains('hidden')) {
+            closeQuote();
+        } else if (!elements.invoiceOverlay.classList.contains('hidden')) {
+            closeInvoice();
         }
     }
 
@@ -662,13 +4738,192 @@ const TrueFreelanceApp = (() => {
         elements.projectForm.addEventListener('submit', handleFormSubmit);
 
         elements.projectsList.addEventListener('click', handleCardAction);
+        elements.projectsList.addEventListener('change', handleProjectSelect);
+        elements.selectAllProjects.addEventListener('change', handleSelectAll);
+        elements.bulkArchiveBtn.addEventListener('click', handleBulkArchive);
+        elements.bulkDeleteBtn.addEventListener('click', handleBulkDelete);
+        elements.clearSelectionBtn.addEventListener('click', clearSelection);
+        elements.undoBtn.addEventListener('click', handleUndo);
+        elements.trashTable.addEventListener('click', handleTrashAction);
+        elements.emptyTrashBtn.addEventListener('click', handleEmptyTrash);
+        elements.loadMoreBtn.addEventListener('click', showMoreProjects);
+        elements.clearFiltersBtn.addEventListener('click', clearFilters);
+        elements.projectSearch.addEventListener('input', handleFilterChange);
+        [elements.filterClient, elements.filterTag, elements.filterStatus, elements.filterFrom, elements.filterTo, elements.filterMinRate, elements.filterMaxRate, elements.projectSort]
+            .forEach(control => control.addEventListener('change', handleFilterChange));
+        elements.sessionsList.addEventListener('click', handleSessionAction);
+        elements.expensesList.addEventListener('click', handleExpenseAction);
+        elements.addExpenseBtn.addEventListener('click', () => {
+            addExpenseRow().querySelector('.expense-amount').focus();
+        });
+        elements.paymentsList.addEventListener('click', handlePaymentAction);
+        elements.paymentsList.addEventListener('input', updateMoneyFromPayments);
+        elements.addPaymentBtn.addEventListener('click', () => {
+            addPaymentRow().querySelector('.payment-amount').focus();
+            updateMoneyFromPayments();
+        });
 
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.addEventListener('click', () => switchTab(btn.dataset.tab));
         });
 
-        elements.prevMonth.addEventListener('click', () => changeMonth(-1));
-        elements.nextMonth.addEventListener('click', () => changeMonth(1));
+        elements.prevMonth.addEventListener('click', () => changePeriod(-1));
+        elements.nextMonth.addEventListener('click', () => changePeriod(1));
+        elements.periodButtons.forEach(btn => {
+            btn.addEventListener('click', () => switchPeriod(btn.dataset.period));
+        });
+        elements.basisButtons.forEach(btn => {
+            btn.addEventListener('click', () => switchIncomeBasis(btn.dataset.basis));
+        });
+        window.addEventListener('storage', event => {
+            if (event.key === TIMERS_KEY) renderProjects();
+        });
+        elements.useSeasonality.addEventListener('change', () => {
+            localStorage.setItem(SEASONALITY_KEY, String(elements.useSeasonality.checked));
+            renderMonthlyView();
+        });
+
+        elements.settingsBtn.addEventListener('click', openSettings);
+        elements.closeSettingsBtn.addEventListener('click', closeSettings);
+        elements.cancelSettingsBtn.addEventListener('click', closeSettings);
+        elements.settingsOverlay.addEventListener('click', event => {
+            if (event.target === elements.settingsOverlay) closeSettings();
+        });
+        elements.settingsForm.addEventListener('submit', handleSettingsSubmit);
+        elements.addBracketBtn.addEventListener('click', () => addBracketRow());
+        elements.ratesFile.addEventListener('change', handleRatesFile);
+
+        elements.projectClient.addEventListener('change', () => {
+            updateNewClientRow();
+            if (elements.projectClient.value === NEW_CLIENT_OPTION) elements.newClientName.focus();
+        });
+        elements.addClientBtn.addEventListener('click', addClientFromForm);
+        elements.newClientName.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                addClientFromForm();
+            }
+        });
+        elements.clientsList.addEventListener('click', handleClientAction);
+        elements.clientSort.addEventListener('change', renderClientsView);
+
+        elements.addProjectTagBtn.addEventListener('click', addTagFromForm);
+        elements.newProjectTag.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                addTagFromForm();
+            }
+        });
+        elements.addTagForm.addEventListener('submit', handleAddTag);
+        elements.tagsTable.addEventListener('click', handleTagAction);
+        elements.tagsFrom.addEventListener('change', renderTagsView);
+        elements.tagsTo.addEventListener('change', renderTagsView);
+
+        elements.keepMineBtn.addEventListener('click', () => ProjectStore.resolveConflict('mine'));
+        elements.reloadProjectBtn.addEventListener('click', () => openModal('edit', editingProjectId));
+        elements.useServerBtn.addEventListener('click', () => ProjectStore.resolveConflict('server'));
+        elements.dismissTargetWarningBtn.addEventListener('click', hideTargetWarning);
+
+        elements.exportCsvBtn.addEventListener('click', () => exportProjects('csv'));
+        elements.exportJsonBtn.addEventListener('click', () => exportProjects('json'));
+        elements.exportMonthCsvBtn.addEventListener('click', () => exportProjects('csv', 'period'));
+        elements.exportMonthJsonBtn.addEventListener('click', () => exportProjects('json', 'period'));
+        elements.priceProjectBtn.addEventListener('click', openQuote);
+        elements.closeQuoteBtn.addEventListener('click', closeQuote);
+        elements.cancelQuoteBtn.addEventListener('click', closeQuote);
+        elements.quoteOverlay.addEventListener('click', event => {
+            if (event.target === elements.quoteOverlay) closeQuote();
+        });
+        elements.quoteForm.addEventListener('input', updateQuote);
+        elements.quoteForm.addEventListener('change', updateQuote);
+        elements.quoteForm.addEventListener('submit', handleQuoteSubmit);
+        elements.quotesList.addEventListener('click', handleQuoteAction);
+
+        elements.newInvoiceBtn.addEventListener('click', () => openInvoice());
+        elements.closeInvoiceBtn.addEventListener('click', closeInvoice);
+        elements.cancelInvoiceBtn.addEventListener('click', closeInvoice);
+        elements.invoiceOverlay.addEventListener('click', event => {
+            if (event.target === elements.invoiceOverlay) closeInvoice();
+        });
+        elements.invoiceForm.addEventListener('submit', handleInvoiceSubmit);
+        elements.invoiceClient.addEventListener('change', renderInvoiceProjects);
+        elements.invoiceBasis.addEventListener('change', updateInvoiceBasis);
+        elements.invoiceProjects.addEventListener('change', handleInvoiceProjectToggle);
+        elements.invoiceItems.addEventListener('input', updateInvoiceTotal);
+        elements.invoiceCurrency.addEventListener('change', updateInvoiceTotal);
+        elements.invoiceIssueDate.addEventListener('change', () => {
+            const issueDate = elements.invoiceIssueDate.value;
+            if (issueDate) elements.invoiceDueDate.value = Invoices.addDays(issueDate, Settings.get().paymentTermsDays);
+        });
+        elements.invoiceItems.addEventListener('click', event => {
+            const button = event.target.closest('[data-invoice-item-action]');
+            if (!button) return;
+
+            const row = button.closest('.invoice-item-row');
+            const checkbox = elements.invoiceProjects.querySelector(`input[value="${row.dataset.projectId}"]`);
+            if (checkbox) checkbox.checked = false;
+            row.remove();
+            updateInvoiceTotal();
+        });
+        elements.addInvoiceItemBtn.addEventListener('click', () => {
+            addInvoiceItemRow().querySelector('.invoice-item-description').focus();
+        });
+        elements.invoicesTable.addEventListener('click', handleInvoiceAction);
+        elements.viewOverdueBtn.addEventListener('click', () => switchTab('invoices'));
+        elements.dismissOverdueBtn.addEventListener('click', () => {
+            overdueDismissed = true;
+            renderOverdueReminder();
+        });
+
+        elements.importCsvBtn.addEventListener('click', openImport);
+        elements.closeImportBtn.addEventListener('click', closeImport);
+        elements.cancelImportBtn.addEventListener('click', closeImport);
+        elements.importOverlay.addEventListener('click', event => {
+            if (event.target === elements.importOverlay) closeImport();
+        });
+        elements.importFile.addEventListener('change', handleImportFile);
+        elements.importMapping.addEventListener('change', updateImportPreview);
+        elements.confirmImportBtn.addEventListener('click', handleImportConfirm);
+
+        elements.importCalendarBtn.addEventListener('click', openCalendarImport);
+        elements.closeCalendarBtn.addEventListener('click', closeCalendarImport);
+        elements.cancelCalendarBtn.addEventListener('click', closeCalendarImport);
+        elements.calendarOverlay.addEventListener('click', event => {
+            if (event.target === elements.calendarOverlay) closeCalendarImport();
+        });
+        elements.calendarFile.addEventListener('change', handleCalendarFile);
+        elements.calendarFrom.addEventListener('change', updateCalendarPreview);
+        elements.calendarTo.addEventListener('change', updateCalendarPreview);
+        elements.addCalendarRuleBtn.addEventListener('click', () => {
+            addCalendarRuleRow().querySelector('.calendar-rule-keyword').focus();
+        });
+        elements.calendarRules.addEventListener('input', updateCalendarPreview);
+        elements.calendarRules.addEventListener('click', handleCalendarRuleAction);
+        elements.calendarPreviewBody.addEventListener('change', handleCalendarChoice);
+        elements.confirmCalendarBtn.addEventListener('click', handleCalendarConfirm);
+
+        populateCurrencySelect(elements.projectCurrency);
+        populateCurrencySelect(elements.homeCurrency);
+        populateCurrencySelect(elements.invoiceCurrency);
+        elements.projectStatus.innerHTML = Object.entries(Validation.STATUSES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        elements.projectStatus.addEventListener('change', updateCompletionDateField);
+        elements.billingPeriod.innerHTML = '<option value="">Doesn\'t repeat</option>' + Object.entries(Validation.BILLING_PERIODS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        elements.billingPeriod.addEventListener('change', updateRetainerFields);
+        elements.periodStart.addEventListener('change', updateRetainerFields);
+        elements.periodDays.addEventListener('input', updateRetainerFields);
+        elements.projectCurrency.addEventListener('change', updateExchangeRateField);
+        elements.completionDate.addEventListener('change', updateExchangeRateField);
+        elements.exchangeRate.addEventListener('input', () => {
+            elements.exchangeRate.dataset.autofilled = '';
+        });
+        elements.bracketsList.addEventListener('click', event => {
+            const button = event.target.closest('[data-bracket-action]');
+            if (button) button.closest('.bracket-row').remove();
+        });
 
         // Logout button
         if (elements.logoutBtn) {
@@ -686,9 +4941,67 @@ const TrueFreelanceApp = (() => {
      * Initialize the application
      */
     async function init() {
+        try {
+            await Settings.load();
+            await Currency.loadRates();
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+
+        try {
+            await Clients.load();
+        } catch (error) {
+            console.error('Error loading clients:', error);
+        }
+
+        try {
+            await Tags.load();
+        } catch (error) {
+            console.error('Error loading tags:', error);
+        }
+
+        try {
+            await Quotes.load();
+        } catch (error) {
+            console.error('Error loading quotes:', error);
+        }
+
+        try {
+            await Invoices.load();
+        } catch (error) {
+            console.error('Error loading invoices:', error);
+        }
+
+        filters = ProjectFilters.fromSearchParams(new URLSearchParams(location.search));
+        visibleCount = PROJECTS_PAGE_SIZE;
+        renderFilterControls();
+
+        incomeBasis = localStorage.getItem(INCOME_BASIS_KEY) === 'cash' ? 'cash' : 'accrual';
+        renderIncomeBasis();
+
+        await ProjectStore.init({
+            repository: Repositories.createSupabaseRepository(window.supabaseClient),
+            databaseName: `trueFreelance-${window.currentUser.id}`
+        });
+        ProjectStore.onChange(handleSyncChange);
+        ProjectStore.watchConnection();
+        ProjectStore.watchRemote();
+        renderSyncStatus(ProjectStore.getState());
+
         await loadProjects();
+        await purgeExpiredTrash();
+        await rollRetainers();
         renderProjects();
+        renderOverdueReminder();
         setupEventListeners();
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') rollRetainersOnNewDay();
+        });
+        setInterval(rollRetainersOnNewDay, DAY_CHECK_INTERVAL_MS);
+
+        AuthGuard.keepDraft(getProjectDraft);
+        restoreProjectDraft(AuthGuard.takeDraft());
         console.log('True Freelance App initialized with Supabase');
     }
 
@@ -1,16 +1,95 @@
 /**
  * Auth Guard - Protect pages that require authentication
- * Redirects to login if no valid session exists
+ * Redirects to login if no valid session exists, or once the session
+ * ends, coming back to the same page after signing in. A page can keep
+ * a draft of unsaved input across the trip with keepDraft/takeDraft.
  */
 
-(async function() {
-    const { data: { session }, error } = await window.supabaseClient.auth.getSession();
+const AuthGuard = (() => {
+    const DRAFT_KEY = 'trueFreelance.authDraft';
 
-    if (error || !session) {
-        window.location.href = 'login.html';
-        return;
+    let getDraft = null;
+    let signingOut = false;
+
+    const currentPage = () => window.location.pathname.split('/').pop() || 'index.html';
+
+    /**
+     * Set a callback returning unsaved input to keep if the session ends,
+     * or null when there is nothing to keep
+     */
+    function keepDraft(callback) {
+        getDraft = callback;
+    }
+
+    /**
+     * The draft kept for this page when the session last ended, once
+     */
+    function takeDraft() {
+        const saved = JSON.parse(sessionStorage.getItem(DRAFT_KEY) || 'null');
+        if (!saved || saved.page !== currentPage()) return null;
+
+        sessionStorage.removeItem(DRAFT_KEY);
+        return saved.draft;
+    }
+
+    function saveDraft() {
+        try {
+            const draft = getDraft ? getDraft() : null;
+            if (draft) {
+                sessionStorage.setItem(DRAFT_KEY, JSON.stringify({ page: currentPage(), draft }));
+            }
+        } catch (error) {
+            console.error('Error keeping unsaved input:', error);
+        }
+    }
+
+    /**
+     * Send the user to login, coming back here afterwards
+     */
+    function redirectToLogin(reason = '') {
+        saveDraft();
+        window.location.href = Auth.getLoginUrl(Auth.getReturnPath(window.location), reason);
+    }
+
+    /**
+     * Sign out on purpose, without keeping a draft or a page to return to
+     */
+    async function signOut(destination = 'login.html') {
+        signingOut = true;
+        try {
+            await window.supabaseClient.auth.signOut();
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        window.location.href = destination;
     }
 
-    // Expose current user globally
-    window.currentUser = session.user;
+    (async function() {
+        const { data: { session }, error } = await window.supabaseClient.auth.getSession();
+
+        if (error || !session) {
+            redirectToLogin();
+            return;
+        }
+
+        // Expose current user globally
+        window.currentUser = session.user;
+
+        // An expired or revoked session, or a sign-out in another tab
+        window.supabaseClient.auth.onAuthStateChange((event, nextSession) => {
+            if (signingOut) return;
+
+            if (event === 'SIGNED_OUT' || !nextSession) {
+                redirectToLogin('expired');
+            } else {
+                window.currentUser = nextSession.user;
+            }
+        });
+    })();
+
+    return {
+        keepDraft,
+        takeDraft,
+        signOut
+    };
 })();
@@ -0,0 +1,79 @@
+/**
+ * Auth
+ * Where to send people around sign-in, and the password rule shared by
+ * the login, reset and account pages.
+ */
+
+const Auth = (() => {
+    const DEFAULT_PAGE = 'door.html';
+    const MIN_PASSWORD_LENGTH = 6;
+
+    // Pages that would send a signed-in user straight back out
+    const SIGN_IN_PAGES = ['login.html', 'reset-password.html'];
+
+    /**
+     * The page a location shows, e.g. "invoice.html?id=1", to come back
+     * to after signing in
+     */
+    function getReturnPath(location) {
+        const page = location.pathname.split('/').pop() || 'index.html';
+        return `${page}${location.search}${location.hash}`;
+    }
+
+    /**
+     * The page to open after signing in. Only a page of this app is
+     * allowed, so a crafted link can't send someone off the site.
+     */
+    function getSafeNext(next) {
+        const match = /^([\w-]+\.html)([?#].*)?$/.exec(next || '');
+        if (!match || SIGN_IN_PAGES.includes(match[1])) return DEFAULT_PAGE;
+        return next;
+    }
+
+    /**
+     * The page to open after signing in, from a login page query string
+     */
+    function getNext(search) {
+        return getSafeNext(new URLSearchParams(search).get('next'));
+    }
+
+    /**
+     * Link to the login page that comes back to a page afterwards. A
+     * reason such as "expired" lets the login page say why it opened.
+     */
+    function getLoginUrl(returnPath = '', reason = '') {
+        const params = new URLSearchParams();
+        if (returnPath) params.set('next', returnPath);
+        if (reason) params.set('reason', reason);
+
+        const query = params.toString();
+        return query ? `login.html?${query}` : 'login.html';
+    }
+
+    /**
+     * Why a new password can't be used, or an empty string when it can
+     */
+    function getPasswordError(password, confirmation) {
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return `Use at least ${MIN_PASSWORD_LENGTH} characters`;
+        }
+        if (password !== confirmation) {
+            return "The passwords don't match";
+        }
+        return '';
+    }
+
+    return {
+        DEFAULT_PAGE,
+        MIN_PASSWORD_LENGTH,
+        getReturnPath,
+        getSafeNext,
+        getNext,
+        getLoginUrl,
+        getPasswordError
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Auth;
+}
@@ -0,0 +1,538 @@
+/**
+ * Calculations
+ * Rates, earnings, tax and monthly totals. Nothing here touches the
+ * DOM or Supabase, so it can be loaded in the browser or required in Node.
+ */
+
+const Calculations = (() => {
+    /**
+     * Parse a YYYY-MM-DD completion date as a local calendar day
+     */
+    function parseDate(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Calculate hourly rate
+     */
+    function calculateHourlyRate(hours, money) {
+        if (hours <= 0) return 0;
+        return money / hours;
+    }
+
+    /**
+     * Whether a project's gross hourly rate, converted with getHomeRate,
+     * is below the target rate. Projects without hours or an exchange
+     * rate, and any project when there is no target, never are.
+     */
+    function isBelowTarget(project, targetRate, getHomeRate = () => 1) {
+        if (!targetRate || project.hoursWorked <= 0) return false;
+
+        const rate = getHomeRate(project);
+        return rate !== null && project.hourlyRate * rate < targetRate;
+    }
+
+    /**
+     * Calculate what is left of the money received after
+     * line-item expenses and the platform's percentage fee
+     */
+    function calculateNetEarnings(money, expenses, platformFeePercent) {
+        const expenseTotal = expenses.reduce((sum, e) => sum + e.amount, 0);
+        const platformFee = money * (platformFeePercent / 100);
+        return money - expenseTotal - platformFee;
+    }
+
+    /**
+     * Calculate income tax with progressive brackets.
+     * Each rate applies to income between its threshold and the next one.
+     */
+    function calculateIncomeTax(income, brackets) {
+        const sorted = [...brackets].sort((a, b) => a.from - b.from);
+
+        return sorted.reduce((tax, bracket, index) => {
+            const upper = index + 1 < sorted.length ? sorted[index + 1].from : Infinity;
+            const taxable = Math.min(income, upper) - bracket.from;
+            return taxable > 0 ? tax + taxable * (bracket.rate / 100) : tax;
+        }, 0);
+    }
+
+    /**
+     * Share of yearly income owed as income plus self-employment tax
+     */
+    function calculateEffectiveTaxRate(annualIncome, settings) {
+        if (annualIncome <= 0) return 0;
+
+        const incomeTax = calculateIncomeTax(annualIncome, settings.taxBrackets);
+        const selfEmploymentTax = annualIncome * (settings.selfEmploymentRate / 100);
+        return (incomeTax + selfEmploymentTax) / annualIncome;
+    }
+
+    /**
+     * Due date of a quarter's estimated payment. A due date that falls
+     * before the quarter ends belongs to the following year.
+     */
+    function getQuarterDueDate(year, quarter, taxDueDates) {
+        const [month, day] = taxDueDates[quarter].split('-').map(Number);
+        const quarterEndMonth = quarter * 3 + 2;
+        const dueYear = month - 1 < quarterEndMonth ? year + 1 : year;
+        return new Date(dueYear, month - 1, day);
+    }
+
+    /**
+     * Projects completed in a given month (0-11)
+     */
+    function getProjectsForMonth(projects, year, month) {
+        return projects.filter(project => {
+            if (!project.completionDate) return false;
+            const projectDate = parseDate(project.completionDate);
+            return projectDate.getFullYear() === year && projectDate.getMonth() === month;
+        });
+    }
+
+    /**
+     * Income on a cash basis: one slice per payment, dated by the day it
+     * was paid and carrying its share of the project's net earnings and
+     * hours, so rates stay the same. Projects without recorded payments
+     * count as paid in full on completion.
+     */
+    function getCashSlices(projects) {
+        return projects.flatMap(project => {
+            const payments = project.payments || [];
+            if (payments.length === 0) return [project];
+
+            return payments.map(payment => {
+                const share = project.moneyReceived > 0 ? payment.amount / project.moneyReceived : 0;
+                return {
+                    ...project,
+                    completionDate: payment.paidOn,
+                    moneyReceived: payment.amount,
+                    netEarnings: project.netEarnings * share,
+                    hoursWorked: project.hoursWorked * share,
+                    payment
+                };
+            });
+        });
+    }
+
+    /**
+     * The total agreed for a project: its quote, a retainer period's fee,
+     * or failing those what it has been invoiced. Null when none is known.
+     */
+    function getAgreedTotal(project, invoicedTotal = 0) {
+        if (project.quotedPrice !== null && project.quotedPrice !== undefined) return project.quotedPrice;
+        if (project.periodFee !== null && project.periodFee !== undefined) return project.periodFee;
+        return invoicedTotal > 0 ? invoicedTotal : null;
+    }
+
+    /**
+     * What is still owed on a project against its agreed total, never
+     * below 0. Counts the money actually paid rather than a retainer fee
+     * standing in for it. Null when no total is agreed.
+     */
+    function getOutstanding(project, invoicedTotal = 0) {
+        const agreedTotal = getAgreedTotal(project, invoicedTotal);
+        if (agreedTotal === null) return null;
+
+        const paid = project.amountPaid ?? project.moneyReceived;
+        return Math.max(Math.round((agreedTotal - paid) * 100) / 100, 0);
+    }
+
+    /**
+     * First day of a month, quarter or year containing the given month (0-11),
+     * and the first day after it
+     */
+    function getPeriodRange(year, month, period) {
+        if (period === 'year') {
+            return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+        }
+
+        if (period === 'quarter') {
+            const firstMonth = Math.floor(month / 3) * 3;
+            return { start: new Date(year, firstMonth, 1), end: new Date(year, firstMonth + 3, 1) };
+        }
+
+        return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+    }
+
+    /**
+     * Projects completed on or after start and before end
+     */
+    function getProjectsBetween(projects, start, end) {
+        return projects.filter(project => {
+            if (!project.completionDate) return false;
+            const projectDate = parseDate(project.completionDate);
+            return projectDate >= start && projectDate < end;
+        });
+    }
+
+    /**
+     * The same dates a number of years earlier or later
+     */
+    function shiftRange({ start, end }, years) {
+        const shift = date => new Date(date.getFullYear() + years, date.getMonth(), date.getDate());
+        return { start: shift(start), end: shift(end) };
+    }
+
+    /**
+     * A range cut off after today, so a period still under way is
+     * compared with the same stretch of an earlier one
+     */
+    function clipRangeToToday(range, today) {
+        const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        return tomorrow < range.end && tomorrow > range.start ? { start: range.start, end: tomorrow } : range;
+    }
+
+    /**
+     * Totals and average rates for a set of projects in the home currency.
+     * getHomeRate(project) returns null for projects that can't be
+     * converted; those are counted but left out of the totals.
+     */
+    function calculateMonthlyStats(monthProjects, getHomeRate = () => 1) {
+        const convertible = monthProjects.filter(p => getHomeRate(p) !== null);
+        const totalEarnings = convertible.reduce((sum, p) => sum + p.moneyReceived * getHomeRate(p), 0);
+        const totalNetEarnings = convertible.reduce((sum, p) => sum + p.netEarnings * getHomeRate(p), 0);
+        const totalHours = convertible.reduce((sum, p) => sum + p.hoursWorked, 0);
+        const avgRate = totalHours > 0 ? totalEarnings / totalHours : 0;
+        const avgNetRate = totalHours > 0 ? totalNetEarnings / totalHours : 0;
+        const projectCount = monthProjects.length;
+        const unconvertedCount = monthProjects.length - convertible.length;
+
+        return { totalEarnings, totalNetEarnings, totalHours, avgRate, avgNetRate, projectCount, unconvertedCount };
+    }
+
+    /**
+     * Project a year's income from the year so far. The run rate scales the
+     * income to date by the share of the year gone; the seasonal projection
+     * instead divides it by the share of income past years had earned by the
+     * same day; past years with nothing earned by then are left out.
+     * A finished year projects to its total. amountOf(project) gives a project's income in one currency,
+     * or null when it can't be converted.
+     */
+    function projectAnnualIncome(projects, year, today, amountOf) {
+        const total = list => list.reduce((sum, p) => {
+            const amount = amountOf(p);
+            return amount === null ? sum : sum + amount;
+        }, 0);
+
+        const yearRange = getPeriodRange(year, 0, 'year');
+        if (today < yearRange.start) {
+            return { yearToDate: 0, elapsedShare: 0, runRate: null, seasonal: null, pastYears: 0 };
+        }
+
+        const toDate = clipRangeToToday(yearRange, today);
+        const yearToDate = total(getProjectsBetween(projects, toDate.start, toDate.end));
+
+        if (toDate.end === yearRange.end) {
+            return { yearToDate, elapsedShare: 1, runRate: yearToDate, seasonal: null, pastYears: 0 };
+        }
+
+        // Whole days, so daylight saving changes don't skew the share
+        const days = range => Math.round((range.end - range.start) / 86400000);
+        const elapsedShare = days(toDate) / days(yearRange);
+        const shares = [];
+        const firstYear = Math.min(year, ...projects
+            .filter(p => p.completionDate)
+            .map(p => parseDate(p.completionDate).getFullYear()));
+
+        for (let pastYear = year - 1; pastYear >= firstYear; pastYear--) {
+            const fullRange = shiftRange(yearRange, pastYear - year);
+            const stretchRange = shiftRange(toDate, pastYear - year);
+            const fullYear = total(getProjectsBetween(projects, fullRange.start, fullRange.end));
+            const sameStretch = total(getProjectsBetween(projects, stretchRange.start, stretchRange.end));
+            if (fullYear > 0 && sameStretch > 0) shares.push(sameStretch / fullYear);
+        }
+
+        const averageShare = shares.reduce((sum, share) => sum + share, 0) / shares.length;
+
+        return {
+            yearToDate,
+            elapsedShare,
+            runRate: yearToDate / elapsedShare,
+            seasonal: shares.length > 0 ? yearToDate / averageShare : null,
+            pastYears: shares.length
+        };
+    }
+
+    /**
+     * Trailing average over up to `size` values ending at each position.
+     * Null values are skipped; a window with none left is null.
+     */
+    function movingAverage(values, size) {
+        return values.map((_, index) => {
+            const window = values.slice(Math.max(0, index - size + 1), index + 1).filter(value => value !== null);
+            return window.length > 0 ? window.reduce((sum, value) => sum + value, 0) / window.length : null;
+        });
+    }
+
+    /**
+     * Net hourly rate over time for a set of projects, oldest first, and the
+     * change from the earlier half of the projects to the later half.
+     * Null when there are fewer than two dated projects with hours.
+     */
+    function getRateTrend(projectList, getHomeRate = () => 1) {
+        const dated = projectList
+            .filter(p => p.completionDate && p.hoursWorked > 0 && getHomeRate(p) !== null)
+            .sort((a, b) => a.completionDate.localeCompare(b.completionDate));
+
+        if (dated.length < 2) return null;
+
+        const rateOf = group => {
+            const hours = group.reduce((sum, p) => sum + p.hoursWorked, 0);
+            const net = group.reduce((sum, p) => sum + p.netEarnings * getHomeRate(p), 0);
+            return calculateHourlyRate(hours, net);
+        };
+
+        const middle = Math.floor(dated.length / 2);
+        const earlierRate = rateOf(dated.slice(0, middle));
+        const laterRate = rateOf(dated.slice(middle));
+
+        return {
+            points: dated.map(p => ({ date: p.completionDate, rate: rateOf([p]) })),
+            change: earlierRate > 0 ? (laterRate - earlierRate) / earlierRate : null
+        };
+    }
+
+    /**
+     * Totals, effective (net) rate and trend per client, ranked by the
+     * chosen figure. Clients with no hours yet are listed last, unranked.
+     */
+    function calculateClientStats(projectList, clients, getHomeRate = () => 1, rankBy = 'avgNetRate') {
+        const stats = clients.map(client => {
+            const clientProjects = projectList.filter(p => p.clientId === client.id);
+            return {
+                client,
+                ...calculateMonthlyStats(clientProjects, getHomeRate),
+                trend: getRateTrend(clientProjects, getHomeRate),
+                rank: null
+            };
+        });
+
+        const ranked = stats
+            .filter(s => s.totalHours > 0)
+            .sort((a, b) => b[rankBy] - a[rankBy]);
+        ranked.forEach((s, index) => {
+            s.rank = index + 1;
+        });
+
+        return ranked.concat(stats.filter(s => s.totalHours <= 0));
+    }
+
+    /**
+     * Value below which the given share (0-1) of values fall,
+     * interpolating between neighbours. 0 for an empty list.
+     */
+    function percentile(values, share) {
+        if (values.length === 0) return 0;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const position = (sorted.length - 1) * share;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Past projects to price a new one from: those with an estimate, and
+     * the tag if one is given, for the same client if there are enough of
+     * them, otherwise of a similar size (half to double the hours),
+     * otherwise all of them
+     */
+    function findSimilarProjects(projectList, { clientId = null, tagId = null, estimatedHours }, minimum = 3) {
+        const estimated = projectList.filter(p =>
+            p.estimatedHours > 0 && p.hoursWorked > 0 && (!tagId || (p.tagIds || []).includes(tagId))
+        );
+
+        if (clientId) {
+            const sameClient = estimated.filter(p => p.clientId === clientId);
+            if (sameClient.length >= minimum) return { projects: sameClient, basis: 'client' };
+        }
+
+        const similarSize = estimated.filter(p =>
+            p.estimatedHours >= estimatedHours / 2 && p.estimatedHours <= estimatedHours * 2
+        );
+        if (similarSize.length >= minimum) return { projects: similarSize, basis: 'size' };
+
+        return { projects: estimated, basis: 'all' };
+    }
+
+    /**
+     * Suggest a fixed price for estimated hours at a target rate. Hours are
+     * scaled by how far past projects ran over their estimates: on average
+     * for the suggestion, and at the 50th and 90th percentile for the range.
+     * Without history the estimate is taken as it is.
+     */
+    function calculateQuote(estimatedHours, targetRate, similarProjects) {
+        const ratios = similarProjects.map(p => p.hoursWorked / p.estimatedHours);
+        const hasHistory = ratios.length > 0;
+
+        const overrunFactor = hasHistory ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length : 1;
+        const p50Factor = hasHistory ? percentile(ratios, 0.5) : 1;
+        const p90Factor = hasHistory ? percentile(ratios, 0.9) : 1;
+        const basePrice = estimatedHours * targetRate;
+
+        return {
+            sampleSize: ratios.length,
+            overrunFactor,
+            p50Factor,
+            p90Factor,
+            basePrice,
+            suggestedPrice: basePrice * overrunFactor,
+            p50Price: basePrice * p50Factor,
+            p90Price: basePrice * p90Factor
+        };
+    }
+
+    /**
+     * Project sizes for the overrun report, by estimated hours
+     */
+    const SIZE_BUCKETS = [
+        { label: 'Under 10 hrs', max: 10 },
+        { label: '10 to 40 hrs', max: 40 },
+        { label: '40 to 100 hrs', max: 100 },
+        { label: '100+ hrs', max: Infinity }
+    ];
+
+    /**
+     * Size bucket label for an estimate
+     */
+    function getSizeBucket(estimatedHours) {
+        return SIZE_BUCKETS.find(bucket => estimatedHours < bucket.max).label;
+    }
+
+    /**
+     * Share by which actual hours ran over the estimate (0.2 = 20% over,
+     * negative when under). Null without an estimate.
+     */
+    function getOverrun(project) {
+        if (!(project.estimatedHours > 0)) return null;
+        return project.hoursWorked / project.estimatedHours - 1;
+    }
+
+    /**
+     * Hourly rate a project was meant to earn: the quoted price, or the
+     * money received if there was no quote, over the estimated hours.
+     * Null without an estimate.
+     */
+    function getIntendedRate(project) {
+        if (!(project.estimatedHours > 0)) return null;
+
+        const price = project.quotedPrice !== null && project.quotedPrice !== undefined
+            ? project.quotedPrice
+            : project.moneyReceived;
+        return price / project.estimatedHours;
+    }
+
+    /**
+     * Average overrun of projects with an estimate, grouped by keyOf(project).
+     * Groups keep the order they are first seen in.
+     */
+    function groupOverruns(projectList, keyOf) {
+        const groups = new Map();
+
+        projectList.forEach(project => {
+            const overrun = getOverrun(project);
+            if (overrun === null) return;
+
+            const key = keyOf(project);
+            const group = groups.get(key) || { key, count: 0, total: 0 };
+            group.count += 1;
+            group.total += overrun;
+            groups.set(key, group);
+        });
+
+        return [...groups.values()].map(({ key, count, total }) => ({
+            key,
+            count,
+            averageOverrun: total / count
+        }));
+    }
+
+    /**
+     * Earnings, hours and effective rate per tag, best net rate first and
+     * tags without hours last. A project with several tags counts in full
+     * under each. Projects with none of the tags are totalled as untagged.
+     */
+    function calculateTagStats(projectList, tags, getHomeRate = () => 1) {
+        const tagIdsOf = project => project.tagIds || [];
+        const stats = tags.map(tag => ({
+            tag,
+            ...calculateMonthlyStats(projectList.filter(project => tagIdsOf(project).includes(tag.id)), getHomeRate)
+        }));
+
+        const withHours = stats.filter(stat => stat.totalHours > 0).sort((a, b) => b.avgNetRate - a.avgNetRate);
+        const withoutHours = stats.filter(stat => stat.totalHours === 0);
+        const known = new Set(tags.map(tag => tag.id));
+
+        return {
+            tags: [...withHours, ...withoutHours],
+            untagged: calculateMonthlyStats(
+                projectList.filter(project => !tagIdsOf(project).some(id => known.has(id))),
+                getHomeRate
+            )
+        };
+    }
+
+    /**
+     * Hours of work an amount pays for at the target rate. Logging more
+     * than this takes a project below target. Null without a target.
+     */
+    function getTargetHours(amount, targetRate) {
+        if (!(targetRate > 0)) return null;
+        return amount / targetRate;
+    }
+
+    /**
+     * Progress toward an income goal, and the hours still needed to reach
+     * it at the given rate (null when there is no rate to go by)
+     */
+    function calculateGoalProgress(goal, earned, rate) {
+        const remaining = Math.max(goal - earned, 0);
+
+        return {
+            goal,
+            earned,
+            remaining,
+            share: goal > 0 ? Math.min(earned / goal, 1) : 0,
+            hoursNeeded: remaining === 0 ? 0 : (rate > 0 ? remaining / rate : null)
+        };
+    }
+
+    return {
+        parseDate,
+        calculateHourlyRate,
+        isBelowTarget,
+        calculateNetEarnings,
+        calculateIncomeTax,
+        calculateEffectiveTaxRate,
+        getQuarterDueDate,
+        getProjectsForMonth,
+        getCashSlices,
+        getAgreedTotal,
+        getOutstanding,
+        getPeriodRange,
+        getProjectsBetween,
+        shiftRange,
+        clipRangeToToday,
+        projectAnnualIncome,
+        calculateMonthlyStats,
+        movingAverage,
+        getRateTrend,
+        calculateClientStats,
+        percentile,
+        findSimilarProjects,
+        calculateQuote,
+        SIZE_BUCKETS,
+        getSizeBucket,
+        getOverrun,
+        getIntendedRate,
+        groupOverruns,
+        calculateTagStats,
+        getTargetHours,
+        calculateGoalProgress
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Calculations;
+}
@@ -0,0 +1,241 @@
+/**
+ * Charts
+ * Small SVG charts drawn in the browser: grouped bars with a left and
+ * right axis, a line with a moving average, and a clickable scatter plot
+ */
+
+const Charts = (() => {
+    const WIDTH = 600;
+    const HEIGHT = 240;
+    const PADDING = { top: 16, right: 56, bottom: 32, left: 64 };
+    const TICK_COUNT = 4;
+
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+    // ================================
+    // Scales
+    // ================================
+
+    /**
+     * Round an axis maximum up to 1, 2, 2.5 or 5 times a power of ten
+     */
+    function getNiceMax(value) {
+        if (!(value > 0)) return 1;
+
+        const magnitude = 10 ** Math.floor(Math.log10(value));
+        return [1, 2, 2.5, 5, 10].map(step => step * magnitude).find(nice => nice >= value);
+    }
+
+    /**
+     * Evenly spaced axis values from 0 to max
+     */
+    function getTicks(max, count = TICK_COUNT) {
+        return Array.from({ length: count + 1 }, (_, index) => (max / count) * index);
+    }
+
+    // Charts start at zero, so negative values sit on the axis
+    const toX = (value, max) => PADDING.left + (Math.max(value, 0) / max) * plotWidth;
+    const toY = (value, max) => PADDING.top + plotHeight - (Math.max(value, 0) / max) * plotHeight;
+
+    // ================================
+    // Drawing
+    // ================================
+
+    /**
+     * Escape text placed inside SVG markup
+     */
+    function escapeText(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Wrap chart markup in a scalable SVG element
+     */
+    function svg(content, label) {
+        return `
+            <svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${escapeText(label)}">
+                ${content}
+            </svg>
+        `;
+    }
+
+    /**
+     * Horizontal grid lines with their values on the left or right axis
+     */
+    function drawYAxis(max, format, side = 'left') {
+        return getTicks(max).map(tick => {
+            const y = toY(tick, max);
+            const x = side === 'left' ? PADDING.left - 8 : WIDTH - PADDING.right + 8;
+            const anchor = side === 'left' ? 'end' : 'start';
+            const line = side === 'left'
+                ? `<line class="chart-grid" x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y}" y2="${y}"/>`
+                : '';
+
+            return `${line}<text class="chart-axis" x="${x}" y="${y + 4}" text-anchor="${anchor}">${escapeText(format(tick))}</text>`;
+        }).join('');
+    }
+
+    /**
+     * Category labels under the plot, thinned out when there are many
+     */
+    function drawXLabels(labels) {
+        const step = Math.ceil(labels.length / 12);
+        const slot = plotWidth / labels.length;
+
+        return labels.map((label, index) => {
+            if (index % step !== 0) return '';
+            const x = PADDING.left + slot * (index + 0.5);
+            return `<text class="chart-axis" x="${x}" y="${HEIGHT - 10}" text-anchor="middle">${escapeText(label)}</text>`;
+        }).join('');
+    }
+
+    /**
+     * Message shown in place of a chart without data
+     */
+    function renderEmpty(container, message) {
+        container.innerHTML = `<p class="chart-empty">${escapeText(message)}</p>`;
+    }
+
+    // ================================
+    // Charts
+    // ================================
+
+    /**
+     * Grouped bars for one or two series. The first series is read on the
+     * left axis and the second on the right, so each keeps its own scale.
+     * series: [{ name, values, className, format }]
+     */
+    function renderBarChart(container, { labels, series, emptyMessage = 'No data yet' }) {
+        if (labels.length === 0 || series.every(s => s.values.every(value => !value))) {
+            renderEmpty(container, emptyMessage);
+            return;
+        }
+
+        const maxima = series.map(s => getNiceMax(Math.max(...s.values)));
+        const slot = plotWidth / labels.length;
+        const barWidth = (slot * 0.7) / series.length;
+
+        const bars = series.map((s, seriesIndex) => s.values.map((value, index) => {
+            const x = PADDING.left + slot * index + slot * 0.15 + barWidth * seriesIndex;
+            const y = toY(value, maxima[seriesIndex]);
+            return `
+                <rect class="chart-bar ${s.className}" x="${x}" y="${y}" width="${barWidth}" height="${PADDING.top + plotHeight - y}">
+                    <title>${escapeText(`${labels[index]}: ${s.format(value)} ${s.name.toLowerCase()}`)}</title>
+                </rect>
+            `;
+        }).join('')).join('');
+
+        const axes = drawYAxis(maxima[0], series[0].format, 'left') +
+            (series[1] ? drawYAxis(maxima[1], series[1].format, 'right') : '');
+
+        container.innerHTML = svg(axes + bars + drawXLabels(labels), series.map(s => s.name).join(' and ')) + legend(series);
+    }
+
+    /**
+     * A line with gaps where values are null, and a dashed moving average over it
+     */
+    function renderLineChart(container, { labels, values, average, name, averageName, format, emptyMessage = 'No data yet' }) {
+        const known = values.filter(value => value !== null);
+        if (known.length === 0) {
+            renderEmpty(container, emptyMessage);
+            return;
+        }
+
+        const max = getNiceMax(Math.max(...known, ...average.filter(value => value !== null)));
+        const slot = plotWidth / labels.length;
+        const xAt = index => PADDING.left + slot * (index + 0.5);
+
+        const path = list => list.reduce((d, value, index) => {
+            if (value === null) return d;
+            const command = index === 0 || list[index - 1] === null ? 'M' : 'L';
+            return `${d}${command}${xAt(index)},${toY(value, max)} `;
+        }, '');
+
+        const dots = values.map((value, index) => (value === null ? '' : `
+            <circle class="chart-dot" cx="${xAt(index)}" cy="${toY(value, max)}" r="3">
+                <title>${escapeText(`${labels[index]}: ${format(value)}`)}</title>
+            </circle>
+        `)).join('');
+
+        const content = drawYAxis(max, format) +
+            `<path class="chart-average" d="${path(average)}"/>` +
+            `<path class="chart-line" d="${path(values)}"/>` +
+            dots + drawXLabels(labels);
+
+        container.innerHTML = svg(content, name) + legend([
+            { name, className: 'chart-key-line' },
+            { name: averageName, className: 'chart-key-average' }
+        ]);
+    }
+
+    /**
+     * Points plotted by x and y. Clicking a point, or pressing Enter on
+     * it, calls onSelect with the point's id.
+     * points: [{ id, x, y, label }]
+     */
+    function renderScatterChart(container, { points, xName, yName, formatX, formatY, onSelect, emptyMessage = 'No data yet' }) {
+        if (points.length === 0) {
+            renderEmpty(container, emptyMessage);
+            return;
+        }
+
+        const maxX = getNiceMax(Math.max(...points.map(point => point.x)));
+        const maxY = getNiceMax(Math.max(...points.map(point => point.y)));
+
+        const xTicks = getTicks(maxX).map(tick => `
+            <text class="chart-axis" x="${toX(tick, maxX)}" y="${HEIGHT - 10}" text-anchor="middle">${escapeText(formatX(tick))}</text>
+        `).join('');
+
+        const dots = points.map(point => `
+            <circle class="chart-point" cx="${toX(point.x, maxX)}" cy="${toY(point.y, maxY)}" r="6"
+                tabindex="0" role="button" data-point-id="${escapeText(point.id)}"
+                aria-label="${escapeText(`${point.label}: ${formatX(point.x)}, ${formatY(point.y)}`)}">
+                <title>${escapeText(`${point.label}: ${formatX(point.x)}, ${formatY(point.y)}`)}</title>
+            </circle>
+        `).join('');
+
+        container.innerHTML = svg(drawYAxis(maxY, formatY) + xTicks + dots, `${yName} by ${xName}`) +
+            `<p class="chart-caption">${escapeText(xName)} across, ${escapeText(yName.toLowerCase())} up. Select a point to open the project.</p>`;
+
+        const select = event => {
+            const point = event.target.closest('[data-point-id]');
+            if (point) onSelect(point.dataset.pointId);
+        };
+
+        container.onclick = select;
+        container.onkeydown = event => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                select(event);
+            }
+        };
+    }
+
+    /**
+     * Colour key under a chart
+     */
+    function legend(items) {
+        return `
+            <ul class="chart-legend">
+                ${items.map(item => `<li><span class="chart-key ${item.className}"></span>${escapeText(item.name)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    return {
+        getNiceMax,
+        getTicks,
+        renderBarChart,
+        renderLineChart,
+        renderScatterChart
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Charts;
+}
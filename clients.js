@@ -0,0 +1,136 @@
+/**
+ * Clients
+ * The people and companies projects are done for. The list is kept
+ * in localStorage as well so project cards still show client names offline.
+ */
+
+const Clients = (() => {
+    const CACHE_KEY = 'trueFreelance.clients';
+
+    let clients = [];
+
+    /**
+     * Map a clients row to the shape used in the UI
+     */
+    function mapClientRow(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Keep the list sorted by name and cached for offline use
+     */
+    function saveList() {
+        clients.sort((a, b) => a.name.localeCompare(b.name));
+        localStorage.setItem(CACHE_KEY, JSON.stringify(clients));
+    }
+
+    /**
+     * Load the signed-in user's clients. On failure the cached list
+     * is used and the error is rethrown.
+     */
+    async function load() {
+        const { data, error } = await window.supabaseClient
+            .from('clients')
+            .select('*')
+            .order('name', { ascending: true });
+
+        if (error) {
+            clients = JSON.parse(localStorage.getItem(CACHE_KEY) || '[]');
+            throw error;
+        }
+
+        clients = data.map(mapClientRow);
+        saveList();
+        return getAll();
+    }
+
+    /**
+     * Every client, by name
+     */
+    function getAll() {
+        return [...clients];
+    }
+
+    /**
+     * Find a client by ID
+     */
+    function getById(id) {
+        return clients.find(client => client.id === id) || null;
+    }
+
+    /**
+     * Find a client by name, ignoring case and surrounding spaces
+     */
+    function findByName(name) {
+        const wanted = name.trim().toLowerCase();
+        return clients.find(client => client.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Add a client, or return the existing one with that name
+     */
+    async function add(name) {
+        const existing = findByName(name);
+        if (existing) return existing;
+
+        const { data, error } = await window.supabaseClient
+            .from('clients')
+            .insert([{ user_id: window.currentUser.id, name: name.trim() }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        const client = mapClientRow(data);
+        clients.push(client);
+        saveList();
+        return client;
+    }
+
+    /**
+     * Rename a client
+     */
+    async function rename(id, name) {
+        const { data, error } = await window.supabaseClient
+            .from('clients')
+            .update({ name: name.trim(), updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        clients = clients.map(client => (client.id === id ? mapClientRow(data) : client));
+        saveList();
+        return getById(id);
+    }
+
+    /**
+     * Delete a client. Its projects stay, without a client.
+     */
+    async function remove(id) {
+        const { error } = await window.supabaseClient
+            .from('clients')
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+
+        clients = clients.filter(client => client.id !== id);
+        saveList();
+    }
+
+    return {
+        load,
+        getAll,
+        getById,
+        findByName,
+        add,
+        rename,
+        remove
+    };
+})();
@@ -0,0 +1,93 @@
+/**
+ * CSV
+ * Parse and build comma-separated text, including quoted fields
+ * with embedded commas, quotes and line breaks
+ */
+
+const Csv = (() => {
+    /**
+     * Parse CSV text into rows, each with the line it starts on in the
+     * text and its values as an array of strings. Blank lines are dropped,
+     * and a field with line breaks inside quotes doesn't throw the count off.
+     */
+    function parseLines(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push({ line: rowLine, values: row });
+                row = [];
+                field = '';
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push({ line: rowLine, values: row });
+        }
+
+        // Drop blank lines
+        return rows.filter(r => r.values.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Parse CSV text into an array of rows, each an array of strings
+     */
+    function parse(text) {
+        return parseLines(text).map(row => row.values);
+    }
+
+    /**
+     * Quote a value if it contains a delimiter, quote or line break
+     */
+    function formatField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build CSV text from an array of rows
+     */
+    function stringify(rows) {
+        return rows.map(row => row.map(formatField).join(',')).join('\r\n');
+    }
+
+    return {
+        parse,
+        parseLines,
+        stringify
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Csv;
+}
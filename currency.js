@@ -0,0 +1,157 @@
+/**
+ * Currency
+ * Formatting per currency and hand-entered or imported exchange rates.
+ * Nothing here depends on a live FX service.
+ */
+
+const Currency = (() => {
+    const CURRENCIES = [
+        'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY',
+        'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'INR', 'BRL', 'MXN', 'ZAR'
+    ];
+
+    let rates = [];
+    const formatters = {};
+
+    /**
+     * Format an amount in the given currency
+     */
+    function format(amount, currency) {
+        if (!formatters[currency]) {
+            formatters[currency] = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+        }
+        return formatters[currency].format(amount);
+    }
+
+    /**
+     * Map an exchange_rates row to the shape used in the UI
+     */
+    function mapRateRow(row) {
+        return {
+            fromCurrency: row.from_currency,
+            toCurrency: row.to_currency,
+            rateDate: row.rate_date,
+            rate: parseFloat(row.rate)
+        };
+    }
+
+    /**
+     * Load every stored rate for the signed-in user
+     */
+    async function loadRates() {
+        const { data, error } = await window.supabaseClient
+            .from('exchange_rates')
+            .select('*')
+            .order('rate_date', { ascending: true });
+
+        if (error) throw error;
+
+        rates = data.map(mapRateRow);
+        return rates.length;
+    }
+
+    /**
+     * Number of rates on file
+     */
+    function getRateCount() {
+        return rates.length;
+    }
+
+    /**
+     * Find the rate from one currency to another on a date: the latest rate
+     * on or before it, else the earliest after it. Inverse pairs are used
+     * when only the opposite direction is on file.
+     */
+    function findRate(fromCurrency, toCurrency, date) {
+        if (fromCurrency === toCurrency) return 1;
+
+        const candidates = rates
+            .map(r => {
+                if (r.fromCurrency === fromCurrency && r.toCurrency === toCurrency) return r;
+                if (r.fromCurrency === toCurrency && r.toCurrency === fromCurrency) {
+                    return { ...r, rate: 1 / r.rate };
+                }
+                return null;
+            })
+            .filter(Boolean);
+
+        if (candidates.length === 0) return null;
+
+        const onOrBefore = candidates.filter(r => !date || r.rateDate <= date);
+        const match = onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : candidates[0];
+        return match.rate;
+    }
+
+    /**
+     * Import rates from CSV text with date, currency and rate columns and an
+     * optional "to" column. Rates are units of the "to" currency (the home
+     * currency by default) per one unit of the listed currency.
+     */
+    async function importRates(text, homeCurrency) {
+        const rows = Csv.parseLines(text);
+        const skipped = [];
+        let columns = { date: 0, currency: 1, rate: 2, to: -1 };
+
+        const header = (rows.length > 0 ? rows[0].values : []).map(value => value.trim().toLowerCase());
+        const hasHeader = header.includes('date') && header.includes('rate');
+        if (hasHeader) {
+            columns = {
+                date: header.indexOf('date'),
+                currency: header.findIndex(h => h === 'currency' || h === 'from'),
+                rate: header.indexOf('rate'),
+                to: header.findIndex(h => h === 'to' || h === 'to_currency')
+            };
+            rows.shift();
+        }
+
+        const records = [];
+        rows.forEach(({ line, values: row }) => {
+            const rateDate = (row[columns.date] || '').trim();
+            const fromCurrency = (row[columns.currency] || '').trim().toUpperCase();
+            const toCurrency = columns.to >= 0 && row[columns.to]
+                ? row[columns.to].trim().toUpperCase()
+                : homeCurrency;
+            const rate = parseFloat(row[columns.rate]);
+
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(rateDate)) {
+                skipped.push({ line, reason: 'date must be YYYY-MM-DD' });
+            } else if (!/^[A-Z]{3}$/.test(fromCurrency) || !/^[A-Z]{3}$/.test(toCurrency)) {
+                skipped.push({ line, reason: 'currency must be a 3-letter code' });
+            } else if (isNaN(rate) || rate <= 0) {
+                skipped.push({ line, reason: 'rate must be greater than 0' });
+            } else {
+                records.push({
+                    user_id: window.currentUser.id,
+                    from_currency: fromCurrency,
+                    to_currency: toCurrency,
+                    rate_date: rateDate,
+                    rate
+                });
+            }
+        });
+
+        if (records.length > 0) {
+            const { error } = await window.supabaseClient
+                .from('exchange_rates')
+                .upsert(records, { onConflict: 'user_id,from_currency,to_currency,rate_date' });
+
+            if (error) throw error;
+            await loadRates();
+        }
+
+        return { imported: records.length, skipped };
+    }
+
+    return {
+        CURRENCIES,
+        format,
+        loadRates,
+        getRateCount,
+        findRate,
+        importRates
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Currency;
+}
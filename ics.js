@@ -0,0 +1,408 @@
+/**
+ * iCalendar
+ * Reads the events in an .ics export (Google Calendar, Apple Calendar,
+ * Outlook) and expands recurring ones into single occurrences.
+ * Times with a TZID are read in that time zone, so a weekly 9:00 block
+ * stays at 9:00 across daylight saving changes.
+ */
+
+const Ics = (() => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+    // Recurrence periods looked at before giving up on a rule that never matches
+    const MAX_PERIODS = 10000;
+
+    const formatters = new Map();
+
+    // ================================
+    // Parsing
+    // ================================
+
+    /**
+     * Content lines with folded continuation lines joined back on
+     */
+    function unfold(text) {
+        return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    }
+
+    /**
+     * Split a content line into its name, parameters and value
+     */
+    function parseLine(line) {
+        let inQuotes = false;
+        let colon = 0;
+        for (; colon < line.length; colon++) {
+            if (line[colon] === '"') inQuotes = !inQuotes;
+            else if (line[colon] === ':' && !inQuotes) break;
+        }
+
+        const [name, ...paramParts] = line.slice(0, colon).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, ...value] = part.split('=');
+            params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    }
+
+    /**
+     * A TEXT value with its escapes undone
+     */
+    function unescapeText(value) {
+        return value.replace(/\\([\\;,nN])/g, (match, character) =>
+            character === 'n' || character === 'N' ? '\n' : character);
+    }
+
+    /**
+     * A DATE or DATE-TIME value as wall-clock parts and the zone they are in:
+     * 'UTC', an IANA zone name from TZID, or null for floating local time
+     */
+    function parseDateValue(value, params = {}) {
+        const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hour, minute, second, utc] = match;
+        const allDay = params.VALUE === 'DATE' || hour === undefined;
+
+        return {
+            wall: Date.UTC(+year, +month - 1, +day, +(hour || 0), +(minute || 0), +(second || 0)),
+            zone: utc ? 'UTC' : (params.TZID || null),
+            allDay
+        };
+    }
+
+    /**
+     * A DURATION value such as PT1H30M in milliseconds
+     */
+    function parseDuration(value) {
+        const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) return null;
+
+        const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+        const ms = ((+weeks * 7 + +days) * 24 * 3600 + +hours * 3600 + +minutes * 60 + +seconds) * 1000;
+        return sign === '-' ? -ms : ms;
+    }
+
+    /**
+     * An RRULE value as { freq, interval, count, until, byDay, byMonthDay, weekStart }
+     */
+    function parseRule(value, zone) {
+        const parts = Object.fromEntries(value.split(';').map(part => {
+            const [key, ...rest] = part.split('=');
+            return [key.toUpperCase(), rest.join('=')];
+        }));
+        const until = parts.UNTIL ? parseDateValue(parts.UNTIL) : null;
+
+        return {
+            freq: (parts.FREQ || '').toUpperCase(),
+            interval: Math.max(parseInt(parts.INTERVAL, 10) || 1, 1),
+            count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+            // A date-only UNTIL includes the whole of that day
+            until: until ? toUtc(until.allDay ? until.wall + DAY_MS - 1000 : until.wall, until.zone || zone) : null,
+            byDay: parts.BYDAY
+                ? parts.BYDAY.split(',').map(day => {
+                    const dayMatch = day.trim().toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+                    return dayMatch ? { nth: dayMatch[1] ? parseInt(dayMatch[1], 10) : 0, weekday: WEEKDAYS.indexOf(dayMatch[2]) } : null;
+                }).filter(Boolean)
+                : [],
+            byMonthDay: parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(day => parseInt(day, 10)).filter(day => !isNaN(day)) : [],
+            weekStart: WEEKDAYS.includes(parts.WKST) ? WEEKDAYS.indexOf(parts.WKST) : 1
+        };
+    }
+
+    /**
+     * The VEVENTs in a calendar file. Each has its UID, title, start and
+     * end as parsed date values, and any RRULE, EXDATEs and RECURRENCE-ID.
+     */
+    function parseEvents(text) {
+        const events = [];
+        let event = null;
+        let depth = 0;
+
+        unfold(text).forEach(line => {
+            const { name, params, value } = parseLine(line);
+
+            if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+                event = { uid: '', title: '', start: null, end: null, duration: null, rule: null, ruleText: '', exdates: [], recurrenceId: null, cancelled: false };
+                depth = 0;
+                return;
+            }
+            if (!event) return;
+
+            // Skip the properties of alarms and other components inside the event
+            if (name === 'BEGIN') {
+                depth++;
+                return;
+            }
+            if (name === 'END' && depth > 0) {
+                depth--;
+                return;
+            }
+            if (depth > 0) return;
+
+            if (name === 'END') {
+                if (event.start) {
+                    event.uid = event.uid || `${event.start.wall}|${event.title}`;
+                    if (event.ruleText) event.rule = parseRule(event.ruleText, event.start.zone);
+                    delete event.ruleText;
+                    events.push(event);
+                }
+                event = null;
+            } else if (name === 'UID') {
+                event.uid = value.trim();
+            } else if (name === 'SUMMARY') {
+                event.title = unescapeText(value).trim();
+            } else if (name === 'DTSTART') {
+                event.start = parseDateValue(value, params);
+            } else if (name === 'DTEND') {
+                event.end = parseDateValue(value, params);
+            } else if (name === 'DURATION') {
+                event.duration = parseDuration(value);
+            } else if (name === 'RRULE') {
+                event.ruleText = value;
+            } else if (name === 'EXDATE') {
+                value.split(',').forEach(date => {
+                    const parsed = parseDateValue(date, params);
+                    if (parsed) event.exdates.push(parsed);
+                });
+            } else if (name === 'RECURRENCE-ID') {
+                event.recurrenceId = parseDateValue(value, params);
+            } else if (name === 'STATUS') {
+                event.cancelled = value.trim().toUpperCase() === 'CANCELLED';
+            }
+        });
+
+        return events;
+    }
+
+    // ================================
+    // Time Zones
+    // ================================
+
+    /**
+     * A usable IANA zone name, or null. Exports from some calendar apps
+     * prefix the name with a path, e.g. /mozilla.org/20050126_1/Europe/London.
+     */
+    function getTimeZone(zone) {
+        if (!zone || zone === 'UTC') return zone;
+        if (formatters.has(zone)) return formatters.get(zone) ? zone : null;
+
+        const candidates = [zone, (zone.match(/[A-Za-z]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?$/) || [])[0]].filter(Boolean);
+        for (const name of candidates) {
+            try {
+                formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+                    timeZone: name,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: 'numeric',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    second: 'numeric'
+                }));
+                return zone;
+            } catch (error) {
+                // Not a zone this browser knows; try the next spelling
+            }
+        }
+
+        formatters.set(zone, null);
+        return null;
+    }
+
+    /**
+     * How far a zone's wall clock is ahead of UTC at an instant, in ms
+     */
+    function getOffset(instant, zone) {
+        const parts = Object.fromEntries(formatters.get(zone).formatToParts(new Date(instant))
+            .map(part => [part.type, part.value]));
+        const wall = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute, +parts.second);
+        return wall - Math.floor(instant / 1000) * 1000;
+    }
+
+    /**
+     * The instant a wall-clock time in a zone falls on. Floating times
+     * and zones the browser doesn't know are read as local time.
+     */
+    function toUtc(wall, zone) {
+        const timeZone = getTimeZone(zone);
+        if (timeZone === 'UTC') return wall;
+
+        if (!timeZone) {
+            const date = new Date(wall);
+            return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+                date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()).getTime();
+        }
+
+        // A second pass settles times next to a daylight saving change
+        const guess = wall - getOffset(wall, timeZone);
+        return wall - getOffset(guess, timeZone);
+    }
+
+    // ================================
+    // Recurrence
+    // ================================
+
+    /**
+     * Wall-clock times in one period of a rule, in order. Period 0 is the
+     * day, week, month or year holding the first occurrence.
+     */
+    function getPeriodTimes(startWall, rule, period) {
+        const start = new Date(startWall);
+        const timeOfDay = startWall % DAY_MS;
+        const year = start.getUTCFullYear();
+        const month = start.getUTCMonth();
+        const onDay = (y, m, d) => Date.UTC(y, m, d) + timeOfDay;
+        const step = period * rule.interval;
+
+        if (rule.freq === 'DAILY') {
+            const time = startWall + step * DAY_MS;
+            const weekday = new Date(time).getUTCDay();
+            return rule.byDay.length === 0 || rule.byDay.some(day => day.weekday === weekday) ? [time] : [];
+        }
+
+        if (rule.freq === 'WEEKLY') {
+            const weekStart = startWall - ((start.getUTCDay() - rule.weekStart + 7) % 7) * DAY_MS + step * 7 * DAY_MS;
+            const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [start.getUTCDay()];
+            return weekdays
+                .map(weekday => weekStart + ((weekday - rule.weekStart + 7) % 7) * DAY_MS)
+                .sort((a, b) => a - b);
+        }
+
+        if (rule.freq === 'MONTHLY') {
+            const monthStart = new Date(Date.UTC(year, month + step, 1));
+            const y = monthStart.getUTCFullYear();
+            const m = monthStart.getUTCMonth();
+            const daysInMonth = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+            let days;
+
+            if (rule.byMonthDay.length > 0) {
+                days = rule.byMonthDay.map(day => (day < 0 ? daysInMonth + day + 1 : day));
+            } else if (rule.byDay.length > 0) {
+                days = rule.byDay.flatMap(({ nth, weekday }) => {
+                    const first = (weekday - monthStart.getUTCDay() + 7) % 7 + 1;
+                    const matching = [];
+                    for (let day = first; day <= daysInMonth; day += 7) matching.push(day);
+                    if (nth === 0) return matching;
+                    return [nth > 0 ? matching[nth - 1] : matching[matching.length + nth]];
+                });
+            } else {
+                days = [start.getUTCDate()];
+            }
+
+            return [...new Set(days)]
+                .filter(day => day >= 1 && day <= daysInMonth)
+                .sort((a, b) => a - b)
+                .map(day => onDay(y, m, day));
+        }
+
+        if (rule.freq === 'YEARLY') {
+            const time = onDay(year + step, month, start.getUTCDate());
+            // Feb 29 only comes round in leap years
+            return new Date(time).getUTCDate() === start.getUTCDate() ? [time] : [];
+        }
+
+        return [];
+    }
+
+    /**
+     * Start times, as instants, of every occurrence of an event up to a time.
+     * COUNT includes occurrences later removed by EXDATE.
+     */
+    function getStartTimes(event, until) {
+        const zone = event.start.zone;
+        const first = toUtc(event.start.wall, zone);
+        if (!event.rule || !event.rule.freq) return [first];
+
+        const rule = event.rule;
+        const last = rule.until === null ? until : Math.min(until, rule.until);
+        const times = [];
+        let counted = 0;
+
+        for (let period = 0; period < MAX_PERIODS; period++) {
+            const periodTimes = getPeriodTimes(event.start.wall, rule, period)
+                .filter(wall => wall >= event.start.wall)
+                .map(wall => toUtc(wall, zone));
+
+            for (const time of periodTimes) {
+                if (time > last || (rule.count !== null && counted >= rule.count)) return times;
+                counted++;
+                times.push(time);
+            }
+        }
+
+        return times;
+    }
+
+    /**
+     * Timed occurrences starting in [from, to), oldest first, as
+     * { id, uid, title, startedAt, endedAt }. The id is stable across
+     * exports, so importing the same file twice can be spotted. All-day
+     * and cancelled events are left out.
+     */
+    function expandEvents(events, from, to) {
+        const fromTime = new Date(from).getTime();
+        const toTime = new Date(to).getTime();
+        const occurrenceKey = (uid, time) => `${uid}|${new Date(time).toISOString()}`;
+
+        // Occurrences moved or cancelled individually replace the rule's occurrence
+        const overridden = new Set(events
+            .filter(event => event.recurrenceId)
+            .map(event => occurrenceKey(event.uid, toUtc(event.recurrenceId.wall, event.recurrenceId.zone || event.start.zone))));
+
+        const occurrences = [];
+
+        events.forEach(event => {
+            if (event.start.allDay || event.cancelled) return;
+
+            const zone = event.start.zone;
+            const duration = event.end
+                ? toUtc(event.end.wall, event.end.zone || zone) - toUtc(event.start.wall, zone)
+                : (event.duration || 0);
+            if (duration <= 0) return;
+
+            if (event.recurrenceId) {
+                const original = toUtc(event.recurrenceId.wall, event.recurrenceId.zone || zone);
+                const start = toUtc(event.start.wall, zone);
+                if (start >= fromTime && start < toTime) {
+                    occurrences.push({ id: occurrenceKey(event.uid, original), uid: event.uid, title: event.title, start, duration });
+                }
+                return;
+            }
+
+            const excluded = new Set(event.exdates.map(date => toUtc(date.wall, date.zone || zone)));
+
+            getStartTimes(event, toTime).forEach(start => {
+                if (start < fromTime || start >= toTime || excluded.has(start)) return;
+
+                const id = event.rule ? occurrenceKey(event.uid, start) : event.uid;
+                if (event.rule && overridden.has(id)) return;
+
+                occurrences.push({ id, uid: event.uid, title: event.title, start, duration });
+            });
+        });
+
+        return occurrences
+            .sort((a, b) => a.start - b.start)
+            .map(({ id, uid, title, start, duration }) => ({
+                id,
+                uid,
+                title,
+                startedAt: new Date(start).toISOString(),
+                endedAt: new Date(start + duration).toISOString()
+            }));
+    }
+
+    return {
+        parseEvents,
+        parseDuration,
+        toUtc,
+        expandEvents
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Ics;
+}
@@ -0,0 +1,288 @@
+/**
+ * Import / Export
+ * CSV and JSON export of projects, CSV import with column mapping,
+ * per-row validation and duplicate detection, and matching of
+ * calendar events to projects for importing them as sessions
+ */
+
+const ImportExport = (() => {
+    /**
+     * Project fields a CSV column can be mapped to
+     */
+    const IMPORT_FIELDS = [
+        { key: 'name', label: 'Project Name', required: true, aliases: ['name', 'project', 'project name', 'title'] },
+        { key: 'hoursWorked', label: 'Hours Worked', required: true, aliases: ['hours', 'hours worked', 'hours_worked', 'time'] },
+        { key: 'moneyReceived', label: 'Money Received', required: true, aliases: ['money', 'money received', 'money_received', 'amount', 'earned', 'paid', 'income'] },
+        { key: 'completionDate', label: 'Completion Date', required: true, aliases: ['date', 'completion date', 'completion_date', 'completed', 'finished'] },
+        { key: 'currency', label: 'Currency', required: false, aliases: ['currency'] },
+        { key: 'exchangeRate', label: 'Exchange Rate', required: false, aliases: ['exchange rate', 'exchange_rate', 'fx rate', 'rate to home'] },
+        { key: 'platformFeePercent', label: 'Platform Fee (%)', required: false, aliases: ['fee', 'platform fee', 'platform_fee_percent', 'fee %'] },
+        { key: 'notes', label: 'Notes', required: false, aliases: ['notes', 'note', 'description', 'memo'] }
+    ];
+
+    const EXPORT_COLUMNS = [
+        ['name', p => p.name],
+        ['status', p => p.status],
+        ['completion_date', p => p.completionDate || ''],
+        ['hours_worked', p => p.hoursWorked.toFixed(2)],
+        ['money_received', p => p.moneyReceived.toFixed(2)],
+        ['currency', p => p.currency],
+        ['exchange_rate', p => p.exchangeRate],
+        ['platform_fee_percent', p => p.platformFeePercent],
+        ['expenses_total', p => p.totalExpenses.toFixed(2)],
+        ['net_earnings', p => p.netEarnings.toFixed(2)],
+        ['hourly_rate', p => p.hourlyRate.toFixed(2)],
+        ['net_hourly_rate', p => p.netHourlyRate.toFixed(2)],
+        ['notes', p => p.notes || '']
+    ];
+
+    // ================================
+    // Export
+    // ================================
+
+    /**
+     * Build a CSV with one row per project
+     */
+    function toCsv(projects) {
+        const header = EXPORT_COLUMNS.map(([column]) => column);
+        const rows = projects.map(project => EXPORT_COLUMNS.map(([, value]) => value(project)));
+        return Csv.stringify([header, ...rows]);
+    }
+
+    /**
+     * Build a JSON document with every project and its related records
+     */
+    function toJson(projects) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            projects: projects.map(project => ({
+                name: project.name,
+                status: project.status,
+                completionDate: project.completionDate,
+                hoursWorked: project.hoursWorked,
+                moneyReceived: project.moneyReceived,
+                currency: project.currency,
+                exchangeRate: project.exchangeRate,
+                platformFeePercent: project.platformFeePercent,
+                netEarnings: project.netEarnings,
+                hourlyRate: project.hourlyRate,
+                netHourlyRate: project.netHourlyRate,
+                notes: project.notes || '',
+                expenses: project.expenses.map(({ category, description, amount }) => ({ category, description, amount })),
+                sessions: project.timeEntries.map(({ startedAt, endedAt, note }) => ({ startedAt, endedAt, note }))
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Offer text to the browser as a file download
+     */
+    function download(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // ================================
+    // Import
+    // ================================
+
+    /**
+     * Guess which CSV column holds each field from the header names
+     */
+    function guessMapping(headers) {
+        const normalized = headers.map(header => header.trim().toLowerCase());
+
+        return IMPORT_FIELDS.reduce((mapping, field) => {
+            const index = normalized.findIndex(header => field.aliases.includes(header));
+            mapping[field.key] = index;
+            return mapping;
+        }, {});
+    }
+
+    /**
+     * Normalize a date to YYYY-MM-DD. Accepts ISO dates and M/D/YYYY.
+     */
+    function normalizeDate(value) {
+        const text = (value || '').trim();
+
+        const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (iso) {
+            return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+        }
+
+        const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (us) {
+            return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+        }
+
+        return '';
+    }
+
+    /**
+     * Strip currency symbols and thousands separators from a number
+     */
+    function normalizeNumber(value) {
+        return (value || '').replace(/[^0-9.\-]/g, '');
+    }
+
+    /**
+     * Key used to spot the same project twice
+     */
+    function getDuplicateKey(name, completionDate) {
+        return `${name.trim().toLowerCase()}|${completionDate}`;
+    }
+
+    /**
+     * Turn mapped CSV rows, as read by Csv.parseLines, into project data
+     * and check each one. validate(data) returns an object of field errors;
+     * prepare(data) may fill in values such as an exchange rate before validation.
+     */
+    function prepareRows(rows, mapping, { existingProjects, validate, prepare }) {
+        const existingKeys = new Set(existingProjects.map(p => getDuplicateKey(p.name, p.completionDate)));
+        const seenKeys = new Set();
+
+        const cell = (row, key) => (mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '');
+
+        return rows.map(({ line, values: row }) => {
+            const data = prepare({
+                name: cell(row, 'name'),
+                hoursWorked: normalizeNumber(cell(row, 'hoursWorked')),
+                moneyReceived: normalizeNumber(cell(row, 'moneyReceived')),
+                completionDate: normalizeDate(cell(row, 'completionDate')),
+                currency: cell(row, 'currency').toUpperCase(),
+                exchangeRate: normalizeNumber(cell(row, 'exchangeRate')),
+                platformFeePercent: normalizeNumber(cell(row, 'platformFeePercent')),
+                notes: cell(row, 'notes'),
+                expenses: []
+            });
+
+            const errors = Object.values(validate(data));
+            const key = getDuplicateKey(data.name, data.completionDate);
+            let status = 'ready';
+
+            if (errors.length > 0) {
+                status = 'invalid';
+            } else if (existingKeys.has(key)) {
+                status = 'duplicate';
+                errors.push('Already in your projects');
+            } else if (seenKeys.has(key)) {
+                status = 'duplicate';
+                errors.push('Repeated in this file');
+            }
+
+            seenKeys.add(key);
+            return { line, data, status, errors };
+        });
+    }
+
+    /**
+     * Count prepared rows by status
+     */
+    function summarize(preparedRows) {
+        return preparedRows.reduce((summary, row) => {
+            summary[row.status] += 1;
+            return summary;
+        }, { ready: 0, duplicate: 0, invalid: 0 });
+    }
+
+    // ================================
+    // Calendar Import
+    // ================================
+
+    /**
+     * The project a calendar event belongs to: the first mapping rule
+     * whose keyword is in the title, otherwise the project with the
+     * longest name found in the title. Empty when nothing matches.
+     */
+    function matchProject(title, rules, projects) {
+        const text = title.toLowerCase();
+        const projectIds = new Set(projects.map(project => project.id));
+
+        const rule = rules.find(({ keyword, projectId }) =>
+            keyword.trim() !== '' && projectIds.has(projectId) && text.includes(keyword.trim().toLowerCase()));
+        if (rule) return rule.projectId;
+
+        const named = projects
+            .filter(project => project.name.trim() !== '' && text.includes(project.name.trim().toLowerCase()))
+            .sort((a, b) => b.name.trim().length - a.name.trim().length);
+        return named.length > 0 ? named[0].id : '';
+    }
+
+    /**
+     * Turn calendar occurrences into sessions for the dry run. choices
+     * holds projects picked by hand, by occurrence ID, and wins over
+     * the matching; an empty choice skips the event. Occurrences already
+     * imported, by their ID, are duplicates. Sessions replace the hours
+     * of a project whose hours were entered by hand, without sessions.
+     */
+    function prepareCalendarRows(occurrences, { projects, rules, existingIds, choices = {} }) {
+        const existing = new Set(existingIds);
+        const seen = new Set();
+        const handEntered = new Set(projects
+            .filter(project => project.hoursWorked > 0 && (project.timeEntries || []).length === 0)
+            .map(project => project.id));
+
+        return occurrences.map(occurrence => {
+            const projectId = occurrence.id in choices
+                ? choices[occurrence.id]
+                : matchProject(occurrence.title, rules, projects);
+            const hours = (new Date(occurrence.endedAt) - new Date(occurrence.startedAt)) / 3600000;
+            let status = 'ready';
+            let error = '';
+
+            if (existing.has(occurrence.id)) {
+                status = 'duplicate';
+                error = 'Already imported';
+            } else if (seen.has(occurrence.id)) {
+                status = 'duplicate';
+                error = 'Repeated in this file';
+            } else if (!projectId) {
+                status = 'unmatched';
+                error = 'No project';
+            }
+
+            seen.add(occurrence.id);
+            const replacesHours = status === 'ready' && handEntered.has(projectId);
+            return { ...occurrence, projectId, hours, status, error, replacesHours };
+        });
+    }
+
+    /**
+     * Count prepared calendar rows by status, with the hours ready to
+     * import and the projects whose hand-entered hours they replace
+     */
+    function summarizeCalendar(preparedRows) {
+        return preparedRows.reduce((summary, row) => {
+            summary[row.status] += 1;
+            if (row.status === 'ready') summary.hours += row.hours;
+            if (row.replacesHours && !summary.replacedProjectIds.includes(row.projectId)) {
+                summary.replacedProjectIds.push(row.projectId);
+            }
+            return summary;
+        }, { ready: 0, duplicate: 0, unmatched: 0, hours: 0, replacedProjectIds: [] });
+    }
+
+    return {
+        IMPORT_FIELDS,
+        toCsv,
+        toJson,
+        download,
+        guessMapping,
+        normalizeDate,
+        prepareRows,
+        summarize,
+        matchProject,
+        prepareCalendarRows,
+        summarizeCalendar
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportExport;
+}
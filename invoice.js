@@ -0,0 +1,104 @@
+/**
+ * Invoice Page
+ * One invoice laid out for printing. The browser's print dialog
+ * saves it as a PDF, and the toolbar is left off the printout.
+ */
+
+const invoiceId = new URLSearchParams(location.search).get('id');
+
+const printBtn = document.getElementById('printBtn');
+const invoiceMessage = document.getElementById('invoiceMessage');
+const invoiceSheet = document.getElementById('invoiceSheet');
+
+function setText(id, text) {
+    document.getElementById(id).textContent = text;
+}
+
+function formatDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}
+
+function showMessage(message) {
+    invoiceMessage.textContent = message;
+    invoiceMessage.classList.remove('hidden');
+    invoiceSheet.classList.add('hidden');
+}
+
+// ================================
+// Rendering
+// ================================
+
+function renderInvoice(invoice) {
+    const settings = Settings.get();
+    const client = Clients.getById(invoice.clientId);
+    const money = amount => Currency.format(amount, invoice.currency);
+
+    document.title = `Invoice ${invoice.number}`;
+    setText('businessName', settings.businessName || 'Your business name');
+    setText('businessDetails', settings.businessDetails);
+    setText('invoiceNumber', invoice.number);
+    setText('issueDate', formatDate(invoice.issueDate));
+    setText('dueDate', formatDate(invoice.dueDate));
+    document.getElementById('draftMark').classList.toggle('hidden', invoice.status !== 'draft');
+
+    document.getElementById('billTo').classList.toggle('hidden', !client);
+    setText('clientName', client ? client.name : '');
+
+    const itemsBody = document.getElementById('itemsBody');
+    itemsBody.innerHTML = '';
+    invoice.items.forEach(item => {
+        const row = document.createElement('tr');
+        [item.description, String(item.quantity), money(item.unitPrice), money(item.quantity * item.unitPrice)]
+            .forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+        itemsBody.appendChild(row);
+    });
+
+    setText('totalAmount', money(Invoices.getTotal(invoice)));
+    setText('paidAmount', money(invoice.amountPaid));
+    setText('balanceAmount', money(Invoices.getBalance(invoice)));
+    document.getElementById('paidRow').classList.toggle('hidden', invoice.amountPaid === 0);
+
+    document.getElementById('notesSection').classList.toggle('hidden', !invoice.notes);
+    setText('invoiceNotes', invoice.notes);
+
+    invoiceMessage.classList.add('hidden');
+    invoiceSheet.classList.remove('hidden');
+    printBtn.disabled = false;
+}
+
+async function loadInvoice() {
+    if (!invoiceId) {
+        showMessage('No invoice was chosen. Open one from the Invoices tab.');
+        return;
+    }
+
+    try {
+        await Settings.load();
+        await Clients.load();
+        await Invoices.load();
+    } catch (error) {
+        console.error('Error loading invoice:', error);
+        showMessage('Could not load this invoice. Please try again.');
+        return;
+    }
+
+    const invoice = Invoices.getById(invoiceId);
+    if (invoice) {
+        renderInvoice(invoice);
+    } else {
+        showMessage('This invoice could not be found. It may have been deleted.');
+    }
+}
+
+printBtn.addEventListener('click', () => window.print());
+
+loadInvoice();
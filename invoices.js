@@ -0,0 +1,315 @@
+/**
+ * Invoices
+ * Bills generated from projects. Only draft or sent is stored; partly
+ * paid, paid and overdue follow from the amount paid and the due date.
+ */
+
+const Invoices = (() => {
+    const STATUSES = {
+        draft: 'Draft',
+        sent: 'Sent',
+        partlyPaid: 'Partly paid',
+        paid: 'Paid',
+        overdue: 'Overdue'
+    };
+
+    const NUMBER_DIGITS = 4;
+
+    let invoices = [];
+
+    const toCents = amount => Math.round(amount * 100) / 100;
+
+    // ================================
+    // Amounts and Status
+    // ================================
+
+    /**
+     * Sum of an invoice's line items
+     */
+    function getTotal(invoice) {
+        return toCents(invoice.items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0));
+    }
+
+    /**
+     * What is still owed on an invoice, never below 0
+     */
+    function getBalance(invoice) {
+        return Math.max(toCents(getTotal(invoice) - invoice.amountPaid), 0);
+    }
+
+    /**
+     * Status of an invoice on the given YYYY-MM-DD day. An unpaid balance
+     * past the due date is overdue even when part of it has been paid.
+     */
+    function getStatus(invoice, today) {
+        if (invoice.status === 'draft') return 'draft';
+        if (getBalance(invoice) === 0) return 'paid';
+        if (invoice.dueDate < today) return 'overdue';
+        return invoice.amountPaid > 0 ? 'partlyPaid' : 'sent';
+    }
+
+    /**
+     * Whole days from one YYYY-MM-DD date to a later one
+     */
+    function daysBetween(from, to) {
+        return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+    }
+
+    /**
+     * A YYYY-MM-DD date moved by a number of days
+     */
+    function addDays(dateString, days) {
+        const date = new Date(`${dateString}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    // ================================
+    // Numbering and Line Items
+    // ================================
+
+    /**
+     * The number after the highest existing one with this prefix,
+     * e.g. INV-0042 after INV-0041, keeping the existing zero padding.
+     * Numbers typed by hand that don't end in digits are skipped.
+     */
+    function getNextNumber(numbers, prefix) {
+        const used = numbers
+            .filter(number => number.startsWith(prefix) && /^\d+$/.test(number.slice(prefix.length)))
+            .map(number => number.slice(prefix.length));
+        const width = used.length > 0 ? Math.max(...used.map(digits => digits.length)) : NUMBER_DIGITS;
+        const next = Math.max(0, ...used.map(Number)) + 1;
+
+        return `${prefix}${String(next).padStart(width, '0')}`;
+    }
+
+    /**
+     * A line item billing a project, either for its logged hours at the
+     * given rate or as one fixed amount: the quoted price if there is one,
+     * else the money received
+     */
+    function createProjectItem(project, basis, rate) {
+        if (basis === 'hours') {
+            return {
+                projectId: project.id,
+                description: `${project.name} (hours worked)`,
+                quantity: toCents(project.hoursWorked),
+                unitPrice: toCents(rate)
+            };
+        }
+
+        return {
+            projectId: project.id,
+            description: project.name,
+            quantity: 1,
+            unitPrice: toCents(project.quotedPrice ?? project.moneyReceived)
+        };
+    }
+
+    // ================================
+    // Supabase
+    // ================================
+
+    /**
+     * Map an invoice_items row to the shape used in the UI
+     */
+    function mapItemRow(row) {
+        return {
+            projectId: row.project_id || null,
+            description: row.description,
+            quantity: parseFloat(row.quantity),
+            unitPrice: parseFloat(row.unit_price)
+        };
+    }
+
+    /**
+     * Map an invoices row and its items to the shape used in the UI
+     */
+    function mapInvoiceRow(row, itemRows) {
+        return {
+            id: row.id,
+            clientId: row.client_id || null,
+            number: row.number,
+            currency: row.currency,
+            issueDate: row.issue_date,
+            dueDate: row.due_date,
+            status: row.status,
+            amountPaid: parseFloat(row.amount_paid) || 0,
+            notes: row.notes || '',
+            items: [...itemRows].sort((a, b) => a.position - b.position).map(mapItemRow),
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * invoice_items rows for an invoice's line items
+     */
+    function getItemRows(items) {
+        return items.map((item, index) => ({
+            project_id: item.projectId || null,
+            description: item.description.trim(),
+            quantity: item.quantity,
+            unit_price: toCents(item.unitPrice),
+            position: index
+        }));
+    }
+
+    /**
+     * invoices columns for a new or edited invoice
+     */
+    function getInvoiceColumns(invoice) {
+        return {
+            client_id: invoice.clientId || null,
+            number: invoice.number.trim(),
+            currency: invoice.currency,
+            issue_date: invoice.issueDate,
+            due_date: invoice.dueDate,
+            notes: (invoice.notes || '').trim() || null
+        };
+    }
+
+    /**
+     * Load the signed-in user's invoices and their line items, newest first
+     */
+    async function load() {
+        const [invoiceResult, itemResult] = await Promise.all([
+            window.supabaseClient.from('invoices').select('*').order('issue_date', { ascending: false }),
+            window.supabaseClient.from('invoice_items').select('*')
+        ]);
+
+        if (invoiceResult.error) throw invoiceResult.error;
+        if (itemResult.error) throw itemResult.error;
+
+        invoices = invoiceResult.data.map(row =>
+            mapInvoiceRow(row, itemResult.data.filter(item => item.invoice_id === row.id)));
+        return getAll();
+    }
+
+    /**
+     * Every invoice, newest first
+     */
+    function getAll() {
+        return [...invoices];
+    }
+
+    /**
+     * Find an invoice by ID
+     */
+    function getById(id) {
+        return invoices.find(invoice => invoice.id === id) || null;
+    }
+
+    /**
+     * Write an invoice and its line items in one transaction through the
+     * save_invoice function, so a failure leaves no half-saved invoice.
+     * A null ID adds a new draft. Resolves to the saved invoice.
+     */
+    async function save(id, invoice) {
+        const { data: savedId, error } = await window.supabaseClient.rpc('save_invoice', {
+            target_id: id,
+            invoice_columns: getInvoiceColumns(invoice),
+            item_rows: getItemRows(invoice.items)
+        });
+
+        if (error) throw error;
+
+        const [invoiceResult, itemResult] = await Promise.all([
+            window.supabaseClient.from('invoices').select('*').eq('id', savedId).single(),
+            window.supabaseClient.from('invoice_items').select('*').eq('invoice_id', savedId)
+        ]);
+
+        if (invoiceResult.error) throw invoiceResult.error;
+        if (itemResult.error) throw itemResult.error;
+
+        return mapInvoiceRow(invoiceResult.data, itemResult.data);
+    }
+
+    /**
+     * Save a new draft invoice
+     */
+    async function add(invoice) {
+        const saved = await save(null, invoice);
+        invoices.unshift(saved);
+        return saved;
+    }
+
+    /**
+     * Save changes to an invoice and its line items
+     */
+    async function update(id, invoice) {
+        const saved = await save(id, invoice);
+        invoices = invoices.map(existing => (existing.id === id ? saved : existing));
+        return getById(id);
+    }
+
+    /**
+     * Change stored fields of an invoice, keeping its line items
+     */
+    async function updateColumns(id, columns) {
+        const { data, error } = await window.supabaseClient
+            .from('invoices')
+            .update({ ...columns, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        invoices = invoices.map(invoice => (invoice.id === id
+            ? { ...mapInvoiceRow(data, []), items: invoice.items }
+            : invoice));
+        return getById(id);
+    }
+
+    /**
+     * Mark a draft as sent to the client
+     */
+    function markSent(id) {
+        return updateColumns(id, { status: 'sent' });
+    }
+
+    /**
+     * Add a payment to the amount paid on an invoice
+     */
+    function recordPayment(id, amount) {
+        const invoice = getById(id);
+        return updateColumns(id, { amount_paid: toCents(invoice.amountPaid + amount) });
+    }
+
+    /**
+     * Delete an invoice and its line items
+     */
+    async function remove(id) {
+        const { error } = await window.supabaseClient
+            .from('invoices')
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+
+        invoices = invoices.filter(invoice => invoice.id !== id);
+    }
+
+    return {
+        STATUSES,
+        getTotal,
+        getBalance,
+        getStatus,
+        daysBetween,
+        addDays,
+        getNextNumber,
+        createProjectItem,
+        load,
+        getAll,
+        getById,
+        add,
+        update,
+        markSent,
+        recordPayment,
+        remove
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Invoices;
+}
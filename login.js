@@ -0,0 +1,156 @@
+/**
+ * Login Page
+ * Sign in with a password or an emailed link, sign up, or ask for a
+ * password reset. Signed-in users go on to the page they first asked
+ * for, or the door.
+ */
+
+const MODES = {
+    signIn: { button: 'Sign In', busy: 'Signing in...', password: true, links: ['forgot', 'magicLink', 'signUp'] },
+    signUp: { button: 'Sign Up', busy: 'Signing up...', password: true, links: ['haveAccount'] },
+    magicLink: { button: 'Email Me a Link', busy: 'Sending...', password: false, links: ['signIn'] },
+    forgot: { button: 'Send Reset Link', busy: 'Sending...', password: false, links: ['signIn'] }
+};
+
+const LINK_TEXT = {
+    signIn: 'Back to <a href="#" data-mode="signIn">Sign In</a>',
+    haveAccount: 'Already have an account? <a href="#" data-mode="signIn">Sign In</a>',
+    signUp: 'Don\'t have an account? <a href="#" data-mode="signUp">Sign Up</a>',
+    forgot: '<a href="#" data-mode="forgot">Forgot your password?</a>',
+    magicLink: '<a href="#" data-mode="magicLink">Email me a sign-in link instead</a>'
+};
+
+const next = Auth.getNext(location.search);
+
+const form = document.getElementById('loginForm');
+const emailInput = document.getElementById('email');
+const passwordInput = document.getElementById('password');
+const passwordGroup = document.getElementById('passwordGroup');
+const submitBtn = document.getElementById('submitBtn');
+const authLinks = document.getElementById('authLinks');
+const authError = document.getElementById('authError');
+
+let mode = 'signIn';
+
+/**
+ * Absolute link back to a page of the app, for links in emails
+ */
+function pageUrl(page) {
+    return new URL(page, location.href).href;
+}
+
+function showMessage(message, isError = true) {
+    authError.textContent = message;
+    authError.classList.toggle('auth-message-error', isError);
+    authError.classList.toggle('auth-message-success', !isError);
+    authError.classList.remove('hidden');
+}
+
+function hideMessage() {
+    authError.classList.add('hidden');
+}
+
+function setMode(nextMode) {
+    mode = nextMode;
+    const settings = MODES[mode];
+
+    submitBtn.textContent = settings.button;
+    passwordGroup.classList.toggle('hidden', !settings.password);
+    passwordInput.required = settings.password;
+    passwordInput.autocomplete = mode === 'signUp' ? 'new-password' : 'current-password';
+    authLinks.innerHTML = settings.links.map(link => `<p>${LINK_TEXT[link]}</p>`).join('');
+    hideMessage();
+}
+
+/**
+ * Send the email or sign in for the current mode. Returns a message
+ * to show, or null once signed in.
+ */
+async function submit(email, password) {
+    const auth = window.supabaseClient.auth;
+    let result;
+
+    if (mode === 'signIn') {
+        result = await auth.signInWithPassword({ email, password });
+    } else if (mode === 'signUp') {
+        result = await auth.signUp({
+            email,
+            password,
+            options: { emailRedirectTo: pageUrl(Auth.getLoginUrl(next)) }
+        });
+    } else if (mode === 'magicLink') {
+        result = await auth.signInWithOtp({
+            email,
+            options: { emailRedirectTo: pageUrl(Auth.getLoginUrl(next)) }
+        });
+    } else {
+        result = await auth.resetPasswordForEmail(email, { redirectTo: pageUrl('reset-password.html') });
+    }
+
+    if (result.error) throw result.error;
+
+    if (mode === 'signUp' && !result.data.session) {
+        return 'Check your email to confirm your account!';
+    }
+    if (mode === 'magicLink') {
+        return 'Check your email for a link to sign in.';
+    }
+    if (mode === 'forgot') {
+        return 'If that email has an account, a link to reset the password is on its way.';
+    }
+    return null;
+}
+
+authLinks.addEventListener('click', event => {
+    const link = event.target.closest('[data-mode]');
+    if (!link) return;
+
+    event.preventDefault();
+    setMode(link.dataset.mode);
+    emailInput.focus();
+});
+
+form.addEventListener('submit', async event => {
+    event.preventDefault();
+    hideMessage();
+    submitBtn.disabled = true;
+    submitBtn.textContent = MODES[mode].busy;
+
+    try {
+        const message = await submit(emailInput.value.trim(), passwordInput.value);
+        if (message) {
+            showMessage(message, false);
+        } else {
+            window.location.href = next;
+            return;
+        }
+    } catch (error) {
+        showMessage(error.message);
+    }
+
+    submitBtn.disabled = false;
+    submitBtn.textContent = MODES[mode].button;
+});
+
+setMode('signIn');
+
+const reason = new URLSearchParams(location.search).get('reason');
+if (reason === 'expired') {
+    showMessage('Your session ended. Sign in again to pick up where you left off.');
+} else if (reason === 'deleted') {
+    showMessage('Your account and everything in it have been deleted.', false);
+}
+
+// Already signed in, or just back from an emailed sign-in link
+(async function() {
+    const { data: { session } } = await window.supabaseClient.auth.getSession();
+    if (session) {
+        window.location.href = next;
+    }
+})();
+
+window.supabaseClient.auth.onAuthStateChange((event, session) => {
+    if (event === 'SIGNED_IN' && session) {
+        window.location.href = next;
+    }
+});
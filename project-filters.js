@@ -0,0 +1,204 @@
+/**
+ * Project Filters
+ * Search, filters and sort order for the projects list, and their
+ * round trip through the page URL so a view can be bookmarked
+ */
+
+const ProjectFilters = (() => {
+    const DEFAULTS = {
+        query: '',
+        from: '',
+        to: '',
+        minRate: '',
+        maxRate: '',
+        clientId: '',
+        tagId: '',
+        status: '',
+        sort: 'added'
+    };
+
+    // Status filter value showing every project; the default hides archived ones
+    const ALL_STATUSES = 'all';
+
+    // Client filter value for projects without a client
+    const NO_CLIENT = 'none';
+
+    // URL parameter for each filter
+    const PARAMS = {
+        query: 'q',
+        from: 'from',
+        to: 'to',
+        minRate: 'minRate',
+        maxRate: 'maxRate',
+        clientId: 'client',
+        tagId: 'tag',
+        status: 'status',
+        sort: 'sort'
+    };
+
+    const SORTS = {
+        added: 'Newest added',
+        date: 'Completion date',
+        earnings: 'Net earnings',
+        hours: 'Hours worked',
+        rate: 'Highest rate',
+        rateAsc: 'Lowest rate'
+    };
+
+    // ================================
+    // URL State
+    // ================================
+
+    /**
+     * Read filters from URL search parameters, dropping values that don't parse
+     */
+    function fromSearchParams(params) {
+        const filters = { ...DEFAULTS };
+
+        Object.entries(PARAMS).forEach(([key, param]) => {
+            const value = (params.get(param) || '').trim();
+            if (value) filters[key] = value;
+        });
+
+        ['from', 'to'].forEach(key => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) filters[key] = '';
+        });
+        ['minRate', 'maxRate'].forEach(key => {
+            if (filters[key] && !(parseFloat(filters[key]) >= 0)) filters[key] = '';
+        });
+        if (!SORTS[filters.sort]) filters.sort = DEFAULTS.sort;
+
+        return filters;
+    }
+
+    /**
+     * URL search parameters for the filters that differ from the defaults
+     */
+    function toSearchParams(filters) {
+        const params = new URLSearchParams();
+
+        Object.entries(PARAMS).forEach(([key, param]) => {
+            const value = String(filters[key] ?? '').trim();
+            if (value && value !== DEFAULTS[key]) params.set(param, value);
+        });
+
+        return params;
+    }
+
+    /**
+     * Whether any filter narrows the list (the sort order doesn't)
+     */
+    function isFiltered(filters) {
+        return Object.keys(DEFAULTS).some(key => key !== 'sort' && filters[key] !== DEFAULTS[key]);
+    }
+
+    // ================================
+    // Matching
+    // ================================
+
+    /**
+     * Lower-case text with accents removed, so "café" matches "cafe"
+     */
+    function normalizeText(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Whether every word of the query appears somewhere in the given texts
+     */
+    function matchesQuery(texts, query) {
+        const words = normalizeText(query).split(/\s+/).filter(Boolean);
+        if (words.length === 0) return true;
+
+        const haystack = texts.map(normalizeText).join('\n');
+        return words.every(word => haystack.includes(word));
+    }
+
+    /**
+     * Projects that pass every filter. rateOf(project) gives the hourly
+     * rate in the home currency, or null when it can't be converted;
+     * clientNameOf(project) and tagNamesOf(project) give the client and
+     * tag names the search also looks at.
+     */
+    function filterProjects(projectList, filters, { rateOf, clientNameOf = () => '', tagNamesOf = () => [] }) {
+        const minRate = filters.minRate === '' ? null : parseFloat(filters.minRate);
+        const maxRate = filters.maxRate === '' ? null : parseFloat(filters.maxRate);
+
+        return projectList.filter(project => {
+            if (!matchesQuery([project.name, project.notes, clientNameOf(project), ...tagNamesOf(project)], filters.query)) return false;
+
+            if (filters.clientId === NO_CLIENT && project.clientId) return false;
+            if (filters.clientId && filters.clientId !== NO_CLIENT && project.clientId !== filters.clientId) return false;
+            if (filters.tagId && !(project.tagIds || []).includes(filters.tagId)) return false;
+
+            const status = project.status || 'completed';
+            if (filters.status === '' && status === 'archived') return false;
+            if (filters.status && filters.status !== ALL_STATUSES && status !== filters.status) return false;
+
+            // Dates are YYYY-MM-DD, so they compare as text
+            if (filters.from && !(project.completionDate >= filters.from)) return false;
+            if (filters.to && !(project.completionDate <= filters.to)) return false;
+
+            if (minRate !== null || maxRate !== null) {
+                const rate = rateOf(project);
+                if (rate === null) return false;
+                if (minRate !== null && rate < minRate) return false;
+                if (maxRate !== null && rate > maxRate) return false;
+            }
+
+            return true;
+        });
+    }
+
+    // ================================
+    // Sorting
+    // ================================
+
+    /**
+     * A sorted copy of the projects. 'added' keeps the loaded order, newest
+     * first. Ties, and projects without a value to sort by, keep their
+     * order and go last. earningsOf(project) and rateOf(project) are in
+     * the home currency.
+     */
+    function sortProjects(projectList, sort, { rateOf, earningsOf }) {
+        const keys = {
+            date: project => project.completionDate || '',
+            earnings: earningsOf,
+            hours: project => project.hoursWorked,
+            rate: rateOf,
+            rateAsc: rateOf
+        };
+        const keyOf = keys[sort];
+        if (!keyOf) return [...projectList];
+
+        const direction = sort === 'rateAsc' ? 1 : -1;
+        const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+        return projectList
+            .map((project, index) => ({ project, index, key: keyOf(project) }))
+            .sort((a, b) => {
+                const aMissing = a.key === null || a.key === '';
+                const bMissing = b.key === null || b.key === '';
+                if (aMissing || bMissing) return aMissing - bMissing || a.index - b.index;
+                return direction * compare(a.key, b.key) || a.index - b.index;
+            })
+            .map(({ project }) => project);
+    }
+
+    return {
+        DEFAULTS,
+        NO_CLIENT,
+        ALL_STATUSES,
+        SORTS,
+        fromSearchParams,
+        toSearchParams,
+        isFiltered,
+        matchesQuery,
+        filterProjects,
+        sortProjects
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectFilters;
+}
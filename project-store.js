@@ -0,0 +1,687 @@
+/**
+ * Project Store
+ * Offline-first storage for projects. Projects are cached in IndexedDB,
+ * changes are written locally first and queued, and the queue is
+ * replayed to a repository (see repositories.js) whenever the
+ * connection is available.
+ */
+
+const ProjectStore = (() => {
+    const DB_VERSION = 1;
+    const RETRY_INTERVAL_MS = 60000;
+
+    // Cached projects by ID: { id, row, timeEntries, expenses, tagIds, payments }
+    const records = new Map();
+
+    // At most one queued change per project, by project ID
+    const queue = new Map();
+
+    const listeners = [];
+
+    let repository = null;
+    let isOnline = () => navigator.onLine;
+    let db = null;
+    let status = 'synced';
+    let conflict = null;
+    let flushing = null;
+    let loadFailed = false;
+    let unsubscribe = null;
+    let remoteWork = Promise.resolve();
+
+    // ================================
+    // IndexedDB
+    // ================================
+
+    /**
+     * Open the offline database
+     */
+    function openDatabase(databaseName) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(databaseName, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('projects', { keyPath: 'id' });
+                request.result.createObjectStore('queue', { keyPath: 'projectId' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Read every value in an object store
+     */
+    function readAll(storeName) {
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName).objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Write to an object store. Failures are logged and the in-memory
+     * copy carries on, so a full or blocked disk never loses the change.
+     */
+    function persist(storeName, write) {
+        if (!db) return Promise.resolve();
+
+        return new Promise(resolve => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            write(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.error('Error writing offline cache:', transaction.error);
+                resolve();
+            };
+        });
+    }
+
+    // ================================
+    // Sync Status
+    // ================================
+
+    /**
+     * Current sync state for the status indicator
+     */
+    function getState() {
+        return { status, pendingCount: queue.size, conflict };
+    }
+
+    /**
+     * Call a listener whenever the sync state or the cached data changes.
+     * After a change from another tab or device, `remoteChange` holds its
+     * type and project ID.
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    function notify(dataChanged = false, remoteChange = null) {
+        listeners.forEach(listener => listener({ ...getState(), dataChanged, remoteChange }));
+    }
+
+    /**
+     * Settle the status once nothing is being sent
+     */
+    function settleStatus() {
+        if (conflict) {
+            status = 'conflict';
+        } else if (!isOnline()) {
+            status = 'offline';
+        } else if (queue.size > 0) {
+            status = 'pending';
+        } else {
+            status = loadFailed ? 'error' : 'synced';
+        }
+    }
+
+    // ================================
+    // Queue
+    // ================================
+
+    /**
+     * Queue a change, folding it into any change already waiting
+     * for the same project
+     */
+    function enqueue(change) {
+        const waiting = queue.get(change.projectId);
+        let next = change;
+
+        if (waiting && change.type === 'delete') {
+            // A project that never reached the server needs no delete
+            if (waiting.isNew) {
+                queue.delete(change.projectId);
+                return persist('queue', store => store.delete(change.projectId));
+            }
+            next = { ...change, baseUpdatedAt: waiting.baseUpdatedAt };
+        } else if (waiting && waiting.type === 'save') {
+            next = {
+                ...change,
+                isNew: waiting.isNew,
+                baseUpdatedAt: waiting.baseUpdatedAt,
+                queuedAt: waiting.queuedAt,
+                changes: { ...waiting.changes, ...change.changes },
+                expenses: change.expenses || waiting.expenses,
+                tagIds: change.tagIds || waiting.tagIds,
+                payments: change.payments || waiting.payments
+            };
+        }
+
+        queue.set(change.projectId, next);
+        return persist('queue', store => store.put(next));
+    }
+
+    /**
+     * Whether a server row already holds every column a save sets
+     */
+    function holdsChanges(serverRow, changes) {
+        return Object.entries(changes).every(([column, value]) =>
+            column === 'created_at' || column === 'updated_at' || value === serverRow[column]
+            || (value !== null && serverRow[column] !== null && Number(value) === Number(serverRow[column])));
+    }
+
+    /**
+     * Replace the cached copy of a project with the server's
+     */
+    async function takeServerCopy(projectId, serverRow) {
+        let record;
+        try {
+            record = await repository.fetchProject(projectId) || { id: projectId, row: serverRow, timeEntries: [], expenses: [], tagIds: [], payments: [] };
+        } catch (error) {
+            console.error('Error loading server project:', error);
+            record = { ...records.get(projectId), id: projectId, row: serverRow };
+        }
+        records.set(projectId, record);
+        await persist('projects', store => store.put(record));
+    }
+
+    /**
+     * Send one queued change. Returns false when the server copy
+     * changed since the local edit was made.
+     */
+    /**
+     * Delete a row a failed save just added. If that fails too the row
+     * stays, so the queued change is rebased on it and retried as an edit.
+     */
+    async function removeInserted(projectId, inserted) {
+        try {
+            await repository.deleteProject(projectId);
+        } catch (error) {
+            console.error('Error removing partly saved project:', error);
+
+            const current = queue.get(projectId);
+            if (!current) return;
+
+            const rebased = { ...current, isNew: false, baseUpdatedAt: inserted.updated_at };
+            queue.set(projectId, rebased);
+            await persist('queue', store => store.put(rebased));
+        }
+    }
+
+    async function replay(change) {
+        const serverRow = await repository.getProjectRow(change.projectId);
+        const changedOnServer = !change.isNew && serverRow
+            && new Date(serverRow.updated_at) > new Date(change.baseUpdatedAt);
+
+        // Devices starting the same retainer period make the same project
+        // and complete the same period. A new project already on the
+        // server is written over if it holds the same columns, and an edit
+        // another device already made is dropped for the server copy.
+        const sameColumns = change.type === 'save' && serverRow && holdsChanges(serverRow, change.changes);
+        if (change.isNew && serverRow && !sameColumns) {
+            conflict = { projectId: change.projectId, type: 'save', localRecord: records.get(change.projectId) || null, serverRow };
+            return false;
+        }
+
+        if (changedOnServer && sameColumns && !change.expenses && !change.tagIds && !change.payments) {
+            await takeServerCopy(change.projectId, serverRow);
+            notify(true);
+            return true;
+        }
+
+        if (!change.isNew) {
+            if (change.type === 'delete') {
+                if (changedOnServer) {
+                    conflict = { projectId: change.projectId, type: 'delete', localRecord: null, serverRow };
+                    return false;
+                }
+            } else if (!serverRow || changedOnServer) {
+                conflict = {
+                    projectId: change.projectId,
+                    type: 'save',
+                    localRecord: records.get(change.projectId) || null,
+                    serverRow
+                };
+                return false;
+            }
+        }
+
+        if (change.type === 'delete') {
+            await repository.deleteProject(change.projectId);
+            return true;
+        }
+
+        // An existing project's row is written last, so anyone watching
+        // the row sees the change once its related records are saved too
+        const columns = { ...change.changes, updated_at: new Date().toISOString() };
+        const inserted = change.isNew && !serverRow ? await repository.insertProject(columns) : null;
+        let expenses = null;
+        let payments = null;
+
+        try {
+            // A save without expenses, tag IDs or payments leaves those as they are
+            if (change.expenses && !(change.isNew && change.expenses.length === 0)) {
+                expenses = await repository.replaceExpenses(change.projectId, change.expenses);
+            }
+
+            if (change.tagIds && !(change.isNew && change.tagIds.length === 0)) {
+                await repository.replaceTags(change.projectId, change.tagIds);
+            }
+
+            if (change.payments && !(change.isNew && change.payments.length === 0)) {
+                payments = await repository.replacePayments(change.projectId, change.payments);
+            }
+        } catch (error) {
+            // Take a new project back out, so the retry doesn't add it twice
+            if (inserted) await removeInserted(change.projectId, inserted);
+            throw error;
+        }
+
+        const data = inserted || await repository.updateProject(change.projectId, columns);
+
+        const current = queue.get(change.projectId);
+        if (current === change) {
+            const record = records.get(change.projectId);
+            if (record) {
+                const synced = { ...record, row: data, ...(expenses ? { expenses } : {}), ...(payments ? { payments } : {}) };
+                records.set(change.projectId, synced);
+                await persist('projects', store => store.put(synced));
+            }
+        } else if (current) {
+            // An edit made while this one was in flight now builds on the saved row
+            const rebased = { ...current, isNew: false, baseUpdatedAt: data.updated_at };
+            queue.set(change.projectId, rebased);
+            await persist('queue', store => store.put(rebased));
+        } else if (!records.has(change.projectId)) {
+            // Deleted locally while the save was in flight
+            await enqueue({
+                type: 'delete',
+                projectId: change.projectId,
+                isNew: false,
+                baseUpdatedAt: data.updated_at,
+                queuedAt: new Date().toISOString()
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Replay queued changes in the order they were made. Stops at the
+     * first failure or conflict and keeps the rest queued.
+     */
+    function flush() {
+        if (flushing) return flushing;
+        if (conflict || queue.size === 0 || !isOnline()) {
+            settleStatus();
+            notify();
+            return Promise.resolve();
+        }
+
+        flushing = (async () => {
+            status = 'syncing';
+            notify();
+
+            const changes = [...queue.values()].sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+
+            for (const change of changes) {
+                try {
+                    if (!(await replay(change))) break;
+                } catch (error) {
+                    console.error('Error syncing project:', error);
+                    break;
+                }
+
+                // A newer edit queued during the replay goes out next time
+                if (queue.get(change.projectId) === change) {
+                    queue.delete(change.projectId);
+                    await persist('queue', store => store.delete(change.projectId));
+                }
+            }
+
+            flushing = null;
+            settleStatus();
+            notify();
+        })();
+
+        return flushing;
+    }
+
+    /**
+     * Settle a conflict by keeping the local change or taking the server copy
+     */
+    async function resolveConflict(choice) {
+        if (!conflict) return;
+
+        const { projectId, serverRow } = conflict;
+        const change = queue.get(projectId);
+        conflict = null;
+
+        if (choice === 'mine') {
+            const next = {
+                ...change,
+                isNew: change.type === 'save' && !serverRow,
+                baseUpdatedAt: serverRow ? serverRow.updated_at : change.baseUpdatedAt
+            };
+
+            // A project deleted on the server is sent again in full,
+            // less the hourly rate the database computes itself
+            if (next.isNew) {
+                const { hourly_rate: hourlyRate, ...row } = records.get(projectId).row;
+                next.changes = row;
+            }
+
+            queue.set(projectId, next);
+            await persist('queue', store => store.put(next));
+        } else {
+            queue.delete(projectId);
+            await persist('queue', store => store.delete(projectId));
+
+            if (serverRow) {
+                await takeServerCopy(projectId, serverRow);
+            } else {
+                records.delete(projectId);
+                await persist('projects', store => store.delete(projectId));
+            }
+
+            notify(true);
+        }
+
+        await flush();
+    }
+
+    // ================================
+    // Remote Changes
+    // ================================
+
+    /**
+     * Merge a change made in another tab or on another device. A project
+     * with a local change still queued is left to the sync, which spots
+     * the newer server copy as a conflict.
+     */
+    async function applyRemoteChange({ type, id }) {
+        if (queue.has(id)) return;
+
+        const record = type === 'delete' ? null : await repository.fetchProject(id);
+        const cached = records.get(id);
+        if (queue.has(id)) return;
+
+        if (!record) {
+            if (!cached) return;
+            records.delete(id);
+            await persist('projects', store => store.delete(id));
+        } else {
+            // Our own saves come back too, and change nothing
+            if (cached && JSON.stringify(cached) === JSON.stringify(record)) return;
+            records.set(id, record);
+            await persist('projects', store => store.put(record));
+        }
+
+        notify(true, { type: !record ? 'delete' : cached ? 'update' : 'insert', id });
+    }
+
+    /**
+     * Merge changes from other tabs and devices as the repository reports
+     * them, one at a time
+     */
+    function watchRemote() {
+        if (unsubscribe) unsubscribe();
+
+        unsubscribe = repository.subscribe(change => {
+            remoteWork = remoteWork
+                .then(() => applyRemoteChange(change))
+                .catch(error => console.error('Error merging project change:', error));
+        });
+    }
+
+    // ================================
+    // Projects
+    // ================================
+
+    /**
+     * Cached projects, newest first
+     */
+    function getRecords() {
+        return [...records.values()]
+            .sort((a, b) => (b.row.created_at || '').localeCompare(a.row.created_at || ''));
+    }
+
+    /**
+     * Cached copy of one project
+     */
+    function getRecord(id) {
+        return records.get(id) || null;
+    }
+
+    /**
+     * Normalize expense line items from the form
+     */
+    function toExpenseRecords(projectId, expenses) {
+        return expenses.map(expense => ({
+            id: expense.id || null,
+            projectId,
+            category: expense.category,
+            description: (expense.description || '').trim(),
+            amount: parseFloat(expense.amount)
+        }));
+    }
+
+    /**
+     * Normalize payments from the form, in date order
+     */
+    function toPaymentRecords(projectId, payments) {
+        return payments
+            .map(payment => ({
+                id: payment.id || null,
+                projectId,
+                paidOn: payment.paidOn,
+                amount: parseFloat(payment.amount),
+                note: (payment.note || '').trim()
+            }))
+            .sort((a, b) => a.paidOn.localeCompare(b.paidOn));
+    }
+
+    /**
+     * Write a project locally and queue it. `changes` holds the projects
+     * columns to send; a new project must include its client-made ID.
+     * With null `expenses`, or without `tagIds` or `payments`, the
+     * project keeps the ones it has.
+     */
+    async function stage(id, changes, expenses, { tagIds, payments } = {}) {
+        const cached = records.get(id);
+        const record = {
+            id,
+            row: { ...(cached ? cached.row : {}), ...changes },
+            timeEntries: cached ? cached.timeEntries : [],
+            expenses: expenses ? toExpenseRecords(id, expenses) : (cached && cached.expenses) || [],
+            tagIds: tagIds ? [...tagIds] : (cached && cached.tagIds) || [],
+            payments: payments ? toPaymentRecords(id, payments) : (cached && cached.payments) || []
+        };
+
+        records.set(id, record);
+        await persist('projects', store => store.put(record));
+        await enqueue({
+            type: 'save',
+            projectId: id,
+            isNew: !cached,
+            baseUpdatedAt: cached ? cached.row.updated_at : null,
+            queuedAt: new Date().toISOString(),
+            changes,
+            expenses: expenses ? record.expenses : undefined,
+            tagIds: tagIds ? record.tagIds : undefined,
+            payments: payments ? record.payments : undefined
+        });
+
+        return record;
+    }
+
+    /**
+     * Save one project locally, then try to sync it. `related` may hold
+     * the project's `tagIds` and `payments`.
+     */
+    async function saveProject(id, changes, expenses, related) {
+        const record = await stage(id, changes, expenses, related);
+        flush();
+        return record;
+    }
+
+    /**
+     * Save several projects locally, then try to sync them together
+     */
+    async function saveProjects(items) {
+        const saved = [];
+        for (const item of items) {
+            saved.push(await stage(item.id, item.changes, item.expenses, { tagIds: item.tagIds, payments: item.payments }));
+        }
+        flush();
+        return saved;
+    }
+
+    /**
+     * Delete a project locally, then try to sync the delete
+     */
+    async function deleteProject(id) {
+        const cached = records.get(id);
+
+        records.delete(id);
+        await persist('projects', store => store.delete(id));
+        await enqueue({
+            type: 'delete',
+            projectId: id,
+            isNew: false,
+            baseUpdatedAt: cached ? cached.row.updated_at : null,
+            queuedAt: new Date().toISOString()
+        });
+
+        flush();
+    }
+
+    /**
+     * Refresh the cached row for a change already saved on the server,
+     * such as session hours. A change still waiting to sync builds on the
+     * refreshed row, so that write isn't taken for someone else's edit.
+     */
+    async function cacheRow(row, timeEntries) {
+        const cached = records.get(row.id);
+        let waiting = queue.get(row.id);
+
+        if (waiting && !waiting.isNew) {
+            waiting = { ...waiting, baseUpdatedAt: row.updated_at };
+            queue.set(row.id, waiting);
+            await persist('queue', store => store.put(waiting));
+        }
+
+        const record = {
+            id: row.id,
+            row: waiting && waiting.type === 'save' ? { ...row, ...waiting.changes } : row,
+            timeEntries,
+            expenses: cached ? cached.expenses : [],
+            tagIds: cached && cached.tagIds ? cached.tagIds : [],
+            payments: cached && cached.payments ? cached.payments : []
+        };
+
+        records.set(row.id, record);
+        await persist('projects', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Load projects from the repository into the cache, keeping local
+     * changes that have not synced yet. Falls back to the cache when offline.
+     */
+    async function load() {
+        try {
+            const fetched = await repository.fetchProjects();
+
+            const merged = fetched.filter(record => !queue.has(record.id) || queue.get(record.id).type !== 'delete');
+            const latest = new Map(merged.map(record => [record.id, record]));
+
+            queue.forEach((change, projectId) => {
+                if (change.type === 'save' && records.has(projectId)) {
+                    latest.set(projectId, records.get(projectId));
+                }
+            });
+
+            records.clear();
+            latest.forEach((record, projectId) => records.set(projectId, record));
+
+            await persist('projects', store => {
+                store.clear();
+                records.forEach(record => store.put(record));
+            });
+
+            loadFailed = false;
+            flush();
+        } catch (error) {
+            console.error('Error loading projects, using offline copy:', error);
+            loadFailed = true;
+            settleStatus();
+            notify();
+        }
+
+        return getRecords();
+    }
+
+    /**
+     * Start the store against a repository. The offline cache is opened when
+     * a database name is given and IndexedDB is available; otherwise the
+     * cache lives in memory only.
+     */
+    async function init(options) {
+        if (unsubscribe) unsubscribe();
+        unsubscribe = null;
+        remoteWork = Promise.resolve();
+
+        repository = options.repository;
+        isOnline = options.isOnline || (() => navigator.onLine);
+        records.clear();
+        queue.clear();
+        listeners.length = 0;
+        conflict = null;
+        loadFailed = false;
+        db = null;
+
+        if (options.databaseName && typeof indexedDB !== 'undefined') {
+            try {
+                db = await openDatabase(options.databaseName);
+                const [cachedRecords, queuedChanges] = await Promise.all([readAll('projects'), readAll('queue')]);
+                cachedRecords.forEach(record => records.set(record.id, record));
+                queuedChanges.forEach(change => queue.set(change.projectId, change));
+            } catch (error) {
+                console.error('Error opening offline cache:', error);
+                db = null;
+            }
+        }
+
+        settleStatus();
+    }
+
+    /**
+     * Sync when the browser comes back online, and retry now and then
+     */
+    function watchConnection() {
+        // Reload rather than just flush, to catch up on changes from
+        // other devices that were missed while offline
+        window.addEventListener('online', async () => {
+            await load();
+            notify(true);
+        });
+        window.addEventListener('offline', () => {
+            settleStatus();
+            notify();
+        });
+        setInterval(flush, RETRY_INTERVAL_MS);
+    }
+
+    return {
+        init,
+        watchConnection,
+        watchRemote,
+        load,
+        getRecords,
+        getRecord,
+        saveProject,
+        saveProjects,
+        deleteProject,
+        cacheRow,
+        flush,
+        resolveConflict,
+        getState,
+        onChange
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectStore;
+}
@@ -0,0 +1,130 @@
+/**
+ * Quotes
+ * Saved prices for projects that haven't started yet. A quote keeps
+ * the figures it was priced with and, once won, the project it became.
+ */
+
+const Quotes = (() => {
+    let quotes = [];
+
+    const toCents = amount => Math.round(amount * 100) / 100;
+
+    /**
+     * Map a quotes row to the shape used in the UI
+     */
+    function mapQuoteRow(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            clientId: row.client_id || null,
+            currency: row.currency,
+            estimatedHours: parseFloat(row.estimated_hours),
+            targetRate: parseFloat(row.target_rate),
+            overrunFactor: parseFloat(row.overrun_factor),
+            suggestedPrice: parseFloat(row.suggested_price),
+            p50Price: parseFloat(row.p50_price),
+            p90Price: parseFloat(row.p90_price),
+            sampleSize: row.sample_size || 0,
+            projectId: row.project_id || null,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Load the signed-in user's quotes, newest first
+     */
+    async function load() {
+        const { data, error } = await window.supabaseClient
+            .from('quotes')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        quotes = data.map(mapQuoteRow);
+        return getAll();
+    }
+
+    /**
+     * Every quote, newest first
+     */
+    function getAll() {
+        return [...quotes];
+    }
+
+    /**
+     * Find a quote by ID
+     */
+    function getById(id) {
+        return quotes.find(quote => quote.id === id) || null;
+    }
+
+    /**
+     * Save a new quote
+     */
+    async function add(quote) {
+        const { data, error } = await window.supabaseClient
+            .from('quotes')
+            .insert([{
+                user_id: window.currentUser.id,
+                name: quote.name.trim(),
+                client_id: quote.clientId || null,
+                currency: quote.currency,
+                estimated_hours: quote.estimatedHours,
+                target_rate: toCents(quote.targetRate),
+                overrun_factor: quote.overrunFactor,
+                suggested_price: toCents(quote.suggestedPrice),
+                p50_price: toCents(quote.p50Price),
+                p90_price: toCents(quote.p90Price),
+                sample_size: quote.sampleSize
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        const saved = mapQuoteRow(data);
+        quotes.unshift(saved);
+        return saved;
+    }
+
+    /**
+     * Record the project a quote was turned into
+     */
+    async function markConverted(id, projectId) {
+        const { data, error } = await window.supabaseClient
+            .from('quotes')
+            .update({ project_id: projectId, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        quotes = quotes.map(quote => (quote.id === id ? mapQuoteRow(data) : quote));
+        return getById(id);
+    }
+
+    /**
+     * Delete a quote
+     */
+    async function remove(id) {
+        const { error } = await window.supabaseClient
+            .from('quotes')
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+
+        quotes = quotes.filter(quote => quote.id !== id);
+    }
+
+    return {
+        load,
+        getAll,
+        getById,
+        add,
+        markConverted,
+        remove
+    };
+})();
@@ -0,0 +1,449 @@
+/**
+ * Repositories
+ * Storage backends for projects. Every repository offers the same
+ * async methods, so the project store works the same against any of them:
+ *
+ *   fetchProjects()                  every project as { id, row, timeEntries, expenses, tagIds, payments }
+ *   fetchProject(id)                 one project in that shape, or null
+ *   getProjectRow(id)                one projects row, or null
+ *   insertProject(columns)           insert a row and return it
+ *   updateProject(id, columns)       update a row and return it
+ *   deleteProject(id)                delete a project and its related records
+ *   replaceExpenses(projectId, list) replace a project's expenses and return them
+ *   replaceTags(projectId, tagIds)   replace a project's tags and return their IDs
+ *   replacePayments(projectId, list) replace a project's payments and return them
+ *   subscribe(listener)              call listener({ type, id }) when a project changes
+ *                                    elsewhere; returns a function that stops it
+ */
+
+const Repositories = (() => {
+    // ================================
+    // Supabase
+    // ================================
+
+    /**
+     * Map a project_expenses row to the shape used in the UI
+     */
+    function mapExpenseRow(e) {
+        return {
+            id: e.id,
+            projectId: e.project_id,
+            category: e.category,
+            description: e.description || '',
+            amount: parseFloat(e.amount)
+        };
+    }
+
+    /**
+     * Map a project_payments row to the shape used in the UI
+     */
+    function mapPaymentRow(p) {
+        return {
+            id: p.id,
+            projectId: p.project_id,
+            paidOn: p.paid_on,
+            amount: parseFloat(p.amount),
+            note: p.note || ''
+        };
+    }
+
+    /**
+     * Payments in date order
+     */
+    function sortPayments(payments) {
+        return [...payments].sort((a, b) => a.paidOn.localeCompare(b.paidOn));
+    }
+
+    /**
+     * Repository backed by the Supabase tables
+     */
+    function createSupabaseRepository(client) {
+        async function loadExpenses(projectId = null) {
+            let query = client
+                .from('project_expenses')
+                .select('*')
+                .order('created_at', { ascending: true });
+
+            if (projectId) {
+                query = query.eq('project_id', projectId);
+            }
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return data.map(mapExpenseRow);
+        }
+
+        async function loadPayments(projectId = null) {
+            let query = client
+                .from('project_payments')
+                .select('*')
+                .order('paid_on', { ascending: true });
+
+            if (projectId) {
+                query = query.eq('project_id', projectId);
+            }
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return data.map(mapPaymentRow);
+        }
+
+        async function loadProjectTags(projectId = null) {
+            let query = client
+                .from('project_tags')
+                .select('project_id, tag_id');
+
+            if (projectId) {
+                query = query.eq('project_id', projectId);
+            }
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return data;
+        }
+
+        async function fetchProjects() {
+            const { data, error } = await client
+                .from('projects')
+                .select('*')
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+
+            const [entries, expenses, projectTags, payments] = await Promise.all([
+                TimeEntries.loadEntries(),
+                loadExpenses(),
+                loadProjectTags(),
+                loadPayments()
+            ]);
+
+            return data.map(row => ({
+                id: row.id,
+                row,
+                timeEntries: entries.filter(entry => entry.projectId === row.id),
+                expenses: expenses.filter(expense => expense.projectId === row.id),
+                tagIds: projectTags.filter(link => link.project_id === row.id).map(link => link.tag_id),
+                payments: payments.filter(payment => payment.projectId === row.id)
+            }));
+        }
+
+        async function getProjectRow(id) {
+            const { data, error } = await client
+                .from('projects')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        }
+
+        async function fetchProject(id) {
+            const row = await getProjectRow(id);
+            if (!row) return null;
+
+            const [timeEntries, expenses, projectTags, payments] = await Promise.all([
+                TimeEntries.loadEntries(id),
+                loadExpenses(id),
+                loadProjectTags(id),
+                loadPayments(id)
+            ]);
+
+            return { id, row, timeEntries, expenses, tagIds: projectTags.map(link => link.tag_id), payments };
+        }
+
+        async function insertProject(columns) {
+            const { data, error } = await client
+                .from('projects')
+                .insert([columns])
+                .select()
+                .single();
+
+            if (error) throw error;
+            return data;
+        }
+
+        async function updateProject(id, columns) {
+            const { data, error } = await client
+                .from('projects')
+                .update(columns)
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) throw error;
+            return data;
+        }
+
+        async function deleteProject(id) {
+            const { error } = await client
+                .from('projects')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+        }
+
+        async function replaceExpenses(projectId, expenses) {
+            const { error: deleteError } = await client
+                .from('project_expenses')
+                .delete()
+                .eq('project_id', projectId);
+
+            if (deleteError) throw deleteError;
+            if (expenses.length === 0) return [];
+
+            const { data, error } = await client
+                .from('project_expenses')
+                .insert(expenses.map(expense => ({
+                    user_id: window.currentUser.id,
+                    project_id: projectId,
+                    category: expense.category,
+                    description: expense.description || null,
+                    amount: expense.amount
+                })))
+                .select();
+
+            if (error) throw error;
+            return data.map(mapExpenseRow);
+        }
+
+        async function replaceTags(projectId, tagIds) {
+            const { error: deleteError } = await client
+                .from('project_tags')
+                .delete()
+                .eq('project_id', projectId);
+
+            if (deleteError) throw deleteError;
+            if (tagIds.length === 0) return [];
+
+            const { error } = await client
+                .from('project_tags')
+                .insert(tagIds.map(tagId => ({
+                    user_id: window.currentUser.id,
+                    project_id: projectId,
+                    tag_id: tagId
+                })));
+
+            if (error) throw error;
+            return [...tagIds];
+        }
+
+        async function replacePayments(projectId, payments) {
+            const { error: deleteError } = await client
+                .from('project_payments')
+                .delete()
+                .eq('project_id', projectId);
+
+            if (deleteError) throw deleteError;
+            if (payments.length === 0) return [];
+
+            const { data, error } = await client
+                .from('project_payments')
+                .insert(payments.map(payment => ({
+                    user_id: window.currentUser.id,
+                    project_id: projectId,
+                    paid_on: payment.paidOn,
+                    amount: payment.amount,
+                    note: payment.note || null
+                })))
+                .select();
+
+            if (error) throw error;
+            return sortPayments(data.map(mapPaymentRow));
+        }
+
+        /**
+         * Listen through Supabase Realtime. Inserts into the related tables
+         * count as an update to their project, so a new project's expenses,
+         * tags and payments arrive too.
+         */
+        function subscribe(listener) {
+            const channel = client.channel(`projects-${window.currentUser.id}`);
+            const filter = `user_id=eq.${window.currentUser.id}`;
+
+            channel.on('postgres_changes', { event: '*', schema: 'public', table: 'projects', filter }, payload => {
+                listener({
+                    type: payload.eventType.toLowerCase(),
+                    id: payload.eventType === 'DELETE' ? payload.old.id : payload.new.id
+                });
+            });
+
+            ['project_expenses', 'project_tags', 'project_payments'].forEach(table => {
+                channel.on('postgres_changes', { event: 'INSERT', schema: 'public', table, filter }, payload => {
+                    listener({ type: 'update', id: payload.new.project_id });
+                });
+            });
+
+            channel.subscribe();
+            return () => client.removeChannel(channel);
+        }
+
+        return {
+            fetchProjects,
+            fetchProject,
+            getProjectRow,
+            insertProject,
+            updateProject,
+            deleteProject,
+            replaceExpenses,
+            replaceTags,
+            replacePayments,
+            subscribe
+        };
+    }
+
+    // ================================
+    // Local
+    // ================================
+
+    /**
+     * Repository kept in memory, and in a Storage such as localStorage
+     * when one is given. Used for tests and for working without Supabase.
+     */
+    function createLocalRepository({ storage = null, key = 'trueFreelance.localData' } = {}) {
+        const saved = storage ? storage.getItem(key) : null;
+        const data = { projects: [], expenses: [], timeEntries: [], projectTags: [], payments: [], ...(saved ? JSON.parse(saved) : {}) };
+
+        const copy = value => JSON.parse(JSON.stringify(value));
+        const listeners = new Set();
+
+        function save() {
+            if (storage) storage.setItem(key, JSON.stringify(data));
+        }
+
+        function emit(type, id) {
+            listeners.forEach(listener => listener({ type, id }));
+        }
+
+        function toRecord(row) {
+            return copy({
+                id: row.id,
+                row,
+                timeEntries: data.timeEntries.filter(entry => entry.projectId === row.id),
+                expenses: data.expenses.filter(expense => expense.projectId === row.id),
+                tagIds: data.projectTags.filter(link => link.projectId === row.id).map(link => link.tagId),
+                payments: sortPayments(data.payments.filter(payment => payment.projectId === row.id))
+            });
+        }
+
+        async function fetchProjects() {
+            return [...data.projects]
+                .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''))
+                .map(toRecord);
+        }
+
+        async function fetchProject(id) {
+            const row = data.projects.find(project => project.id === id);
+            return row ? toRecord(row) : null;
+        }
+
+        async function getProjectRow(id) {
+            const row = data.projects.find(project => project.id === id);
+            return row ? copy(row) : null;
+        }
+
+        async function insertProject(columns) {
+            if (columns.id && data.projects.some(project => project.id === columns.id)) {
+                throw new Error(`Project ${columns.id} already exists`);
+            }
+
+            const now = new Date().toISOString();
+            const row = { created_at: now, updated_at: now, ...columns, id: columns.id || crypto.randomUUID() };
+
+            data.projects.push(row);
+            save();
+            emit('insert', row.id);
+            return copy(row);
+        }
+
+        async function updateProject(id, columns) {
+            const row = data.projects.find(project => project.id === id);
+            if (!row) throw new Error(`Project ${id} not found`);
+
+            Object.assign(row, columns);
+            save();
+            emit('update', id);
+            return copy(row);
+        }
+
+        async function deleteProject(id) {
+            data.projects = data.projects.filter(project => project.id !== id);
+            data.expenses = data.expenses.filter(expense => expense.projectId !== id);
+            data.timeEntries = data.timeEntries.filter(entry => entry.projectId !== id);
+            data.projectTags = data.projectTags.filter(link => link.projectId !== id);
+            data.payments = data.payments.filter(payment => payment.projectId !== id);
+            save();
+            emit('delete', id);
+        }
+
+        async function replaceExpenses(projectId, expenses) {
+            const saved = expenses.map(expense => ({
+                id: crypto.randomUUID(),
+                projectId,
+                category: expense.category,
+                description: expense.description || '',
+                amount: expense.amount
+            }));
+
+            data.expenses = data.expenses.filter(expense => expense.projectId !== projectId).concat(saved);
+            save();
+            return copy(saved);
+        }
+
+        async function replaceTags(projectId, tagIds) {
+            data.projectTags = data.projectTags
+                .filter(link => link.projectId !== projectId)
+                .concat(tagIds.map(tagId => ({ projectId, tagId })));
+            save();
+            return [...tagIds];
+        }
+
+        async function replacePayments(projectId, payments) {
+            const saved = payments.map(payment => ({
+                id: crypto.randomUUID(),
+                projectId,
+                paidOn: payment.paidOn,
+                amount: payment.amount,
+                note: payment.note || ''
+            }));
+
+            data.payments = data.payments.filter(payment => payment.projectId !== projectId).concat(saved);
+            save();
+            return copy(sortPayments(saved));
+        }
+
+        /**
+         * Listen for inserts, updates and deletes made through this repository
+         */
+        function subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+
+        return {
+            fetchProjects,
+            fetchProject,
+            getProjectRow,
+            insertProject,
+            updateProject,
+            deleteProject,
+            replaceExpenses,
+            replaceTags,
+            replacePayments,
+            subscribe
+        };
+    }
+
+    return {
+        createSupabaseRepository,
+        createLocalRepository
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Repositories;
+}
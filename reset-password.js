@@ -0,0 +1,64 @@
+/**
+ * Reset Password Page
+ * Opened from the link in a password reset email. Supabase signs the
+ * user in from the link, then the new password is saved to the account.
+ */
+
+const resetLoading = document.getElementById('resetLoading');
+const resetForm = document.getElementById('resetForm');
+const resetExpired = document.getElementById('resetExpired');
+const newPassword = document.getElementById('newPassword');
+const confirmPassword = document.getElementById('confirmPassword');
+const resetError = document.getElementById('resetError');
+const resetBtn = document.getElementById('resetBtn');
+
+function showForm() {
+    resetLoading.classList.add('hidden');
+    resetExpired.classList.add('hidden');
+    resetForm.classList.remove('hidden');
+}
+
+function showError(message) {
+    resetError.textContent = message;
+    resetError.classList.remove('hidden');
+}
+
+resetForm.addEventListener('submit', async event => {
+    event.preventDefault();
+    resetError.classList.add('hidden');
+
+    const problem = Auth.getPasswordError(newPassword.value, confirmPassword.value);
+    if (problem) {
+        showError(problem);
+        return;
+    }
+
+    resetBtn.disabled = true;
+    resetBtn.textContent = 'Saving...';
+
+    const { error } = await window.supabaseClient.auth.updateUser({ password: newPassword.value });
+    if (error) {
+        showError(error.message);
+        resetBtn.disabled = false;
+        resetBtn.textContent = 'Set New Password';
+        return;
+    }
+
+    window.location.href = Auth.DEFAULT_PAGE;
+});
+
+window.supabaseClient.auth.onAuthStateChange((event, session) => {
+    if (event === 'PASSWORD_RECOVERY' && session) {
+        showForm();
+    }
+});
+
+(async function() {
+    const { data: { session } } = await window.supabaseClient.auth.getSession();
+    if (session) {
+        showForm();
+    } else if (resetForm.classList.contains('hidden')) {
+        resetLoading.classList.add('hidden');
+        resetExpired.classList.remove('hidden');
+    }
+})();
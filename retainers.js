@@ -0,0 +1,155 @@
+/**
+ * Retainers
+ * Billing periods of recurring projects. Each period of a retainer is a
+ * project of its own, sharing the retainer's ID, with dates written as
+ * YYYY-MM-DD and both ends included.
+ */
+
+const Retainers = (() => {
+    function parseDay(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    function formatDay(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    function addDays(date, days) {
+        const next = parseDay(date);
+        next.setUTCDate(next.getUTCDate() + days);
+        return formatDay(next);
+    }
+
+    /**
+     * Start of the period after one starting on a date. Monthly periods
+     * keep to the anchor day, the day of the month the retainer began on,
+     * or the month's last day in shorter months.
+     */
+    function getNextStart(start, billingPeriod, periodDays, anchorDay = parseDay(start).getUTCDate()) {
+        if (billingPeriod === 'weekly') return addDays(start, 7);
+        if (billingPeriod === 'custom') return addDays(start, Math.max(parseInt(periodDays, 10) || 1, 1));
+
+        const date = parseDay(start);
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return formatDay(new Date(Date.UTC(year, month, Math.min(anchorDay, lastDay))));
+    }
+
+    /**
+     * Last day of the period starting on a date
+     */
+    function getPeriodEnd(start, billingPeriod, periodDays, anchorDay) {
+        return addDays(getNextStart(start, billingPeriod, periodDays, anchorDay), -1);
+    }
+
+    /**
+     * Periods to add after a retainer's latest period, as
+     * { periodStart, periodEnd }, so the last of them takes in today.
+     * None while the latest period is still running.
+     */
+    function getNextPeriods(latest, today, anchorDay) {
+        const periods = [];
+        let start = latest.periodStart;
+        let end = latest.periodEnd;
+
+        while (end < today) {
+            start = getNextStart(start, latest.billingPeriod, latest.periodDays, anchorDay);
+            end = getPeriodEnd(start, latest.billingPeriod, latest.periodDays, anchorDay);
+            periods.push({ periodStart: start, periodEnd: end });
+        }
+
+        return periods;
+    }
+
+    /**
+     * ID of a retainer's period starting on a date, the same wherever it
+     * is worked out, so devices starting the same period make one project.
+     * The text is hashed with FNV-1a in four lanes and laid out as a
+     * version 8 UUID.
+     */
+    function getPeriodId(retainerId, periodStart) {
+        const text = `${retainerId}|${periodStart}`;
+        const hex = [0x811c9dc5, 0x050c5d1f, 0x1b873593, 0xcc9e2d51].map(seed => {
+            let hash = seed;
+            for (let i = 0; i < text.length; i++) {
+                hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+            }
+            return hash.toString(16).padStart(8, '0');
+        }).join('');
+
+        const variant = (8 + (parseInt(hex[16], 16) & 3)).toString(16);
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+    }
+
+    /**
+     * The newest period of each retainer. A period later set not to
+     * repeat has no dates of its own, so its completion or creation
+     * date places it instead.
+     */
+    function getLatestPeriods(projects) {
+        const placed = project => project.periodStart || project.completionDate || (project.createdAt || '').slice(0, 10);
+        const latest = new Map();
+
+        projects.filter(project => project.retainerId).forEach(project => {
+            const current = latest.get(project.retainerId);
+            if (!current || placed(project) > placed(current)) {
+                latest.set(project.retainerId, project);
+            }
+        });
+
+        return [...latest.values()];
+    }
+
+    /**
+     * Retainer periods overlapping the days from start up to but not
+     * including end, earliest first
+     */
+    function getPeriodsBetween(projects, start, end) {
+        return projects
+            .filter(project => project.billingPeriod && project.periodStart < end && project.periodEnd >= start)
+            .sort((a, b) => a.periodStart.localeCompare(b.periodStart) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Share of the included hours used in a period, above 1 when over.
+     * Null when the retainer includes no set hours.
+     */
+    function getUtilization(period) {
+        return period.includedHours > 0 ? period.hoursWorked / period.includedHours : null;
+    }
+
+    /**
+     * What a period earns: the money received once any is recorded, the
+     * period's fee until then. Projects without a fee earn what was received.
+     */
+    function getEarnings(received, periodFee, hasPayments = false) {
+        if (periodFee === null || periodFee === undefined || hasPayments || received > 0) return received;
+        return periodFee;
+    }
+
+    /**
+     * The period's fee per hour worked, whatever has been paid so far.
+     * Null until hours are logged.
+     */
+    function getEffectiveRate(period) {
+        return period.hoursWorked > 0 ? period.periodFee / period.hoursWorked : null;
+    }
+
+    return {
+        getNextStart,
+        getPeriodEnd,
+        getNextPeriods,
+        getPeriodId,
+        getLatestPeriods,
+        getPeriodsBetween,
+        getUtilization,
+        getEarnings,
+        getEffectiveRate
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Retainers;
+}
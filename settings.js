@@ -0,0 +1,108 @@
+/**
+ * Settings
+ * Per-user preferences stored in the user_settings table
+ */
+
+const Settings = (() => {
+    const DEFAULTS = {
+        taxBrackets: [],
+        selfEmploymentRate: 0,
+        taxDueDates: ['04-15', '06-15', '09-15', '01-15'],
+        homeCurrency: 'USD',
+        targetRate: null,
+        monthlyIncomeGoal: null,
+        businessName: '',
+        businessDetails: '',
+        invoicePrefix: 'INV-',
+        paymentTermsDays: 30,
+        trashDays: 30,
+        calendarRules: []
+    };
+
+    let current = { ...DEFAULTS };
+
+    /**
+     * Map a user_settings row to the shape used in the UI
+     */
+    function mapSettingsRow(row) {
+        return {
+            taxBrackets: (row.tax_brackets || []).map(bracket => ({
+                from: parseFloat(bracket.from),
+                rate: parseFloat(bracket.rate)
+            })),
+            selfEmploymentRate: parseFloat(row.self_employment_rate) || 0,
+            taxDueDates: row.tax_due_dates || DEFAULTS.taxDueDates,
+            homeCurrency: row.home_currency || DEFAULTS.homeCurrency,
+            targetRate: parseFloat(row.target_rate) || null,
+            monthlyIncomeGoal: parseFloat(row.monthly_income_goal) || null,
+            businessName: row.business_name || '',
+            businessDetails: row.business_details || '',
+            invoicePrefix: row.invoice_prefix ?? DEFAULTS.invoicePrefix,
+            paymentTermsDays: row.payment_terms_days ?? DEFAULTS.paymentTermsDays,
+            trashDays: row.trash_days ?? DEFAULTS.trashDays,
+            calendarRules: row.calendar_rules || []
+        };
+    }
+
+    /**
+     * Load the signed-in user's settings, falling back to the defaults
+     */
+    async function load() {
+        const { data, error } = await window.supabaseClient
+            .from('user_settings')
+            .select('*')
+            .maybeSingle();
+
+        if (error) throw error;
+
+        current = data ? mapSettingsRow(data) : { ...DEFAULTS };
+        return get();
+    }
+
+    /**
+     * Current settings
+     */
+    function get() {
+        return { ...current };
+    }
+
+    /**
+     * Save changed settings
+     */
+    async function save(changes) {
+        const next = { ...current, ...changes };
+
+        const { data, error } = await window.supabaseClient
+            .from('user_settings')
+            .upsert({
+                user_id: window.currentUser.id,
+                tax_brackets: next.taxBrackets,
+                self_employment_rate: next.selfEmploymentRate,
+                tax_due_dates: next.taxDueDates,
+                home_currency: next.homeCurrency,
+                target_rate: next.targetRate,
+                monthly_income_goal: next.monthlyIncomeGoal,
+                business_name: next.businessName || null,
+                business_details: next.businessDetails || null,
+                invoice_prefix: next.invoicePrefix,
+                payment_terms_days: next.paymentTermsDays,
+                trash_days: next.trashDays,
+                calendar_rules: next.calendarRules,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id' })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        current = mapSettingsRow(data);
+        return get();
+    }
+
+    return {
+        DEFAULTS,
+        load,
+        get,
+        save
+    };
+})();
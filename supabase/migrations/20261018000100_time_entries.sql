@@ -0,0 +1,26 @@
+-- ================================
+-- Time Entries
+-- Timer sessions logged against a project
+-- ================================
+
+create table if not exists public.time_entries (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    project_id uuid not null references public.projects (id) on delete cascade,
+    started_at timestamptz not null,
+    ended_at timestamptz not null,
+    note text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    constraint time_entries_valid_range check (ended_at >= started_at)
+);
+
+create index if not exists time_entries_project_id_idx on public.time_entries (project_id);
+
+alter table public.time_entries enable row level security;
+
+create policy "Users manage their own time entries"
+    on public.time_entries
+    for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
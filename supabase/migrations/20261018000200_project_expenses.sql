@@ -0,0 +1,29 @@
+-- ================================
+-- Project Expenses
+-- Line-item costs and platform fees for net earnings
+-- ================================
+
+alter table public.projects
+    add column if not exists platform_fee_percent numeric(5, 2) not null default 0
+        constraint projects_platform_fee_range check (platform_fee_percent between 0 and 100);
+
+create table if not exists public.project_expenses (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    project_id uuid not null references public.projects (id) on delete cascade,
+    category text not null default 'other'
+        constraint project_expenses_category check (category in ('software', 'subcontractor', 'travel', 'other')),
+    description text,
+    amount numeric(12, 2) not null constraint project_expenses_amount check (amount >= 0),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists project_expenses_project_id_idx on public.project_expenses (project_id);
+
+alter table public.project_expenses enable row level security;
+
+create policy "Users manage their own project expenses"
+    on public.project_expenses
+    for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
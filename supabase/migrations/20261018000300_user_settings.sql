@@ -0,0 +1,22 @@
+-- ================================
+-- User Settings
+-- One row of preferences per user, starting with tax estimates
+-- ================================
+
+create table if not exists public.user_settings (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    tax_brackets jsonb not null default '[]'::jsonb,
+    self_employment_rate numeric(5, 2) not null default 0
+        constraint user_settings_self_employment_range check (self_employment_rate between 0 and 100),
+    tax_due_dates jsonb not null default '["04-15", "06-15", "09-15", "01-15"]'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+alter table public.user_settings enable row level security;
+
+create policy "Users manage their own settings"
+    on public.user_settings
+    for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
@@ -0,0 +1,36 @@
+-- ================================
+-- Currencies
+-- Per-project currency, fixed exchange rates and a home currency
+-- ================================
+
+alter table public.projects
+    add column if not exists currency char(3) not null default 'USD',
+    add column if not exists exchange_rate numeric(18, 8) not null default 1
+        constraint projects_exchange_rate_positive check (exchange_rate > 0),
+    add column if not exists exchange_rate_currency char(3) not null default 'USD';
+
+comment on column public.projects.exchange_rate is
+    'Units of exchange_rate_currency per one unit of currency, fixed on the payment date';
+
+alter table public.user_settings
+    add column if not exists home_currency char(3) not null default 'USD';
+
+-- Hand-entered or imported rates; nothing is fetched from a live FX service
+create table if not exists public.exchange_rates (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    from_currency char(3) not null,
+    to_currency char(3) not null,
+    rate_date date not null,
+    rate numeric(18, 8) not null constraint exchange_rates_rate_positive check (rate > 0),
+    created_at timestamptz not null default now(),
+    constraint exchange_rates_unique_day unique (user_id, from_currency, to_currency, rate_date)
+);
+
+alter table public.exchange_rates enable row level security;
+
+create policy "Users manage their own exchange rates"
+    on public.exchange_rates
+    for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
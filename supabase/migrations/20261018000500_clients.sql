@@ -0,0 +1,27 @@
+-- ================================
+-- Clients
+-- Who each project was for, for per-client profitability
+-- ================================
+
+create table if not exists public.clients (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text not null constraint clients_name_not_blank check (length(trim(name)) > 0),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    constraint clients_unique_name unique (user_id, name)
+);
+
+alter table public.clients enable row level security;
+
+create policy "Users manage their own clients"
+    on public.clients
+    for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
+
+-- Deleting a client keeps its projects, unassigned
+alter table public.projects
+    add column if not exists client_id uuid references public.clients (id) on delete set null;
+
+create index if not exists projects_client_id_idx on public.projects (client_id);
@@ -0,0 +1,38 @@
+-- ================================
+-- Quotes
+-- Fixed prices suggested from past projects, kept until they
+-- are turned into a project
+-- ================================
+
+-- Hours expected when a project was priced, for the overrun factor
+alter table public.projects
+    add column if not exists estimated_hours numeric(10, 2)
+        constraint projects_estimated_hours_positive check (estimated_hours is null or estimated_hours > 0);
+
+create table if not exists public.quotes (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text not null constraint quotes_name_not_blank check (length(trim(name)) > 0),
+    client_id uuid references public.clients (id) on delete set null,
+    currency text not null,
+    estimated_hours numeric(10, 2) not null constraint quotes_estimated_hours_positive check (estimated_hours > 0),
+    target_rate numeric(12, 2) not null constraint quotes_target_rate_not_negative check (target_rate >= 0),
+    overrun_factor numeric(8, 4) not null default 1,
+    suggested_price numeric(12, 2) not null,
+    p50_price numeric(12, 2) not null,
+    p90_price numeric(12, 2) not null,
+    sample_size integer not null default 0,
+    project_id uuid references public.projects (id) on delete set null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists quotes_user_id_idx on public.quotes (user_id);
+
+alter table public.quotes enable row level security;
+
+create policy "Users manage their own quotes"
+    on public.quotes
+    for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
@@ -0,0 +1,9 @@
+-- ================================
+-- Quoted Price
+-- The fixed price agreed up front, to compare the rate a project
+-- was meant to earn with the rate it did
+-- ================================
+
+alter table public.projects
+    add column if not exists quoted_price numeric(12, 2)
+        constraint projects_quoted_price_not_negative check (quoted_price is null or quoted_price >= 0);
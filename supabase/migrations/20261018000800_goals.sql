@@ -0,0 +1,10 @@
+-- ================================
+-- Goals
+-- A target hourly rate and a monthly income goal, both in the home currency
+-- ================================
+
+alter table public.user_settings
+    add column if not exists target_rate numeric(12, 2)
+        constraint user_settings_target_rate_positive check (target_rate is null or target_rate > 0),
+    add column if not exists monthly_income_goal numeric(12, 2)
+        constraint user_settings_monthly_income_goal_positive check (monthly_income_goal is null or monthly_income_goal > 0);
@@ -0,0 +1,7 @@
+-- ================================
+-- Project Notes
+-- Free-form notes on a project, searched along with its name
+-- ================================
+
+alter table public.projects
+    add column if not exists notes text;
@@ -0,0 +1,41 @@
+-- ================================
+-- Tags
+-- Labels for the kind of work a project was, such as design or
+-- retainer. A project can carry any number of them.
+-- ================================
+
+create table if not exists public.tags (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text not null constraint tags_name_not_blank check (length(trim(name)) > 0),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    constraint tags_unique_name unique (user_id, name)
+);
+
+alter table public.tags enable row level security;
+
+create policy "Users manage their own tags"
+    on public.tags
+    for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
+
+-- Deleting a project or a tag removes the link between them
+create table if not exists public.project_tags (
+    project_id uuid not null references public.projects (id) on delete cascade,
+    tag_id uuid not null references public.tags (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    created_at timestamptz not null default now(),
+    primary key (project_id, tag_id)
+);
+
+alter table public.project_tags enable row level security;
+
+create policy "Users manage their own project tags"
+    on public.project_tags
+    for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
+
+create index if not exists project_tags_tag_id_idx on public.project_tags (tag_id);
@@ -0,0 +1,63 @@
+-- ================================
+-- Invoices
+-- Bills generated from projects, numbered per user, with the
+-- business details printed on them kept in user_settings
+-- ================================
+
+alter table public.user_settings
+    add column if not exists business_name text,
+    add column if not exists business_details text,
+    add column if not exists invoice_prefix text not null default 'INV-',
+    add column if not exists payment_terms_days integer not null default 30
+        constraint user_settings_payment_terms_range check (payment_terms_days between 0 and 365);
+
+-- Partly paid, paid and overdue follow from amount_paid and due_date,
+-- so only whether the invoice has gone out is stored
+create table if not exists public.invoices (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    client_id uuid references public.clients (id) on delete set null,
+    number text not null constraint invoices_number_not_blank check (length(trim(number)) > 0),
+    currency text not null,
+    issue_date date not null,
+    due_date date not null,
+    status text not null default 'draft'
+        constraint invoices_status_valid check (status in ('draft', 'sent')),
+    amount_paid numeric(12, 2) not null default 0
+        constraint invoices_amount_paid_not_negative check (amount_paid >= 0),
+    notes text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    constraint invoices_due_after_issue check (due_date >= issue_date),
+    constraint invoices_unique_number unique (user_id, number)
+);
+
+create table if not exists public.invoice_items (
+    id uuid primary key default gen_random_uuid(),
+    invoice_id uuid not null references public.invoices (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    project_id uuid references public.projects (id) on delete set null,
+    description text not null constraint invoice_items_description_not_blank check (length(trim(description)) > 0),
+    quantity numeric(10, 2) not null constraint invoice_items_quantity_positive check (quantity > 0),
+    unit_price numeric(12, 2) not null constraint invoice_items_unit_price_not_negative check (unit_price >= 0),
+    position integer not null default 0,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists invoices_user_id_idx on public.invoices (user_id);
+create index if not exists invoice_items_invoice_id_idx on public.invoice_items (invoice_id);
+
+alter table public.invoices enable row level security;
+alter table public.invoice_items enable row level security;
+
+create policy "Users manage their own invoices"
+    on public.invoices
+    for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
+
+create policy "Users manage their own invoice items"
+    on public.invoice_items
+    for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
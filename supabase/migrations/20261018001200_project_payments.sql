@@ -0,0 +1,26 @@
+-- ================================
+-- Project Payments
+-- Deposits and milestone payments, each with its own date, for
+-- income by payment date. A project with payments keeps their sum
+-- in money_received.
+-- ================================
+
+create table if not exists public.project_payments (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    project_id uuid not null references public.projects (id) on delete cascade,
+    paid_on date not null,
+    amount numeric(12, 2) not null constraint project_payments_amount_positive check (amount > 0),
+    note text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists project_payments_project_id_idx on public.project_payments (project_id);
+
+alter table public.project_payments enable row level security;
+
+create policy "Users manage their own project payments"
+    on public.project_payments
+    for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
@@ -0,0 +1,16 @@
+-- ================================
+-- Project Status
+-- Planned and active projects have no completion date yet; completed
+-- ones must have one. Archived projects are hidden from the projects
+-- list but still counted in reports.
+-- ================================
+
+alter table public.projects
+    add column if not exists status text not null default 'completed'
+        constraint projects_status_known check (status in ('planned', 'active', 'completed', 'archived'));
+
+alter table public.projects
+    alter column completion_date drop not null;
+
+alter table public.projects
+    add constraint projects_completed_has_date check (status <> 'completed' or completion_date is not null);
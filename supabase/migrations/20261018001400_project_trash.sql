@@ -0,0 +1,15 @@
+-- ================================
+-- Project Trash
+-- Deleted projects are marked rather than removed, so a delete can be
+-- undone. They are removed for good once they have been in the trash
+-- for the number of days in user_settings.
+-- ================================
+
+alter table public.projects
+    add column if not exists deleted_at timestamptz;
+
+create index if not exists projects_deleted_at_idx on public.projects (user_id, deleted_at);
+
+alter table public.user_settings
+    add column if not exists trash_days integer not null default 30
+        constraint user_settings_trash_days_range check (trash_days between 1 and 365);
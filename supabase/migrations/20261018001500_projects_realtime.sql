@@ -0,0 +1,20 @@
+-- ================================
+-- Projects Realtime
+-- Publishes project changes over Supabase Realtime so open tabs and
+-- other devices pick them up without a reload. Row level security
+-- still decides who receives each change.
+-- ================================
+
+do $$
+declare
+    table_name text;
+begin
+    foreach table_name in array array['projects', 'project_expenses', 'project_tags', 'project_payments'] loop
+        if not exists (
+            select 1 from pg_publication_tables
+            where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = table_name
+        ) then
+            execute format('alter publication supabase_realtime add table public.%I', table_name);
+        end if;
+    end loop;
+end $$;
@@ -0,0 +1,25 @@
+-- ================================
+-- Delete Account
+-- Lets a signed-in user delete their own account. Every table keyed
+-- to auth.users cascades, and projects are removed first in case
+-- that older table was made without a cascade.
+-- ================================
+
+create or replace function public.delete_account()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is null then
+        raise exception 'Not signed in';
+    end if;
+
+    delete from public.projects where user_id = auth.uid();
+    delete from auth.users where id = auth.uid();
+end;
+$$;
+
+revoke all on function public.delete_account() from public, anon;
+grant execute on function public.delete_account() to authenticated;
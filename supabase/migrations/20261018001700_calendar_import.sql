@@ -0,0 +1,16 @@
+-- ================================
+-- Calendar Import
+-- Sessions imported from an .ics file remember the calendar occurrence
+-- they came from, so importing the same export again adds nothing.
+-- Keyword-to-project rules for matching events are kept with the
+-- user's settings.
+-- ================================
+
+alter table public.time_entries
+    add column if not exists source_uid text;
+
+create unique index if not exists time_entries_source_uid_idx
+    on public.time_entries (user_id, source_uid);
+
+alter table public.user_settings
+    add column if not exists calendar_rules jsonb not null default '[]'::jsonb;
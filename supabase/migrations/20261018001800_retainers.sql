@@ -0,0 +1,29 @@
+-- ================================
+-- Retainers
+-- A retainer is a run of projects, one per billing period, sharing a
+-- retainer_id (the ID of its first period). Each period has its own
+-- dates, fixed fee and hours included, and tracks its own hours and
+-- rate. The app starts the next period once the latest one has ended.
+-- ================================
+
+alter table public.projects
+    add column if not exists retainer_id uuid,
+    add column if not exists billing_period text
+        constraint projects_billing_period_known check (billing_period in ('weekly', 'monthly', 'custom')),
+    add column if not exists period_days integer
+        constraint projects_period_days_positive check (period_days is null or period_days >= 1),
+    add column if not exists period_start date,
+    add column if not exists period_end date,
+    add column if not exists period_fee numeric(12, 2)
+        constraint projects_period_fee_not_negative check (period_fee is null or period_fee >= 0),
+    add column if not exists included_hours numeric(10, 2)
+        constraint projects_included_hours_positive check (included_hours is null or included_hours > 0);
+
+alter table public.projects
+    add constraint projects_retainer_has_period check (
+        billing_period is null
+        or (period_start is not null and period_end >= period_start and period_fee is not null
+            and (billing_period <> 'custom' or period_days is not null))
+    );
+
+create index if not exists projects_retainer_id_idx on public.projects (retainer_id);
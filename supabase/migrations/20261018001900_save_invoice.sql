@@ -0,0 +1,71 @@
+-- ================================
+-- Save Invoice
+-- Writes an invoice and its line items in one transaction, so a
+-- failed item insert leaves neither a new invoice without items nor
+-- an edited one with its items deleted. A null target_id adds a new
+-- draft; otherwise the invoice with that ID is updated. Row level
+-- security applies as it does to the tables themselves.
+-- ================================
+
+create or replace function public.save_invoice(target_id uuid, invoice_columns jsonb, item_rows jsonb)
+returns uuid
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    saved_id uuid;
+begin
+    if auth.uid() is null then
+        raise exception 'Not signed in';
+    end if;
+
+    if target_id is null then
+        insert into public.invoices (user_id, status, client_id, number, currency, issue_date, due_date, notes)
+        values (
+            auth.uid(),
+            'draft',
+            (invoice_columns ->> 'client_id')::uuid,
+            invoice_columns ->> 'number',
+            invoice_columns ->> 'currency',
+            (invoice_columns ->> 'issue_date')::date,
+            (invoice_columns ->> 'due_date')::date,
+            invoice_columns ->> 'notes'
+        )
+        returning id into saved_id;
+    else
+        update public.invoices
+        set client_id = (invoice_columns ->> 'client_id')::uuid,
+            number = invoice_columns ->> 'number',
+            currency = invoice_columns ->> 'currency',
+            issue_date = (invoice_columns ->> 'issue_date')::date,
+            due_date = (invoice_columns ->> 'due_date')::date,
+            notes = invoice_columns ->> 'notes',
+            updated_at = now()
+        where id = target_id and user_id = auth.uid()
+        returning id into saved_id;
+
+        if saved_id is null then
+            raise exception 'Invoice not found';
+        end if;
+
+        delete from public.invoice_items where invoice_id = saved_id;
+    end if;
+
+    insert into public.invoice_items (invoice_id, user_id, project_id, description, quantity, unit_price, position)
+    select
+        saved_id,
+        auth.uid(),
+        (item ->> 'project_id')::uuid,
+        item ->> 'description',
+        (item ->> 'quantity')::numeric,
+        (item ->> 'unit_price')::numeric,
+        (item ->> 'position')::integer
+    from jsonb_array_elements(item_rows) as item;
+
+    return saved_id;
+end;
+$$;
+
+revoke all on function public.save_invoice(uuid, jsonb, jsonb) from public, anon;
+grant execute on function public.save_invoice(uuid, jsonb, jsonb) to authenticated;
@@ -0,0 +1,173 @@
+/**
+ * Survey Results Page
+ * Loads the survey export shipped with the app and charts its answers,
+ * narrowed by the filters. Email addresses are never read or shown.
+ */
+
+const SURVEY_FILE = 'Freelancer Income & Time Awareness Survey.csv';
+
+// Questions charted as distributions, in page order
+const CHARTED = ['pricing', 'tracking', 'confidence', 'topStruggle', 'secondaryStruggle', 'knowsRate', 'afterShortfall', 'value', 'willingToPay'];
+
+// Questions that can be compared against each other
+const COMPARABLE = ['work', 'pricing', 'sector', 'tracking', 'confidence', 'topStruggle', 'secondaryStruggle', 'knowsRate', 'willingToPay'];
+
+const NO_TRACKING = 'I don’t track time';
+
+let responses = [];
+
+const filterSelects = [...document.querySelectorAll('[data-filter]')];
+const crossRows = document.getElementById('crossRows');
+const crossColumns = document.getElementById('crossColumns');
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function setText(id, text) {
+    document.getElementById(id).textContent = text;
+}
+
+function formatShare(share) {
+    return `${Math.round(share * 100)}%`;
+}
+
+function getFilters() {
+    return Object.fromEntries(filterSelects.map(select => [select.dataset.filter, select.value]));
+}
+
+// ================================
+// Rendering
+// ================================
+
+function renderFilterOptions() {
+    filterSelects.forEach(select => {
+        select.innerHTML = '<option value="">Everyone</option>' + Survey.getAnswers(responses, select.dataset.filter)
+            .map(answer => `<option value="${escapeHtml(answer)}">${escapeHtml(answer)}</option>`)
+            .join('');
+    });
+
+    const options = COMPARABLE
+        .map(key => `<option value="${key}">${Survey.QUESTIONS[key].label}</option>`)
+        .join('');
+    crossRows.innerHTML = options;
+    crossColumns.innerHTML = options;
+    crossRows.value = 'work';
+    crossColumns.value = 'willingToPay';
+}
+
+function renderStats(shown) {
+    const average = key => {
+        const value = Survey.getAverage(shown, key);
+        return value === null ? '–' : `${value.toFixed(1)} / 5`;
+    };
+    const shareOf = (key, matches) => {
+        const answered = shown.filter(response => response[key] !== '');
+        return answered.length > 0 ? formatShare(answered.filter(matches).length / answered.length) : '–';
+    };
+
+    setText('statConfidence', average('confidence'));
+    setText('statValue', average('value'));
+    setText('statNoTracking', shareOf('tracking', response => response.tracking === NO_TRACKING));
+    setText('statWouldPay', shareOf('willingToPay', response => response.willingToPay !== 'No'));
+}
+
+function renderCharts(shown) {
+    document.getElementById('surveyCharts').innerHTML = CHARTED.map(key => {
+        const distribution = Survey.getDistribution(shown, key);
+        const bars = distribution.length === 0
+            ? '<p class="survey-none">No answers from these responses</p>'
+            : distribution.map(item => `
+                <li class="survey-bar">
+                    <span class="survey-bar-answer">${escapeHtml(item.answer)}</span>
+                    <span class="survey-bar-track"><span class="survey-bar-fill" style="width: ${formatShare(item.share)}"></span></span>
+                    <span class="survey-bar-count">${item.count} (${formatShare(item.share)})</span>
+                </li>
+            `).join('');
+
+        return `
+            <article class="survey-card">
+                <h2 class="survey-card-title">${Survey.QUESTIONS[key].label}</h2>
+                <ul class="survey-bars">${bars}</ul>
+            </article>
+        `;
+    }).join('');
+}
+
+function renderCrossTab(shown) {
+    const table = Survey.getCrossTab(shown, crossRows.value, crossColumns.value);
+    const crossTable = document.getElementById('crossTable');
+
+    if (table.rows.length === 0) {
+        crossTable.innerHTML = '<tbody><tr><td>No responses answered both questions</td></tr></tbody>';
+        return;
+    }
+
+    crossTable.innerHTML = `
+        <thead>
+            <tr><th></th>${table.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+            ${table.rows.map((row, i) => `
+                <tr><th>${escapeHtml(row)}</th>${table.counts[i].map(count => `<td>${count || '&ndash;'}</td>`).join('')}</tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+function renderComments(shown) {
+    const comments = Survey.getComments(shown);
+    document.getElementById('surveyComments').innerHTML = comments.length === 0
+        ? '<li class="survey-none">No written answers from these responses</li>'
+        : comments.map(comment => `<li>&ldquo;${escapeHtml(comment)}&rdquo;</li>`).join('');
+}
+
+function render() {
+    const shown = Survey.filterResponses(responses, getFilters());
+
+    setText('surveyCount', shown.length === responses.length
+        ? `Showing all ${responses.length} responses`
+        : `Showing ${shown.length} of ${responses.length} responses`);
+
+    renderStats(shown);
+    renderCharts(shown);
+    renderCrossTab(shown);
+    renderComments(shown);
+}
+
+// ================================
+// Loading
+// ================================
+
+async function loadSurvey() {
+    try {
+        const response = await fetch(encodeURI(SURVEY_FILE));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        responses = Survey.parseResponses(await response.text());
+    } catch (error) {
+        console.error('Error loading survey:', error);
+        setText('surveySubtitle', '');
+        setText('surveyError', 'Could not load the survey results. Please try again.');
+        document.getElementById('surveyError').classList.remove('hidden');
+        return;
+    }
+
+    setText('surveySubtitle', `What ${responses.length} freelancers told us about pricing, time and knowing their real rate`);
+    renderFilterOptions();
+    render();
+    document.getElementById('surveyResults').classList.remove('hidden');
+}
+
+filterSelects.forEach(select => select.addEventListener('change', render));
+crossRows.addEventListener('change', render);
+crossColumns.addEventListener('change', render);
+document.getElementById('clearSurveyFilters').addEventListener('click', () => {
+    filterSelects.forEach(select => {
+        select.value = '';
+    });
+    render();
+});
+
+loadSurvey();
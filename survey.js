@@ -0,0 +1,140 @@
+/**
+ * Survey
+ * Reads the Freelancer Income & Time Awareness survey export and
+ * counts its answers. Only the questions below are read, so the
+ * optional email column never leaves the file, and email addresses
+ * typed into free-text answers are blanked out.
+ */
+
+const Survey = (() => {
+    // Each question with text that finds its column in the header row
+    const QUESTIONS = {
+        work: { label: 'Type of work', header: 'What best describes your work?' },
+        pricing: { label: 'Pricing model', header: 'How do you usually price your work?' },
+        sector: { label: 'Sector', header: 'primary freelance/self-employed sector' },
+        tracking: { label: 'Time tracking', header: 'How do you currently track your time?' },
+        confidence: { label: 'Confidence in their real hourly rate (1–5)', header: 'How confident are you', scale: true },
+        topStruggle: { label: 'Top struggle', header: '[Top struggle]' },
+        secondaryStruggle: { label: 'Secondary struggle', header: '[Secondary struggle]' },
+        knowsRate: { label: 'Knows their effective rate after a project', header: 'do you usually know your effective hourly rate' },
+        afterShortfall: { label: 'After a project pays less than expected', header: 'paid less than expected' },
+        value: { label: 'Value of seeing the real hourly rate (1–5)', header: 'how valuable would that be', scale: true },
+        willingToPay: { label: 'Would pay for a tool', header: 'Would you pay for a tool' },
+        hardestPart: { label: 'Hardest part of knowing if the work pays off', header: 'hardest part about knowing' }
+    };
+
+    const SCALE = ['1', '2', '3', '4', '5'];
+    const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/g;
+
+    /**
+     * Survey responses as objects keyed by question, answers trimmed.
+     * Questions missing from the file are left as empty answers.
+     */
+    function parseResponses(text) {
+        const [header = [], ...rows] = Csv.parse(text);
+        const columns = Object.entries(QUESTIONS).map(([key, question]) => [
+            key,
+            header.findIndex(title => title.includes(question.header))
+        ]);
+
+        return rows.map(row => Object.fromEntries(columns.map(([key, index]) => [
+            key,
+            index === -1 ? '' : (row[index] || '').trim()
+        ])));
+    }
+
+    /**
+     * A free-text answer with any email address blanked out
+     */
+    function redactEmails(text) {
+        return text.replace(EMAIL_PATTERN, '[email removed]');
+    }
+
+    /**
+     * Responses matching every chosen answer, e.g. { work: 'Side hustle freelancer' }.
+     * An empty choice matches everyone.
+     */
+    function filterResponses(responses, filters) {
+        return responses.filter(response =>
+            Object.entries(filters).every(([key, answer]) => !answer || response[key] === answer));
+    }
+
+    /**
+     * The different answers given to a question, most common first
+     */
+    function getAnswers(responses, key) {
+        return getDistribution(responses, key).map(item => item.answer);
+    }
+
+    /**
+     * How many gave each answer and their share of those who answered.
+     * Scale questions list every point from 1 to 5 in order; others are
+     * most common first. Blank answers aren't counted.
+     */
+    function getDistribution(responses, key) {
+        const answered = responses.map(response => response[key]).filter(answer => answer !== '');
+        const counts = new Map(QUESTIONS[key].scale ? SCALE.map(point => [point, 0]) : []);
+
+        answered.forEach(answer => counts.set(answer, (counts.get(answer) || 0) + 1));
+
+        const items = [...counts].map(([answer, count]) => ({
+            answer,
+            count,
+            share: answered.length > 0 ? count / answered.length : 0
+        }));
+
+        return QUESTIONS[key].scale
+            ? items
+            : items.sort((a, b) => b.count - a.count || a.answer.localeCompare(b.answer));
+    }
+
+    /**
+     * Mean of a 1–5 question, or null when nobody answered
+     */
+    function getAverage(responses, key) {
+        const scores = responses.map(response => parseFloat(response[key])).filter(score => !isNaN(score));
+        return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+    }
+
+    /**
+     * Counts of one question's answers within each answer to another,
+     * e.g. willingness to pay by type of work
+     */
+    function getCrossTab(responses, rowKey, columnKey) {
+        const answered = responses.filter(response => response[rowKey] !== '' && response[columnKey] !== '');
+        const rows = getAnswers(answered, rowKey);
+        const columns = getAnswers(answered, columnKey);
+
+        return {
+            rows,
+            columns,
+            counts: rows.map(rowAnswer => columns.map(columnAnswer => answered.filter(response =>
+                response[rowKey] === rowAnswer && response[columnKey] === columnAnswer).length))
+        };
+    }
+
+    /**
+     * The free-text answers that aren't blank, emails removed
+     */
+    function getComments(responses) {
+        return responses
+            .map(response => redactEmails(response.hardestPart))
+            .filter(comment => comment !== '');
+    }
+
+    return {
+        QUESTIONS,
+        parseResponses,
+        redactEmails,
+        filterResponses,
+        getAnswers,
+        getDistribution,
+        getAverage,
+        getCrossTab,
+        getComments
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Survey;
+}
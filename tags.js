@@ -0,0 +1,136 @@
+/**
+ * Tags
+ * Labels for the kind of work a project was. The list is kept in
+ * localStorage as well so project cards still show tag names offline.
+ */
+
+const Tags = (() => {
+    const CACHE_KEY = 'trueFreelance.tags';
+
+    let tags = [];
+
+    /**
+     * Map a tags row to the shape used in the UI
+     */
+    function mapTagRow(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Keep the list sorted by name and cached for offline use
+     */
+    function saveList() {
+        tags.sort((a, b) => a.name.localeCompare(b.name));
+        localStorage.setItem(CACHE_KEY, JSON.stringify(tags));
+    }
+
+    /**
+     * Load the signed-in user's tags. On failure the cached list
+     * is used and the error is rethrown.
+     */
+    async function load() {
+        const { data, error } = await window.supabaseClient
+            .from('tags')
+            .select('*')
+            .order('name', { ascending: true });
+
+        if (error) {
+            tags = JSON.parse(localStorage.getItem(CACHE_KEY) || '[]');
+            throw error;
+        }
+
+        tags = data.map(mapTagRow);
+        saveList();
+        return getAll();
+    }
+
+    /**
+     * Every tag, by name
+     */
+    function getAll() {
+        return [...tags];
+    }
+
+    /**
+     * Find a tag by ID
+     */
+    function getById(id) {
+        return tags.find(tag => tag.id === id) || null;
+    }
+
+    /**
+     * Find a tag by name, ignoring case and surrounding spaces
+     */
+    function findByName(name) {
+        const wanted = name.trim().toLowerCase();
+        return tags.find(tag => tag.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Add a tag, or return the existing one with that name
+     */
+    async function add(name) {
+        const existing = findByName(name);
+        if (existing) return existing;
+
+        const { data, error } = await window.supabaseClient
+            .from('tags')
+            .insert([{ user_id: window.currentUser.id, name: name.trim() }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        const tag = mapTagRow(data);
+        tags.push(tag);
+        saveList();
+        return tag;
+    }
+
+    /**
+     * Rename a tag
+     */
+    async function rename(id, name) {
+        const { data, error } = await window.supabaseClient
+            .from('tags')
+            .update({ name: name.trim(), updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        tags = tags.map(tag => (tag.id === id ? mapTagRow(data) : tag));
+        saveList();
+        return getById(id);
+    }
+
+    /**
+     * Delete a tag. Its projects stay and just lose the tag.
+     */
+    async function remove(id) {
+        const { error } = await window.supabaseClient
+            .from('tags')
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+
+        tags = tags.filter(tag => tag.id !== id);
+        saveList();
+    }
+
+    return {
+        load,
+        getAll,
+        getById,
+        findByName,
+        add,
+        rename,
+        remove
+    };
+})();
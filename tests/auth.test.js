@@ -0,0 +1,41 @@
+/**
+ * Tests for the sign-in links and password rule in auth.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Auth = require('../auth');
+
+test('getReturnPath keeps the page, query and hash', () => {
+    assert.equal(Auth.getReturnPath({ pathname: '/app/invoice.html', search: '?id=7', hash: '' }), 'invoice.html?id=7');
+    assert.equal(Auth.getReturnPath({ pathname: '/index.html', search: '', hash: '#top' }), 'index.html#top');
+    assert.equal(Auth.getReturnPath({ pathname: '/', search: '', hash: '' }), 'index.html');
+});
+
+test('getSafeNext only allows pages of the app', () => {
+    assert.equal(Auth.getSafeNext('invoice.html?id=7'), 'invoice.html?id=7');
+    assert.equal(Auth.getSafeNext('timer.html'), 'timer.html');
+    assert.equal(Auth.getSafeNext(''), 'door.html');
+    assert.equal(Auth.getSafeNext(null), 'door.html');
+    assert.equal(Auth.getSafeNext('https://evil.example/index.html'), 'door.html');
+    assert.equal(Auth.getSafeNext('//evil.example/index.html'), 'door.html');
+    assert.equal(Auth.getSafeNext('javascript:alert(1)'), 'door.html');
+    assert.equal(Auth.getSafeNext('login.html?next=index.html'), 'door.html');
+});
+
+test('getLoginUrl and getNext round-trip the return path', () => {
+    const url = Auth.getLoginUrl('invoice.html?id=7&x=1', 'expired');
+
+    assert.equal(url, 'login.html?next=invoice.html%3Fid%3D7%26x%3D1&reason=expired');
+    assert.equal(Auth.getNext(url.slice(url.indexOf('?'))), 'invoice.html?id=7&x=1');
+    assert.equal(Auth.getLoginUrl(), 'login.html');
+    assert.equal(Auth.getNext(''), 'door.html');
+});
+
+test('getPasswordError checks the length and the confirmation', () => {
+    assert.equal(Auth.getPasswordError('short', 'short'), 'Use at least 6 characters');
+    assert.equal(Auth.getPasswordError('long enough', 'long enougH'), "The passwords don't match");
+    assert.equal(Auth.getPasswordError('long enough', 'long enough'), '');
+});
@@ -0,0 +1,376 @@
+/**
+ * Tests for calculations.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Calculations = require('../calculations');
+
+function project(overrides = {}) {
+    return {
+        name: 'Project',
+        hoursWorked: 10,
+        moneyReceived: 1000,
+        netEarnings: 1000,
+        completionDate: '2026-10-15',
+        currency: 'USD',
+        ...overrides
+    };
+}
+
+test('calculateHourlyRate divides money by hours and is 0 without hours', () => {
+    assert.equal(Calculations.calculateHourlyRate(10, 1000), 100);
+    assert.equal(Calculations.calculateHourlyRate(0, 1000), 0);
+    assert.equal(Calculations.calculateHourlyRate(-2, 1000), 0);
+});
+
+test('calculateNetEarnings subtracts expenses and the platform fee', () => {
+    const expenses = [{ amount: 50 }, { amount: 25 }];
+    assert.equal(Calculations.calculateNetEarnings(1000, expenses, 10), 825);
+    assert.equal(Calculations.calculateNetEarnings(1000, [], 0), 1000);
+});
+
+test('calculateIncomeTax applies each bracket up to the next threshold', () => {
+    const brackets = [{ from: 50000, rate: 20 }, { from: 0, rate: 10 }];
+    assert.equal(Calculations.calculateIncomeTax(40000, brackets), 4000);
+    assert.equal(Calculations.calculateIncomeTax(60000, brackets), 5000 + 2000);
+    assert.equal(Calculations.calculateIncomeTax(60000, []), 0);
+});
+
+test('calculateEffectiveTaxRate adds self-employment tax and is 0 without income', () => {
+    const settings = { taxBrackets: [{ from: 0, rate: 10 }], selfEmploymentRate: 15 };
+    assert.equal(Calculations.calculateEffectiveTaxRate(10000, settings), 0.25);
+    assert.equal(Calculations.calculateEffectiveTaxRate(0, settings), 0);
+});
+
+test('getQuarterDueDate moves a due date before the quarter end into the next year', () => {
+    const dueDates = ['04-15', '06-15', '09-15', '01-15'];
+    assert.deepEqual(Calculations.getQuarterDueDate(2026, 0, dueDates), new Date(2026, 3, 15));
+    assert.deepEqual(Calculations.getQuarterDueDate(2026, 3, dueDates), new Date(2027, 0, 15));
+});
+
+test('getProjectsForMonth keeps projects completed in the month, including its first and last day', () => {
+    const projects = [
+        project({ name: 'First day', completionDate: '2026-10-01' }),
+        project({ name: 'Last day', completionDate: '2026-10-31' }),
+        project({ name: 'Next month', completionDate: '2026-11-01' }),
+        project({ name: 'Previous month', completionDate: '2026-09-30' }),
+        project({ name: 'Other year', completionDate: '2025-10-10' }),
+        project({ name: 'No date', completionDate: null })
+    ];
+
+    const october = Calculations.getProjectsForMonth(projects, 2026, 9);
+    assert.deepEqual(october.map(p => p.name), ['First day', 'Last day']);
+    assert.deepEqual(Calculations.getProjectsForMonth(projects, 2026, 0), []);
+});
+
+test('getCashSlices splits a project into its payments and keeps its rate', () => {
+    const paid = project({
+        moneyReceived: 1000,
+        netEarnings: 800,
+        hoursWorked: 20,
+        payments: [
+            { paidOn: '2026-09-01', amount: 250 },
+            { paidOn: '2026-11-02', amount: 750 }
+        ]
+    });
+    const unpaid = project({ name: 'No payments' });
+
+    const slices = Calculations.getCashSlices([paid, unpaid]);
+
+    assert.equal(slices.length, 3);
+    assert.deepEqual(slices.map(slice => slice.completionDate), ['2026-09-01', '2026-11-02', '2026-10-15']);
+    assert.deepEqual(slices.map(slice => slice.moneyReceived), [250, 750, 1000]);
+    assert.deepEqual(slices.map(slice => slice.netEarnings), [200, 600, 1000]);
+    assert.deepEqual(slices.map(slice => slice.hoursWorked), [5, 15, 10]);
+    assert.equal(slices[2], unpaid);
+});
+
+test('getOutstanding compares the money received with the quote', () => {
+    assert.equal(Calculations.getOutstanding(project({ quotedPrice: 1500, moneyReceived: 999.9 })), 500.1);
+    assert.equal(Calculations.getOutstanding(project({ quotedPrice: 800 })), 0);
+    assert.equal(Calculations.getOutstanding(project({ quotedPrice: null })), null);
+});
+
+test('getOutstanding falls back to the invoiced total for a project with payments and no quote', () => {
+    const paidInPart = project({ quotedPrice: null, moneyReceived: 400, amountPaid: 400, payments: [{ amount: '400' }] });
+
+    assert.equal(Calculations.getAgreedTotal(paidInPart, 1000), 1000);
+    assert.equal(Calculations.getOutstanding(paidInPart, 1000), 600);
+    assert.equal(Calculations.getOutstanding(paidInPart), null);
+    assert.equal(Calculations.getOutstanding({ ...paidInPart, quotedPrice: 1200 }, 1000), 800);
+});
+
+test('getOutstanding counts an unpaid retainer period\'s fee as owed', () => {
+    const period = project({ quotedPrice: null, periodFee: 2000, moneyReceived: 2000, amountPaid: 0 });
+
+    assert.equal(Calculations.getOutstanding(period), 2000);
+    assert.equal(Calculations.getOutstanding({ ...period, amountPaid: 2000 }), 0);
+});
+
+test('calculateMonthlyStats totals and averages projects', () => {
+    const stats = Calculations.calculateMonthlyStats([
+        project({ hoursWorked: 10, moneyReceived: 1000, netEarnings: 900 }),
+        project({ hoursWorked: 30, moneyReceived: 2000, netEarnings: 1500 })
+    ]);
+
+    assert.equal(stats.totalEarnings, 3000);
+    assert.equal(stats.totalNetEarnings, 2400);
+    assert.equal(stats.totalHours, 40);
+    assert.equal(stats.avgRate, 75);
+    assert.equal(stats.avgNetRate, 60);
+    assert.equal(stats.projectCount, 2);
+    assert.equal(stats.unconvertedCount, 0);
+});
+
+test('calculateMonthlyStats converts currencies and leaves out projects without a rate', () => {
+    const rates = { USD: 1, EUR: 1.1, GBP: null };
+    const stats = Calculations.calculateMonthlyStats([
+        project({ currency: 'EUR', moneyReceived: 1000, netEarnings: 1000 }),
+        project({ currency: 'GBP', moneyReceived: 5000, netEarnings: 5000 })
+    ], p => rates[p.currency]);
+
+    assert.ok(Math.abs(stats.totalEarnings - 1100) < 1e-9);
+    assert.equal(stats.totalHours, 10);
+    assert.equal(stats.projectCount, 2);
+    assert.equal(stats.unconvertedCount, 1);
+});
+
+test('calculateMonthlyStats is all zeros for an empty month', () => {
+    const stats = Calculations.calculateMonthlyStats([]);
+    assert.equal(stats.totalEarnings, 0);
+    assert.equal(stats.avgRate, 0);
+    assert.equal(stats.projectCount, 0);
+});
+
+test('getRateTrend compares the earlier and later halves of a client\'s projects', () => {
+    const trend = Calculations.getRateTrend([
+        project({ completionDate: '2026-03-01', hoursWorked: 10, netEarnings: 1200 }),
+        project({ completionDate: '2026-01-01', hoursWorked: 10, netEarnings: 1000 }),
+        project({ completionDate: '2026-02-01', hoursWorked: 10, netEarnings: 1000 }),
+        project({ completionDate: '2026-04-01', hoursWorked: 10, netEarnings: 1200 })
+    ]);
+
+    assert.deepEqual(trend.points.map(point => point.rate), [100, 100, 120, 120]);
+    assert.ok(Math.abs(trend.change - 0.2) < 1e-9);
+    assert.equal(Calculations.getRateTrend([project()]), null);
+});
+
+test('calculateClientStats ranks clients by effective rate and lists idle clients last', () => {
+    const clients = [
+        { id: 'a', name: 'Acme' },
+        { id: 'b', name: 'Bolt' },
+        { id: 'c', name: 'Crate' }
+    ];
+    const stats = Calculations.calculateClientStats([
+        project({ clientId: 'a', hoursWorked: 10, moneyReceived: 1000, netEarnings: 500 }),
+        project({ clientId: 'b', hoursWorked: 10, moneyReceived: 900, netEarnings: 900 }),
+        project({ clientId: 'b', hoursWorked: 10, moneyReceived: 900, netEarnings: 900 }),
+        project({ clientId: null, hoursWorked: 10, moneyReceived: 5000, netEarnings: 5000 })
+    ], clients);
+
+    assert.deepEqual(stats.map(s => [s.client.name, s.rank]), [['Bolt', 1], ['Acme', 2], ['Crate', null]]);
+    assert.equal(stats[0].totalNetEarnings, 1800);
+    assert.equal(stats[0].projectCount, 2);
+
+    const byEarnings = Calculations.calculateClientStats([
+        project({ clientId: 'a', hoursWorked: 10, moneyReceived: 1000, netEarnings: 500 }),
+        project({ clientId: 'b', hoursWorked: 10, moneyReceived: 900, netEarnings: 900 })
+    ], clients, () => 1, 'totalEarnings');
+    assert.equal(byEarnings[0].client.name, 'Acme');
+});
+
+test('percentile interpolates between values', () => {
+    assert.equal(Calculations.percentile([3, 1, 2], 0.5), 2);
+    assert.ok(Math.abs(Calculations.percentile([1, 2, 3, 4], 0.9) - 3.7) < 1e-9);
+    assert.equal(Calculations.percentile([], 0.5), 0);
+});
+
+test('findSimilarProjects prefers the same client, then a similar size', () => {
+    const history = [
+        project({ name: 'A1', clientId: 'a', estimatedHours: 10, hoursWorked: 12 }),
+        project({ name: 'A2', clientId: 'a', estimatedHours: 40, hoursWorked: 50 }),
+        project({ name: 'A3', clientId: 'a', estimatedHours: 100, hoursWorked: 90 }),
+        project({ name: 'B1', clientId: 'b', estimatedHours: 12, hoursWorked: 15 }),
+        project({ name: 'B2', clientId: 'b', estimatedHours: 8, hoursWorked: 8 }),
+        project({ name: 'No estimate', clientId: 'b', hoursWorked: 10 })
+    ];
+    const names = result => result.projects.map(p => p.name);
+
+    const byClient = Calculations.findSimilarProjects(history, { clientId: 'a', estimatedHours: 10 });
+    assert.equal(byClient.basis, 'client');
+    assert.deepEqual(names(byClient), ['A1', 'A2', 'A3']);
+
+    const bySize = Calculations.findSimilarProjects(history, { clientId: 'b', estimatedHours: 10 });
+    assert.equal(bySize.basis, 'size');
+    assert.deepEqual(names(bySize), ['A1', 'B1', 'B2']);
+
+    const all = Calculations.findSimilarProjects(history, { estimatedHours: 500 });
+    assert.equal(all.basis, 'all');
+    assert.equal(all.projects.length, 5);
+});
+
+test('findSimilarProjects keeps to projects with the tag', () => {
+    const history = [
+        project({ name: 'Logo 1', clientId: 'a', tagIds: ['logo'], estimatedHours: 10, hoursWorked: 12 }),
+        project({ name: 'Logo 2', clientId: 'b', tagIds: ['logo', 'web'], estimatedHours: 80, hoursWorked: 100 }),
+        project({ name: 'Site', clientId: 'a', tagIds: ['web'], estimatedHours: 10, hoursWorked: 10 }),
+        project({ name: 'Untagged', clientId: 'a', estimatedHours: 10, hoursWorked: 9 })
+    ];
+
+    const tagged = Calculations.findSimilarProjects(history, { clientId: 'a', tagId: 'logo', estimatedHours: 10 });
+    assert.equal(tagged.basis, 'all');
+    assert.deepEqual(tagged.projects.map(p => p.name), ['Logo 1', 'Logo 2']);
+});
+
+test('calculateQuote scales the price by the overrun factor and gives a range', () => {
+    const quote = Calculations.calculateQuote(10, 100, [
+        project({ estimatedHours: 10, hoursWorked: 10 }),
+        project({ estimatedHours: 10, hoursWorked: 12 }),
+        project({ estimatedHours: 10, hoursWorked: 20 })
+    ]);
+
+    assert.equal(quote.sampleSize, 3);
+    assert.equal(quote.basePrice, 1000);
+    assert.ok(Math.abs(quote.suggestedPrice - 1400) < 1e-9);
+    assert.ok(Math.abs(quote.p50Price - 1200) < 1e-9);
+    assert.ok(Math.abs(quote.p90Price - 1840) < 1e-9);
+});
+
+test('calculateQuote takes the estimate as it is without history', () => {
+    const quote = Calculations.calculateQuote(10, 80, []);
+    assert.equal(quote.sampleSize, 0);
+    assert.equal(quote.suggestedPrice, 800);
+    assert.equal(quote.p90Price, 800);
+});
+
+test('getOverrun and getIntendedRate need an estimate', () => {
+    const estimated = project({ estimatedHours: 8, hoursWorked: 10, moneyReceived: 1000 });
+    assert.equal(Calculations.getOverrun(estimated), 0.25);
+    assert.equal(Calculations.getIntendedRate(estimated), 125);
+    assert.equal(Calculations.getIntendedRate({ ...estimated, quotedPrice: 800 }), 100);
+
+    assert.equal(Calculations.getOverrun(project()), null);
+    assert.equal(Calculations.getIntendedRate(project({ quotedPrice: 800 })), null);
+});
+
+test('groupOverruns averages overruns per group and skips projects without an estimate', () => {
+    const groups = Calculations.groupOverruns([
+        project({ clientId: 'a', estimatedHours: 10, hoursWorked: 12 }),
+        project({ clientId: 'b', estimatedHours: 10, hoursWorked: 9 }),
+        project({ clientId: 'a', estimatedHours: 10, hoursWorked: 14 }),
+        project({ clientId: 'b', hoursWorked: 50 })
+    ], p => p.clientId);
+
+    assert.deepEqual(groups.map(g => [g.key, g.count]), [['a', 2], ['b', 1]]);
+    assert.ok(Math.abs(groups[0].averageOverrun - 0.3) < 1e-9);
+    assert.ok(Math.abs(groups[1].averageOverrun + 0.1) < 1e-9);
+});
+
+test('getSizeBucket sorts estimates into sizes', () => {
+    assert.equal(Calculations.getSizeBucket(4), 'Under 10 hrs');
+    assert.equal(Calculations.getSizeBucket(10), '10 to 40 hrs');
+    assert.equal(Calculations.getSizeBucket(250), '100+ hrs');
+});
+
+test('getPeriodRange covers the month, quarter or year around a month', () => {
+    const quarter = Calculations.getPeriodRange(2026, 7, 'quarter');
+    assert.deepEqual([quarter.start, quarter.end], [new Date(2026, 6, 1), new Date(2026, 9, 1)]);
+
+    const year = Calculations.getPeriodRange(2026, 7, 'year');
+    assert.deepEqual([year.start, year.end], [new Date(2026, 0, 1), new Date(2027, 0, 1)]);
+
+    const month = Calculations.getPeriodRange(2026, 11, 'month');
+    assert.deepEqual([month.start, month.end], [new Date(2026, 11, 1), new Date(2027, 0, 1)]);
+});
+
+test('getProjectsBetween includes the start and excludes the end', () => {
+    const projects = [
+        project({ name: 'Start', completionDate: '2026-07-01' }),
+        project({ name: 'End', completionDate: '2026-10-01' }),
+        project({ name: 'Undated', completionDate: null })
+    ];
+    const range = Calculations.getPeriodRange(2026, 7, 'quarter');
+    assert.deepEqual(Calculations.getProjectsBetween(projects, range.start, range.end).map(p => p.name), ['Start']);
+});
+
+test('clipRangeToToday cuts a period under way off after today', () => {
+    const range = Calculations.getPeriodRange(2026, 9, 'month');
+    const clipped = Calculations.clipRangeToToday(range, new Date(2026, 9, 18));
+    assert.deepEqual(clipped.end, new Date(2026, 9, 19));
+
+    const lastYear = Calculations.shiftRange(clipped, -1);
+    assert.deepEqual([lastYear.start, lastYear.end], [new Date(2025, 9, 1), new Date(2025, 9, 19)]);
+
+    assert.equal(Calculations.clipRangeToToday(range, new Date(2027, 0, 5)), range);
+});
+
+test('projectAnnualIncome projects from the run rate and from past seasons', () => {
+    const projects = [
+        project({ completionDate: '2025-02-01', netEarnings: 1000 }),
+        project({ completionDate: '2025-11-01', netEarnings: 3000 }),
+        project({ completionDate: '2026-03-01', netEarnings: 2000 }),
+        project({ completionDate: '2026-09-01', netEarnings: 9999 })
+    ];
+    const amountOf = p => p.netEarnings;
+
+    const projection = Calculations.projectAnnualIncome(projects, 2026, new Date(2026, 5, 30), amountOf);
+    assert.equal(projection.yearToDate, 2000);
+    assert.ok(Math.abs(projection.elapsedShare - 181 / 365) < 1e-9);
+    assert.ok(Math.abs(projection.runRate - 2000 * 365 / 181) < 1e-6);
+    assert.equal(projection.pastYears, 1);
+    assert.equal(projection.seasonal, 8000);
+
+    const finished = Calculations.projectAnnualIncome(projects, 2025, new Date(2026, 5, 30), amountOf);
+    assert.equal(finished.runRate, 4000);
+    assert.equal(finished.seasonal, null);
+});
+
+test('movingAverage averages a trailing window and skips gaps', () => {
+    assert.deepEqual(Calculations.movingAverage([10, 20, 30, 40], 3), [10, 15, 20, 30]);
+    assert.deepEqual(Calculations.movingAverage([null, 20, null, null, null], 3), [null, 20, 20, 20, null]);
+});
+
+test('getTargetHours gives the hours an amount pays for at the target rate', () => {
+    assert.equal(Calculations.getTargetHours(1500, 75), 20);
+    assert.equal(Calculations.getTargetHours(1500, 0), null);
+    assert.equal(Calculations.getTargetHours(1500, null), null);
+});
+
+test('calculateGoalProgress reports the share earned and the hours still needed', () => {
+    assert.deepEqual(Calculations.calculateGoalProgress(5000, 2000, 60), {
+        goal: 5000,
+        earned: 2000,
+        remaining: 3000,
+        share: 0.4,
+        hoursNeeded: 50
+    });
+
+    const reached = Calculations.calculateGoalProgress(5000, 6000, 60);
+    assert.equal(reached.remaining, 0);
+    assert.equal(reached.share, 1);
+    assert.equal(reached.hoursNeeded, 0);
+
+    assert.equal(Calculations.calculateGoalProgress(5000, 0, 0).hoursNeeded, null);
+});
+
+test('calculateTagStats totals each tag, counts shared projects under every tag and ranks by net rate', () => {
+    const tags = [{ id: 'design', name: 'Design' }, { id: 'dev', name: 'Development' }, { id: 'audit', name: 'Audit' }];
+    const projects = [
+        project({ tagIds: ['design'], hoursWorked: 10, netEarnings: 500 }),
+        project({ tagIds: ['design', 'dev'], hoursWorked: 10, netEarnings: 1500 }),
+        project({ tagIds: ['gone'], hoursWorked: 5, netEarnings: 100 }),
+        project({ hoursWorked: 5, netEarnings: 300 })
+    ];
+
+    const { tags: stats, untagged } = Calculations.calculateTagStats(projects, tags);
+
+    assert.deepEqual(stats.map(stat => [stat.tag.id, stat.projectCount, stat.totalHours, stat.avgNetRate]), [
+        ['dev', 1, 10, 150],
+        ['design', 2, 20, 100],
+        ['audit', 0, 0, 0]
+    ]);
+    assert.equal(untagged.projectCount, 2);
+    assert.equal(untagged.totalNetEarnings, 400);
+});
@@ -0,0 +1,21 @@
+/**
+ * Tests for charts.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Charts = require('../charts');
+
+test('getNiceMax rounds up to a readable axis maximum', () => {
+    assert.equal(Charts.getNiceMax(87), 100);
+    assert.equal(Charts.getNiceMax(1234), 2000);
+    assert.equal(Charts.getNiceMax(2100), 2500);
+    assert.equal(Charts.getNiceMax(0.3), 0.5);
+    assert.equal(Charts.getNiceMax(0), 1);
+});
+
+test('getTicks spaces axis values evenly from zero', () => {
+    assert.deepEqual(Charts.getTicks(100), [0, 25, 50, 75, 100]);
+    assert.deepEqual(Charts.getTicks(10, 2), [0, 5, 10]);
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for the exchange rate lookup and CSV rate import in currency.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.Csv = require('../csv');
+const Currency = require('../currency');
+
+let stored = [];
+let upserts = [];
+
+global.window = {
+    currentUser: { id: 'u1' },
+    supabaseClient: {
+        from: () => ({
+            select: () => ({
+                order: async () => ({ data: [...stored].sort((a, b) => a.rate_date.localeCompare(b.rate_date)), error: null })
+            }),
+            upsert: async records => {
+                upserts.push(records);
+                stored = stored.concat(records);
+                return { error: null };
+            }
+        })
+    }
+};
+
+function rate(from_currency, to_currency, rate_date, value) {
+    return { from_currency, to_currency, rate_date, rate: String(value) };
+}
+
+test.beforeEach(async () => {
+    stored = [];
+    upserts = [];
+    await Currency.loadRates();
+});
+
+test('findRate takes the latest rate on or before the date, else the earliest after it', async () => {
+    stored = [
+        rate('EUR', 'USD', '2026-09-01', 1.1),
+        rate('EUR', 'USD', '2026-10-01', 1.2),
+        rate('EUR', 'USD', '2026-11-01', 1.3)
+    ];
+    await Currency.loadRates();
+
+    assert.equal(Currency.findRate('EUR', 'USD', '2026-10-15'), 1.2);
+    assert.equal(Currency.findRate('EUR', 'USD', '2026-10-01'), 1.2);
+    assert.equal(Currency.findRate('EUR', 'USD', '2026-01-01'), 1.1);
+    assert.equal(Currency.findRate('EUR', 'USD', null), 1.3);
+    assert.equal(Currency.findRate('GBP', 'USD', '2026-10-15'), null);
+    assert.equal(Currency.findRate('USD', 'USD', '2026-10-15'), 1);
+});
+
+test('findRate inverts a rate on file only in the opposite direction', async () => {
+    stored = [rate('USD', 'GBP', '2026-10-01', 0.8)];
+    await Currency.loadRates();
+
+    assert.equal(Currency.findRate('GBP', 'USD', '2026-10-15'), 1.25);
+});
+
+test('importRates stores valid rows and skips the rest with their line in the file', async () => {
+    const result = await Currency.importRates([
+        'date,currency,rate,to',
+        '2026-10-01,eur,1.1,',
+        '',
+        '10/02/2026,EUR,1.1,',
+        '2026-10-03,EURO,1.1,',
+        '2026-10-04,GBP,0,',
+        '2026-10-05,JPY,0.0067,GBP'
+    ].join('\n'), 'USD');
+
+    assert.equal(result.imported, 2);
+    assert.deepEqual(result.skipped, [
+        { line: 4, reason: 'date must be YYYY-MM-DD' },
+        { line: 5, reason: 'currency must be a 3-letter code' },
+        { line: 6, reason: 'rate must be greater than 0' }
+    ]);
+    assert.deepEqual(upserts[0].map(record => [record.from_currency, record.to_currency, record.rate]), [
+        ['EUR', 'USD', 1.1],
+        ['JPY', 'GBP', 0.0067]
+    ]);
+    assert.equal(Currency.getRateCount(), 2);
+    assert.equal(Currency.findRate('EUR', 'USD', '2026-10-02'), 1.1);
+});
+
+test('importRates numbers lines from the first row when there is no header', async () => {
+    const result = await Currency.importRates('\n2026-10-01,EUR,abc\n2026-10-02,EUR,1.1\n', 'USD');
+
+    assert.equal(result.imported, 1);
+    assert.deepEqual(result.skipped, [{ line: 2, reason: 'rate must be greater than 0' }]);
+});
+
+test('importRates writes nothing when no row is valid', async () => {
+    const result = await Currency.importRates('date,currency,rate\n', 'USD');
+
+    assert.deepEqual(result, { imported: 0, skipped: [] });
+    assert.equal(upserts.length, 0);
+});
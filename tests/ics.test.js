@@ -0,0 +1,152 @@
+/**
+ * Tests for the iCalendar parsing and recurrence in ics.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Ics = require('../ics');
+
+function calendar(...events) {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+function expand(text, from = '2026-01-01T00:00:00Z', to = '2027-01-01T00:00:00Z') {
+    return Ics.expandEvents(Ics.parseEvents(text), from, to);
+}
+
+test('parseEvents reads folded lines, escaped titles and skips alarms', () => {
+    const events = Ics.parseEvents(calendar([
+        'BEGIN:VEVENT',
+        'UID:one@example.com',
+        'SUMMARY:Logo design\\, round 2 for',
+        '  Acme',
+        'DTSTART:20261020T090000Z',
+        'DTEND:20261020T103000Z',
+        'BEGIN:VALARM',
+        'SUMMARY:Reminder',
+        'END:VALARM',
+        'END:VEVENT'
+    ]));
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].uid, 'one@example.com');
+    assert.equal(events[0].title, 'Logo design, round 2 for Acme');
+});
+
+test('expandEvents reads TZID times in their zone and leaves out all-day events', () => {
+    const occurrences = expand(calendar([
+        'BEGIN:VEVENT',
+        'UID:a',
+        'SUMMARY:Call',
+        'DTSTART;TZID=America/New_York:20260115T090000',
+        'DURATION:PT45M',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:b',
+        'SUMMARY:Holiday',
+        'DTSTART;VALUE=DATE:20260116',
+        'DTEND;VALUE=DATE:20260117',
+        'END:VEVENT'
+    ]));
+
+    assert.deepEqual(occurrences, [{
+        id: 'a',
+        uid: 'a',
+        title: 'Call',
+        startedAt: '2026-01-15T14:00:00.000Z',
+        endedAt: '2026-01-15T14:45:00.000Z'
+    }]);
+});
+
+test('weekly rules keep their wall-clock time across daylight saving and honour EXDATE', () => {
+    const occurrences = expand(calendar([
+        'BEGIN:VEVENT',
+        'UID:weekly',
+        'SUMMARY:Retainer work',
+        'DTSTART;TZID=Europe/London:20260319T090000',
+        'DTEND;TZID=Europe/London:20260319T110000',
+        'RRULE:FREQ=WEEKLY;COUNT=4',
+        'EXDATE;TZID=Europe/London:20260402T090000',
+        'END:VEVENT'
+    ]));
+
+    assert.deepEqual(occurrences.map(occurrence => occurrence.startedAt), [
+        '2026-03-19T09:00:00.000Z',
+        '2026-03-26T09:00:00.000Z',
+        '2026-04-09T08:00:00.000Z'
+    ]);
+    assert.equal(occurrences[1].id, 'weekly|2026-03-26T09:00:00.000Z');
+    assert.ok(occurrences.every(occurrence =>
+        new Date(occurrence.endedAt) - new Date(occurrence.startedAt) === 2 * 3600 * 1000));
+});
+
+test('rules expand BYDAY, INTERVAL and UNTIL, and moved occurrences replace the original', () => {
+    const occurrences = expand(calendar([
+        'BEGIN:VEVENT',
+        'UID:standup',
+        'SUMMARY:Standup',
+        'DTSTART:20260105T090000Z',
+        'DTEND:20260105T091500Z',
+        'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20260121',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:standup',
+        'SUMMARY:Standup (moved)',
+        'RECURRENCE-ID:20260107T090000Z',
+        'DTSTART:20260107T130000Z',
+        'DTEND:20260107T131500Z',
+        'END:VEVENT'
+    ]));
+
+    assert.deepEqual(occurrences.map(occurrence => [occurrence.title, occurrence.startedAt]), [
+        ['Standup', '2026-01-05T09:00:00.000Z'],
+        ['Standup (moved)', '2026-01-07T13:00:00.000Z'],
+        ['Standup', '2026-01-19T09:00:00.000Z'],
+        ['Standup', '2026-01-21T09:00:00.000Z']
+    ]);
+    assert.equal(occurrences[1].id, 'standup|2026-01-07T09:00:00.000Z');
+});
+
+test('monthly rules find the nth weekday and skip months without the day', () => {
+    const lastFriday = expand(calendar([
+        'BEGIN:VEVENT',
+        'UID:review',
+        'DTSTART:20260130T150000Z',
+        'DTEND:20260130T160000Z',
+        'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3',
+        'END:VEVENT'
+    ]));
+    const thirtyFirst = expand(calendar([
+        'BEGIN:VEVENT',
+        'UID:invoicing',
+        'DTSTART:20260131T100000Z',
+        'DTEND:20260131T110000Z',
+        'RRULE:FREQ=MONTHLY;COUNT=3',
+        'END:VEVENT'
+    ]));
+
+    assert.deepEqual(lastFriday.map(occurrence => occurrence.startedAt.slice(0, 10)), ['2026-01-30', '2026-02-27', '2026-03-27']);
+    assert.deepEqual(thirtyFirst.map(occurrence => occurrence.startedAt.slice(0, 10)), ['2026-01-31', '2026-03-31', '2026-05-31']);
+});
+
+test('expandEvents only returns occurrences starting in the range, and stops open-ended rules there', () => {
+    const occurrences = expand(calendar([
+        'BEGIN:VEVENT',
+        'UID:daily',
+        'DTSTART:20250101T080000Z',
+        'DTEND:20250101T083000Z',
+        'RRULE:FREQ=DAILY',
+        'END:VEVENT'
+    ]), '2026-10-01T00:00:00Z', '2026-10-04T00:00:00Z');
+
+    assert.deepEqual(occurrences.map(occurrence => occurrence.startedAt.slice(0, 10)), ['2026-10-01', '2026-10-02', '2026-10-03']);
+});
+
+test('parseDuration reads weeks, days and times', () => {
+    assert.equal(Ics.parseDuration('PT1H30M'), 90 * 60 * 1000);
+    assert.equal(Ics.parseDuration('P1DT2H'), 26 * 3600 * 1000);
+    assert.equal(Ics.parseDuration('P1W'), 7 * 24 * 3600 * 1000);
+    assert.equal(Ics.parseDuration('soon'), null);
+});
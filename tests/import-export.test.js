@@ -0,0 +1,143 @@
+/**
+ * Tests for csv.js and import-export.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.Csv = require('../csv');
+const ImportExport = require('../import-export');
+const Validation = require('../validation');
+
+const validate = data => Validation.getProjectErrors(data, { homeCurrency: 'USD', currencies: ['USD', 'EUR'] });
+const prepare = data => ({ ...data, currency: data.currency || 'USD' });
+
+test('Csv.parse handles quotes, embedded line breaks, CRLF, a BOM and blank lines', () => {
+    const rows = Csv.parse('\uFEFFname,note\r\n"Logo, v2","said ""hi""\nthen left"\r\n\r\nSite,\n');
+    assert.deepEqual(rows, [['name', 'note'], ['Logo, v2', 'said "hi"\nthen left'], ['Site', '']]);
+});
+
+test('Csv.parseLines keeps the line each row starts on past blank lines and quoted line breaks', () => {
+    const rows = Csv.parseLines('name,note\r\n\r\n"Logo","two\nlines"\n\nSite,\n');
+    assert.deepEqual(rows.map(row => row.line), [1, 3, 6]);
+    assert.deepEqual(rows[1].values, ['Logo', 'two\nlines']);
+});
+
+test('Csv.stringify quotes only the fields that need it and round-trips', () => {
+    const rows = [['a', 'b,c', 'say "x"'], ['1', '', 'line\nbreak']];
+    const text = Csv.stringify(rows);
+    assert.equal(text.split('\r\n')[0], 'a,"b,c","say ""x"""');
+    assert.deepEqual(Csv.parse(text), rows);
+});
+
+test('guessMapping matches common header names and marks missing fields', () => {
+    const mapping = ImportExport.guessMapping(['Project', ' Date ', 'HOURS', 'Amount', 'Notes']);
+    assert.equal(mapping.name, 0);
+    assert.equal(mapping.completionDate, 1);
+    assert.equal(mapping.hoursWorked, 2);
+    assert.equal(mapping.moneyReceived, 3);
+    assert.equal(mapping.notes, 4);
+    assert.equal(mapping.currency, -1);
+});
+
+test('normalizeDate accepts ISO and US dates', () => {
+    assert.equal(ImportExport.normalizeDate('2026-3-7'), '2026-03-07');
+    assert.equal(ImportExport.normalizeDate('3/7/2026'), '2026-03-07');
+    assert.equal(ImportExport.normalizeDate('March 7'), '');
+});
+
+test('prepareRows flags invalid rows and duplicates of existing and earlier rows', () => {
+    const rows = Csv.parseLines([
+        'name,date,hours,money',
+        'Logo,2026-10-02,5,500',
+        '',
+        'Site,2026-10-05,12,"$1,200.50"',
+        'site,2026-10-05,3,300',
+        ',2026-10-06,1,1'
+    ].join('\n')).slice(1);
+    const mapping = { name: 0, completionDate: 1, hoursWorked: 2, moneyReceived: 3, currency: -1, exchangeRate: -1, platformFeePercent: -1 };
+
+    const prepared = ImportExport.prepareRows(rows, mapping, {
+        existingProjects: [{ name: 'Logo', completionDate: '2026-10-02' }],
+        validate,
+        prepare
+    });
+
+    assert.deepEqual(prepared.map(row => row.status), ['duplicate', 'ready', 'duplicate', 'invalid']);
+    assert.deepEqual(prepared.map(row => row.line), [2, 4, 5, 6]);
+    assert.equal(prepared[1].data.moneyReceived, '1200.50');
+    assert.deepEqual(prepared[3].errors, ['Project name is required']);
+    assert.deepEqual(ImportExport.summarize(prepared), { ready: 1, duplicate: 2, invalid: 1 });
+});
+
+test('toCsv writes one row per project with a header', () => {
+    const text = ImportExport.toCsv([{
+        name: 'Logo, v2',
+        completionDate: '2026-10-02',
+        hoursWorked: 10,
+        moneyReceived: 1000,
+        currency: 'USD',
+        exchangeRate: 1,
+        platformFeePercent: 10,
+        totalExpenses: 150,
+        netEarnings: 850,
+        hourlyRate: 100,
+        netHourlyRate: 85
+    }]);
+
+    const [header, row] = Csv.parse(text);
+    assert.equal(header[0], 'name');
+    assert.equal(row[0], 'Logo, v2');
+    assert.equal(row[header.indexOf('net_earnings')], '850.00');
+});
+
+test('matchProject prefers mapping rules, then the longest project name in the title', () => {
+    const projects = [{ id: 'p1', name: 'Acme' }, { id: 'p2', name: 'Acme Website' }, { id: 'p3', name: 'Newsletter' }];
+    const rules = [{ keyword: 'weekly sync', projectId: 'p3' }, { keyword: 'gone', projectId: 'trashed' }];
+
+    assert.equal(ImportExport.matchProject('Acme website build', rules, projects), 'p2');
+    assert.equal(ImportExport.matchProject('Weekly sync with Acme', rules, projects), 'p3');
+    assert.equal(ImportExport.matchProject('Gone fishing', rules, projects), '');
+});
+
+test('prepareCalendarRows marks imported, repeated and unmatched events and counts ready hours', () => {
+    const occurrence = (id, title) => ({ id, title, startedAt: '2026-10-05T09:00:00.000Z', endedAt: '2026-10-05T10:30:00.000Z' });
+    const prepared = ImportExport.prepareCalendarRows([
+        occurrence('a', 'Acme design'),
+        occurrence('b', 'Acme design'),
+        occurrence('b', 'Acme design'),
+        occurrence('c', 'Dentist'),
+        occurrence('d', 'Acme call')
+    ], {
+        projects: [{ id: 'p1', name: 'Acme' }],
+        rules: [],
+        existingIds: ['a'],
+        choices: { d: '' }
+    });
+
+    assert.deepEqual(prepared.map(row => row.status), ['duplicate', 'ready', 'duplicate', 'unmatched', 'unmatched']);
+    assert.equal(prepared[1].projectId, 'p1');
+    assert.deepEqual(ImportExport.summarizeCalendar(prepared), { ready: 1, duplicate: 2, unmatched: 2, hours: 1.5, replacedProjectIds: [] });
+});
+
+test('summarizeCalendar lists projects whose hand-entered hours the sessions replace', () => {
+    const occurrence = (id, title) => ({ id, title, startedAt: '2026-10-05T09:00:00.000Z', endedAt: '2026-10-05T10:00:00.000Z' });
+    const prepared = ImportExport.prepareCalendarRows([
+        occurrence('a', 'Acme design'),
+        occurrence('b', 'Acme review'),
+        occurrence('c', 'Beta build'),
+        occurrence('d', 'Gamma build')
+    ], {
+        projects: [
+            { id: 'p1', name: 'Acme', hoursWorked: 12, timeEntries: [] },
+            { id: 'p2', name: 'Beta', hoursWorked: 3, timeEntries: [{ id: 'e1' }] },
+            { id: 'p3', name: 'Gamma', hoursWorked: 0, timeEntries: [] }
+        ],
+        rules: [],
+        existingIds: []
+    });
+
+    assert.deepEqual(prepared.map(row => row.replacesHours), [true, true, false, false]);
+    assert.deepEqual(ImportExport.summarizeCalendar(prepared).replacedProjectIds, ['p1']);
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for the numbering, totals and status rules in invoices.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Invoices = require('../invoices');
+
+function invoice(overrides = {}) {
+    return {
+        status: 'sent',
+        dueDate: '2026-10-31',
+        amountPaid: 0,
+        items: [
+            { quantity: 12.5, unitPrice: 80 },
+            { quantity: 1, unitPrice: 250.1 }
+        ],
+        ...overrides
+    };
+}
+
+test('getTotal and getBalance add up line items and payments', () => {
+    assert.equal(Invoices.getTotal(invoice()), 1250.1);
+    assert.equal(Invoices.getBalance(invoice({ amountPaid: 250.1 })), 1000);
+    assert.equal(Invoices.getBalance(invoice({ amountPaid: 2000 })), 0);
+    assert.equal(Invoices.getTotal(invoice({ items: [] })), 0);
+});
+
+test('getStatus follows the amount paid and the due date', () => {
+    const today = '2026-10-18';
+
+    assert.equal(Invoices.getStatus(invoice({ status: 'draft', dueDate: '2026-01-01' }), today), 'draft');
+    assert.equal(Invoices.getStatus(invoice(), today), 'sent');
+    assert.equal(Invoices.getStatus(invoice({ amountPaid: 100 }), today), 'partlyPaid');
+    assert.equal(Invoices.getStatus(invoice({ amountPaid: 1250.1, dueDate: '2026-10-01' }), today), 'paid');
+    assert.equal(Invoices.getStatus(invoice({ dueDate: '2026-10-17' }), today), 'overdue');
+    assert.equal(Invoices.getStatus(invoice({ amountPaid: 100, dueDate: '2026-10-17' }), today), 'overdue');
+    assert.equal(Invoices.getStatus(invoice({ dueDate: today }), today), 'sent');
+});
+
+test('getNextNumber continues the highest number with the prefix', () => {
+    assert.equal(Invoices.getNextNumber([], 'INV-'), 'INV-0001');
+    assert.equal(Invoices.getNextNumber(['INV-0009', 'INV-0041', 'INV-0007'], 'INV-'), 'INV-0042');
+    assert.equal(Invoices.getNextNumber(['INV-0041', '2026-003', 'INV-draft'], '2026-'), '2026-004');
+    assert.equal(Invoices.getNextNumber(['INV-99999'], 'INV-'), 'INV-100000');
+});
+
+test('addDays and daysBetween work across month ends', () => {
+    assert.equal(Invoices.addDays('2026-10-18', 30), '2026-11-17');
+    assert.equal(Invoices.addDays('2026-12-31', 1), '2027-01-01');
+    assert.equal(Invoices.daysBetween('2026-10-01', '2026-10-18'), 17);
+});
+
+test('createProjectItem bills hours at a rate or one fixed amount', () => {
+    const project = { id: 'p1', name: 'Website', hoursWorked: 12.333, moneyReceived: 900, quotedPrice: null };
+
+    assert.deepEqual(Invoices.createProjectItem(project, 'hours', 80), {
+        projectId: 'p1', description: 'Website (hours worked)', quantity: 12.33, unitPrice: 80
+    });
+    assert.deepEqual(Invoices.createProjectItem(project, 'fixed'), {
+        projectId: 'p1', description: 'Website', quantity: 1, unitPrice: 900
+    });
+    assert.equal(Invoices.createProjectItem({ ...project, quotedPrice: 1200 }, 'fixed').unitPrice, 1200);
+});
+
+test('add saves an invoice and its items in one call and keeps nothing when it fails', async t => {
+    const calls = [];
+    let failing = true;
+    const rows = {
+        invoices: { id: 'i1', number: 'INV-001', currency: 'USD', issue_date: '2026-10-18', due_date: '2026-11-17', status: 'draft', amount_paid: '0' },
+        invoice_items: [{ id: 'a', invoice_id: 'i1', description: 'Website', quantity: '1', unit_price: '900', position: 0 }]
+    };
+    const query = table => {
+        const chain = {
+            select: () => chain,
+            eq: () => chain,
+            single: () => chain,
+            then: resolve => resolve({ data: rows[table], error: null })
+        };
+        return chain;
+    };
+    global.window = {
+        supabaseClient: {
+            rpc: async (name, args) => {
+                calls.push({ name, args });
+                return failing ? { data: null, error: new Error('Network down') } : { data: 'i1', error: null };
+            },
+            from: query
+        }
+    };
+    t.after(() => { delete global.window; });
+
+    const draft = {
+        number: ' INV-001 ', currency: 'USD', issueDate: '2026-10-18', dueDate: '2026-11-17', notes: '',
+        items: [{ projectId: 'p1', description: 'Website ', quantity: 1, unitPrice: 900 }]
+    };
+
+    await assert.rejects(Invoices.add(draft), /Network down/);
+    assert.deepEqual(Invoices.getAll(), []);
+
+    failing = false;
+    const saved = await Invoices.add(draft);
+
+    assert.equal(calls.length, 2);
+    assert.equal(calls[1].name, 'save_invoice');
+    assert.equal(calls[1].args.target_id, null);
+    assert.equal(calls[1].args.invoice_columns.number, 'INV-001');
+    assert.deepEqual(calls[1].args.item_rows, [
+        { project_id: 'p1', description: 'Website', quantity: 1, unit_price: 900, position: 0 }
+    ]);
+    assert.equal(saved.items[0].unitPrice, 900);
+    assert.deepEqual(Invoices.getAll().map(invoice => invoice.id), ['i1']);
+});
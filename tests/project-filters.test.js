@@ -0,0 +1,103 @@
+/**
+ * Tests for project-filters.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ProjectFilters = require('../project-filters');
+
+const project = overrides => ({
+    name: 'Project',
+    notes: '',
+    clientId: null,
+    completionDate: '2026-10-01',
+    hoursWorked: 10,
+    hourlyRate: 50,
+    netEarnings: 500,
+    ...overrides
+});
+
+const options = {
+    rateOf: p => (p.currency === 'XXX' ? null : p.hourlyRate),
+    earningsOf: p => p.netEarnings,
+    clientNameOf: p => (p.clientId === 'c1' ? 'Acme Café' : ''),
+    tagNamesOf: p => (p.tagIds || []).map(id => id.toUpperCase())
+};
+
+const filters = changes => ({ ...ProjectFilters.DEFAULTS, ...changes });
+
+test('fromSearchParams reads known parameters and drops ones that do not parse', () => {
+    const read = ProjectFilters.fromSearchParams(new URLSearchParams('q=logo&from=2026-01-01&to=soon&minRate=-4&maxRate=90&client=c1&tag=t1&sort=bogus'));
+    assert.deepEqual(read, filters({ query: 'logo', from: '2026-01-01', maxRate: '90', clientId: 'c1', tagId: 't1' }));
+});
+
+test('toSearchParams keeps only filters that differ from the defaults and round-trips', () => {
+    const state = filters({ query: 'site redesign', minRate: '40', sort: 'rate' });
+    const params = ProjectFilters.toSearchParams(state);
+    assert.equal(params.toString(), 'q=site+redesign&minRate=40&sort=rate');
+    assert.deepEqual(ProjectFilters.fromSearchParams(params), state);
+    assert.equal(ProjectFilters.toSearchParams(ProjectFilters.DEFAULTS).toString(), '');
+});
+
+test('isFiltered ignores the sort order', () => {
+    assert.equal(ProjectFilters.isFiltered(filters({ sort: 'hours' })), false);
+    assert.equal(ProjectFilters.isFiltered(filters({ clientId: 'none' })), true);
+});
+
+test('matchesQuery needs every word somewhere, ignoring case and accents', () => {
+    assert.equal(ProjectFilters.matchesQuery(['Logo refresh', 'for the cafe'], 'CAFÉ logo'), true);
+    assert.equal(ProjectFilters.matchesQuery(['Logo refresh', ''], 'logo website'), false);
+    assert.equal(ProjectFilters.matchesQuery(['Anything'], '   '), true);
+});
+
+test('filterProjects applies search, client, date and rate filters together', () => {
+    const list = [
+        project({ name: 'Logo', notes: 'Rush job', clientId: 'c1', completionDate: '2026-03-01', hourlyRate: 80, tagIds: ['design'] }),
+        project({ name: 'Site', completionDate: '2026-06-15', hourlyRate: 30 }),
+        project({ name: 'Audit', completionDate: '2026-09-30', hourlyRate: 120, currency: 'XXX' })
+    ];
+    const names = changes => ProjectFilters.filterProjects(list, filters(changes), options).map(p => p.name);
+
+    assert.deepEqual(names({ query: 'rush' }), ['Logo']);
+    assert.deepEqual(names({ query: 'acme' }), ['Logo']);
+    assert.deepEqual(names({ clientId: 'none' }), ['Site', 'Audit']);
+    assert.deepEqual(names({ clientId: 'c1' }), ['Logo']);
+    assert.deepEqual(names({ tagId: 'design' }), ['Logo']);
+    assert.deepEqual(names({ query: 'design' }), ['Logo']);
+    assert.deepEqual(names({ from: '2026-06-15', to: '2026-09-30' }), ['Site', 'Audit']);
+    assert.deepEqual(names({ minRate: '40' }), ['Logo']);
+    assert.deepEqual(names({ maxRate: '80' }), ['Logo', 'Site']);
+});
+
+test('sortProjects sorts by the chosen key and puts missing values last', () => {
+    const list = [
+        project({ name: 'A', hoursWorked: 5, hourlyRate: 60, netEarnings: 300, completionDate: '2026-02-01' }),
+        project({ name: 'B', hoursWorked: 20, hourlyRate: 40, netEarnings: 800, currency: 'XXX', completionDate: '2026-05-01' }),
+        project({ name: 'C', hoursWorked: 10, hourlyRate: 90, netEarnings: 900, completionDate: '2026-03-01' })
+    ];
+    const names = sort => ProjectFilters.sortProjects(list, sort, options).map(p => p.name);
+
+    assert.deepEqual(names('added'), ['A', 'B', 'C']);
+    assert.deepEqual(names('date'), ['B', 'C', 'A']);
+    assert.deepEqual(names('earnings'), ['C', 'B', 'A']);
+    assert.deepEqual(names('hours'), ['B', 'C', 'A']);
+    assert.deepEqual(names('rate'), ['C', 'A', 'B']);
+    assert.deepEqual(names('rateAsc'), ['A', 'C', 'B']);
+});
+
+test('filterProjects hides archived projects unless a status is chosen', () => {
+    const list = [
+        project({ name: 'Done' }),
+        project({ name: 'Ongoing', status: 'active', completionDate: null }),
+        project({ name: 'Old', status: 'archived' })
+    ];
+    const names = changes => ProjectFilters.filterProjects(list, filters(changes), options).map(p => p.name);
+
+    assert.deepEqual(names({}), ['Done', 'Ongoing']);
+    assert.deepEqual(names({ status: 'archived' }), ['Old']);
+    assert.deepEqual(names({ status: 'completed' }), ['Done']);
+    assert.deepEqual(names({ status: ProjectFilters.ALL_STATUSES }), ['Done', 'Ongoing', 'Old']);
+    assert.equal(ProjectFilters.isFiltered(filters({ status: 'active' })), true);
+});
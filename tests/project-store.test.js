@@ -0,0 +1,441 @@
+/**
+ * Tests for project-store.js against the local repository
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Repositories = require('../repositories');
+const ProjectStore = require('../project-store');
+const Retainers = require('../retainers');
+
+let online = true;
+let repository;
+
+function columns(overrides = {}) {
+    return {
+        user_id: 'u1',
+        name: 'Website',
+        hours_worked: 10,
+        money_received: 1000,
+        completion_date: '2026-10-01',
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        ...overrides
+    };
+}
+
+async function start() {
+    online = true;
+    repository = Repositories.createLocalRepository();
+    await ProjectStore.init({ repository, isOnline: () => online });
+}
+
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+async function addProject(id, overrides = {}, expenses = []) {
+    const record = await ProjectStore.saveProject(id, { id, ...columns(overrides) }, expenses);
+    await ProjectStore.flush();
+    return record;
+}
+
+test.beforeEach(async t => {
+    t.mock.method(console, 'error', () => {});
+    await start();
+});
+
+test('load returns the repository projects, newest first', async () => {
+    await repository.insertProject(columns({ id: 'old', created_at: '2026-01-01T00:00:00Z' }));
+    await repository.insertProject(columns({ id: 'new', created_at: '2026-02-01T00:00:00Z' }));
+
+    const records = await ProjectStore.load();
+
+    assert.deepEqual(records.map(record => record.id), ['new', 'old']);
+    assert.equal(ProjectStore.getState().status, 'synced');
+});
+
+test('a saved project is written to the repository with its expenses', async () => {
+    await addProject('p1', {}, [{ category: 'software', description: ' Figma ', amount: '15' }]);
+
+    const saved = await repository.fetchProject('p1');
+    assert.equal(saved.row.name, 'Website');
+    assert.deepEqual(saved.expenses.map(e => [e.category, e.description, e.amount]), [['software', 'Figma', 15]]);
+    assert.equal(ProjectStore.getState().pendingCount, 0);
+});
+
+test('an update changes the repository row and replaces the expenses', async () => {
+    await addProject('p1', {}, [{ category: 'software', description: '', amount: '15' }]);
+
+    await ProjectStore.saveProject('p1', { name: 'Website v2', updated_at: new Date().toISOString() }, []);
+    await ProjectStore.flush();
+
+    const saved = await repository.fetchProject('p1');
+    assert.equal(saved.row.name, 'Website v2');
+    assert.equal(saved.row.money_received, 1000);
+    assert.deepEqual(saved.expenses, []);
+    assert.equal(ProjectStore.getRecord('p1').row.name, 'Website v2');
+});
+
+test('tags are saved with a project and kept by saves that leave them out', async () => {
+    await ProjectStore.saveProject('p1', { id: 'p1', ...columns() }, [], { tagIds: ['design', 'retainer'] });
+    await ProjectStore.flush();
+    assert.deepEqual((await repository.fetchProject('p1')).tagIds, ['design', 'retainer']);
+
+    await ProjectStore.saveProject('p1', { name: 'Website v2' }, []);
+    await ProjectStore.flush();
+    assert.deepEqual((await repository.fetchProject('p1')).tagIds, ['design', 'retainer']);
+    assert.deepEqual(ProjectStore.getRecord('p1').tagIds, ['design', 'retainer']);
+
+    online = false;
+    await ProjectStore.saveProject('p1', { name: 'Website v3' }, [], { tagIds: ['design'] });
+    await ProjectStore.saveProject('p1', { name: 'Website v4' }, []);
+    online = true;
+    await ProjectStore.flush();
+    assert.deepEqual((await repository.fetchProject('p1')).tagIds, ['design']);
+});
+
+test('payments are saved in date order and kept by saves that leave them out', async () => {
+    const payments = [
+        { paidOn: '2026-10-12', amount: '600', note: 'Balance' },
+        { paidOn: '2026-09-01', amount: 400, note: ' Deposit ' }
+    ];
+    await ProjectStore.saveProject('p1', { id: 'p1', ...columns() }, [], { payments });
+    await ProjectStore.flush();
+
+    const saved = (await repository.fetchProject('p1')).payments;
+    assert.deepEqual(saved.map(payment => [payment.paidOn, payment.amount, payment.note]), [
+        ['2026-09-01', 400, 'Deposit'],
+        ['2026-10-12', 600, 'Balance']
+    ]);
+
+    await ProjectStore.saveProject('p1', { name: 'Website v2' }, [], { tagIds: ['design'] });
+    await ProjectStore.flush();
+    assert.equal((await repository.fetchProject('p1')).payments.length, 2);
+    assert.equal(ProjectStore.getRecord('p1').payments.length, 2);
+
+    await ProjectStore.saveProject('p1', {}, [], { payments: [] });
+    await ProjectStore.flush();
+    assert.deepEqual((await repository.fetchProject('p1')).payments, []);
+});
+
+test('a save without expenses keeps the ones the project has', async () => {
+    await addProject('p1', {}, [{ category: 'software', description: 'Fonts', amount: '40' }]);
+
+    await ProjectStore.saveProject('p1', { deleted_at: '2026-10-18T09:00:00Z' }, null);
+    await ProjectStore.flush();
+
+    const saved = await repository.fetchProject('p1');
+    assert.equal(saved.row.deleted_at, '2026-10-18T09:00:00Z');
+    assert.deepEqual(saved.expenses.map(expense => expense.amount), [40]);
+    assert.deepEqual(ProjectStore.getRecord('p1').expenses.map(expense => expense.amount), [40]);
+});
+
+test('a delete removes the project from the cache and the repository', async () => {
+    await addProject('p1');
+
+    await ProjectStore.deleteProject('p1');
+    await ProjectStore.flush();
+
+    assert.equal(ProjectStore.getRecord('p1'), null);
+    assert.equal(await repository.fetchProject('p1'), null);
+});
+
+test('changes made offline are queued and sent once back online', async () => {
+    await addProject('p1');
+    online = false;
+
+    await ProjectStore.saveProject('p1', { name: 'Edited offline' }, []);
+    await ProjectStore.saveProject('p2', { id: 'p2', ...columns({ name: 'New offline' }) }, []);
+    await ProjectStore.flush();
+
+    assert.equal(ProjectStore.getState().status, 'offline');
+    assert.equal(ProjectStore.getState().pendingCount, 2);
+    assert.equal((await repository.getProjectRow('p1')).name, 'Website');
+    assert.equal(await repository.getProjectRow('p2'), null);
+
+    online = true;
+    await ProjectStore.flush();
+
+    assert.equal(ProjectStore.getState().status, 'synced');
+    assert.equal((await repository.getProjectRow('p1')).name, 'Edited offline');
+    assert.equal((await repository.getProjectRow('p2')).name, 'New offline');
+});
+
+test('several offline edits to one project are sent as one change', async () => {
+    online = false;
+
+    await ProjectStore.saveProject('p1', { id: 'p1', ...columns({ name: 'First' }) }, []);
+    await ProjectStore.saveProject('p1', { name: 'Second' }, []);
+    assert.equal(ProjectStore.getState().pendingCount, 1);
+
+    online = true;
+    await ProjectStore.flush();
+
+    assert.equal((await repository.getProjectRow('p1')).name, 'Second');
+});
+
+test('a project added and deleted offline never reaches the repository', async () => {
+    online = false;
+    const inserts = [];
+    const insertProject = repository.insertProject;
+    repository.insertProject = row => inserts.push(row) && insertProject(row);
+
+    await ProjectStore.saveProject('p1', { id: 'p1', ...columns() }, []);
+    await ProjectStore.deleteProject('p1');
+
+    online = true;
+    await ProjectStore.flush();
+
+    assert.equal(ProjectStore.getState().pendingCount, 0);
+    assert.deepEqual(inserts, []);
+});
+
+test('load keeps offline changes that have not synced yet', async () => {
+    await addProject('p1');
+    online = false;
+    await ProjectStore.saveProject('p1', { name: 'Local edit' }, []);
+
+    const records = await ProjectStore.load();
+
+    assert.equal(records.find(record => record.id === 'p1').row.name, 'Local edit');
+});
+
+test('a failing repository keeps the change queued', async () => {
+    repository.insertProject = async () => {
+        throw new Error('Network down');
+    };
+
+    await ProjectStore.saveProject('p1', { id: 'p1', ...columns() }, []);
+    await ProjectStore.flush();
+
+    assert.equal(ProjectStore.getState().status, 'pending');
+    assert.equal(ProjectStore.getState().pendingCount, 1);
+    assert.equal(ProjectStore.getRecord('p1').row.name, 'Website');
+});
+
+test('a new project whose expenses fail is taken back out and sent whole on the retry', async () => {
+    const replaceExpenses = repository.replaceExpenses;
+    repository.replaceExpenses = async () => {
+        throw new Error('Network down');
+    };
+
+    await ProjectStore.saveProject('p1', { id: 'p1', ...columns() }, [{ category: 'software', description: '', amount: '15' }]);
+    await ProjectStore.flush();
+
+    assert.equal(await repository.getProjectRow('p1'), null);
+    assert.equal(ProjectStore.getState().pendingCount, 1);
+
+    repository.replaceExpenses = replaceExpenses;
+    await ProjectStore.flush();
+
+    const records = await repository.fetchProjects();
+    assert.deepEqual(records.map(record => record.id), ['p1']);
+    assert.equal(records[0].expenses.length, 1);
+    assert.equal(ProjectStore.getState().pendingCount, 0);
+});
+
+test('a new project that can\'t be taken back out is retried as an edit', async () => {
+    const replaceExpenses = repository.replaceExpenses;
+    const deleteProject = repository.deleteProject;
+    repository.replaceExpenses = async () => {
+        throw new Error('Network down');
+    };
+    repository.deleteProject = async () => {
+        throw new Error('Still down');
+    };
+
+    await ProjectStore.saveProject('p1', { id: 'p1', ...columns() }, [{ category: 'software', description: '', amount: '15' }]);
+    await ProjectStore.flush();
+
+    assert.notEqual(await repository.getProjectRow('p1'), null);
+    assert.equal(ProjectStore.getState().pendingCount, 1);
+    assert.match(String(console.error.mock.calls.at(-1).arguments[1]), /Network down/);
+
+    repository.replaceExpenses = replaceExpenses;
+    repository.deleteProject = deleteProject;
+    await ProjectStore.saveProject('p1', { id: 'p1', ...columns({ name: 'Website redesign' }) }, [{ category: 'software', description: '', amount: '15' }]);
+    await ProjectStore.flush();
+
+    const records = await repository.fetchProjects();
+    assert.deepEqual(records.map(record => record.row.name), ['Website redesign']);
+    assert.equal(records[0].expenses.length, 1);
+    assert.equal(ProjectStore.getState().pendingCount, 0);
+    assert.equal(ProjectStore.getState().conflict, null);
+});
+
+test('an edit waiting to sync builds on a row refreshed by cacheRow', async () => {
+    await addProject('p1');
+    online = false;
+    await ProjectStore.saveProject('p1', { id: 'p1', ...columns({ name: 'Website redesign' }) }, []);
+
+    const row = await repository.updateProject('p1', { hours_worked: 3, updated_at: new Date(Date.now() + 60000).toISOString() });
+    const record = await ProjectStore.cacheRow(row, [{ seconds: 10800 }]);
+    assert.equal(record.row.name, 'Website redesign');
+
+    online = true;
+    await ProjectStore.flush();
+
+    assert.equal(ProjectStore.getState().conflict, null);
+    assert.equal(ProjectStore.getState().pendingCount, 0);
+    assert.equal((await repository.getProjectRow('p1')).name, 'Website redesign');
+});
+
+test('a failing load falls back to the cached projects', async () => {
+    await addProject('p1');
+    repository.fetchProjects = async () => {
+        throw new Error('Network down');
+    };
+
+    const records = await ProjectStore.load();
+
+    assert.deepEqual(records.map(record => record.id), ['p1']);
+    assert.equal(ProjectStore.getState().status, 'error');
+});
+
+test('a newer repository row pauses the sync until the conflict is settled', async () => {
+    await addProject('p1');
+    online = false;
+    await ProjectStore.saveProject('p1', { name: 'Mine' }, []);
+    await repository.updateProject('p1', { name: 'Theirs', updated_at: '2999-01-01T00:00:00Z' });
+
+    online = true;
+    await ProjectStore.flush();
+
+    const { status, conflict } = ProjectStore.getState();
+    assert.equal(status, 'conflict');
+    assert.equal(conflict.projectId, 'p1');
+    assert.equal(conflict.serverRow.name, 'Theirs');
+    assert.equal((await repository.getProjectRow('p1')).name, 'Theirs');
+
+    await ProjectStore.resolveConflict('mine');
+
+    assert.equal(ProjectStore.getState().status, 'synced');
+    assert.equal((await repository.getProjectRow('p1')).name, 'Mine');
+});
+
+test('taking the repository version of a conflict drops the local change', async () => {
+    await addProject('p1');
+    online = false;
+    await ProjectStore.saveProject('p1', { name: 'Mine' }, []);
+    await repository.updateProject('p1', { name: 'Theirs', updated_at: '2999-01-01T00:00:00Z' });
+
+    const changes = [];
+    ProjectStore.onChange(state => changes.push(state));
+
+    online = true;
+    await ProjectStore.flush();
+    await ProjectStore.resolveConflict('server');
+
+    assert.equal(ProjectStore.getRecord('p1').row.name, 'Theirs');
+    assert.equal(ProjectStore.getState().pendingCount, 0);
+    assert.ok(changes.some(state => state.dataChanged));
+});
+
+test('a retainer period started from two stores is made once', async () => {
+    await repository.insertProject(columns({
+        id: 'r1', retainer_id: 'r1', billing_period: 'monthly', period_start: '2026-09-01', period_end: '2026-09-30',
+        period_fee: 2000, status: 'active', completion_date: null
+    }));
+
+    // A second tab or device with a store of its own
+    delete require.cache[require.resolve('../project-store')];
+    const OtherStore = require('../project-store');
+    await OtherStore.init({ repository, isOnline: () => true });
+    await ProjectStore.load();
+    await OtherStore.load();
+
+    const periodId = Retainers.getPeriodId('r1', '2026-10-01');
+    const roll = store => store.saveProjects([
+        { id: 'r1', changes: { status: 'completed', completion_date: '2026-09-30' }, expenses: null },
+        {
+            id: periodId,
+            changes: {
+                id: periodId,
+                ...columns({
+                    retainer_id: 'r1', billing_period: 'monthly', period_start: '2026-10-01', period_end: '2026-10-31',
+                    period_fee: 2000, hours_worked: 0, money_received: 0, status: 'active', completion_date: null
+                })
+            },
+            expenses: [],
+            tagIds: []
+        }
+    ]);
+
+    await roll(ProjectStore);
+    await ProjectStore.flush();
+    await roll(OtherStore);
+    await OtherStore.flush();
+
+    const periods = (await repository.fetchProjects()).filter(record => record.row.retainer_id === 'r1');
+    assert.deepEqual(periods.map(record => record.row.period_start).sort(), ['2026-09-01', '2026-10-01']);
+    assert.equal(OtherStore.getState().status, 'synced');
+    assert.equal(OtherStore.getState().pendingCount, 0);
+    assert.equal(OtherStore.getRecord('r1').row.status, 'completed');
+});
+
+test('changes made elsewhere are merged into the cache', async () => {
+    await addProject('p1');
+    ProjectStore.watchRemote();
+
+    const changes = [];
+    ProjectStore.onChange(state => changes.push(state));
+
+    await repository.insertProject(columns({ id: 'p2', name: 'From the phone' }));
+    await repository.updateProject('p1', { name: 'Renamed', updated_at: '2999-01-01T00:00:00Z' });
+    await settle();
+
+    assert.equal(ProjectStore.getRecord('p2').row.name, 'From the phone');
+    assert.equal(ProjectStore.getRecord('p1').row.name, 'Renamed');
+    assert.deepEqual(changes.map(state => state.remoteChange), [{ type: 'insert', id: 'p2' }, { type: 'update', id: 'p1' }]);
+
+    await repository.deleteProject('p2');
+    await settle();
+
+    assert.equal(ProjectStore.getRecord('p2'), null);
+    assert.deepEqual(changes.at(-1).remoteChange, { type: 'delete', id: 'p2' });
+});
+
+test('our own saves and projects with queued changes are not merged', async () => {
+    await addProject('p1');
+    ProjectStore.watchRemote();
+
+    const changes = [];
+    ProjectStore.onChange(state => changes.push(state));
+
+    await ProjectStore.saveProject('p1', { name: 'Mine' }, null);
+    await ProjectStore.flush();
+    await settle();
+    assert.ok(changes.every(state => !state.remoteChange));
+
+    online = false;
+    await ProjectStore.saveProject('p1', { name: 'Offline edit' }, null);
+    await repository.updateProject('p1', { name: 'Theirs', updated_at: '2999-01-01T00:00:00Z' });
+    await settle();
+
+    assert.equal(ProjectStore.getRecord('p1').row.name, 'Offline edit');
+    assert.ok(changes.every(state => !state.remoteChange));
+});
+
+test('the local repository can persist to a Storage', async () => {
+    const values = {};
+    const storage = {
+        getItem: key => (key in values ? values[key] : null),
+        setItem: (key, value) => {
+            values[key] = value;
+        }
+    };
+
+    const first = Repositories.createLocalRepository({ storage });
+    await first.insertProject(columns({ id: 'p1' }));
+    await first.replaceExpenses('p1', [{ category: 'travel', description: 'Train', amount: 40 }]);
+
+    const second = Repositories.createLocalRepository({ storage });
+    const record = await second.fetchProject('p1');
+    assert.equal(record.row.name, 'Website');
+    assert.equal(record.expenses[0].amount, 40);
+
+    await assert.rejects(second.insertProject(columns({ id: 'p1' })), /already exists/);
+    await assert.rejects(second.updateProject('missing', { name: 'x' }), /not found/);
+});
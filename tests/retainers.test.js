@@ -0,0 +1,115 @@
+/**
+ * Tests for the retainer periods in retainers.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Retainers = require('../retainers');
+const Calculations = require('../calculations');
+
+/**
+ * A period as the app maps it, earning its fee until money is recorded
+ */
+function period(overrides = {}) {
+    const { received = 0, periodFee = 2000, hoursWorked = 16, hasPayments = false, ...rest } = overrides;
+    const moneyReceived = Retainers.getEarnings(received, periodFee, hasPayments);
+    return {
+        billingPeriod: 'monthly',
+        periodFee,
+        hoursWorked,
+        moneyReceived,
+        netEarnings: Calculations.calculateNetEarnings(moneyReceived, [], 0),
+        hourlyRate: Calculations.calculateHourlyRate(hoursWorked, moneyReceived),
+        completionDate: '2026-10-31',
+        ...rest
+    };
+}
+
+test('getPeriodEnd covers a week, a month or a set number of days', () => {
+    assert.equal(Retainers.getPeriodEnd('2026-10-05', 'weekly'), '2026-10-11');
+    assert.equal(Retainers.getPeriodEnd('2026-10-01', 'monthly'), '2026-10-31');
+    assert.equal(Retainers.getPeriodEnd('2026-10-15', 'monthly'), '2026-11-14');
+    assert.equal(Retainers.getPeriodEnd('2026-12-20', 'custom', 14), '2027-01-02');
+});
+
+test('monthly periods keep to the day the retainer began on through short months', () => {
+    assert.equal(Retainers.getNextStart('2026-01-31', 'monthly'), '2026-02-28');
+    assert.equal(Retainers.getNextStart('2026-02-28', 'monthly', null, 31), '2026-03-31');
+    assert.equal(Retainers.getPeriodEnd('2026-02-28', 'monthly', null, 31), '2026-03-30');
+});
+
+test('getNextPeriods catches up to the period holding today', () => {
+    const latest = { billingPeriod: 'monthly', periodDays: null, periodStart: '2026-08-01', periodEnd: '2026-08-31' };
+
+    assert.deepEqual(Retainers.getNextPeriods(latest, '2026-10-18'), [
+        { periodStart: '2026-09-01', periodEnd: '2026-09-30' },
+        { periodStart: '2026-10-01', periodEnd: '2026-10-31' }
+    ]);
+    assert.deepEqual(Retainers.getNextPeriods(latest, '2026-08-31'), []);
+});
+
+test('getPeriodId gives the same UUID for the same retainer and start', () => {
+    const id = Retainers.getPeriodId('r1', '2026-10-01');
+
+    assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-8[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.equal(Retainers.getPeriodId('r1', '2026-10-01'), id);
+    assert.notEqual(Retainers.getPeriodId('r1', '2026-11-01'), id);
+    assert.notEqual(Retainers.getPeriodId('r2', '2026-10-01'), id);
+});
+
+test('getLatestPeriods finds the newest period of each retainer', () => {
+    const latest = Retainers.getLatestPeriods([
+        { id: 'a1', retainerId: 'a1', periodStart: '2026-09-01' },
+        { id: 'a2', retainerId: 'a1', periodStart: '2026-10-01' },
+        { id: 'a3', retainerId: 'a1', periodStart: null, completionDate: '2026-11-30', createdAt: '2026-11-01T00:00:00Z' },
+        { id: 'b1', retainerId: 'b1', periodStart: '2026-10-05' },
+        { id: 'one-off', retainerId: null, periodStart: null }
+    ]);
+
+    assert.deepEqual(latest.map(period => period.id), ['a3', 'b1']);
+});
+
+test('getPeriodsBetween keeps periods overlapping the range and getUtilization compares hours', () => {
+    const periods = [
+        { name: 'A', billingPeriod: 'monthly', periodStart: '2026-09-15', periodEnd: '2026-10-14', hoursWorked: 15, includedHours: 10 },
+        { name: 'B', billingPeriod: 'weekly', periodStart: '2026-11-01', periodEnd: '2026-11-07', hoursWorked: 2, includedHours: null },
+        { name: 'C', billingPeriod: null, periodStart: null, periodEnd: null }
+    ];
+
+    assert.deepEqual(Retainers.getPeriodsBetween(periods, '2026-10-01', '2026-11-01').map(period => period.name), ['A']);
+    assert.equal(Retainers.getUtilization(periods[0]), 1.5);
+    assert.equal(Retainers.getUtilization(periods[1]), null);
+});
+
+test('getEarnings counts the fee until money is recorded', () => {
+    assert.equal(Retainers.getEarnings(0, 2000), 2000);
+    assert.equal(Retainers.getEarnings(2500, 2000), 2500);
+    assert.equal(Retainers.getEarnings(0, 2000, true), 0);
+    assert.equal(Retainers.getEarnings(800, null), 800);
+});
+
+test('an unpaid period is rated and checked against the target on its fee', () => {
+    const unpaid = period();
+
+    assert.equal(unpaid.hourlyRate, 125);
+    assert.equal(Calculations.isBelowTarget(unpaid, 100), false);
+    assert.equal(Calculations.isBelowTarget(period({ hoursWorked: 40 }), 100), true);
+});
+
+test('unpaid periods count their fee in the monthly totals', () => {
+    const stats = Calculations.calculateMonthlyStats([
+        period(),
+        period({ received: 500, hoursWorked: 4 })
+    ]);
+
+    assert.equal(stats.totalEarnings, 2500);
+    assert.equal(stats.totalHours, 20);
+    assert.equal(stats.avgRate, 125);
+});
+
+test('getEffectiveRate spreads the fee over the hours worked', () => {
+    assert.equal(Retainers.getEffectiveRate({ periodFee: 2000, hoursWorked: 16, moneyReceived: 0 }), 125);
+    assert.equal(Retainers.getEffectiveRate({ periodFee: 2000, hoursWorked: 0 }), null);
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for the survey parsing and counts in survey.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+global.Csv = require('../csv');
+const Survey = require('../survey');
+
+const SURVEY_FILE = path.join(__dirname, '..', 'Freelancer Income & Time Awareness Survey.csv');
+
+const header = [
+    'Timestamp',
+    'What best describes your work?',
+    'How do you usually price your work?',
+    'How confident are you that you know your real hourly rate across projects?',
+    'Would you pay for a tool that helps you price projects smarter and understand your real earnings?',
+    'What’s the hardest part about knowing whether your freelance work is actually paying off?',
+    'If you would like updates about future developments and the results of this survey, enter your email below (not required):'
+];
+
+function csv(rows) {
+    return Csv.stringify([header, ...rows]);
+}
+
+const responses = Survey.parseResponses(csv([
+    ['t1', 'Full-time freelancer / self-employed', 'Hourly rate', '2', 'No', 'Taxes, mostly', 'one@example.com'],
+    ['t2', 'Side hustle freelancer ', 'Hourly rate', '4', 'Maybe', '', ''],
+    ['t3', 'Full-time freelancer / self-employed', 'Mix of the above', '2', 'No', 'Email me at two@example.com', ''],
+    ['t4', 'Student', '', '', 'Maybe', '', '']
+]));
+
+test('parseResponses keeps the questions, trims answers and never reads the email column', () => {
+    assert.equal(responses.length, 4);
+    assert.equal(responses[1].work, 'Side hustle freelancer');
+    assert.equal(responses[0].hardestPart, 'Taxes, mostly');
+    assert.equal(responses[0].topStruggle, '');
+    assert.ok(responses.every(response => !JSON.stringify(response).includes('one@example.com')));
+});
+
+test('the shipped survey file parses without exposing emails', () => {
+    const parsed = Survey.parseResponses(fs.readFileSync(SURVEY_FILE, 'utf8'));
+
+    assert.equal(parsed.length, 9);
+    assert.equal(parsed[0].topStruggle, 'Understanding how much time work actually takes');
+    assert.ok(parsed.every(response => !JSON.stringify(response).includes('@')));
+});
+
+test('getDistribution counts answers, most common first, with scales in order', () => {
+    assert.deepEqual(Survey.getDistribution(responses, 'pricing'), [
+        { answer: 'Hourly rate', count: 2, share: 2 / 3 },
+        { answer: 'Mix of the above', count: 1, share: 1 / 3 }
+    ]);
+    assert.deepEqual(Survey.getDistribution(responses, 'confidence').map(item => [item.answer, item.count]),
+        [['1', 0], ['2', 2], ['3', 0], ['4', 1], ['5', 0]]);
+    assert.equal(Survey.getAverage(responses, 'confidence'), 8 / 3);
+    assert.equal(Survey.getAverage([], 'confidence'), null);
+});
+
+test('filterResponses narrows to the chosen answers', () => {
+    const fullTime = Survey.filterResponses(responses, { work: 'Full-time freelancer / self-employed', pricing: '' });
+
+    assert.equal(fullTime.length, 2);
+    assert.equal(Survey.filterResponses(responses, { work: 'Student', pricing: 'Hourly rate' }).length, 0);
+    assert.equal(Survey.filterResponses(responses, {}).length, 4);
+});
+
+test('getCrossTab counts one question within the answers to another', () => {
+    const table = Survey.getCrossTab(responses, 'work', 'willingToPay');
+
+    assert.deepEqual(table.rows, ['Full-time freelancer / self-employed', 'Side hustle freelancer', 'Student']);
+    assert.deepEqual(table.columns, ['Maybe', 'No']);
+    assert.deepEqual(table.counts, [[0, 2], [1, 0], [1, 0]]);
+});
+
+test('getComments drops blanks and removes email addresses', () => {
+    assert.deepEqual(Survey.getComments(responses), ['Taxes, mostly', 'Email me at [email removed]']);
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for the session arithmetic in time-entries.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TimeEntries = require('../time-entries');
+
+test('getEntrySeconds measures a session and never goes below 0', () => {
+    assert.equal(TimeEntries.getEntrySeconds('2026-10-01T10:00:00Z', '2026-10-01T11:30:00Z'), 5400);
+    assert.equal(TimeEntries.getEntrySeconds('2026-10-01T11:00:00Z', '2026-10-01T10:00:00Z'), 0);
+});
+
+test('getTotalHours sums sessions into hours', () => {
+    assert.equal(TimeEntries.getTotalHours([{ seconds: 5400 }, { seconds: 1800 }]), 2);
+    assert.equal(TimeEntries.getTotalHours([]), 0);
+});
+
+test('getRunningSeconds counts only running timers on the project', () => {
+    const now = Date.parse('2026-10-01T12:00:00Z');
+    const timers = [
+        { projectId: 'p1', accumulatedMs: 600000, segmentStart: '2026-10-01T11:30:00Z' },
+        { projectId: 'p1', accumulatedMs: 900000, segmentStart: null },
+        { projectId: 'p2', accumulatedMs: 0, segmentStart: '2026-10-01T11:00:00Z' }
+    ];
+
+    assert.equal(TimeEntries.getRunningSeconds(timers, 'p1', now), 1800);
+    assert.equal(TimeEntries.getRunningSeconds(timers, 'p3', now), 0);
+});
+
+test('saveSegments returns the segments that failed to save', async t => {
+    t.mock.method(console, 'error', () => {});
+    const saved = [];
+    const segments = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+    const unsaved = await TimeEntries.saveSegments(segments, async segment => {
+        if (segment.id === 'b') throw new Error('Network down');
+        saved.push(segment.id);
+    });
+
+    assert.deepEqual(saved, ['a', 'c']);
+    assert.deepEqual(unsaved, [{ id: 'b' }]);
+    assert.deepEqual(await TimeEntries.saveSegments(unsaved, async () => {}), []);
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for validation.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Validation = require('../validation');
+
+const options = { homeCurrency: 'USD', currencies: ['USD', 'EUR'] };
+
+function formData(overrides = {}) {
+    return {
+        name: 'Website',
+        hoursWorked: '10',
+        moneyReceived: '1000',
+        completionDate: '2026-10-01',
+        platformFeePercent: '',
+        currency: 'USD',
+        exchangeRate: '',
+        expenses: [],
+        ...overrides
+    };
+}
+
+test('valid project data has no errors', () => {
+    assert.deepEqual(Validation.getProjectErrors(formData(), options), {});
+    assert.deepEqual(Validation.getProjectErrors(formData({ hoursWorked: '0', moneyReceived: '0' }), options), {});
+});
+
+test('required fields are reported by field', () => {
+    const errors = Validation.getProjectErrors(formData({
+        name: '   ',
+        hoursWorked: '',
+        moneyReceived: '',
+        completionDate: ''
+    }), options);
+
+    assert.deepEqual(Object.keys(errors).sort(), ['completionDate', 'hoursWorked', 'moneyReceived', 'name']);
+});
+
+test('only completed projects need a completion date', () => {
+    for (const status of ['planned', 'active', 'archived']) {
+        assert.deepEqual(Validation.getProjectErrors(formData({ status, completionDate: '' }), options), {});
+    }
+    assert.ok(Validation.getProjectErrors(formData({ status: 'completed', completionDate: '' }), options).completionDate);
+    assert.equal(Validation.getProjectErrors(formData({ status: 'paused' }), options).status, 'Unknown status paused');
+});
+
+test('negative and non-numeric amounts are rejected', () => {
+    const errors = Validation.getProjectErrors(formData({ hoursWorked: '-1', moneyReceived: 'abc' }), options);
+    assert.equal(errors.hoursWorked, 'Hours must be 0 or greater');
+    assert.equal(errors.moneyReceived, 'Money must be 0 or greater');
+});
+
+test('platform fee must be between 0 and 100', () => {
+    assert.ok(Validation.getProjectErrors(formData({ platformFeePercent: '101' }), options).platformFeePercent);
+    assert.ok(Validation.getProjectErrors(formData({ platformFeePercent: '-5' }), options).platformFeePercent);
+    assert.equal(Validation.getProjectErrors(formData({ platformFeePercent: '20' }), options).platformFeePercent, undefined);
+});
+
+test('a foreign currency needs an exchange rate and an unknown one is rejected', () => {
+    assert.ok(Validation.getProjectErrors(formData({ currency: 'EUR' }), options).exchangeRate);
+    assert.deepEqual(Validation.getProjectErrors(formData({ currency: 'EUR', exchangeRate: '1.1' }), options), {});
+    assert.equal(Validation.getProjectErrors(formData({ currency: 'XYZ' }), options).currency, 'Unsupported currency XYZ');
+});
+
+test('every expense needs an amount of 0 or greater', () => {
+    const errors = Validation.getProjectErrors(formData({
+        expenses: [{ category: 'software', description: '', amount: '10' }, { category: 'travel', description: '', amount: '' }]
+    }), options);
+    assert.equal(errors.expenses, 'Each expense needs an amount of 0 or greater');
+});
+
+test('every payment needs a date and an amount greater than 0', () => {
+    const valid = { paidOn: '2026-10-01', amount: '250', note: '' };
+    assert.deepEqual(Validation.getProjectErrors(formData({ payments: [valid] }), options), {});
+
+    for (const payment of [{ ...valid, paidOn: '' }, { ...valid, amount: '0' }, { ...valid, amount: '' }]) {
+        const errors = Validation.getProjectErrors(formData({ payments: [valid, payment] }), options);
+        assert.equal(errors.payments, 'Each payment needs a date and an amount greater than 0');
+    }
+});
+
+test('estimated hours and quoted price are optional but must be sensible', () => {
+    assert.deepEqual(Validation.getProjectErrors(formData({ estimatedHours: '', quotedPrice: '' }), options), {});
+    assert.deepEqual(Validation.getProjectErrors(formData({ estimatedHours: '12.5', quotedPrice: '0' }), options), {});
+
+    const errors = Validation.getProjectErrors(formData({ estimatedHours: '0', quotedPrice: '-5' }), options);
+    assert.deepEqual(Object.keys(errors).sort(), ['estimatedHours', 'quotedPrice']);
+});
+
+test('retainers need a start date and fee, and custom periods a number of days', () => {
+    const retainer = overrides => formData({ billingPeriod: 'monthly', periodStart: '2026-10-01', periodFee: '2000', includedHours: '20', ...overrides });
+
+    assert.deepEqual(Validation.getProjectErrors(retainer(), options), {});
+    assert.deepEqual(Object.keys(Validation.getProjectErrors(retainer({ periodStart: '', periodFee: '' }), options)), ['periodStart', 'periodFee']);
+    assert.ok(Validation.getProjectErrors(retainer({ billingPeriod: 'custom', periodDays: '1.5' }), options).periodDays);
+    assert.deepEqual(Validation.getProjectErrors(retainer({ billingPeriod: 'custom', periodDays: '14' }), options), {});
+    assert.ok(Validation.getProjectErrors(retainer({ includedHours: '0' }), options).includedHours);
+    assert.ok(Validation.getProjectErrors(retainer({ billingPeriod: 'yearly' }), options).billingPeriod);
+});
@@ -0,0 +1,194 @@
+/**
+ * Time Entries
+ * Timer sessions logged against projects
+ * Shared by the timer page and the main app
+ */
+
+const TimeEntries = (() => {
+    /**
+     * Map a time_entries row to the shape used in the UI
+     */
+    function mapEntry(row) {
+        return {
+            id: row.id,
+            projectId: row.project_id,
+            startedAt: row.started_at,
+            endedAt: row.ended_at,
+            note: row.note || '',
+            sourceUid: row.source_uid || null,
+            seconds: getEntrySeconds(row.started_at, row.ended_at)
+        };
+    }
+
+    /**
+     * Length of a session in whole seconds
+     */
+    function getEntrySeconds(startedAt, endedAt) {
+        const ms = new Date(endedAt) - new Date(startedAt);
+        return ms > 0 ? Math.round(ms / 1000) : 0;
+    }
+
+    /**
+     * Sum a list of entries into hours
+     */
+    function getTotalHours(entries) {
+        const seconds = entries.reduce((sum, entry) => sum + entry.seconds, 0);
+        return seconds / 3600;
+    }
+
+    /**
+     * Seconds counted so far by the running timers on a project, from the
+     * timer page's saved state. Paused and stopped time is already logged.
+     */
+    function getRunningSeconds(timers, projectId, now = Date.now()) {
+        return timers
+            .filter(timer => timer.projectId === projectId && timer.segmentStart)
+            .reduce((sum, timer) => sum + Math.max(Math.round((now - new Date(timer.segmentStart).getTime()) / 1000), 0), 0);
+    }
+
+    /**
+     * Load entries for the signed-in user, newest first,
+     * optionally limited to one project
+     */
+    async function loadEntries(projectId = null) {
+        let query = window.supabaseClient
+            .from('time_entries')
+            .select('*');
+
+        if (projectId) {
+            query = query.eq('project_id', projectId);
+        }
+
+        const { data, error } = await query.order('started_at', { ascending: false });
+
+        if (error) throw error;
+        return data.map(mapEntry);
+    }
+
+    /**
+     * Store one start/stop segment. A segment with an ID already stored,
+     * such as one saved again after a retry, is left as it is.
+     */
+    async function addEntry({ id, projectId, startedAt, endedAt, note = '' }) {
+        const { error } = await window.supabaseClient
+            .from('time_entries')
+            .upsert([{
+                ...(id ? { id } : {}),
+                user_id: window.currentUser.id,
+                project_id: projectId,
+                started_at: new Date(startedAt).toISOString(),
+                ended_at: new Date(endedAt).toISOString(),
+                note: note.trim() || null
+            }], { onConflict: 'id', ignoreDuplicates: true });
+
+        if (error) throw error;
+    }
+
+    /**
+     * Save segments one at a time with save(segment). Returns the ones
+     * that failed, to be kept and tried again.
+     */
+    async function saveSegments(segments, save) {
+        const unsaved = [];
+
+        for (const segment of segments) {
+            try {
+                await save(segment);
+            } catch (error) {
+                console.error('Error saving time entry:', error);
+                unsaved.push(segment);
+            }
+        }
+
+        return unsaved;
+    }
+
+    /**
+     * Store several sessions for one project at once, such as events
+     * imported from a calendar with the occurrence each came from
+     */
+    async function addEntries(projectId, entries) {
+        const { data, error } = await window.supabaseClient
+            .from('time_entries')
+            .insert(entries.map(({ startedAt, endedAt, note = '', sourceUid = null }) => ({
+                user_id: window.currentUser.id,
+                project_id: projectId,
+                started_at: new Date(startedAt).toISOString(),
+                ended_at: new Date(endedAt).toISOString(),
+                note: note.trim() || null,
+                source_uid: sourceUid
+            })))
+            .select();
+
+        if (error) throw error;
+        return data.map(mapEntry);
+    }
+
+    /**
+     * Correct the times or note of an entry
+     */
+    async function updateEntry(id, { startedAt, endedAt, note = '' }) {
+        const { data, error } = await window.supabaseClient
+            .from('time_entries')
+            .update({
+                started_at: new Date(startedAt).toISOString(),
+                ended_at: new Date(endedAt).toISOString(),
+                note: note.trim() || null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return mapEntry(data);
+    }
+
+    /**
+     * Remove an entry
+     */
+    async function deleteEntry(id) {
+        const { error } = await window.supabaseClient
+            .from('time_entries')
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Write the summed hours of a project's entries back to the project row
+     * so hours_worked and the derived hourly_rate match the logged time
+     */
+    async function syncProjectHours(projectId, entries) {
+        const { data, error } = await window.supabaseClient
+            .from('projects')
+            .update({
+                hours_worked: getTotalHours(entries),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', projectId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    return {
+        getEntrySeconds,
+        getTotalHours,
+        getRunningSeconds,
+        loadEntries,
+        addEntry,
+        saveSegments,
+        addEntries,
+        updateEntry,
+        deleteEntry,
+        syncProjectHours
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeEntries;
+}
@@ -0,0 +1,684 @@
+/**
+ * Timer Page
+ * Named timers that log every start/pause/stop segment
+ * as a time entry on their project.
+ *
+ * Elapsed time is always derived from stored start timestamps, never counted
+ * tick by tick, and the timer state lives in localStorage so it survives
+ * reloads and stays in step across open tabs. Finished segments wait in
+ * that state until they are saved, so none is lost while offline.
+ */
+
+const STATE_KEY = 'trueFreelance.timers';
+const ACTIVITY_KEY = 'trueFreelance.lastActivity';
+const LAST_PROJECT_KEY = 'trueFreelance.timerProjectId';
+const PROJECT_COLUMNS = 'id, name, status, hours_worked, money_received, completion_date, currency, exchange_rate, exchange_rate_currency';
+const NEW_PROJECT_OPTION = '__new';
+const DEFAULT_IDLE_MINUTES = 10;
+const ACTIVITY_WRITE_INTERVAL_MS = 15000;
+const SEGMENT_RETRY_INTERVAL_MS = 60000;
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'];
+
+let state = loadState();
+let projects = [];
+let sessionProjectIds = new Set();
+let pendingProjectTimerId = null;
+let idleSince = null;
+let lastActivityWrite = 0;
+let savingSegments = null;
+
+const timersList = document.getElementById('timersList');
+const addTimerBtn = document.getElementById('addTimerBtn');
+const allowConcurrentInput = document.getElementById('allowConcurrent');
+const idleMinutesSelect = document.getElementById('idleMinutes');
+const newProjectRow = document.getElementById('newProjectRow');
+const newProjectName = document.getElementById('newProjectName');
+const createProjectBtn = document.getElementById('createProjectBtn');
+const cancelProjectBtn = document.getElementById('cancelProjectBtn');
+const timerStatus = document.getElementById('timerStatus');
+const idleOverlay = document.getElementById('idleOverlay');
+const idleMessage = document.getElementById('idleMessage');
+const keepIdleBtn = document.getElementById('keepIdleBtn');
+const discardIdleBtn = document.getElementById('discardIdleBtn');
+
+// ================================
+// State
+// ================================
+
+function createTimer(label) {
+    return {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        label: label,
+        projectId: localStorage.getItem(LAST_PROJECT_KEY) || '',
+        accumulatedMs: 0,
+        segmentStart: null
+    };
+}
+
+function loadState() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STATE_KEY));
+        if (stored && Array.isArray(stored.timers)) {
+            return {
+                allowConcurrent: Boolean(stored.allowConcurrent),
+                idleMinutes: Number.isFinite(stored.idleMinutes) ? stored.idleMinutes : DEFAULT_IDLE_MINUTES,
+                timers: stored.timers,
+                unsaved: Array.isArray(stored.unsaved) ? stored.unsaved : []
+            };
+        }
+    } catch (error) {
+        console.error('Error reading timer state:', error);
+    }
+
+    return {
+        allowConcurrent: false,
+        idleMinutes: DEFAULT_IDLE_MINUTES,
+        timers: [createTimer('Timer 1')],
+        unsaved: []
+    };
+}
+
+function saveState() {
+    localStorage.setItem(STATE_KEY, JSON.stringify(state));
+}
+
+function getTimer(id) {
+    return state.timers.find(timer => timer.id === id);
+}
+
+function isTimerRunning(timer) {
+    return Boolean(timer.segmentStart);
+}
+
+function getElapsedMs(timer, now = Date.now()) {
+    const running = isTimerRunning(timer) ? now - new Date(timer.segmentStart).getTime() : 0;
+    return timer.accumulatedMs + Math.max(running, 0);
+}
+
+// ================================
+// Display
+// ================================
+
+function showStatus(message, isError = false) {
+    timerStatus.textContent = message;
+    timerStatus.classList.toggle('timer-status-error', isError);
+}
+
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${hours}h ${minutes.toString().padStart(2, '0')}m`;
+}
+
+function getProjectName(projectId) {
+    const project = projects.find(p => p.id === projectId);
+    return project ? project.name : 'this project';
+}
+
+function createProjectSelect(timer) {
+    const select = document.createElement('select');
+    select.className = 'timer-project-select';
+    select.dataset.timerField = 'project';
+    select.setAttribute('aria-label', 'Project');
+    select.disabled = isTimerRunning(timer);
+
+    // Archived projects are left out unless the timer is already on one
+    select.appendChild(new Option('Choose a project…', ''));
+    projects
+        .filter(project => project.status !== 'archived' || project.id === timer.projectId)
+        .forEach(project => {
+            select.appendChild(new Option(project.name, project.id));
+        });
+    select.appendChild(new Option('+ New project', NEW_PROJECT_OPTION));
+
+    select.value = projects.some(p => p.id === timer.projectId) ? timer.projectId : '';
+    return select;
+}
+
+function createTimerCard(timer) {
+    const running = isTimerRunning(timer);
+    const card = document.createElement('div');
+    card.className = `timer-card${running ? ' timer-card-running' : ''}`;
+    card.dataset.timerId = timer.id;
+
+    card.innerHTML = `
+        <div class="timer-card-header">
+            <input type="text" class="timer-label-input" data-timer-field="label" maxlength="60" aria-label="Timer label">
+            <button class="btn-remove-timer" data-timer-action="remove" aria-label="Remove timer">&times;</button>
+        </div>
+        <div class="timer-display">
+            <span class="timer-hours">00</span>
+            <span class="timer-separator">:</span>
+            <span class="timer-minutes">00</span>
+            <span class="timer-separator">:</span>
+            <span class="timer-seconds">00</span>
+        </div>
+        <div class="timer-controls">
+            <button class="btn-timer btn-start" data-timer-action="start">${timer.accumulatedMs > 0 ? 'Resume' : 'Start'}</button>
+            <button class="btn-timer btn-pause" data-timer-action="pause">Pause</button>
+            <button class="btn-timer btn-reset" data-timer-action="stop">Stop</button>
+        </div>
+        <p class="timer-target hidden"></p>
+    `;
+
+    card.querySelector('.timer-label-input').value = timer.label;
+    card.querySelector('.timer-card-header').after(createProjectSelect(timer));
+    card.querySelector('[data-timer-action="start"]').disabled = running || !timer.projectId;
+    card.querySelector('[data-timer-action="pause"]').disabled = !running;
+    card.querySelector('[data-timer-action="remove"]').disabled = state.timers.length <= 1;
+
+    return card;
+}
+
+function updateDisplays() {
+    const now = Date.now();
+
+    timersList.querySelectorAll('.timer-card').forEach(card => {
+        const timer = getTimer(card.dataset.timerId);
+        if (!timer) return;
+
+        const totalSeconds = Math.floor(getElapsedMs(timer, now) / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        card.querySelector('.timer-hours').textContent = hours.toString().padStart(2, '0');
+        card.querySelector('.timer-minutes').textContent = minutes.toString().padStart(2, '0');
+        card.querySelector('.timer-seconds').textContent = seconds.toString().padStart(2, '0');
+
+        updateTargetNote(card.querySelector('.timer-target'), timer, now);
+    });
+}
+
+/**
+ * Show how long a timer can run before its project drops below the
+ * target rate, or that it already has
+ */
+function updateTargetNote(note, timer, now) {
+    const hoursLeft = getHoursLeftBeforeTarget(timer.projectId, now);
+    note.classList.toggle('hidden', hoursLeft === null);
+    if (hoursLeft === null) return;
+
+    const below = hoursLeft <= 0;
+    note.classList.toggle('timer-target-below', below);
+    note.textContent = below
+        ? `"${getProjectName(timer.projectId)}" is now below your target rate of ${formatTargetRate()}.`
+        : `${formatDuration(hoursLeft * 3600)} left before this project drops below your target rate of ${formatTargetRate()}.`;
+}
+
+function render() {
+    timersList.innerHTML = '';
+    state.timers.forEach(timer => {
+        timersList.appendChild(createTimerCard(timer));
+    });
+
+    allowConcurrentInput.checked = state.allowConcurrent;
+    idleMinutesSelect.value = String(state.idleMinutes);
+    updateDisplays();
+}
+
+// ================================
+// Target Rate
+// ================================
+
+/**
+ * Load the target rate, home currency and exchange rates. The page
+ * works without them; it just can't warn about the target rate.
+ */
+async function loadSettings() {
+    try {
+        await Settings.load();
+        await Currency.loadRates();
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+
+    updateDisplays();
+}
+
+function formatTargetRate() {
+    return `${Currency.format(Settings.get().targetRate, Settings.get().homeCurrency)}/hr`;
+}
+
+/**
+ * Rate from a project's currency into the home currency, as in the main app
+ */
+function getHomeRate(project) {
+    const homeCurrency = Settings.get().homeCurrency;
+
+    if ((project.currency || 'USD') === homeCurrency) return 1;
+    if (project.exchange_rate_currency === homeCurrency) return parseFloat(project.exchange_rate);
+    return Currency.findRate(project.currency, homeCurrency, project.completion_date);
+}
+
+/**
+ * Hours a project can still take, counting every running timer on it,
+ * before its gross rate falls below the target. Null without a target,
+ * an exchange rate or any money received yet.
+ */
+function getHoursLeftBeforeTarget(projectId, now = Date.now()) {
+    const project = projects.find(p => p.id === projectId);
+    const moneyReceived = project ? parseFloat(project.money_received) : 0;
+    if (!(moneyReceived > 0)) return null;
+
+    const rate = getHomeRate(project);
+    const targetHours = rate === null ? null : Calculations.getTargetHours(moneyReceived * rate, Settings.get().targetRate);
+    if (targetHours === null) return null;
+
+    // Finished segments are already in hours_worked; only running ones are added
+    const runningMs = state.timers
+        .filter(timer => timer.projectId === projectId && isTimerRunning(timer))
+        .reduce((sum, timer) => sum + Math.max(now - new Date(timer.segmentStart).getTime(), 0), 0);
+
+    return targetHours - parseFloat(project.hours_worked) - runningMs / 3600000;
+}
+
+// ================================
+// Projects
+// ================================
+
+async function loadProjects() {
+    try {
+        const { data, error } = await window.supabaseClient
+            .from('projects')
+            .select(PROJECT_COLUMNS)
+            .is('deleted_at', null)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        const { data: entries, error: entriesError } = await window.supabaseClient
+            .from('time_entries')
+            .select('project_id');
+
+        if (entriesError) throw entriesError;
+
+        projects = data;
+        sessionProjectIds = new Set(entries.map(entry => entry.project_id));
+    } catch (error) {
+        console.error('Error loading projects:', error);
+        projects = [];
+        showStatus('Could not load your projects.', true);
+    }
+
+    render();
+}
+
+async function createProject() {
+    const name = newProjectName.value.trim();
+    if (!name) {
+        newProjectName.focus();
+        return;
+    }
+
+    createProjectBtn.disabled = true;
+
+    try {
+        const { data, error } = await window.supabaseClient
+            .from('projects')
+            .insert([{
+                user_id: window.currentUser.id,
+                name: name,
+                status: 'active',
+                hours_worked: 0,
+                money_received: 0
+            }])
+            .select(PROJECT_COLUMNS)
+            .single();
+
+        if (error) throw error;
+
+        projects.unshift(data);
+
+        const timer = getTimer(pendingProjectTimerId);
+        if (timer) {
+            setTimerProject(timer, data.id);
+        }
+
+        closeNewProjectRow();
+        showStatus(`Created "${data.name}".`);
+    } catch (error) {
+        console.error('Error creating project:', error);
+        showStatus('Failed to create project. Please try again.', true);
+    }
+
+    createProjectBtn.disabled = false;
+}
+
+function openNewProjectRow(timerId) {
+    pendingProjectTimerId = timerId;
+    newProjectRow.classList.remove('hidden');
+    newProjectName.focus();
+}
+
+function closeNewProjectRow() {
+    pendingProjectTimerId = null;
+    newProjectName.value = '';
+    newProjectRow.classList.add('hidden');
+    render();
+}
+
+function setTimerProject(timer, projectId) {
+    timer.projectId = projectId;
+    localStorage.setItem(LAST_PROJECT_KEY, projectId);
+    saveState();
+    render();
+}
+
+// ================================
+// Segments
+// ================================
+
+/**
+ * Store a finished segment and refresh the project's logged hours.
+ * Saving a segment again is harmless, since it keeps its ID.
+ */
+async function logSegment(segment) {
+    const seconds = TimeEntries.getEntrySeconds(segment.startedAt, segment.endedAt);
+
+    await TimeEntries.addEntry(segment);
+    const entries = await TimeEntries.loadEntries(segment.projectId);
+    const row = await TimeEntries.syncProjectHours(segment.projectId, entries);
+    const logged = `Logged ${formatDuration(seconds)} to "${getProjectName(segment.projectId)}".`;
+
+    const project = projects.find(p => p.id === segment.projectId);
+    if (project) {
+        project.hours_worked = row.hours_worked;
+    }
+    sessionProjectIds.add(segment.projectId);
+
+    const hoursLeft = getHoursLeftBeforeTarget(segment.projectId);
+    if (hoursLeft !== null && hoursLeft <= 0 && hoursLeft + seconds / 3600 > 0) {
+        showStatus(`${logged} It is now below your target rate of ${formatTargetRate()}.`, true);
+    } else {
+        showStatus(logged);
+    }
+}
+
+/**
+ * Save the segments waiting in the timer state, keeping any that fail
+ * for the next try
+ */
+async function saveUnsavedSegments() {
+    if (savingSegments || state.unsaved.length === 0) return;
+
+    const pending = [...state.unsaved];
+    savingSegments = TimeEntries.saveSegments(pending, logSegment);
+    const failed = await savingSegments;
+    savingSegments = null;
+
+    // Other tabs may have changed the state meanwhile, so only the saved segments are dropped
+    const tried = new Set(pending.map(segment => segment.id));
+    const saved = new Set(pending.filter(segment => !failed.includes(segment)).map(segment => segment.id));
+    state.unsaved = state.unsaved.filter(segment => !saved.has(segment.id));
+    saveState();
+
+    if (failed.length > 0) {
+        showStatus(failed.length === 1
+            ? 'Couldn\'t save this session yet. It is kept and saved once you are back online.'
+            : `Couldn't save ${failed.length} sessions yet. They are kept and saved once you are back online.`, true);
+    } else if (state.unsaved.some(segment => !tried.has(segment.id))) {
+        // Segments ended while these were being saved
+        saveUnsavedSegments();
+    }
+}
+
+/**
+ * End the running segment of a timer at the given moment.
+ * The segment is added to the state, and the state written, before it
+ * is saved, so other tabs never see it as still running and a failed
+ * save can be tried again.
+ */
+function endSegment(timer, endedAt) {
+    const startedAt = new Date(timer.segmentStart);
+    const end = new Date(Math.max(endedAt.getTime(), startedAt.getTime()));
+
+    timer.accumulatedMs += end - startedAt;
+    timer.segmentStart = null;
+
+    if (timer.projectId && TimeEntries.getEntrySeconds(startedAt, end) >= 1) {
+        state.unsaved.push({
+            id: crypto.randomUUID(),
+            projectId: timer.projectId,
+            startedAt: startedAt.toISOString(),
+            endedAt: end.toISOString(),
+            note: timer.label
+        });
+    }
+
+    saveState();
+    saveUnsavedSegments();
+}
+
+// ================================
+// Controls
+// ================================
+
+/**
+ * Whether logging time to a project would replace hours entered by hand:
+ * it has hours but no sessions yet, logged, waiting to save or running
+ */
+function replacesHandEnteredHours(projectId) {
+    const project = projects.find(p => p.id === projectId);
+    return Boolean(project) && parseFloat(project.hours_worked) > 0
+        && !sessionProjectIds.has(projectId)
+        && !state.unsaved.some(segment => segment.projectId === projectId)
+        && !state.timers.some(timer => timer.projectId === projectId && (isTimerRunning(timer) || timer.accumulatedMs > 0));
+}
+
+function startTimer(id) {
+    const timer = getTimer(id);
+    if (!timer || isTimerRunning(timer) || !timer.projectId) return;
+
+    if (replacesHandEnteredHours(timer.projectId)) {
+        const project = projects.find(p => p.id === timer.projectId);
+        const message = `"${project.name}" has ${formatDuration(parseFloat(project.hours_worked) * 3600)} entered by hand. ` +
+            'Once you log a session its hours are the total of its sessions, so those hours will be replaced. Start the timer anyway?';
+        if (!confirm(message)) return;
+    }
+
+    const now = new Date();
+
+    if (!state.allowConcurrent) {
+        state.timers
+            .filter(other => other !== timer && isTimerRunning(other))
+            .forEach(other => endSegment(other, now));
+    }
+
+    timer.segmentStart = now.toISOString();
+    recordActivity(true);
+    saveState();
+    render();
+}
+
+function pauseTimer(id) {
+    const timer = getTimer(id);
+    if (!timer || !isTimerRunning(timer)) return;
+
+    endSegment(timer, new Date());
+    saveState();
+    render();
+}
+
+function stopTimer(id) {
+    const timer = getTimer(id);
+    if (!timer) return;
+
+    if (isTimerRunning(timer)) {
+        endSegment(timer, new Date());
+    }
+
+    timer.accumulatedMs = 0;
+    saveState();
+    render();
+}
+
+function addTimer() {
+    state.timers.push(createTimer(`Timer ${state.timers.length + 1}`));
+    saveState();
+    render();
+}
+
+function removeTimer(id) {
+    if (state.timers.length <= 1) return;
+
+    stopTimer(id);
+    state.timers = state.timers.filter(timer => timer.id !== id);
+    saveState();
+    render();
+}
+
+// ================================
+// Idle Detection
+// ================================
+
+/**
+ * Note that the user is at the machine. The timestamp is shared through
+ * localStorage so activity in any tab counts.
+ */
+function recordActivity(force = false) {
+    const now = Date.now();
+
+    if (idleSince === null) {
+        checkIdle(now);
+    }
+
+    if (force || now - lastActivityWrite > ACTIVITY_WRITE_INTERVAL_MS) {
+        localStorage.setItem(ACTIVITY_KEY, String(now));
+        lastActivityWrite = now;
+    }
+}
+
+function checkIdle(now) {
+    if (!state.idleMinutes || !state.timers.some(isTimerRunning)) return;
+
+    const lastActivity = Number(localStorage.getItem(ACTIVITY_KEY)) || now;
+    if (now - lastActivity >= state.idleMinutes * 60000) {
+        showIdleDialog(lastActivity, now);
+    }
+}
+
+function showIdleDialog(since, now) {
+    idleSince = since;
+    const minutes = Math.round((now - since) / 60000);
+    idleMessage.textContent = `You've been away for about ${minutes} minutes while a timer was running. Keep that time or discard it?`;
+    idleOverlay.classList.remove('hidden');
+}
+
+function hideIdleDialog() {
+    idleSince = null;
+    idleOverlay.classList.add('hidden');
+    recordActivity(true);
+}
+
+function keepIdleTime() {
+    hideIdleDialog();
+}
+
+/**
+ * Cut every running timer back to when the user went idle,
+ * then let it carry on from now
+ */
+function discardIdleTime() {
+    const cutoff = new Date(idleSince);
+    const now = new Date().toISOString();
+
+    state.timers.filter(isTimerRunning).forEach(timer => {
+        endSegment(timer, cutoff);
+        timer.segmentStart = now;
+    });
+
+    saveState();
+    render();
+    hideIdleDialog();
+}
+
+// ================================
+// Cross-tab Sync
+// ================================
+
+function handleStorageChange(event) {
+    if (event.key !== STATE_KEY) return;
+
+    state = loadState();
+    render();
+
+    // Another tab already resolved the idle prompt
+    const stillIdle = state.timers.some(timer =>
+        isTimerRunning(timer) && new Date(timer.segmentStart).getTime() <= idleSince
+    );
+    if (idleSince !== null && !stillIdle) {
+        idleSince = null;
+        idleOverlay.classList.add('hidden');
+    }
+}
+
+// ================================
+// Event Listeners
+// ================================
+
+timersList.addEventListener('click', function(event) {
+    const button = event.target.closest('[data-timer-action]');
+    if (!button) return;
+
+    const id = button.closest('.timer-card').dataset.timerId;
+    const actions = { start: startTimer, pause: pauseTimer, stop: stopTimer, remove: removeTimer };
+    actions[button.dataset.timerAction](id);
+});
+
+timersList.addEventListener('change', function(event) {
+    const field = event.target.dataset.timerField;
+    const timer = getTimer(event.target.closest('.timer-card').dataset.timerId);
+    if (!field || !timer) return;
+
+    if (field === 'label') {
+        timer.label = event.target.value.trim() || timer.label;
+        saveState();
+    } else if (field === 'project') {
+        if (event.target.value === NEW_PROJECT_OPTION) {
+            openNewProjectRow(timer.id);
+        } else {
+            setTimerProject(timer, event.target.value);
+        }
+    }
+});
+
+addTimerBtn.addEventListener('click', addTimer);
+
+allowConcurrentInput.addEventListener('change', function() {
+    state.allowConcurrent = allowConcurrentInput.checked;
+    saveState();
+});
+
+idleMinutesSelect.addEventListener('change', function() {
+    state.idleMinutes = Number(idleMinutesSelect.value);
+    saveState();
+});
+
+createProjectBtn.addEventListener('click', createProject);
+cancelProjectBtn.addEventListener('click', closeNewProjectRow);
+newProjectName.addEventListener('keydown', function(event) {
+    if (event.key === 'Enter') createProject();
+});
+
+keepIdleBtn.addEventListener('click', keepIdleTime);
+discardIdleBtn.addEventListener('click', discardIdleTime);
+
+ACTIVITY_EVENTS.forEach(eventName => {
+    document.addEventListener(eventName, () => recordActivity(), { passive: true });
+});
+document.addEventListener('visibilitychange', function() {
+    if (document.visibilityState === 'visible') recordActivity();
+});
+
+window.addEventListener('storage', handleStorageChange);
+window.addEventListener('online', saveUnsavedSegments);
+
+// Redraw from timestamps; the interval only refreshes the display,
+// so a throttled background tab never loses time
+setInterval(updateDisplays, 1000);
+setInterval(saveUnsavedSegments, SEGMENT_RETRY_INTERVAL_MS);
+
+render();
+loadSettings();
+loadProjects().then(saveUnsavedSegments);
@@ -0,0 +1,139 @@
+/**
+ * Validation
+ * Project rules shared by the project form and the CSV import
+ */
+
+const Validation = (() => {
+    const STATUSES = {
+        planned: 'Planned',
+        active: 'Active',
+        completed: 'Completed',
+        archived: 'Archived'
+    };
+
+    // How often a retainer starts a new period
+    const BILLING_PERIODS = {
+        weekly: 'Weekly',
+        monthly: 'Monthly',
+        custom: 'Every few days'
+    };
+
+    /**
+     * True for a blank, non-numeric or negative amount
+     */
+    function isNegativeOrBlank(value) {
+        return value === '' || isNaN(parseFloat(value)) || parseFloat(value) < 0;
+    }
+
+    /**
+     * Whether a project with this status has finished, so it has a
+     * completion date (archived ones may not) and counts in reports
+     */
+    function isFinished(status) {
+        return status === 'completed' || status === 'archived';
+    }
+
+    /**
+     * Check project data against the project rules. Returns a message per
+     * invalid field, keyed like the form data. Data without a status is
+     * a completed project.
+     */
+    function getProjectErrors(data, { homeCurrency, currencies }) {
+        const errors = {};
+        const status = data.status || 'completed';
+
+        if (!data.name || data.name.trim().length === 0) {
+            errors.name = 'Project name is required';
+        }
+
+        if (!data.hoursWorked || isNegativeOrBlank(data.hoursWorked)) {
+            errors.hoursWorked = 'Hours must be 0 or greater';
+        }
+
+        if (!data.moneyReceived || isNegativeOrBlank(data.moneyReceived)) {
+            errors.moneyReceived = 'Money must be 0 or greater';
+        }
+
+        if (!STATUSES[status]) {
+            errors.status = `Unknown status ${status}`;
+        }
+
+        if (status === 'completed' && !data.completionDate) {
+            errors.completionDate = 'Completion date is required';
+        }
+
+        if (data.estimatedHours && !(parseFloat(data.estimatedHours) > 0)) {
+            errors.estimatedHours = 'Estimated hours must be greater than 0';
+        }
+
+        if (data.quotedPrice && isNegativeOrBlank(data.quotedPrice)) {
+            errors.quotedPrice = 'Quoted price must be 0 or greater';
+        }
+
+        const fee = parseFloat(data.platformFeePercent);
+        if (data.platformFeePercent && (isNaN(fee) || fee < 0 || fee > 100)) {
+            errors.platformFeePercent = 'Platform fee must be between 0 and 100';
+        }
+
+        if (!currencies.includes(data.currency)) {
+            errors.currency = `Unsupported currency ${data.currency || '(blank)'}`;
+        } else if (data.currency !== homeCurrency && !(parseFloat(data.exchangeRate) > 0)) {
+            errors.exchangeRate = 'Enter the exchange rate on the payment date';
+        }
+
+        if (data.expenses.some(expense => isNegativeOrBlank(expense.amount))) {
+            errors.expenses = 'Each expense needs an amount of 0 or greater';
+        }
+
+        if ((data.payments || []).some(payment => !payment.paidOn || !(parseFloat(payment.amount) > 0))) {
+            errors.payments = 'Each payment needs a date and an amount greater than 0';
+        }
+
+        if (data.billingPeriod) {
+            Object.assign(errors, getRetainerErrors(data));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the billing fields of a retainer period
+     */
+    function getRetainerErrors(data) {
+        const errors = {};
+
+        if (!BILLING_PERIODS[data.billingPeriod]) {
+            errors.billingPeriod = `Unknown billing period ${data.billingPeriod}`;
+        }
+
+        if (!data.periodStart) {
+            errors.periodStart = 'Period start date is required';
+        }
+
+        if (data.billingPeriod === 'custom' && !(/^\d+$/.test(String(data.periodDays)) && parseInt(data.periodDays, 10) >= 1)) {
+            errors.periodDays = 'Days per period must be a whole number of 1 or more';
+        }
+
+        if (isNegativeOrBlank(data.periodFee)) {
+            errors.periodFee = 'Fee must be 0 or greater';
+        }
+
+        if (data.includedHours && !(parseFloat(data.includedHours) > 0)) {
+            errors.includedHours = 'Included hours must be greater than 0';
+        }
+
+        return errors;
+    }
+
+    return {
+        STATUSES,
+        BILLING_PERIODS,
+        isFinished,
+        isNegativeOrBlank,
+        getProjectErrors
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Validation;
+}